@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/*
+  Local TeX Live compile service for self-hosting (no documents leave the machine).
+  - POST JSON { mainFile, files, engine } where files maps relative paths to text,
+    or to { base64 } for binary assets such as images; engine is pdflatex | xelatex | lualatex.
+  - Each request runs latexmk (or the bare engine when latexmk is missing) in a fresh temp dir with
+    shell escape disabled, file access confined to that dir, and a hard timeout.
+  - Responds with JSON { status: 'success' | 'error', pdf: <base64> | null, log }.
+  - latexmk runs with -norc and requests may not ship a latexmkrc: rc files are Perl and would run as code.
+  Standalone: node scripts/compile-server.cjs  (PORT=3001, HOST=127.0.0.1, TEX_TIMEOUT_MS=60000,
+  MAX_QUEUED_COMPILES=8, CORS_ORIGIN unset: no cross-origin access)
+  The Vite dev server mounts the same handler at /api/compile when VITE_ENABLE_LOCAL_TEX=true.
+*/
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ENGINES = { pdflatex: '-pdf', xelatex: '-xelatex', lualatex: '-lualatex' };
+
+const DEFAULTS = {
+  timeoutMs: Number(process.env.TEX_TIMEOUT_MS) || 60000,
+  maxBodyBytes: 25 * 1024 * 1024,
+  maxFiles: 500,
+  maxQueuedJobs: Number(process.env.MAX_QUEUED_COMPILES) || 8,
+};
+
+// latexmk configuration files; latexmk executes them as Perl.
+const RC_FILE_NAMES = ['latexmkrc', '.latexmkrc'];
+
+// Environment for TeX runs: kpathsea reads these over texmf.cnf.
+const SANDBOX_ENV = { shell_escape: 'f', openin_any: 'p', openout_any: 'p' };
+
+class CompileRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CompileRequestError';
+    this.statusCode = 400;
+  }
+}
+
+// Normalises a project-relative path; rejects absolute paths, `..` segments and control characters.
+function safeRelativePath(p) {
+  const raw = String(p || '').replace(/\\/g, '/');
+  if (!raw || raw.startsWith('/') || /^[A-Za-z]:/.test(raw) || /[\u0000-\u001f]/.test(raw)) return null;
+  const parts = [];
+  for (const part of raw.split('/')) {
+    if (!part || part === '.') continue;
+    if (part === '..') return null;
+    parts.push(part);
+  }
+  return parts.length ? parts.join('/') : null;
+}
+
+function validateRequest(body, options = {}) {
+  const maxFiles = options.maxFiles || DEFAULTS.maxFiles;
+  if (!body || typeof body !== 'object') throw new CompileRequestError('Expected a JSON object.');
+  const files = body.files;
+  if (!files || typeof files !== 'object' || Array.isArray(files)) throw new CompileRequestError('`files` must map paths to contents.');
+  const entries = Object.entries(files);
+  if (!entries.length) throw new CompileRequestError('`files` is empty.');
+  if (entries.length > maxFiles) throw new CompileRequestError(`Too many files (limit ${maxFiles}).`);
+  const normalized = {};
+  for (const [name, content] of entries) {
+    const rel = safeRelativePath(name);
+    if (!rel) throw new CompileRequestError(`Invalid file path: ${name}`);
+    if (RC_FILE_NAMES.includes(path.posix.basename(rel).toLowerCase())) throw new CompileRequestError(`latexmk configuration files are not accepted: ${name}`);
+    if (typeof content === 'string') normalized[rel] = Buffer.from(content, 'utf8');
+    else if (content && typeof content.base64 === 'string') normalized[rel] = Buffer.from(content.base64, 'base64');
+    else throw new CompileRequestError(`Unsupported content for ${name}.`);
+  }
+  const mainFile = safeRelativePath(body.mainFile || 'main.tex');
+  if (!mainFile || !normalized[mainFile]) throw new CompileRequestError(`Main file not found: ${body.mainFile || 'main.tex'}`);
+  const engine = body.engine || 'pdflatex';
+  if (!ENGINES[engine]) throw new CompileRequestError(`Unsupported engine: ${engine}`);
+  return { files: normalized, mainFile, engine };
+}
+
+// Runs a command in its own process group so a timeout can stop TeX and anything it started.
+function runProcess(command, args, { cwd, timeoutMs, env }) {
+  return new Promise((resolve) => {
+    let output = '';
+    let timedOut = false;
+    let child;
+    try {
+      child = spawn(command, args, { cwd, env: { ...process.env, ...env }, detached: process.platform !== 'win32' });
+    } catch (e) {
+      resolve({ code: null, output: String(e.message || e), timedOut, notFound: e.code === 'ENOENT' });
+      return;
+    }
+    const collect = (chunk) => {
+      if (output.length < 2 * 1024 * 1024) output += chunk;
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        if (process.platform !== 'win32') process.kill(-child.pid, 'SIGKILL');
+        else child.kill('SIGKILL');
+      } catch { /* already exited */ }
+    }, timeoutMs);
+    child.on('error', (e) => {
+      clearTimeout(timer);
+      resolve({ code: null, output: String(e.message || e), timedOut, notFound: e.code === 'ENOENT' });
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, output, timedOut, notFound: false });
+    });
+  });
+}
+
+// Compiles a validated project in a throwaway directory. `options.run` replaces runProcess (tests).
+async function compileProject(request, options = {}) {
+  const { files, mainFile, engine } = validateRequest(request, options);
+  const timeoutMs = options.timeoutMs || DEFAULTS.timeoutMs;
+  const run = options.run || runProcess;
+  const dir = await fs.promises.mkdtemp(path.join(options.tmpDir || os.tmpdir(), 'texure-'));
+  try {
+    for (const [rel, buf] of Object.entries(files)) {
+      const target = path.join(dir, ...rel.split('/'));
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, buf);
+    }
+    const mainDir = path.join(dir, ...path.posix.dirname(mainFile).split('/'));
+    const mainName = path.posix.basename(mainFile);
+    const base = mainName.replace(/\.[^.]+$/, '');
+    const deadline = Date.now() + timeoutMs;
+    const remaining = () => Math.max(1, deadline - Date.now());
+
+    let result = await run('latexmk', ['-norc', ENGINES[engine], '-interaction=nonstopmode', '-halt-on-error', mainName], {
+      cwd: mainDir,
+      timeoutMs: remaining(),
+      env: SANDBOX_ENV,
+    });
+    if (result.notFound) {
+      // No latexmk: two engine passes settle references and the table of contents.
+      for (let pass = 0; pass < 2; pass += 1) {
+        result = await run(engine, ['-interaction=nonstopmode', '-halt-on-error', mainName], {
+          cwd: mainDir,
+          timeoutMs: remaining(),
+          env: SANDBOX_ENV,
+        });
+        if (result.code !== 0 || result.notFound || result.timedOut) break;
+      }
+    }
+
+    const texLog = await fs.promises.readFile(path.join(mainDir, `${base}.log`), 'utf8').catch(() => '');
+    let log = texLog || result.output || '';
+    if (result.notFound) log = `${engine} was not found. Install TeX Live (with latexmk) on the compile server.\n\n${log}`.trim();
+    if (result.timedOut) log = `Compilation timed out after ${Math.round(timeoutMs / 1000)}s.\n\n${log}`.trim();
+
+    const pdf = await fs.promises.readFile(path.join(mainDir, `${base}.pdf`)).catch(() => null);
+    if (result.code === 0 && !result.timedOut && pdf && pdf.length) {
+      return { status: 'success', pdf: pdf.toString('base64'), log };
+    }
+    return { status: 'error', pdf: null, log: log || 'Compilation failed.' };
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      if (size > maxBytes) return; // already rejected; drain the rest
+      size += chunk.length;
+      if (size > maxBytes) {
+        const err = new CompileRequestError(`Request body exceeds ${Math.round(maxBytes / 1024 / 1024)} MB.`);
+        err.statusCode = 413;
+        reject(err);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, code, data, headers = {}) {
+  res.writeHead(code, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+// Connect-style `(req, res)` handler; compiles run one at a time, and at most `maxQueuedJobs` wait or run.
+// Without `options.corsOrigin` no CORS header is sent, so other sites' pages cannot read the responses.
+function createCompileHandler(options = {}) {
+  const maxBodyBytes = options.maxBodyBytes || DEFAULTS.maxBodyBytes;
+  const maxQueuedJobs = options.maxQueuedJobs || DEFAULTS.maxQueuedJobs;
+  const cors = options.corsOrigin ? { 'Access-Control-Allow-Origin': options.corsOrigin } : {};
+  let queue = Promise.resolve();
+  let pending = 0;
+
+  return async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, { ...cors, 'Access-Control-Allow-Methods': 'POST', 'Access-Control-Allow-Headers': 'Content-Type' });
+      res.end();
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { status: 'error', pdf: null, log: 'Use POST.' }, { ...cors, Allow: 'POST' });
+      return;
+    }
+    let body;
+    try {
+      body = JSON.parse(await readBody(req, maxBodyBytes));
+    } catch (e) {
+      const code = e.statusCode || 400;
+      sendJson(res, code, { status: 'error', pdf: null, log: e.statusCode ? e.message : 'Invalid JSON body.' }, cors);
+      return;
+    }
+    if (pending >= maxQueuedJobs) {
+      sendJson(res, 503, { status: 'error', pdf: null, log: 'The compile server is busy. Try again in a moment.' }, { ...cors, 'Retry-After': '5' });
+      return;
+    }
+    pending += 1;
+    const job = queue.then(() => compileProject(body, options));
+    queue = job.catch(() => {});
+    try {
+      sendJson(res, 200, await job, cors);
+    } catch (e) {
+      sendJson(res, e.statusCode || 500, { status: 'error', pdf: null, log: String(e.message || e) }, cors);
+    } finally {
+      pending -= 1;
+    }
+  };
+}
+
+module.exports = { ENGINES, CompileRequestError, safeRelativePath, validateRequest, compileProject, createCompileHandler };
+
+if (require.main === module) {
+  const PORT = Number(process.env.PORT) || 3001;
+  const HOST = process.env.HOST || '127.0.0.1';
+  const handler = createCompileHandler({ corsOrigin: process.env.CORS_ORIGIN });
+  const server = http.createServer((req, res) => {
+    if (req.url.split('?')[0] === '/compile') return handler(req, res);
+    sendJson(res, 404, { status: 'error', pdf: null, log: 'Not found. POST to /compile.' });
+  });
+  server.listen(PORT, HOST, () => {
+    console.log(`TeX compile server on http://${HOST}:${PORT}/compile`);
+  });
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { DEFAULT_LATEX } from './constants/math';
 import { ENABLE_VISUAL_TOPBAR, FEATURE_FLAGS } from './constants/flags';
 import { 
@@ -9,10 +9,20 @@ import {
   Indent, Outdent, CheckSquare, Minus, Plus,
   ChevronDown, Sigma, Terminal, SquareTerminal, 
   Calculator, ArrowRight, X, Divide, ChevronRight,
-  Superscript, Subscript, FunctionSquare, FileUp, Save, ImagePlus, RotateCw
+  Superscript, Subscript, FunctionSquare, FileUp, Save, ImagePlus, RotateCw, BookOpen, FolderOpen, Settings, History, FileArchive, FileSliders
 } from 'lucide-react';
 import RibbonToolbar from './features/Toolbar/RibbonToolbar';
 import DropdownMenu from './features/Toolbar/DropdownMenu';
+import ProjectSidebar from './features/Project/ProjectSidebar';
+import SourceEditor from './features/Source/SourceEditor';
+import DiagnosticsPanel from './features/Diagnostics/DiagnosticsPanel';
+import CompilerSettingsDialog from './features/Compiler/CompilerSettingsDialog';
+import EngineSelect from './features/Compiler/EngineSelect';
+import RecoveryDialog from './features/Recovery/RecoveryDialog';
+import HistoryPanel from './features/History/HistoryPanel';
+import DocumentSettingsDialog from './features/Document/DocumentSettingsDialog';
+import RawLatexPopover from './features/RawLatex/RawLatexPopover';
+import MathCompletionPopup from './features/Math/MathCompletionPopup';
 import {
   escapeLatex,
   unescapeLatex,
@@ -20,19 +30,80 @@ import {
   readJSONSafe,
   latexToHtml,
   htmlToLatex,
+  readTitleBlockMetadata,
+  setRawLatexSource,
   summarizeLatexLog,
-  isWasmLatexEngineConfigured,
   compileWithWasmLatex,
 } from './lib/latex';
+import { readTitleMetadata, setTitleMetadata } from './lib/titleBlock';
+import { PAPER_SIZES, pageLayoutOf, readDocumentSettings, writeDocumentSettings } from './lib/documentSettings';
 import { sanitizeEditorHtml, maybeSanitizeEditorHtml } from './lib/sanitize';
-import { putImageFile, getImageRecord } from './lib/idb';
-import { inferRequiredPackages, ensureUsePackagesInPreamble } from './lib/preamble';
-import { pickTexFile, readFileText, writeFileText, isOpenFilePickerSupported } from './lib/fsAccess';
-
-// --- ENV FLAGS ---
-// Enable when the env var is the string 'true'.
-const ENABLE_RTEX = import.meta.env.VITE_ENABLE_RTEX === 'true';
-const USE_WASM_LATEX = import.meta.env.VITE_USE_WASM_LATEX === 'true';
+import {
+  putImageFile,
+  getImageRecord,
+  putDocumentDraft,
+  getDocumentDraft,
+  deleteDocumentDraft,
+  listVersions,
+  deleteVersion,
+} from './lib/idb';
+import { snapshotDocument } from './lib/history';
+import { buildProjectZip, importProjectZip, materializeProjectImages } from './lib/projectZip';
+import {
+  inferRequiredPackages,
+  ensureUsePackagesInPreamble,
+  readTexProgram,
+  resolveTexEngine,
+  setTexProgram,
+  suggestTexEngine,
+} from './lib/preamble';
+import {
+  pickTexFile,
+  pickBibFiles,
+  pickDirectory,
+  listDirectoryFilesRecursive,
+  readFileText,
+  writeFileText,
+  hasFilePermission,
+  isOpenFilePickerSupported,
+  isFileSystemAccessSupported,
+} from './lib/fsAccess';
+import { findLabelTarget, mathLabelsOf, stripMathLabels } from './lib/refs';
+import { equationNumbersHtml, katexSourceOf } from './lib/mathEnvironments';
+import { readMacroDefinitions } from './lib/macros';
+import { createTheoremHtml, ensureTheoremDeclarations, readTheoremDefinitions } from './lib/theorems';
+import { applySnippet, completionTokenAt, mathCompletions, nextTabStop, previousTabStop } from './lib/mathCompletion';
+import { buildCitationIndex, detectCitationStyle, embedBibliography, parseBibtex } from './lib/bibtex';
+import {
+  createIncludeResolver,
+  createImageResolver,
+  expandIncludes,
+  expandIncludesWithLineMap,
+  extensionOf,
+  findMainDocument,
+  isProjectTextFile,
+  mainBufferPath,
+} from './lib/project';
+import { isDocumentFile, parseTexLog } from './lib/texlog';
+import {
+  compileWithBackends,
+  getCompilerBackend,
+  listCompilerBackends,
+  loadCompilerSettings,
+  saveCompilerSettings,
+} from './lib/compilers';
+import {
+  createTableHtml,
+  insertTableRow,
+  deleteTableRow,
+  insertTableColumn,
+  deleteTableColumn,
+  mergeTableCells,
+  setTableColumnAlign,
+  toggleTableBooktabs,
+} from './lib/tables';
+import { FIGURE_PLACEMENTS, createFigureHtml } from './lib/figures';
+import { attachFootnote, createFootnoteMarkerHtml, newFootnoteId } from './lib/notes';
 
 export default function LiveLatexEditor() {
   const [latexCode, setLatexCode] = useState(DEFAULT_LATEX);
@@ -49,12 +120,14 @@ export default function LiveLatexEditor() {
     }
   });
   const visualEditorRef = useRef(null);
+  const sourceEditorRef = useRef(null);
   const visualScrollRef = useRef(null);
   const lastSource = useRef(null); 
   const texureImageUrlCache = useRef(new Map());
   const savedSelectionRef = useRef(null);
   const inlineCodeArmedRef = useRef(false);
   const [isInlineCodeActive, setIsInlineCodeActive] = useState(false);
+  const [isTableActive, setIsTableActive] = useState(false);
   const [katexLoaded, setKatexLoaded] = useState(false);
   const [katexLoadError, setKatexLoadError] = useState('');
   const [isMathActive, setIsMathActive] = useState(false);
@@ -63,15 +136,46 @@ export default function LiveLatexEditor() {
   const [exporting, setExporting] = useState(false);
   const [logOpen, setLogOpen] = useState(false);
   const [logLoading, setLogLoading] = useState(false);
-  const [logText, setLogText] = useState('');
+  // The last compiler log, and for an expanded project the `{ path, line }` of each line of the compiled text.
+  const [compileLog, setCompileLog] = useState({ text: '', lines: null });
+  const logText = compileLog.text;
   const [compileStatus, setCompileStatus] = useState('idle'); // idle | checking | success | error
   const [compileSummary, setCompileSummary] = useState('');
+  const [compilerSettings, setCompilerSettings] = useState(loadCompilerSettings); // { order, url }
+  const [compilerSettingsOpen, setCompilerSettingsOpen] = useState(false);
+  const [documentSettingsOpen, setDocumentSettingsOpen] = useState(false);
+  const [rawLatexEdit, setRawLatexEdit] = useState(null); // { el, source, anchor } for the raw LaTeX popover
+  const [mathCompletion, setMathCompletion] = useState(null); // { items, index, anchor, onPick, onHover } while typing `\name`
   const [activeFileHandle, setActiveFileHandle] = useState(null);
   const [activeFilePath, setActiveFilePath] = useState('');
+  const [bibFiles, setBibFiles] = useState([]); // [{ name, text }]
+  const bibEntries = useMemo(() => bibFiles.flatMap((f) => parseBibtex(f.text)), [bibFiles]);
+  const [project, setProject] = useState(null); // { name, paths, handles: { [path]: handle }, mainPath }
+  const [projectBuffers, setProjectBuffers] = useState({}); // { [path]: { text, saved } } for text files
+  const projectBuffersRef = useRef({});
+  projectBuffersRef.current = projectBuffers;
+  const openProjectFileRef = useRef(null);
+  const dirtyProjectPaths = useMemo(
+    () => new Set(Object.entries(projectBuffers).filter(([, b]) => b.text !== b.saved).map(([p]) => p)),
+    [projectBuffers]
+  );
   const [saving, setSaving] = useState(false);
+  // Crash recovery: the startup draft on offer, and the on-disk text it is compared with.
+  const [recoveryDraft, setRecoveryDraft] = useState(null);
+  const [recoveryDisk, setRecoveryDisk] = useState({ status: 'idle' });
+  const autosaveReadyRef = useRef(false);
+  const autosaveTimerRef = useRef(null);
+  const flushAutosaveRef = useRef(null);
+  const savedTextRef = useRef(DEFAULT_LATEX); // text of the open file as last opened/saved (null: unknown)
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [historyVersions, setHistoryVersions] = useState([]);
   const [imageImportOpen, setImageImportOpen] = useState(false);
   const [imageImportUrl, setImageImportUrl] = useState('');
   const [imageImportBusy, setImageImportBusy] = useState(false);
+  const [imageAsFigure, setImageAsFigure] = useState(false);
+  const [imageFigureCaption, setImageFigureCaption] = useState('');
+  const [imageFigureLabel, setImageFigureLabel] = useState('');
+  const [imageFigurePlacement, setImageFigurePlacement] = useState('htbp');
   const [codeInsertOpen, setCodeInsertOpen] = useState(false);
   const [codeInsertMode, setCodeInsertMode] = useState('inline'); // inline | block
   const [codeInsertLang, setCodeInsertLang] = useState('text');
@@ -111,6 +215,33 @@ export default function LiveLatexEditor() {
     return 'Untitled';
   })();
 
+  // Identity of the open document in version history: the project-relative path, else the file name.
+  const historyKeyFor = (path) => (project ? `${project.name}/${path}` : docName);
+  const historyKey = historyKeyFor(activeFilePath);
+
+  const refreshHistory = () =>
+    listVersions(historyKey)
+      .then(setHistoryVersions)
+      .catch((e) => console.warn('Version history unavailable', e));
+
+  const takeSnapshot = (kind, { label = '', text = latexCode, key = historyKey } = {}) =>
+    snapshotDocument(key, text, { kind, label })
+      .then((record) => {
+        if (record && historyOpen && key === historyKey) refreshHistory();
+      })
+      .catch((e) => console.warn('Snapshot failed', e));
+
+  useEffect(() => {
+    if (historyOpen) refreshHistory();
+  }, [historyOpen, historyKey]);
+
+  const restoreVersionText = async (text) => {
+    await takeSnapshot('restore');
+    lastSource.current = 'latex';
+    setLatexCode(text);
+    setHistoryOpen(false);
+  };
+
   const focusMathInput = (el) => {
     if (!el) return;
     try {
@@ -266,11 +397,98 @@ export default function LiveLatexEditor() {
     };
   }, []);
 
+  // Reads project files from the buffers; the active file's text lives in `latexCode`.
+  const readProjectText = (path) => (path === activeFilePath ? latexCode : projectBuffersRef.current[path]?.text);
+
+  // Options for latexToHtml: bibliography, plus include resolution and main-document numbering in a project.
+  const getVisualRenderOptions = () => {
+    const options = { bibliography: bibEntries };
+    if (!project) return options;
+    const resolveInclude = createIncludeResolver(project.mainPath || activeFilePath, readProjectText);
+    const main = project.mainPath ? readProjectText(project.mainPath) : null;
+    const resolveImage = project.imageIds ? createImageResolver(project.imageIds, project.mainPath, main) : undefined;
+    return { ...options, resolveInclude, resolveImage, documentSource: main != null ? expandIncludes(main, resolveInclude) : undefined };
+  };
+
+  // In a project the compile target is the main document with its includes inlined; `lines` maps each
+  // compiled line back to `{ path, line }` (null outside a project, where lines match the open file).
+  const getCompileTarget = () => {
+    const main = project?.mainPath ? readProjectText(project.mainPath) : null;
+    if (main == null) return { text: latexCode, lines: null };
+    const resolveInclude = createIncludeResolver(project.mainPath, readProjectText);
+    return expandIncludesWithLineMap(main, resolveInclude, project.mainPath);
+  };
+
+  const getCompileSource = () => getCompileTarget().text;
+
+  // Engine pinned by the main document's `% !TEX program` comment, and the one its packages call for.
+  const mainDocumentText = project?.mainPath ? readProjectText(project.mainPath) ?? latexCode : latexCode;
+  const pinnedEngine = useMemo(() => readTexProgram(mainDocumentText), [mainDocumentText]);
+  // Preamble \newcommand / \DeclareMathOperator definitions, so the equation editor previews like the document.
+  const macroDefinitions = useMemo(() => readMacroDefinitions(mainDocumentText), [mainDocumentText]);
+  // Theorem environments offered by Insert → Theorem (declared in the preamble, plus the amsthm defaults).
+  const theoremDefinitions = useMemo(() => readTheoremDefinitions(mainDocumentText), [mainDocumentText]);
+  const suggestedEngine = useMemo(() => suggestTexEngine(getCompileSource()), [latexCode, projectBuffers, project?.mainPath]);
+
+  // Rewrites the main document with `update` (text => text): its project buffer, or the editor when it is open.
+  const editMainDocument = (update) => {
+    const mainPath = mainBufferPath(project, activeFilePath, projectBuffersRef.current);
+    if (mainPath) {
+      setProjectBuffers((prev) => ({ ...prev, [mainPath]: { ...prev[mainPath], text: update(prev[mainPath].text) } }));
+      return;
+    }
+    lastSource.current = 'latex';
+    setLatexCode((prev) => update(prev));
+  };
+
+  // Writes (or with null, removes) the magic comment in the main document.
+  const setDocumentEngine = (engine) => editMainDocument((text) => setTexProgram(text, engine));
+
+  // Class, geometry and packages live in the main document's preamble, whichever file is open.
+  const documentSettings = useMemo(() => readDocumentSettings(mainDocumentText), [mainDocumentText]);
+  const pageLayout = useMemo(() => pageLayoutOf(documentSettings), [documentSettings]);
+  // The visual page takes the document's paper size and geometry margins; unset values keep the stylesheet's.
+  const pageStyle = {
+    ...(pageLayout.width ? { width: `min(${pageLayout.width}, 100%)` } : {}),
+    ...(pageLayout.height ? { minHeight: pageLayout.height } : {}),
+    ...(pageLayout.margins.top ? { paddingTop: pageLayout.margins.top } : {}),
+    ...(pageLayout.margins.bottom ? { paddingBottom: pageLayout.margins.bottom } : {}),
+    ...(pageLayout.margins.left ? { paddingLeft: pageLayout.margins.left } : {}),
+    ...(pageLayout.margins.right ? { paddingRight: pageLayout.margins.right } : {}),
+  };
+
+  const saveDocumentSettings = (next) => {
+    editMainDocument((text) => writeDocumentSettings(text, next));
+    setDocumentSettingsOpen(false);
+  };
+
   // Initial (and KaTeX-ready) render
   useEffect(() => {
-    setHtmlContent(sanitizeEditorHtml(latexToHtml(latexCode)));
+    setHtmlContent(sanitizeEditorHtml(latexToHtml(latexCode, getVisualRenderOptions())));
   }, [katexLoaded]);
 
+  // Re-render when inputs outside the editor change: a loaded .bib file, a file switch or a new main document.
+  const visualInputsMountedRef = useRef(false);
+  useEffect(() => {
+    if (!visualInputsMountedRef.current) {
+      visualInputsMountedRef.current = true;
+      return;
+    }
+    const newHtml = sanitizeEditorHtml(latexToHtml(latexCode, getVisualRenderOptions()));
+    setHtmlContent(newHtml);
+    if (visualEditorRef.current) visualEditorRef.current.innerHTML = newHtml;
+  }, [bibEntries, activeFilePath, project?.mainPath]);
+
+  // Keep the active project buffer in step with the editor so switching files never drops edits.
+  useEffect(() => {
+    if (!project || !activeFilePath) return;
+    setProjectBuffers((prev) => {
+      const cur = prev[activeFilePath];
+      if (!cur || cur.text === latexCode) return prev;
+      return { ...prev, [activeFilePath]: { ...cur, text: latexCode } };
+    });
+  }, [latexCode]);
+
   const isVisualSurfaceVisible =
     activeTab === 'visual' || (activeTab === 'both' && splitPreviewMode === 'visual');
 
@@ -285,7 +503,7 @@ export default function LiveLatexEditor() {
         lastSource.current = null; 
         return;
     }
-    const newHtml = sanitizeEditorHtml(latexToHtml(latexCode));
+    const newHtml = sanitizeEditorHtml(latexToHtml(latexCode, getVisualRenderOptions()));
     if (visualEditorRef.current && visualEditorRef.current.innerHTML !== newHtml) {
         setHtmlContent(newHtml);
         if (activeTab !== 'visual') {
@@ -462,10 +680,19 @@ export default function LiveLatexEditor() {
     const bodyContent = htmlToLatex(maybeClean);
     const preambleMatch = latexCode.match(/([\s\S]*?\\begin{document})/);
     const endMatch = latexCode.match(/(\\end{document}[\s\S]*)/);
-    const preamble = preambleMatch ? preambleMatch[1] : "\\documentclass{article}\n\\begin{document}";
+    let preamble = preambleMatch ? preambleMatch[1] : "\\documentclass{article}\n\\begin{document}";
     const end = endMatch ? endMatch[1] : "\\end{document}";
+    // Title block edits go to the preamble's \title/\author/\date, unless the body defines them.
+    const titleMeta = preambleMatch ? readTitleBlockMetadata(maybeClean) : null;
+    if (titleMeta) {
+      const bodyMeta = readTitleMetadata(bodyContent);
+      Object.keys(titleMeta).forEach((field) => {
+        if (bodyMeta[field] != null) delete titleMeta[field];
+      });
+      preamble = setTitleMetadata(preamble, titleMeta);
+    }
     const requiredPkgs = inferRequiredPackages(bodyContent);
-    const managedPreamble = ensureUsePackagesInPreamble(preamble, requiredPkgs);
+    const managedPreamble = ensureTheoremDeclarations(ensureUsePackagesInPreamble(preamble, requiredPkgs), bodyContent);
     setLatexCode(`${managedPreamble}\n\n${bodyContent}\n\n${end}`);
   };
 
@@ -938,9 +1165,22 @@ export default function LiveLatexEditor() {
     } catch { /* ignore */ }
   };
 
+  const getTableCellAtSelection = () => {
+    try {
+      const root = visualEditorRef.current;
+      const node = window.getSelection?.()?.anchorNode;
+      const el = node?.nodeType === 1 ? node : node?.parentElement;
+      const cell = el?.closest?.('td, th');
+      return cell && root && root.contains(cell) ? cell : null;
+    } catch {
+      return null;
+    }
+  };
+
   const handleVisualSelectionChange = () => {
     saveEditorSelection();
     syncInlineCodeActive();
+    setIsTableActive(!!getTableCellAtSelection());
   };
 
   const ensureVisualEditorSelection = () => {
@@ -1523,16 +1763,21 @@ export default function LiveLatexEditor() {
     }
   }, [htmlContent, selectedImageKey]);
 
-  const insertTexureImagesFromFiles = async (files) => {
+  // `figure` ({ caption, label, placement }) wraps all the images in one captioned figure float.
+  const insertTexureImagesFromFiles = async (files, figure = null) => {
     const imageFiles = Array.from(files || []).filter((f) => f && String(f.type || '').startsWith('image/'));
     if (!imageFiles.length) return;
 
+    const images = [];
     for (const file of imageFiles) {
       const { id } = await putImageFile(file);
       const url = URL.createObjectURL(file);
       texureImageUrlCache.current.set(id, url);
       const alt = String(file.name || '').replace(/"/g, '&quot;');
-      const html = `<img src="${url}" data-texure-image-id="${id}" data-texure-img-width="1" data-texure-img-angle="0" data-texure-img-x="0" data-texure-img-y="0" alt="${alt}" style="max-width:100%" />`;
+      images.push(`<img src="${url}" data-texure-image-id="${id}" data-texure-img-width="1" data-texure-img-angle="0" data-texure-img-x="0" data-texure-img-y="0" alt="${alt}" style="max-width:100%" />`);
+    }
+    const blocks = figure ? [createFigureHtml({ imageHtml: images.join(''), ...figure })] : images;
+    for (const html of blocks) {
       ensureVisualEditorSelection();
       if (!insertHtmlAtSelection(`${html}<p><br></p>`)) appendHtmlToVisualEditorEnd(`${html}<p><br></p>`);
     }
@@ -1540,6 +1785,15 @@ export default function LiveLatexEditor() {
     resolveTexureImages();
   };
 
+  const imageFigureOptions = () =>
+    imageAsFigure ? { caption: imageFigureCaption, label: imageFigureLabel, placement: imageFigurePlacement } : null;
+
+  const closeImageImport = () => {
+    setImageImportOpen(false);
+    setImageFigureCaption('');
+    setImageFigureLabel('');
+  };
+
   const handleVisualDragOver = (e) => {
     const types = Array.from(e.dataTransfer?.types || []);
     if (types.includes('Files')) e.preventDefault();
@@ -1565,6 +1819,41 @@ export default function LiveLatexEditor() {
     if (!editor) return;
 
     const handleClick = (e) => {
+      const includeTitle = e.target.closest('.texure-include-title');
+      if (includeTitle && editor.contains(includeTitle)) {
+        const path = includeTitle.closest('.texure-include')?.getAttribute('data-texure-include');
+        if (path) openProjectFileRef.current?.(path);
+        return;
+      }
+      const rawEl = e.target.closest('.texure-raw, .texure-comment');
+      if (rawEl && editor.contains(rawEl)) {
+        setRawLatexEdit({ el: rawEl, source: rawEl.getAttribute('data-texure-latex') || '', anchor: rawEl.getBoundingClientRect() });
+        return;
+      }
+      const footnoteEl = e.target.closest('[data-texure-footnote]');
+      if (footnoteEl && editor.contains(footnoteEl)) {
+        const id = footnoteEl.getAttribute('data-texure-footnote');
+        const note = Array.from(editor.querySelectorAll('[data-texure-footnote-for]')).find((el) => el.getAttribute('data-texure-footnote-for') === id);
+        if (note) {
+          note.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+          note.classList.add('texure-ref-target');
+          setTimeout(() => note.classList.remove('texure-ref-target'), 1200);
+        }
+        return;
+      }
+      const refEl = e.target.closest('.texure-ref');
+      if (refEl && editor.contains(refEl)) {
+        const key = String(refEl.getAttribute('data-texure-ref') || '').split(',')[0].trim();
+        const target = findLabelTarget(editor, key);
+        const heading = target?.classList.contains('texure-label') ? target.previousElementSibling : null;
+        const scrollTo = heading && /^H[1-4]$/.test(heading.tagName) ? heading : target;
+        if (scrollTo) {
+          scrollTo.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+          scrollTo.classList.add('texure-ref-target');
+          setTimeout(() => scrollTo.classList.remove('texure-ref-target'), 1200);
+        }
+        return;
+      }
       const mathEl = e.target.closest('.math-inline, .math-block');
       if (mathEl) {
         clearImageSelection();
@@ -1646,6 +1935,9 @@ export default function LiveLatexEditor() {
 	  const editMathElement = (el) => {
 	        const isBlock = el.classList.contains('math-block');
 	        const latex = decodeURIComponent(el.getAttribute('data-latex') || "");
+        // Display math environments (align, gather, ...) render through their KaTeX counterpart.
+        const mathEnv = el.getAttribute('data-texure-math-env');
+        const katexSource = (value) => (mathEnv ? katexSourceOf(mathEnv, value) : stripMathLabels(value));
 	        
 	        const input = document.createElement(isBlock ? 'textarea' : 'input');
 	        input.value = latex;
@@ -1681,8 +1973,8 @@ export default function LiveLatexEditor() {
           let html = '';
           try {
             if (window.katex) {
-              const val = input.value || (isBlock ? '\\quad' : '\\,');
-              html = window.katex.renderToString(val, { displayMode: isBlock, throwOnError: false });
+              const val = (/\S/.test(input.value) && katexSource(input.value)) || (isBlock ? '\\quad' : '\\,');
+              html = window.katex.renderToString(val, { displayMode: isBlock, throwOnError: false, macros: { ...macroDefinitions.macros } });
             } else {
               const val = input.value || '';
               html = isBlock ? `\\[${val}\\]` : `$${val}$`;
@@ -1723,37 +2015,113 @@ export default function LiveLatexEditor() {
         preview = div;
       };
 
-      input.oninput = () => {
+      // Autocompletion: typing `\name` lists matching commands; the list is keyboard-driven from this input.
+      let completion = null; // { start, items, index }
+      const showCompletion = (next) => {
+        completion = next && next.items.length ? next : null;
+        setMathCompletion(completion && {
+          items: completion.items,
+          index: completion.index,
+          anchor: input.getBoundingClientRect(),
+          onPick: (item) => pickCompletion(item),
+          onHover: (index) => completion && showCompletion({ ...completion, index }),
+        });
+      };
+      const updateCompletion = () => {
+        const token = input.selectionStart === input.selectionEnd ? completionTokenAt(input.value, input.selectionStart) : null;
+        showCompletion(token && { start: token.start, items: mathCompletions(token.query), index: 0 });
+      };
+
+      const onMathChange = () => {
         if (!isBlock) input.style.width = Math.max(input.value.length * 12, 160) + "px";
          handleVisualInput();
          if (updatePreview) updatePreview();
       };
+
+      const pickCompletion = (item) => {
+        if (!completion) return;
+        const next = applySnippet(input.value, completion.start, input.selectionStart, item.cmd);
+        input.value = next.value;
+        input.focus();
+        input.setSelectionRange(next.caret, next.caret);
+        showCompletion(null);
+        onMathChange();
+      };
+
+      // Only typing opens the list; the synthetic input event of a toolbar insert has no inputType.
+      input.oninput = (e) => {
+        onMathChange();
+        if (e?.inputType) updateCompletion();
+        else showCompletion(null);
+      };
         
         const commit = () => {
             const newLatex = input.value;
             let rendered = "";
             try {
                 if (window.katex) {
-                    rendered = window.katex.renderToString(newLatex, { displayMode: isBlock, throwOnError: false });
+                    rendered = window.katex.renderToString(katexSource(newLatex), { displayMode: isBlock, throwOnError: false, macros: { ...macroDefinitions.macros } });
                 } else {
                     rendered = isBlock ? `\\[${newLatex}\\]` : `$${newLatex}$`;
                 }
             } catch(err) { rendered = `<span class="text-red-500">Err</span>`; }
             
             el.setAttribute('data-latex', encodeURIComponent(newLatex));
-            el.innerHTML = rendered;
+            const labelKeys = mathLabelsOf(newLatex);
+            if (labelKeys.length) el.setAttribute('data-texure-label', labelKeys.join(' '));
+            else el.removeAttribute('data-texure-label');
+            // Rows keep the numbers they were drawn with; the next render from the source renumbers the document.
+            const numbers = Array.from(el.querySelectorAll('.texure-eq-number'), (n) => n.textContent.replace(/^\((.*)\)$/, '$1'));
+            el.innerHTML = mathEnv ? rendered + equationNumbersHtml(mathEnv, newLatex, numbers) : rendered;
             handleVisualInput();
             setActiveMathInput(null);
+            showCompletion(null);
         if (destroyPreview) destroyPreview();
         };
     
-        input.onblur = commit;
+        // Focus moving into the symbol palette keeps the equation open so picked symbols land in it.
+        input.onblur = (e) => {
+            if (e?.relatedTarget?.closest?.('[data-texure-math-keep-open]')) return;
+            commit();
+        };
         input.onkeydown = (e) => {
+            if (completion) {
+                const count = completion.items.length;
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    showCompletion({ ...completion, index: (completion.index + (e.key === 'ArrowDown' ? 1 : count - 1)) % count });
+                    return;
+                }
+                if (e.key === 'Enter' || e.key === 'Tab') {
+                    e.preventDefault();
+                    pickCompletion(completion.items[completion.index]);
+                    return;
+                }
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    showCompletion(null);
+                    return;
+                }
+            }
+            // Tab stops: the empty {} / [] of an inserted command, e.g. \frac{}{}.
+            if (e.key === 'Tab') {
+                const caret = e.shiftKey
+                    ? previousTabStop(input.value, input.selectionStart)
+                    : nextTabStop(input.value, input.selectionEnd);
+                if (caret != null) {
+                    e.preventDefault();
+                    input.setSelectionRange(caret, caret);
+                }
+                return;
+            }
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
                 input.blur();
             }
         };
+        input.onkeyup = (e) => {
+            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') updateCompletion();
+        };
     
         el.innerHTML = '';
         el.appendChild(input);
@@ -1780,26 +2148,12 @@ export default function LiveLatexEditor() {
 
   const insertMathSymbol = (cmd) => {
     if (activeMathInput) {
-        const start = activeMathInput.selectionStart;
-        const end = activeMathInput.selectionEnd;
-        const val = activeMathInput.value;
-        const newVal = val.substring(0, start) + cmd + val.substring(end);
-        
-        activeMathInput.value = newVal;
+        // The caret lands in the first {} of the command, e.g. \frac{}{}; Tab moves on to the next one.
+        const next = applySnippet(activeMathInput.value, activeMathInput.selectionStart, activeMathInput.selectionEnd, cmd);
+        activeMathInput.value = next.value;
         activeMathInput.focus();
+        activeMathInput.selectionStart = activeMathInput.selectionEnd = next.caret;
 
-        // SMART CURSOR POSITIONING
-        // If the command contains {}, place cursor inside the first brace.
-        // e.g. \frac{}{} -> place cursor between first {}
-        const firstBraceIndex = cmd.indexOf("{}");
-        if (firstBraceIndex !== -1) {
-             // Position is start + offset + 1 (to be inside the brace)
-             activeMathInput.selectionStart = activeMathInput.selectionEnd = start + firstBraceIndex + 1;
-        } else {
-             // Default: end of inserted string
-             activeMathInput.selectionStart = activeMathInput.selectionEnd = start + cmd.length;
-        }
-        
         const event = new Event('input', { bubbles: true });
         activeMathInput.dispatchEvent(event);
     } else {
@@ -1961,6 +2315,97 @@ export default function LiveLatexEditor() {
     );
   };
 
+  const insertTable = (rows, cols) => {
+    restoreEditorSelection();
+    execCmd('insertHTML', `${createTableHtml(rows, cols)}<p><br></p>`);
+  };
+
+  const tableCommand = (command) => {
+    restoreEditorSelection();
+    const cell = getTableCellAtSelection();
+    if (!cell) return;
+    const table = cell.closest('table');
+    let focusCell = cell;
+    let changed = false;
+    if (command === 'rowAbove') focusCell = insertTableRow(cell, 'above');
+    else if (command === 'rowBelow') focusCell = insertTableRow(cell, 'below');
+    else if (command === 'colLeft') focusCell = insertTableColumn(cell, 'left');
+    else if (command === 'colRight') focusCell = insertTableColumn(cell, 'right');
+    else if (command === 'deleteRow') { changed = deleteTableRow(cell); focusCell = null; }
+    else if (command === 'deleteCol') { changed = deleteTableColumn(cell); focusCell = null; }
+    else if (command === 'merge') changed = mergeTableCells(cell);
+    else if (command === 'alignLeft') changed = setTableColumnAlign(cell, 'l');
+    else if (command === 'alignCenter') changed = setTableColumnAlign(cell, 'c');
+    else if (command === 'alignRight') changed = setTableColumnAlign(cell, 'r');
+    else if (command === 'booktabs') changed = toggleTableBooktabs(table);
+    if (!changed && !focusCell) return;
+    if (focusCell && focusCell.isConnected) {
+      try {
+        const r = document.createRange();
+        r.selectNodeContents(focusCell);
+        r.collapse(true);
+        const sel = window.getSelection?.();
+        sel?.removeAllRanges();
+        sel?.addRange(r);
+      } catch { /* ignore */ }
+    }
+    setIsTableActive(!!getTableCellAtSelection());
+    handleVisualInput();
+  };
+
+  // Renders the chip through latexToHtml so its label matches the document's citation style.
+  const insertCitation = (key) => {
+    restoreEditorSelection();
+    const cmd = `\\cite{${key}}`;
+    const citationIndex = buildCitationIndex(`${latexCode}\n${cmd}`, bibEntries, detectCitationStyle(latexCode));
+    execCmd('insertHTML', sanitizeEditorHtml(latexToHtml(cmd, { bibliography: bibEntries, citationIndex })));
+  };
+
+  // Inserts an empty theorem-like block and moves the caret after its head.
+  const insertTheorem = (env) => {
+    const root = visualEditorRef.current;
+    const def = theoremDefinitions[env];
+    if (!root || !def) return;
+    restoreEditorSelection();
+    const existing = new Set(root.querySelectorAll('.texure-theorem'));
+    execCmd('insertHTML', `${createTheoremHtml(def)}<p><br></p>`);
+    const block = Array.from(root.querySelectorAll('.texure-theorem')).find((el) => !existing.has(el));
+    const head = block?.querySelector('.texure-theorem-head');
+    if (!head) return;
+    try {
+      const r = document.createRange();
+      r.setStartAfter(head);
+      r.collapse(true);
+      const sel = window.getSelection?.();
+      sel?.removeAllRanges();
+      sel?.addRange(r);
+    } catch { /* ignore */ }
+  };
+
+  // Puts a numbered marker at the caret and moves the caret into its (empty) text at the bottom of the page.
+  const insertFootnote = () => {
+    const root = visualEditorRef.current;
+    if (!root) return;
+    restoreEditorSelection();
+    ensureVisualEditorSelection();
+    const id = newFootnoteId(root);
+    const html = createFootnoteMarkerHtml(id);
+    if (!insertHtmlAtSelection(html)) appendHtmlToVisualEditorEnd(html);
+    const marker = Array.from(root.querySelectorAll('[data-texure-footnote]')).find((el) => el.getAttribute('data-texure-footnote') === id);
+    if (!marker) return;
+    const item = attachFootnote(root, marker);
+    try {
+      const r = document.createRange();
+      r.selectNodeContents(item);
+      r.collapse(true);
+      const sel = window.getSelection?.();
+      sel?.removeAllRanges();
+      sel?.addRange(r);
+    } catch { /* ignore */ }
+    item.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+    handleVisualInput();
+  };
+
   const insertLink = () => {
     const url = prompt("Enter link URL:", "https://");
     if (url) execCmd("createLink", url);
@@ -1982,85 +2427,28 @@ export default function LiveLatexEditor() {
     setImageImportOpen(true);
   };
 
-  // Parse LaTeX log to a short human-friendly summary
-  const summarizeLatexLog = (log) => {
-    if (!log) return '';
-    // Common LaTeX error lines start with '!'
-    const lines = log.split(/\r?\n/);
-    const bangIdx = lines.findIndex(l => l.trim().startsWith('!'));
-    if (bangIdx !== -1) {
-      const err = lines[bangIdx].replace(/^!\s*/, '');
-      // Try to capture following context line(s)
-      const ctx = lines[bangIdx + 1] || '';
-      // Extract line number like 'l.23'
-      const lnMatch = ctx.match(/l\.(\d+)/);
-      const ln = lnMatch ? ` at line ${lnMatch[1]}` : '';
-      return `${err}${ln}`.trim();
-    }
-    // Fallbacks
-    const overfull = lines.find(l => l.includes('Overfull'));
-    if (overfull) return overfull.trim();
-    const underfull = lines.find(l => l.includes('Underfull'));
-    if (underfull) return underfull.trim();
-    const genericErr = lines.find(l => /error/i.test(l));
-    if (genericErr) return genericErr.trim();
-    return '';
-  };
-
-  // Compile LaTeX for diagnostics (background)
-  const compileForDiagnostics = async (code, currentId) => {
-    // Prefer WASM in-browser diagnostics if enabled
-    if (USE_WASM_LATEX) {
-      try {
-        const blob = await compileWithWasmLatex(code);
-        if (currentId !== lintReqId.current) return;
-        if (blob && blob.size > 0) {
-          setCompileStatus('success');
-          setCompileSummary('Compiled successfully');
-          setLogText('Compiled successfully (in-browser WASM).');
-          return;
-        }
-        // If no blob, fall through to other methods
-      } catch (e) {
-        if (currentId !== lintReqId.current) return;
-        setCompileStatus('error');
-        setCompileSummary('Compilation failed');
-        setLogText(`WASM compiler error. ${String(e?.message || e)}`);
-        return;
-      }
-    }
-
-    if (!ENABLE_RTEX) {
+  // Compile a target ({ text, lines }, see getCompileTarget) for diagnostics; `background` runs keep to
+  // backends that may compile unprompted.
+  const compileForDiagnostics = async ({ text: code, lines }, currentId, background = false) => {
+    const { files, mainFile } = await compileFilesFor(code);
+    const result = await compileWithBackends(
+      files,
+      { settings: compilerSettings, mainFile, engine: resolveTexEngine(code), timeoutMs: 12000, background }
+    );
+    if (currentId !== lintReqId.current) return; // stale response
+    if (result.status === 'success') {
+      setCompileStatus('success');
+      setCompileSummary('Compiled successfully');
+      takeSnapshot('compile');
+      setCompileLog({ text: result.log || `Compiled successfully (${getCompilerBackend(result.backend)?.label}). No errors reported by the compiler.`, lines });
+    } else if (result.status === 'unavailable') {
       setCompileStatus('idle');
       setCompileSummary('Diagnostics unavailable');
-      setLogText('Compiler diagnostics are disabled or unavailable. Enable VITE_USE_WASM_LATEX or VITE_ENABLE_RTEX.');
-      return;
-    }
-    try {
-      const r = await fetchWithTimeout('/api/rtex/api/v2', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ code, format: 'pdf' })
-      }, 12000);
-      const data = await readJSONSafe(r);
-      if (currentId !== lintReqId.current) return; // stale response
-
-      if (r.ok && data?.status === 'success') {
-        setCompileStatus('success');
-        setCompileSummary('Compiled successfully');
-        setLogText('Compiled successfully. No errors reported by the compiler.');
-      } else {
-        setCompileStatus('error');
-        const log = data?.log || data?.error || data?.message || (typeof data === 'string' ? data : '') || 'Compiler did not return details.';
-        const summary = summarizeLatexLog(log) || 'Compilation failed';
-        setCompileSummary(summary);
-        setLogText(log || 'Unknown error.');
-      }
-    } catch (e) {
-      if (currentId !== lintReqId.current) return;
+      setCompileLog({ text: result.log, lines });
+    } else {
       setCompileStatus('error');
-      setCompileSummary('Failed to contact compiler');
-      setLogText(`Failed to retrieve compiler log.\n\n${String(e)}`);
+      setCompileSummary(summarizeLatexLog(result.log) || 'Compilation failed');
+      setCompileLog({ text: result.log || 'Unknown error.', lines });
     }
   };
 
@@ -2071,7 +2459,7 @@ export default function LiveLatexEditor() {
       const id = ++lintReqId.current;
       setCompileStatus('checking');
       setCompileSummary('Checking…');
-      compileForDiagnostics(latexCode, id);
+      compileForDiagnostics(getCompileTarget(), id, true);
     }, 900); // debounce ~0.9s
 
     return () => {
@@ -2086,11 +2474,52 @@ export default function LiveLatexEditor() {
     if (!logText) {
       setLogLoading(true);
       const id = ++lintReqId.current;
-      await compileForDiagnostics(latexCode, id);
+      await compileForDiagnostics(getCompileTarget(), id);
       setLogLoading(false);
     }
   };
 
+  // Parsed log entries; those with a line in the document get a `target` ({ path, line }) to jump to.
+  // Preamble macros the visual editor cannot honour are listed first as warnings.
+  const diagnostics = useMemo(() => {
+    const { text, lines } = compileLog;
+    const macroPath = project?.mainPath || activeFilePath || '';
+    const macroWarnings = macroDefinitions.unsupported.map((d) => ({
+      level: 'warning',
+      message: `Macro ${d.name} is not shown in the visual editor: ${d.reason}`,
+      line: d.line,
+      target: { path: macroPath, line: d.line },
+    }));
+    return [...macroWarnings, ...parseTexLog(text).map((entry) => {
+      if (entry.line == null || !isDocumentFile(entry.file)) return entry;
+      const target = lines ? lines[entry.line - 1] : { path: activeFilePath || '', line: entry.line };
+      return target ? { ...entry, target } : entry;
+    })];
+  }, [compileLog, macroDefinitions, project?.mainPath, activeFilePath]);
+
+  // Gutter markers for the file in the source pane.
+  const sourceDiagnostics = useMemo(
+    () =>
+      diagnostics
+        .filter((d) => d.target && (!project || d.target.path === activeFilePath))
+        .map((d) => ({ line: d.target.line, level: d.level, message: d.message })),
+    [diagnostics, project, activeFilePath]
+  );
+
+  const firstErrorDiagnostic = diagnostics.find((d) => d.level === 'error' && d.target) || null;
+
+  const goToSourceLine = (line) => {
+    if (activeTab === 'visual' || activeTab === 'pdf') setActiveTab('both');
+    setTimeout(() => sourceEditorRef.current?.goToLine(line), 0);
+  };
+
+  const goToDiagnostic = (entry) => {
+    const { path, line } = entry.target;
+    setLogOpen(false);
+    if (project && path && path !== activeFilePath) openProjectFile(path);
+    goToSourceLine(line);
+  };
+
   const openFile = async () => {
     try {
       if (!isOpenFilePickerSupported()) {
@@ -2099,6 +2528,7 @@ export default function LiveLatexEditor() {
         const f = files?.[0];
         if (!f) return;
         const text = await f.text();
+        savedTextRef.current = text;
         setLatexCode(text);
         setActiveFileHandle(null);
         setActiveFilePath(f.name || '');
@@ -2107,6 +2537,7 @@ export default function LiveLatexEditor() {
       const handle = await pickTexFile();
       if (!handle) return;
       const text = await readFileText(handle);
+      savedTextRef.current = text;
       setLatexCode(text);
       setActiveFileHandle(handle);
       setActiveFilePath(handle.name || '');
@@ -2117,6 +2548,141 @@ export default function LiveLatexEditor() {
     }
   };
 
+  const loadBibliography = async () => {
+    try {
+      let files;
+      if (isOpenFilePickerSupported()) {
+        const handles = await pickBibFiles();
+        files = await Promise.all(handles.map(async (h) => ({ name: h.name || 'references.bib', text: await readFileText(h) })));
+      } else {
+        const picked = await pickLocalFiles({ accept: '.bib', multiple: true });
+        files = await Promise.all(picked.map(async (f) => ({ name: f.name || 'references.bib', text: await f.text() })));
+      }
+      if (!files.length) return;
+      setBibFiles((prev) => [...prev.filter((p) => !files.some((f) => f.name === p.name)), ...files]);
+    } catch (e) {
+      if (e?.name === 'AbortError') return;
+      console.warn('Load bibliography failed', e);
+      alert(`Load bibliography failed.\n\n${String(e?.message || e)}`);
+    }
+  };
+
+  const openFolder = async () => {
+    try {
+      const dir = await pickDirectory({ mode: 'readwrite' });
+      if (!dir) return;
+      const entries = (await listDirectoryFilesRecursive(dir)).filter(
+        (e) => !e.path.split('/').some((part) => part.startsWith('.'))
+      );
+      const handles = {};
+      const buffers = {};
+      for (const { path, handle } of entries) {
+        handles[path] = handle;
+        if (!isProjectTextFile(path)) continue;
+        const text = await readFileText(handle);
+        buffers[path] = { text, saved: text };
+      }
+      const mainPath = findMainDocument(Object.fromEntries(Object.entries(buffers).map(([p, b]) => [p, b.text])));
+      loadProject({ name: dir.name || 'Project', paths: entries.map((e) => e.path), handles, mainPath }, buffers);
+    } catch (e) {
+      if (e?.name === 'AbortError') return;
+      console.warn('Open folder failed', e);
+      alert(`Open folder failed.\n\n${String(e?.message || e)}`);
+    }
+  };
+
+  // Opens an archive (e.g. an Overleaf download) as a project without file handles: saving downloads files,
+  // binaries stay in memory for Export .zip, and images are previewed from the IndexedDB store.
+  const openZipProject = async () => {
+    try {
+      const [file] = await pickLocalFiles({ accept: '.zip,application/zip', multiple: false });
+      if (!file) return;
+      const { texts, binaries, imageIds, mainPath } = await importProjectZip(await file.arrayBuffer());
+      if (!mainPath) throw new Error('The archive contains no .tex file.');
+      const buffers = Object.fromEntries(Object.entries(texts).map(([p, text]) => [p, { text, saved: text }]));
+      const paths = [...Object.keys(texts), ...Object.keys(binaries)].sort();
+      loadProject({ name: file.name.replace(/\.zip$/i, '') || 'Project', paths, handles: {}, mainPath, binaries, imageIds }, buffers);
+    } catch (e) {
+      console.warn('Open zip failed', e);
+      alert(`Open .zip failed.\n\n${String(e?.message || e)}`);
+    }
+  };
+
+  const loadProject = (next, buffers) => {
+    setProject(next);
+    setProjectBuffers(buffers);
+    setBibFiles(
+      Object.keys(buffers)
+        .filter((p) => extensionOf(p) === 'bib')
+        .map((p) => ({ name: p, text: buffers[p].text }))
+    );
+    if (next.mainPath) {
+      lastSource.current = null;
+      savedTextRef.current = buffers[next.mainPath].saved;
+      setActiveFileHandle(next.handles[next.mainPath] || null);
+      setActiveFilePath(next.mainPath);
+      setLatexCode(buffers[next.mainPath].text);
+    }
+  };
+
+  const openProjectFile = (path) => {
+    if (!project || path === activeFilePath) return;
+    const buffer = projectBuffersRef.current[path];
+    if (!buffer) return; // only text files are editable
+    if (activeFilePath) {
+      setProjectBuffers((prev) => (prev[activeFilePath] ? { ...prev, [activeFilePath]: { ...prev[activeFilePath], text: latexCode } } : prev));
+    }
+    lastSource.current = null;
+    savedTextRef.current = buffer.saved;
+    setActiveFileHandle(project.handles[path] || null);
+    setActiveFilePath(path);
+    setLatexCode(buffer.text);
+  };
+  openProjectFileRef.current = openProjectFile;
+
+  const closeProject = () => {
+    if (dirtyProjectPaths.size && !confirm(`Close the folder and discard unsaved changes in ${dirtyProjectPaths.size} file(s)?`)) return;
+    setProject(null);
+    setProjectBuffers({});
+  };
+
+  // Files without a handle (a project opened from a .zip) cannot be written back; the whole project is
+  // downloaded as a .zip instead, like Save downloads a document that has no file.
+  const saveAllProjectFiles = async () => {
+    if (!project) return;
+    setSaving(true);
+    try {
+      const saved = {};
+      const unwritable = {};
+      for (const [path, b] of Object.entries(projectBuffersRef.current)) {
+        const text = path === activeFilePath ? latexCode : b.text;
+        if (text === b.saved) continue;
+        if (!project.handles[path]) {
+          unwritable[path] = { text, saved: text };
+          continue;
+        }
+        await writeFileText(project.handles[path], text);
+        saved[path] = { text, saved: text };
+      }
+      const count = Object.keys(unwritable).length;
+      if (count && (await exportProjectZip())) {
+        Object.assign(saved, unwritable);
+        alert(`${count} file(s) have no file on disk to save to (the project was opened from a .zip), so they were not written. The whole project was downloaded as a .zip instead.`);
+      }
+      for (const [path, { text }] of Object.entries(saved)) {
+        if (path === activeFilePath) savedTextRef.current = text;
+        takeSnapshot('save', { text, key: historyKeyFor(path) });
+      }
+      setProjectBuffers((prev) => ({ ...prev, ...saved }));
+      flushAutosaveRef.current?.();
+    } catch (e) {
+      console.warn('Save all failed', e);
+      alert(`Save failed.\n\n${String(e?.message || e)}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
   const saveCurrentFile = async () => {
     if (!activeFileHandle) {
       try {
@@ -2130,6 +2696,9 @@ export default function LiveLatexEditor() {
         a.click();
         URL.revokeObjectURL(url);
         a.remove();
+        savedTextRef.current = latexCode;
+        flushAutosaveRef.current?.();
+        takeSnapshot('save');
       } catch (e) {
         alert(`Save is unavailable in this browser/context.\n\n${String(e?.message || e)}`);
       }
@@ -2139,6 +2708,12 @@ export default function LiveLatexEditor() {
     setSaving(true);
     try {
       await writeFileText(activeFileHandle, latexCode);
+      savedTextRef.current = latexCode;
+      flushAutosaveRef.current?.();
+      takeSnapshot('save');
+      if (project && activeFilePath) {
+        setProjectBuffers((prev) => (prev[activeFilePath] ? { ...prev, [activeFilePath]: { text: latexCode, saved: latexCode } } : prev));
+      }
     } catch (e) {
       console.warn('Save failed', e);
       alert(`Save failed.\n\n${String(e?.message || e)}`);
@@ -2147,6 +2722,113 @@ export default function LiveLatexEditor() {
     }
   };
 
+  // Offer the autosaved draft left by a reload or crash; autosave stays off until the user decides.
+  const compareRecoveryDraft = async (draft, { request = true } = {}) => {
+    if (!draft?.handle) return;
+    if (!(await hasFilePermission(draft.handle, { request }))) {
+      if (request) setRecoveryDisk({ status: 'error', error: 'Permission to read the file was denied.' });
+      return;
+    }
+    setRecoveryDisk({ status: 'loading' });
+    try {
+      setRecoveryDisk({ status: 'ready', text: await readFileText(draft.handle) });
+    } catch (e) {
+      setRecoveryDisk({ status: 'error', error: String(e?.message || e) });
+    }
+  };
+
+  useEffect(() => {
+    let canceled = false;
+    getDocumentDraft()
+      .then((draft) => {
+        if (canceled) return;
+        if (!draft || typeof draft.text !== 'string') {
+          autosaveReadyRef.current = true;
+          return;
+        }
+        setRecoveryDraft(draft);
+        compareRecoveryDraft(draft, { request: false });
+      })
+      .catch((e) => console.warn('Autosave is unavailable', e)); // no IndexedDB: autosave stays off
+    return () => {
+      canceled = true;
+    };
+  }, []);
+
+  const finishRecovery = () => {
+    setRecoveryDraft(null);
+    setRecoveryDisk({ status: 'idle' });
+    autosaveReadyRef.current = true;
+  };
+
+  const restoreRecoveryDraft = () => {
+    const draft = recoveryDraft;
+    savedTextRef.current = recoveryDisk.status === 'ready' ? recoveryDisk.text : null;
+    lastSource.current = 'latex';
+    setLatexCode(draft.text);
+    setActiveFileHandle(draft.handle || null);
+    setActiveFilePath(draft.fileName || '');
+    finishRecovery();
+    if (draft.cursor != null) setTimeout(() => sourceEditorRef.current?.setCursor(draft.cursor), 0);
+  };
+
+  const discardRecoveryDraft = () => {
+    deleteDocumentDraft().catch(() => {});
+    finishRecovery();
+  };
+
+  // Autosave: keep a draft of the working buffer while it differs from the file as opened or saved.
+  const writeAutosaveDraft = async () => {
+    if (latexCode === savedTextRef.current) {
+      await deleteDocumentDraft();
+      return;
+    }
+    const draft = {
+      text: latexCode,
+      fileName: activeFilePath || activeFileHandle?.name || '',
+      cursor: sourceEditorRef.current?.getCursor?.() ?? null,
+      handle: activeFileHandle,
+    };
+    try {
+      await putDocumentDraft(draft);
+    } catch (e) {
+      // Some browsers cannot store file handles; keep the text regardless.
+      if (e?.name !== 'DataCloneError') throw e;
+      await putDocumentDraft({ ...draft, handle: null });
+    }
+  };
+  flushAutosaveRef.current = () => {
+    if (!autosaveReadyRef.current) return;
+    if (autosaveTimerRef.current) clearTimeout(autosaveTimerRef.current);
+    autosaveTimerRef.current = null;
+    writeAutosaveDraft().catch((e) => console.warn('Autosave failed', e));
+  };
+
+  useEffect(() => {
+    if (!autosaveReadyRef.current) return;
+    if (autosaveTimerRef.current) clearTimeout(autosaveTimerRef.current);
+    autosaveTimerRef.current = setTimeout(() => flushAutosaveRef.current?.(), 1500);
+    return () => {
+      if (autosaveTimerRef.current) clearTimeout(autosaveTimerRef.current);
+    };
+  }, [latexCode, activeFilePath, activeFileHandle]);
+
+  // Write the pending draft straight away when the tab is hidden or closed.
+  useEffect(() => {
+    const flush = () => {
+      if (autosaveTimerRef.current) flushAutosaveRef.current?.();
+    };
+    const onVisibility = () => {
+      if (document.visibilityState === 'hidden') flush();
+    };
+    document.addEventListener('visibilitychange', onVisibility);
+    window.addEventListener('pagehide', flush);
+    return () => {
+      document.removeEventListener('visibilitychange', onVisibility);
+      window.removeEventListener('pagehide', flush);
+    };
+  }, []);
+
   const isPdfPreviewVisible =
     activeTab === 'pdf' || (activeTab === 'both' && splitPreviewMode === 'pdf');
 
@@ -2191,67 +2873,20 @@ export default function LiveLatexEditor() {
       }
     }
 
-    return out;
+    return embedBibliography(out, bibFiles);
   };
 
   const compileLatexToPdfBlobForPreview = async (latex, { timeoutMs = 25000 } = {}) => {
     const code = String(latex || '');
-
-    // Prefer in-browser WASM compile when available.
-    if (USE_WASM_LATEX && isWasmLatexEngineConfigured()) {
-      const blob = await compileWithWasmLatex(code);
-      if (blob && blob.size > 0) return blob;
-    }
-
-    // Attempt 1: latexonline.cc via proxy
-    let latexonlineLog = '';
-    try {
-      const res = await fetchWithTimeout(
-        `/api/latexonline/compile?text=${encodeURIComponent(code)}`,
-        { method: 'GET' },
-        timeoutMs
-      );
-      if (res.ok && res.headers.get('content-type')?.includes('pdf')) {
-        const blob = await res.blob();
-        if (blob && blob.size > 0) return blob;
-      }
-      latexonlineLog = await res.text().catch(() => '');
-    } catch (e) {
-      latexonlineLog = String(e?.message || e || '');
-    }
-
-    // Attempt 2: rtex.probably.rocks via proxy (only if enabled)
-    if (!ENABLE_RTEX) {
-      throw new Error(
-        latexonlineLog ||
-          'latexonline.cc failed and fallback compiler (RTeX) is disabled. Enable VITE_ENABLE_RTEX or configure VITE_USE_WASM_LATEX.'
-      );
-    }
-
-    const r = await fetchWithTimeout(
-      '/api/rtex/api/v2',
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ code, format: 'pdf' }),
-      },
-      timeoutMs
-    );
-    const data = await readJSONSafe(r);
-    if (data?.status === 'success' && data?.result) {
-      const byteChars = atob(data.result);
-      const byteNumbers = new Array(byteChars.length);
-      for (let i = 0; i < byteChars.length; i++) byteNumbers[i] = byteChars.charCodeAt(i);
-      const byteArray = new Uint8Array(byteNumbers);
-      return new Blob([byteArray], { type: 'application/pdf' });
-    }
-    const log = data?.log || data?.error || data?.message || 'Unknown compilation error';
-    throw new Error(log);
+    const { files, mainFile } = await compileFilesFor(code);
+    const result = await compileWithBackends(files, { settings: compilerSettings, mainFile, engine: resolveTexEngine(code), timeoutMs });
+    if (result.status === 'success') return result.pdf;
+    throw new Error(result.log || 'PDF compilation failed.');
   };
 
   const refreshPdfPreview = async ({ force = false } = {}) => {
     if (!isPdfPreviewVisible) return;
-    const exportLatex = normalizeLatexForPdfPreview(latexCode);
+    const exportLatex = normalizeLatexForPdfPreview(getCompileSource());
     if (!force && exportLatex === pdfLastCodeRef.current && pdfUrl) return;
 
     const reqId = ++pdfReqIdRef.current;
@@ -2441,14 +3076,14 @@ export default function LiveLatexEditor() {
         }
       }
 
-      return out;
+      return embedBibliography(out, bibFiles);
     };
 
-    const exportLatex = normalizeLatexForExport(latexCode);
+    const exportLatex = normalizeLatexForExport(getCompileSource());
 
     // 1) Generate filename primarily from \title, fallback to 'document'
-    const titleMatch = exportLatex.match(/\\title\{([^}]*)\}/);
-    let filename = ((titleMatch?.[1] || 'document').trim().replace(/[^a-zA-Z0-9]+/g, '_').slice(0, 60) || 'document') + '.pdf';
+    const titleText = String(readTitleMetadata(exportLatex).title || '').replace(/\\[a-zA-Z]+\*?/g, ' ');
+    let filename = ((titleText || 'document').trim().replace(/[^a-zA-Z0-9]+/g, '_').slice(0, 60) || 'document') + '.pdf';
 
     const triggerDownload = (blob) => {
       const url = window.URL.createObjectURL(blob);
@@ -2461,100 +3096,95 @@ export default function LiveLatexEditor() {
       a.remove();
     };
 
-    // ATTEMPT 0: In-browser WASM engine (optional, if enabled)
-    if (USE_WASM_LATEX) {
-      // GitHub Pages is static: if no engine is configured, use print-to-PDF fallback.
-      if (!isWasmLatexEngineConfigured()) {
-        setLogText('No in-browser LaTeX engine configured. Using browser print-to-PDF fallback instead.');
-        exportViaBrowserPrint({ html: htmlContent, title: filename.replace(/\.pdf$/i, '') });
-        setExporting(false);
+    try {
+      const { files, mainFile } = await compileFilesFor(exportLatex);
+      const result = await compileWithBackends(
+        files,
+        { settings: compilerSettings, mainFile, engine: resolveTexEngine(exportLatex), timeoutMs: 20000 }
+      );
+      if (result.status === 'success') {
+        triggerDownload(result.pdf);
         return;
       }
-      try {
-        const blob = await compileWithWasmLatex(exportLatex);
-        if (blob && blob.size > 0) {
-          triggerDownload(blob);
-          setExporting(false);
-          return;
-        }
-        // If no blob when WASM is required, stop here on Pages.
-        alert('WASM LaTeX engine did not return a PDF. Ensure a browser LaTeX engine is configured.');
-        setExporting(false);
-        return;
-      } catch (e) {
-        console.warn('WASM LaTeX compile failed', e);
-        const msg = String(e?.message || e || '');
-        if (/no wasm latex engine configured|configured wasm module not found/i.test(msg)) {
-          setLogText(`${msg}\n\nUsing browser print-to-PDF fallback instead.`);
-          exportViaBrowserPrint({ html: htmlContent, title: filename.replace(/\.pdf$/i, '') });
-          setExporting(false);
-          return;
-        }
-        // On static hosting (GitHub Pages), do not fall back to /api services that don’t exist.
-        setCompileStatus('error');
-        setCompileSummary('Compilation failed');
-        setLogText(msg || 'WASM LaTeX compile failed.');
-        alert('Export failed. Check the logs for details.');
-        setExporting(false);
+      if (result.status === 'unavailable') {
+        // Static hosting (GitHub Pages) without an in-browser engine: print the visual view instead.
+        setCompileLog({ text: `${result.log}\n\nUsing browser print-to-PDF fallback instead.`, lines: null });
+        exportViaBrowserPrint({ html: htmlContent, title: filename.replace(/\.pdf$/i, '') });
         return;
       }
+      setCompileStatus('error');
+      setCompileSummary(summarizeLatexLog(result.log) || 'Compilation failed');
+      setCompileLog({ text: result.log || 'Unknown compilation error', lines: null });
+      setLogOpen(true);
+      alert('Compilation failed. Check the logs for details.');
+    } catch (e) {
+      console.error(e);
+      alert('Export failed: Could not reach compiler services.');
+    } finally {
+      setExporting(false);
     }
+  };
+
+  // Every project file as `{ files: { [path]: text | bytes }, mainFile }`; outside a project, the open document
+  // and its bibliography files.
+  const gatherProjectFiles = async () => {
+    const files = {};
+    if (!project) {
+      const mainFile = /\.(tex|ltx)$/i.test(docName) ? docName : `${docName.replace(/\.[^.]*$/, '') || 'main'}.tex`;
+      for (const bib of bibFiles) files[bib.name] = bib.text;
+      files[mainFile] = latexCode;
+      return { files, mainFile };
+    }
+    for (const path of project.paths) {
+      const buffer = projectBuffersRef.current[path];
+      if (buffer) files[path] = path === activeFilePath ? latexCode : buffer.text;
+      else if (project.binaries?.[path]) files[path] = project.binaries[path];
+      else if (project.handles[path]) files[path] = new Uint8Array(await (await project.handles[path].getFile()).arrayBuffer());
+    }
+    return { files, mainFile: project.mainPath || activeFilePath };
+  };
 
-    // ATTEMPT 1: latexonline.cc via proxy
-    let latexonlineErrorLog = null;
+  // Files for a compile: the project with `code` (the prepared compile text) as its main file, and stored
+  // images written out next to it, so compile servers see the figures. Falls back to `code` alone when the
+  // project files cannot be read.
+  const compileFilesFor = async (code) => {
     try {
-      const res = await fetchWithTimeout(`/api/latexonline/compile?text=${encodeURIComponent(exportLatex)}`, { method: 'GET' }, 15000);
-      if (res.ok && res.headers.get('content-type')?.includes('pdf')) {
-        const blob = await res.blob();
-        triggerDownload(blob);
-        setExporting(false);
-        return;
-      }
-      try {
-        latexonlineErrorLog = await res.text();
-      } catch (_) { /* ignore */ }
-      console.warn('LatexOnline failed, switching to fallback...', latexonlineErrorLog ? latexonlineErrorLog.slice(0, 400) : '');
+      const { files, mainFile } = await gatherProjectFiles();
+      const { files: withImages } = await materializeProjectImages({ files: { ...files, [mainFile]: code }, mainFile });
+      return { files: withImages, mainFile };
     } catch (e) {
-      console.warn('LatexOnline network error', e);
+      console.warn('Project files unavailable for compile', e);
+      return { files: { 'main.tex': code }, mainFile: 'main.tex' };
     }
+  };
 
-    // ATTEMPT 2: rtex.probably.rocks via proxy (only if enabled)
+  // Portable archive: the document (or every project file), its bibliography, and IndexedDB images
+  // written out as image files so the .tex compiles in Overleaf or a local TeX install. Resolves to whether
+  // the archive was downloaded.
+  const exportProjectZip = async () => {
+    if (exporting) return false;
+    setExporting(true);
     try {
-      if (ENABLE_RTEX) {
-        const r = await fetchWithTimeout('/api/rtex/api/v2', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ code: exportLatex, format: 'pdf' })
-        }, 20000);
-        const data = await readJSONSafe(r);
-
-        if (data?.status === 'success' && data?.result) {
-          const byteChars = atob(data.result);
-          const byteNumbers = new Array(byteChars.length);
-          for (let i = 0; i < byteChars.length; i++) byteNumbers[i] = byteChars.charCodeAt(i);
-          const byteArray = new Uint8Array(byteNumbers);
-          const blob = new Blob([byteArray], { type: 'application/pdf' });
-          triggerDownload(blob);
-        } else {
-          setCompileStatus('error');
-          const log = data?.log || data?.error || data?.message || 'Unknown compilation error';
-          setCompileSummary('Compilation failed');
-          setLogText(log);
-          setLogOpen(true);
-          alert('Compilation failed. Check the logs for details.');
-        }
-      } else {
-        // RTeX disabled: surface LatexOnline failure details instead of generic message
-        setCompileStatus('error');
-        setCompileSummary('Compilation failed');
-        setLogText(latexonlineErrorLog || 'latexonline.cc failed and fallback compiler (RTeX) is disabled. Enable VITE_ENABLE_RTEX or configure in-browser WASM.');
-        setLogOpen(true);
-        alert('Export failed. Check the logs for details.');
-        return;
+      const { files, mainFile } = await gatherProjectFiles();
+      const engine = resolveTexEngine(getCompileSource());
+      const { zip, missing } = await buildProjectZip({ files, mainFile, latexmkrc: engine === 'pdflatex' ? null : engine });
+
+      const url = URL.createObjectURL(new Blob([zip], { type: 'application/zip' }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${(project?.name || mainFile.split('/').pop().replace(/\.[^.]*$/, '')).replace(/[\\/:*?"<>|]+/g, '_') || 'project'}.zip`;
+      document.body.appendChild(a);
+      a.click();
+      URL.revokeObjectURL(url);
+      a.remove();
+      if (missing.length) {
+        alert(`${missing.length} image(s) were not found in this browser's storage and still point to texure-image: references.`);
       }
+      return true;
     } catch (e) {
-      console.error(e);
-      alert('Export failed: Could not reach compiler services.');
+      console.warn('Export zip failed', e);
+      alert(`Export .zip failed.\n\n${String(e?.message || e)}`);
+      return false;
     } finally {
       setExporting(false);
     }
@@ -2597,6 +3227,23 @@ export default function LiveLatexEditor() {
                     icon: FileUp,
                     onSelect: openFile,
                   },
+                  {
+                    key: 'open-folder',
+                    label: 'Open Folder…',
+                    subtle: isFileSystemAccessSupported()
+                      ? 'Open a multi-file project'
+                      : 'Not supported in this browser',
+                    icon: FolderOpen,
+                    disabled: !isFileSystemAccessSupported(),
+                    onSelect: openFolder,
+                  },
+                  {
+                    key: 'open-zip',
+                    label: 'Open .zip…',
+                    subtle: 'Import a project archive (e.g. from Overleaf)',
+                    icon: FileArchive,
+                    onSelect: openZipProject,
+                  },
                   {
                     key: 'save',
                     label: saving ? 'Saving…' : 'Save',
@@ -2605,6 +3252,34 @@ export default function LiveLatexEditor() {
                     disabled: saving,
                     onSelect: saveCurrentFile,
                   },
+                  project && {
+                    key: 'save-all',
+                    label: 'Save All',
+                    subtle: !dirtyProjectPaths.size
+                      ? 'All files saved'
+                      : Object.keys(project.handles).length
+                        ? `${dirtyProjectPaths.size} unsaved file(s)`
+                        : `${dirtyProjectPaths.size} unsaved file(s) — download as .zip`,
+                    icon: Save,
+                    disabled: saving || !dirtyProjectPaths.size,
+                    onSelect: saveAllProjectFiles,
+                  },
+                  {
+                    key: 'history',
+                    label: 'Version History…',
+                    subtle: 'Snapshots, diffs and restore',
+                    icon: History,
+                    onSelect: () => setHistoryOpen(true),
+                  },
+                  {
+                    key: 'load-bib',
+                    label: 'Load Bibliography…',
+                    subtle: bibFiles.length
+                      ? `${bibEntries.length} entries from ${bibFiles.map((f) => f.name).join(', ')}`
+                      : 'Attach a .bib file for \\cite',
+                    icon: BookOpen,
+                    onSelect: loadBibliography,
+                  },
                   { type: 'separator' },
                   {
                     key: 'export-pdf',
@@ -2614,6 +3289,32 @@ export default function LiveLatexEditor() {
                     disabled: exporting,
                     onSelect: exportAsPDF,
                   },
+                  {
+                    key: 'export-zip',
+                    label: 'Export .zip',
+                    subtle: 'LaTeX, images and bibliography for Overleaf or TeX Live',
+                    icon: Download,
+                    disabled: exporting,
+                    onSelect: exportProjectZip,
+                  },
+                  {
+                    key: 'document-settings',
+                    label: 'Document Settings…',
+                    subtle: [documentSettings.documentClass, documentSettings.fontSize, PAPER_SIZES.find((p) => p.value === documentSettings.paper)?.label]
+                      .filter(Boolean)
+                      .join(' · ') || 'Class, margins, fonts and packages',
+                    icon: FileSliders,
+                    onSelect: () => setDocumentSettingsOpen(true),
+                  },
+                  {
+                    key: 'compiler-settings',
+                    label: 'Compiler Settings…',
+                    subtle: compilerSettings.order.length
+                      ? compilerSettings.order.map((id) => getCompilerBackend(id)?.label || id).join(' → ')
+                      : 'No compiler enabled',
+                    icon: Settings,
+                    onSelect: () => setCompilerSettingsOpen(true),
+                  },
                   {
                     key: 'logs',
                     label: 'Logs',
@@ -2672,33 +3373,54 @@ export default function LiveLatexEditor() {
           )}
         </div>
 
-        <button
-          onClick={showCompileLog}
-          className="hidden md:flex items-center gap-2 px-2.5 py-1 bg-slate-50 text-slate-700 rounded-md hover:bg-slate-100 transition-colors text-xs font-medium border border-slate-200"
-          title={
-            compileStatus === 'error'
-              ? compileSummary || 'Compiler error'
-              : compileStatus === 'checking'
-                ? 'Checking…'
-                : compileSummary || 'Show LaTeX compiler log'
-          }
-        >
-          <span
-            className={`w-2 h-2 rounded-full ${
-              compileStatus === 'checking'
-                ? 'bg-amber-400 animate-pulse'
-                : compileStatus === 'error'
-                  ? 'bg-red-500'
-                  : compileStatus === 'success'
-                    ? 'bg-emerald-500'
-                    : 'bg-slate-300'
-            }`}
+        <div className="flex items-center gap-2">
+          <EngineSelect
+            className="hidden md:block"
+            value={pinnedEngine}
+            suggested={suggestedEngine}
+            onChange={setDocumentEngine}
           />
-          Status
-        </button>
+          <button
+            onClick={showCompileLog}
+            className="hidden md:flex items-center gap-2 px-2.5 py-1 bg-slate-50 text-slate-700 rounded-md hover:bg-slate-100 transition-colors text-xs font-medium border border-slate-200"
+            title={
+              compileStatus === 'error'
+                ? compileSummary || 'Compiler error'
+                : compileStatus === 'checking'
+                  ? 'Checking…'
+                  : compileSummary || 'Show LaTeX compiler log'
+            }
+          >
+            <span
+              className={`w-2 h-2 rounded-full ${
+                compileStatus === 'checking'
+                  ? 'bg-amber-400 animate-pulse'
+                  : compileStatus === 'error'
+                    ? 'bg-red-500'
+                    : compileStatus === 'success'
+                      ? 'bg-emerald-500'
+                      : 'bg-slate-300'
+              }`}
+            />
+            Status
+          </button>
+        </div>
       </header>
 
       {/* Main Content */}
+      <div className="flex flex-1 overflow-hidden">
+      {project && (
+        <ProjectSidebar
+          name={project.name}
+          paths={project.paths}
+          activePath={activeFilePath}
+          mainPath={project.mainPath}
+          dirtyPaths={dirtyProjectPaths}
+          onOpen={openProjectFile}
+          onSetMain={(path) => setProject((prev) => (prev ? { ...prev, mainPath: path } : prev))}
+          onClose={closeProject}
+        />
+      )}
       <div ref={splitContainerRef} className="flex flex-1 overflow-hidden relative">
         
         {/* LEFT: LaTeX */}
@@ -2710,14 +3432,15 @@ export default function LiveLatexEditor() {
             <div className="flex items-center justify-between px-4 py-1.5 bg-slate-800 border-b border-slate-700 text-slate-400 text-[10px] uppercase tracking-wider font-semibold">
               <span className="flex items-center gap-2"><Code size={12}/> Source</span>
             </div>
-            <textarea
-              className="flex-1 w-full h-full p-4 font-mono text-sm bg-slate-900 text-slate-300 resize-none focus:outline-none leading-relaxed"
+            <SourceEditor
+              ref={sourceEditorRef}
+              className="flex-1 w-full"
               value={latexCode}
-              onChange={(e) => {
+              diagnostics={sourceDiagnostics}
+              onChange={(next) => {
                 lastSource.current = 'latex'; // Mark source
-                setLatexCode(e.target.value);
+                setLatexCode(next);
               }}
-              spellCheck="false"
             />
           </div>
         )}
@@ -2760,10 +3483,13 @@ export default function LiveLatexEditor() {
               enableVisualTopbar={ENABLE_VISUAL_TOPBAR}
               isMathActive={isMathActive}
               isInlineCodeActive={isInlineCodeActive}
+              isTableActive={isTableActive}
+              bibEntries={bibEntries}
               katexLoaded={katexLoaded}
               zoom={visualZoom}
               onZoomChange={setVisualZoom}
               onInsertMathSymbol={insertMathSymbol}
+              theoremEnvironments={Object.values(theoremDefinitions)}
 	              actions={{
 	                execCmd,
 	                insertLink,
@@ -2776,6 +3502,12 @@ export default function LiveLatexEditor() {
 	                insertHSpace: () => openSpacingInsert('hspace'),
                 insertVSpace: () => openSpacingInsert('vspace'),
                 insertNewPage,
+                insertTable,
+                tableCommand,
+                insertCitation,
+                insertFootnote,
+                insertTheorem,
+                loadBibliography,
               }}
             />
 
@@ -2806,7 +3538,7 @@ export default function LiveLatexEditor() {
                   onPaste={handleVisualPaste}
                   onDragOver={handleVisualDragOver}
                   onDrop={handleVisualDrop}
-                  style={{ outline: 'none', transform: `scale(${visualZoom})`, transformOrigin: 'top center' }}
+                  style={{ ...pageStyle, outline: 'none', transform: `scale(${visualZoom})`, transformOrigin: 'top center' }}
                   dangerouslySetInnerHTML={{ __html: htmlContent }}
                 />
               </div>
@@ -2890,6 +3622,7 @@ export default function LiveLatexEditor() {
           </div>
         )}
       </div>
+      </div>
     </div>
     {imageOverlayRect && (
       <div
@@ -2966,7 +3699,7 @@ export default function LiveLatexEditor() {
             </div>
             <button
               className="p-1 rounded hover:bg-slate-100"
-              onClick={() => { if (!imageImportBusy) setImageImportOpen(false); }}
+              onClick={() => { if (!imageImportBusy) closeImageImport(); }}
               title="Close"
             >
               <X size={16} />
@@ -2982,8 +3715,8 @@ export default function LiveLatexEditor() {
                 try {
                   restoreEditorSelection();
                   const files = await pickLocalFiles({ accept: 'image/*', multiple: true });
-                  await insertTexureImagesFromFiles(files);
-                  setImageImportOpen(false);
+                  await insertTexureImagesFromFiles(files, imageFigureOptions());
+                  closeImageImport();
                 } finally {
                   setImageImportBusy(false);
                 }
@@ -3009,15 +3742,66 @@ export default function LiveLatexEditor() {
                   const url = imageImportUrl.trim();
                   if (!url) return;
                   restoreEditorSelection();
-                  execCmd('insertImage', url);
+                  const figure = imageFigureOptions();
+                  if (figure) {
+                    const imageHtml = `<img src="${url.replace(/"/g, '&quot;')}" alt="" style="max-width:100%" />`;
+                    execCmd('insertHTML', `${createFigureHtml({ imageHtml, ...figure })}<p><br></p>`);
+                  } else {
+                    execCmd('insertImage', url);
+                  }
                   setImageImportUrl('');
-                  setImageImportOpen(false);
+                  closeImageImport();
                 }}
               >
                 Insert
               </button>
             </div>
 
+            <div className="rounded border border-slate-200 p-3 flex flex-col gap-2">
+              <label className="flex items-center gap-2 text-sm text-slate-700 select-none cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={imageAsFigure}
+                  onChange={(e) => setImageAsFigure(e.target.checked)}
+                  disabled={imageImportBusy}
+                />
+                Insert as figure with caption
+              </label>
+              {imageAsFigure && (
+                <>
+                  <input
+                    value={imageFigureCaption}
+                    onChange={(e) => setImageFigureCaption(e.target.value)}
+                    placeholder="Caption"
+                    aria-label="Figure caption"
+                    className="px-3 py-2 text-sm rounded border border-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-200"
+                    disabled={imageImportBusy}
+                  />
+                  <div className="flex gap-2">
+                    <input
+                      value={imageFigureLabel}
+                      onChange={(e) => setImageFigureLabel(e.target.value.replace(/[\s{}\\%]/g, ''))}
+                      placeholder="Label (e.g. fig:results)"
+                      aria-label="Figure label"
+                      className="flex-1 min-w-0 px-3 py-2 text-sm rounded border border-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-200"
+                      disabled={imageImportBusy}
+                    />
+                    <select
+                      value={imageFigurePlacement}
+                      onChange={(e) => setImageFigurePlacement(e.target.value)}
+                      aria-label="Figure placement"
+                      className="px-2 py-2 text-sm rounded border border-slate-200 bg-white"
+                      disabled={imageImportBusy}
+                    >
+                      {FIGURE_PLACEMENTS.map((p) => (
+                        <option key={p.value} value={p.value}>{p.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </>
+              )}
+            </div>
+
             <div className="text-[11px] text-slate-500">
               Tip: you can also drag & drop images directly onto the page.
             </div>
@@ -3153,6 +3937,68 @@ export default function LiveLatexEditor() {
         </div>
       </div>
     )}
+    {recoveryDraft && (
+      <RecoveryDialog
+        draft={recoveryDraft}
+        disk={recoveryDisk}
+        onCompare={() => compareRecoveryDraft(recoveryDraft)}
+        onRestore={restoreRecoveryDraft}
+        onDiscard={discardRecoveryDraft}
+      />
+    )}
+    {historyOpen && (
+      <HistoryPanel
+        versions={historyVersions}
+        currentText={latexCode}
+        onSnapshot={(label) => takeSnapshot('manual', { label })}
+        onRestore={restoreVersionText}
+        onDelete={(id) => deleteVersion(id).then(refreshHistory).catch((e) => console.warn('Delete version failed', e))}
+        onClose={() => setHistoryOpen(false)}
+      />
+    )}
+    {mathCompletion && (
+      <MathCompletionPopup
+        items={mathCompletion.items}
+        activeIndex={mathCompletion.index}
+        anchor={mathCompletion.anchor}
+        onPick={mathCompletion.onPick}
+        onHover={mathCompletion.onHover}
+      />
+    )}
+    {rawLatexEdit && (
+      <RawLatexPopover
+        source={rawLatexEdit.source}
+        anchor={rawLatexEdit.anchor}
+        onCancel={() => setRawLatexEdit(null)}
+        onApply={(source) => {
+          if (visualEditorRef.current?.contains(rawLatexEdit.el)) {
+            setRawLatexSource(rawLatexEdit.el, source);
+            handleVisualInput();
+          }
+          setRawLatexEdit(null);
+        }}
+      />
+    )}
+    {documentSettingsOpen && (
+      <DocumentSettingsDialog
+        settings={documentSettings}
+        onClose={() => setDocumentSettingsOpen(false)}
+        onSave={saveDocumentSettings}
+      />
+    )}
+    {compilerSettingsOpen && (
+      <CompilerSettingsDialog
+        backends={listCompilerBackends()}
+        settings={compilerSettings}
+        onClose={() => setCompilerSettingsOpen(false)}
+        onSave={(next) => {
+          setCompilerSettings(next);
+          saveCompilerSettings(next);
+          setCompilerSettingsOpen(false);
+          setCompileLog({ text: '', lines: null });
+        }}
+      />
+    )}
     {logOpen && (
       <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
         <div className="w-[90vw] max-w-3xl max-h-[80vh] bg-white rounded-lg shadow-xl border border-slate-200 flex flex-col">
@@ -3170,12 +4016,18 @@ export default function LiveLatexEditor() {
             {logLoading ? (
               <div className="text-xs text-slate-500">Fetching log…</div>
             ) : (
-              <pre className="text-xs leading-relaxed whitespace-pre-wrap break-words bg-slate-50 border border-slate-200 rounded p-3 text-slate-800">
-{logText}
-              </pre>
+              <DiagnosticsPanel entries={diagnostics} log={logText} onSelect={goToDiagnostic} />
             )}
           </div>
-          <div className="px-4 py-2 border-t border-slate-200 flex justify-end">
+          <div className="px-4 py-2 border-t border-slate-200 flex justify-end gap-2">
+            {firstErrorDiagnostic && (
+              <button
+                className="px-3 py-1.5 text-xs rounded bg-blue-600 hover:bg-blue-700 text-white"
+                onClick={() => goToDiagnostic(firstErrorDiagnostic)}
+              >
+                Go to first error
+              </button>
+            )}
             <button
               className="px-3 py-1.5 text-xs rounded bg-slate-100 hover:bg-slate-200 text-slate-700 border border-slate-200"
               onClick={() => setLogOpen(false)}
@@ -51,6 +51,18 @@ export const FEATURE_FLAGS = Object.freeze({
 	// Links / Media
 	showLink: true,
 	showImage: true,
+
+	// Tables
+	showTable: true,
+
+	// Bibliography
+	showCitation: true,
+
+	// Notes
+	showFootnote: true,
+
+	// Theorem-like environments
+	showTheorem: true,
 });
 
 // Placeholder flags for future features (default: disabled)
@@ -63,25 +75,20 @@ export const FUTURE_FEATURE_FLAGS = Object.freeze({
 	enableAccents: false,                  // \", \^, \c, etc.
 
 	// Packages / Setup
-	enablePageLayoutSetup: false,          // \usepackage{geometry}
 	enableImageSupport: false,             // \usepackage{graphicx} + \includegraphics
 	enableMathPowerTrio: false,            // \usepackage{amsmath,amssymb,amsfonts}
 	enableClickableLinks: false,           // \usepackage{hyperref}
 	enableProTableStyling: false,          // \usepackage{booktabs}
-	enableBiblioManagement: false,         // \usepackage{biblatex}
 	enableCodeBlockPro: false,             // \usepackage{minted}
 	enableScientificUnits: false,          // \usepackage{siunitx}
-	enableSmartRefs: false,                // \usepackage{cleveref}
 
 	// Export / Tools
 	enableExportPDF: false,
-	enableExportTexZip: false,
 	enableLatexLinter: false,              // Cleanup / formatting assistance
 
 	// Blocks / Lists
 	enableBulletedList: false,             // itemize + \item
 	enableNumberedList: false,             // enumerate + \item
-	enableBasicTables: false,              // tabular + \hline
 	enableQuoteBlock: false,               // quote / quotation env
 	enableCalloutBox: false,               // \fbox, \framebox
 	enableDividers: false,                 // \hrulefill
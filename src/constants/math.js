@@ -61,6 +61,12 @@ export const MATH_GROUPS = {
   }
 };
 
+// Environments offered after `\begin`; the cells are tab stops.
+export const MATH_ENVIRONMENT_SNIPPETS = ['matrix', 'pmatrix', 'bmatrix', 'Bmatrix', 'vmatrix', 'Vmatrix', 'cases', 'aligned'].map((env) => ({
+  cmd: `\\begin{${env}} {} & {} \\\\ {} & {} \\end{${env}}`,
+  desc: 'Environment',
+}));
+
 export const DEFAULT_LATEX = `\\documentclass{article}
 \\usepackage{graphicx}
 \\usepackage{xcolor}
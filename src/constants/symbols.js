@@ -0,0 +1,156 @@
+// Math symbol catalog: amsmath/amssymb symbols by category, plus letter alphabets, accents and delimiters.
+// The symbol palette and math autocompletion both read it, so the two offer the same commands.
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+
+// `'name char'` pairs -> `{ cmd: '\\name', name, char }`; `char` is the Unicode glyph shown without KaTeX.
+const pairs = (list) =>
+  list.trim().split(/\s+/).reduce((out, tok, i, all) => (i % 2 ? out : [...out, { cmd: `\\${tok}`, name: tok, char: all[i + 1] }]), []);
+
+// Commands taking an argument: `\name{}` with a sample argument for the preview.
+const withArg = (names, sample) => names.trim().split(/\s+/).map((name) => ({ cmd: `\\${name}{}`, name, preview: `\\${name}{${sample}}` }));
+
+// Commands or snippets without a glyph of their own; `{}` / `[]` mark tab stops (as in MATH_GROUPS.cmd).
+const commands = (list) => list.trim().split(/\s+/).map((tok) => ({ cmd: `\\${tok}`, name: tok.replace(/[{}[\]^_]/g, '') }));
+
+const alphabet = (font) => LETTERS.map((l) => ({ cmd: `\\${font}{${l}}`, name: `${font} ${l}`, preview: `\\${font}{${l}}` }));
+
+// Categories with `palette: false` are only offered by autocompletion: aliases of palette symbols, and
+// functions, structures and fonts that the equation toolbar covers.
+export const SYMBOL_TABLE = [
+  {
+    id: 'greek',
+    label: 'Greek',
+    symbols: pairs(`
+      alpha α beta β gamma γ delta δ epsilon ϵ varepsilon ε zeta ζ eta η theta θ vartheta ϑ iota ι kappa κ varkappa ϰ
+      lambda λ mu μ nu ν xi ξ pi π varpi ϖ rho ρ varrho ϱ sigma σ varsigma ς tau τ upsilon υ phi ϕ varphi φ chi χ
+      psi ψ omega ω digamma ϝ Gamma Γ Delta Δ Theta Θ Lambda Λ Xi Ξ Pi Π Sigma Σ Upsilon Υ Phi Φ Psi Ψ Omega Ω`),
+  },
+  {
+    id: 'relations',
+    label: 'Relations',
+    symbols: pairs(`
+      leq ≤ geq ≥ neq ≠ leqslant ⩽ geqslant ⩾ ll ≪ gg ≫ lll ⋘ ggg ⋙ lesssim ≲ gtrsim ≳ lessgtr ≶ gtrless ≷
+      prec ≺ succ ≻ preceq ⪯ succeq ⪰ approx ≈ approxeq ≊ sim ∼ simeq ≃ cong ≅ equiv ≡ doteq ≐ triangleq ≜
+      propto ∝ asymp ≍ models ⊨ vdash ⊢ dashv ⊣ Vdash ⊩ perp ⊥ parallel ∥ mid ∣ nmid ∤ nparallel ∦ nless ≮
+      ngtr ≯ nleq ≰ ngeq ≱ nsim ≁ ncong ≇ in ∈ ni ∋ notin ∉ subset ⊂ supset ⊃ subseteq ⊆ supseteq ⊇ subsetneq ⊊
+      supsetneq ⊋ nsubseteq ⊈ nsupseteq ⊉ sqsubset ⊏ sqsupset ⊐ sqsubseteq ⊑ sqsupseteq ⊒ Subset ⋐ Supset ⋑
+      smile ⌣ frown ⌢ bowtie ⋈ therefore ∴ because ∵`),
+  },
+  {
+    id: 'operators',
+    label: 'Operators',
+    symbols: pairs(`
+      pm ± mp ∓ times × div ÷ cdot ⋅ ast ∗ star ⋆ circ ∘ bullet ∙ oplus ⊕ ominus ⊖ otimes ⊗ oslash ⊘ odot ⊙
+      cap ∩ cup ∪ sqcap ⊓ sqcup ⊔ uplus ⊎ wedge ∧ vee ∨ setminus ∖ ltimes ⋉ rtimes ⋊ boxplus ⊞ boxminus ⊟
+      boxtimes ⊠ boxdot ⊡ dotplus ∔ divideontimes ⋇ intercal ⊺ barwedge ⊼ veebar ⊻ curlywedge ⋏ curlyvee ⋎
+      dagger † ddagger ‡ amalg ⨿ wr ≀ diamond ⋄ triangleleft ◃ triangleright ▹ bigtriangleup △ bigtriangledown ▽`),
+  },
+  {
+    id: 'large',
+    label: 'Large operators',
+    symbols: pairs(`
+      sum ∑ prod ∏ coprod ∐ int ∫ iint ∬ iiint ∭ oint ∮ bigcup ⋃ bigcap ⋂ bigoplus ⨁ bigotimes ⨂ bigodot ⨀
+      biguplus ⨄ bigvee ⋁ bigwedge ⋀ bigsqcup ⨆`),
+  },
+  {
+    id: 'arrows',
+    label: 'Arrows',
+    symbols: pairs(`
+      leftarrow ← rightarrow → leftrightarrow ↔ Leftarrow ⇐ Rightarrow ⇒ Leftrightarrow ⇔ longleftarrow ⟵
+      longrightarrow ⟶ longleftrightarrow ⟷ Longleftarrow ⟸ Longrightarrow ⟹ Longleftrightarrow ⟺ mapsto ↦
+      longmapsto ⟼ hookleftarrow ↩ hookrightarrow ↪ uparrow ↑ downarrow ↓ updownarrow ↕ Uparrow ⇑ Downarrow ⇓
+      nearrow ↗ searrow ↘ swarrow ↙ nwarrow ↖ leftharpoonup ↼ rightharpoonup ⇀ leftharpoondown ↽
+      rightharpoondown ⇁ rightleftharpoons ⇌ leftrightharpoons ⇋ twoheadrightarrow ↠ twoheadleftarrow ↞
+      rightarrowtail ↣ leftarrowtail ↢ dashrightarrow ⇢ dashleftarrow ⇠ leftleftarrows ⇇ rightrightarrows ⇉
+      upuparrows ⇈ downdownarrows ⇊ circlearrowleft ↺ circlearrowright ↻ curvearrowleft ↶ curvearrowright ↷
+      rightsquigarrow ⇝ leftrightsquigarrow ↭ Lsh ↰ Rsh ↱ nrightarrow ↛ nleftarrow ↚ nRightarrow ⇏
+      nLeftrightarrow ⇎ Updownarrow ⇕`),
+  },
+  {
+    id: 'misc',
+    label: 'Miscellaneous',
+    symbols: pairs(`
+      infty ∞ nabla ∇ partial ∂ forall ∀ exists ∃ nexists ∄ emptyset ∅ varnothing ⌀ neg ¬ top ⊤ bot ⊥ angle ∠
+      measuredangle ∡ sphericalangle ∢ triangle △ square □ blacksquare ■ lozenge ◊ blacklozenge ⧫ bigstar ★
+      ell ℓ hbar ℏ imath ı jmath ȷ Re ℜ Im ℑ aleph ℵ beth ℶ gimel ℷ wp ℘ prime ′ backprime ‵ complement ∁ mho ℧
+      eth ð Finv Ⅎ Game ⅁ diagup ╱ diagdown ╲ ldots … cdots ⋯ vdots ⋮ ddots ⋱ checkmark ✓ flat ♭ sharp ♯
+      natural ♮ clubsuit ♣ diamondsuit ♢ heartsuit ♡ spadesuit ♠ circledS Ⓢ Box □ surd √ backslash \\`),
+  },
+  {
+    id: 'delimiters',
+    label: 'Delimiters',
+    symbols: [
+      ...pairs(`
+        langle ⟨ rangle ⟩ lfloor ⌊ rfloor ⌋ lceil ⌈ rceil ⌉ lvert | rvert | lVert ‖ rVert ‖ vert | Vert ‖ lbrace { rbrace }
+        ulcorner ⌜ urcorner ⌝ llcorner ⌞ lrcorner ⌟`),
+      ...[
+        ['(', ')', '( )'], ['[', ']', '[ ]'], ['\\{', '\\}', '{ }'], ['|', '|', '| |'], ['\\|', '\\|', '‖ ‖'],
+        ['\\langle', '\\rangle', '⟨ ⟩'], ['\\lfloor', '\\rfloor', '⌊ ⌋'], ['\\lceil', '\\rceil', '⌈ ⌉'],
+      ].map(([l, r, char]) => ({ cmd: `\\left${l}  \\right${r}`, name: `left right ${char}`, char, preview: `\\left${l} x \\right${r}` })),
+    ],
+  },
+  {
+    id: 'accents',
+    label: 'Accents',
+    symbols: [
+      ...withArg('hat bar tilde vec dot ddot dddot acute grave breve check mathring', 'a'),
+      ...withArg('widehat widetilde overline underline overrightarrow overleftarrow overleftrightarrow overbrace underbrace', 'ab'),
+    ],
+  },
+  { id: 'blackboard', label: 'Blackboard', symbols: alphabet('mathbb') },
+  { id: 'calligraphic', label: 'Calligraphic', symbols: alphabet('mathcal') },
+  { id: 'fraktur', label: 'Fraktur', symbols: alphabet('mathfrak') },
+  { id: 'aliases', label: 'Alias', palette: false, symbols: pairs('le ≤ ge ≥ ne ≠ to → gets ← iff ⟺ implies ⟹ impliedby ⟸ lnot ¬ dots …') },
+  {
+    id: 'functions',
+    label: 'Function',
+    palette: false,
+    symbols: commands(`
+      sin cos tan cot sec csc arcsin arccos arctan sinh cosh tanh coth log ln lg exp lim liminf limsup sup inf max min
+      arg det dim gcd hom ker Pr deg`),
+  },
+  { id: 'spacing', label: 'Spacing', palette: false, symbols: commands('quad qquad') },
+  {
+    id: 'structures',
+    label: 'Structure',
+    palette: false,
+    symbols: commands(`
+      frac{}{} dfrac{}{} tfrac{}{} cfrac{}{} sqrt{} sqrt[]{} binom{}{} overset{}{} underset{}{} stackrel{}{}
+      overbrace{}^{} underbrace{}_{} pmod{} bmod text{} operatorname{} substack{}`),
+  },
+  {
+    id: 'fonts',
+    label: 'Font',
+    palette: false,
+    symbols: commands('mathrm{} mathbf{} mathit{} mathsf{} mathtt{} mathbb{} mathcal{} mathfrak{} mathscr{} boldsymbol{}'),
+  },
+];
+
+export const SYMBOL_CATEGORIES = SYMBOL_TABLE.filter((cat) => cat.palette !== false);
+
+// Spoken names for search ("less than" finds \leq); the command name and category are always searched too.
+export const SYMBOL_KEYWORDS = {
+  leq: 'less than or equal', geq: 'greater than or equal', neq: 'not equal', approx: 'approximately almost equal',
+  equiv: 'equivalent identical congruent', sim: 'similar tilde', cong: 'congruent isomorphic', propto: 'proportional',
+  in: 'element member belongs', notin: 'not element', subset: 'subset contained', subseteq: 'subset or equal',
+  supset: 'superset contains', perp: 'perpendicular orthogonal', parallel: 'parallel', mid: 'divides',
+  pm: 'plus minus', mp: 'minus plus', times: 'multiply cross product', div: 'divide division', cdot: 'dot product multiply',
+  circ: 'compose composition ring', oplus: 'direct sum xor', otimes: 'tensor product', cap: 'intersection', cup: 'union',
+  wedge: 'and logical conjunction', vee: 'or logical disjunction', setminus: 'set difference minus',
+  sum: 'sigma summation', prod: 'pi product', int: 'integral', oint: 'contour integral', iint: 'double integral',
+  rightarrow: 'right arrow to', leftarrow: 'left arrow gets', Rightarrow: 'implies', Leftrightarrow: 'if and only if iff',
+  mapsto: 'maps to', infty: 'infinity', nabla: 'gradient del', partial: 'partial derivative', forall: 'for all',
+  exists: 'there exists', emptyset: 'empty set', neg: 'not negation', angle: 'angle', hbar: 'reduced planck',
+  ell: 'script l', Re: 'real part', Im: 'imaginary part', aleph: 'cardinal', ldots: 'ellipsis dots',
+  cdots: 'centered dots ellipsis', therefore: 'therefore hence', because: 'because since', langle: 'angle bracket',
+  lfloor: 'floor', lceil: 'ceiling', hat: 'circumflex', bar: 'macron overline', vec: 'vector arrow', dot: 'derivative',
+  ddot: 'second derivative', tilde: 'tilde', overline: 'bar conjugate closure', mathbb: 'blackboard bold double struck',
+  mathcal: 'calligraphic script', mathfrak: 'fraktur gothic',
+};
+
+// Every palette symbol once, with its category label.
+export const PALETTE_SYMBOLS = SYMBOL_CATEGORIES.flatMap((cat) => cat.symbols.map((sym) => ({ ...sym, category: cat.label })));
+
+// Every command of the table for autocompletion, described by its category.
+export const MATH_SYMBOLS = SYMBOL_TABLE.flatMap((cat) => cat.symbols.map(({ cmd, preview }) => ({ cmd, desc: cat.label, preview })));
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp, X } from 'lucide-react';
+
+// Picks which compiler backends run and in what order. `backends` is the registry listing
+// (`{ id, label, description, isAvailable }`); `settings` is `{ order, url }` where `order` holds the
+// enabled backends, primary first.
+export default function CompilerSettingsDialog({ backends = [], settings, onSave, onClose }) {
+  const [order, setOrder] = useState(() => [...(settings?.order || [])]);
+  const [url, setUrl] = useState(settings?.url || '');
+
+  const enabled = order.map((id) => backends.find((b) => b.id === id)).filter(Boolean);
+  const disabled = backends.filter((b) => !order.includes(b.id));
+
+  const toggle = (id) => setOrder((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  const move = (id, delta) =>
+    setOrder((prev) => {
+      const from = prev.indexOf(id);
+      const to = from + delta;
+      if (from === -1 || to < 0 || to >= prev.length) return prev;
+      const next = [...prev];
+      [next[from], next[to]] = [next[to], next[from]];
+      return next;
+    });
+
+  const renderRow = (backend, index) => {
+    const isEnabled = index != null;
+    const available = backend.isAvailable?.({ url }) !== false;
+    return (
+      <li key={backend.id} className="flex items-start gap-2 px-3 py-2">
+        <input
+          type="checkbox"
+          className="mt-0.5"
+          checked={isEnabled}
+          onChange={() => toggle(backend.id)}
+          aria-label={`Enable ${backend.label}`}
+        />
+        <div className="min-w-0 flex-1">
+          <div className="flex items-center gap-2 text-sm text-slate-800">
+            {backend.label}
+            {index === 0 && <span className="rounded bg-blue-50 px-1.5 text-[10px] font-medium text-blue-700">Primary</span>}
+            {!available && <span className="rounded bg-slate-100 px-1.5 text-[10px] text-slate-500">Unavailable</span>}
+          </div>
+          {backend.description && <div className="text-xs text-slate-500">{backend.description}</div>}
+        </div>
+        {isEnabled && (
+          <div className="flex gap-0.5">
+            <button
+              className="rounded p-1 text-slate-500 hover:bg-slate-100 disabled:opacity-30"
+              disabled={index === 0}
+              onClick={() => move(backend.id, -1)}
+              aria-label={`Move ${backend.label} up`}
+            >
+              <ArrowUp size={14} />
+            </button>
+            <button
+              className="rounded p-1 text-slate-500 hover:bg-slate-100 disabled:opacity-30"
+              disabled={index === enabled.length - 1}
+              onClick={() => move(backend.id, 1)}
+              aria-label={`Move ${backend.label} down`}
+            >
+              <ArrowDown size={14} />
+            </button>
+          </div>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <div role="dialog" aria-label="Compiler Settings" className="w-[90vw] max-w-lg bg-white rounded-lg shadow-xl border border-slate-200 flex flex-col">
+        <div className="flex items-center justify-between px-4 py-2 border-b border-slate-200">
+          <div className="text-sm font-semibold text-slate-700">Compiler Settings</div>
+          <button className="p-1 rounded hover:bg-slate-100" onClick={onClose} title="Close">
+            <X size={16} />
+          </button>
+        </div>
+        <div className="p-4 flex flex-col gap-3">
+          <div className="text-xs text-slate-500">
+            Enabled compilers are tried from top to bottom until one produces a PDF.
+          </div>
+          <ul className="divide-y divide-slate-100 border border-slate-200 rounded">
+            {enabled.map((b, i) => renderRow(b, i))}
+            {disabled.map((b) => renderRow(b, null))}
+          </ul>
+          <label className="text-xs font-medium text-slate-600" htmlFor="texure-compile-url">
+            Self-hosted server URL
+          </label>
+          <input
+            id="texure-compile-url"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="e.g. http://localhost:3001/compile"
+            className="px-3 py-2 text-sm rounded border border-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-200 font-mono"
+          />
+          <div className="flex justify-end gap-2 pt-1">
+            <button
+              className="px-3 py-2 rounded bg-slate-100 hover:bg-slate-200 text-slate-700 border border-slate-200 text-sm"
+              onClick={onClose}
+            >
+              Cancel
+            </button>
+            <button
+              className="px-3 py-2 rounded bg-blue-600 text-white text-sm font-medium hover:bg-blue-700"
+              onClick={() => onSave?.({ order, url: url.trim() })}
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import React from 'react';
+import { TEX_ENGINES } from '../../lib/preamble';
+
+const labelOf = (id) => TEX_ENGINES.find((e) => e.id === id)?.label || 'pdfLaTeX';
+
+// Per-document TeX engine. `value` is the engine pinned by the `% !TEX program` magic comment ('' or null
+// for automatic); `suggested` is what automatic resolves to. `onChange` receives an engine id or null.
+export default function EngineSelect({ value, suggested, onChange, className = '' }) {
+  const pinned = value || '';
+  const mismatch = pinned && suggested && pinned !== suggested;
+  return (
+    <select
+      aria-label="TeX engine"
+      value={pinned}
+      onChange={(e) => onChange?.(e.target.value || null)}
+      title={
+        mismatch
+          ? `This document loads packages that need ${labelOf(suggested)}`
+          : pinned
+            ? `Set by % !TEX program = ${pinned}`
+            : 'Engine chosen from the packages this document loads'
+      }
+      className={`px-1.5 py-1 text-xs rounded-md border bg-white text-slate-700 focus:outline-none focus:ring-2 focus:ring-blue-200 ${
+        mismatch ? 'border-amber-300' : 'border-slate-200'
+      } ${className}`}
+    >
+      <option value="">{`Auto (${labelOf(suggested)})`}</option>
+      {TEX_ENGINES.map((e) => (
+        <option key={e.id} value={e.id}>
+          {e.label}
+        </option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { AlertTriangle, Info, XCircle } from 'lucide-react';
+import { countDiagnostics } from '../../lib/texlog';
+
+const FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'error', label: 'Errors' },
+  { id: 'warning', label: 'Warnings' },
+  { id: 'info', label: 'Info' },
+];
+
+const LEVEL_ICONS = {
+  error: <XCircle size={14} className="text-red-600" />,
+  warning: <AlertTriangle size={14} className="text-amber-500" />,
+  info: <Info size={14} className="text-slate-400" />,
+};
+
+const locationOf = (entry) => {
+  const where = entry.target || { path: entry.file, line: entry.line };
+  if (!where.path && where.line == null) return '';
+  if (where.line == null) return where.path;
+  return where.path ? `${where.path}:${where.line}` : `line ${where.line}`;
+};
+
+// Filterable list of parsed compiler diagnostics. Entries with a `target` ({ path, line } in the
+// document) are clickable and passed to `onSelect`; the raw log stays one click away.
+export default function DiagnosticsPanel({ entries = [], log = '', onSelect }) {
+  const [filter, setFilter] = useState('all');
+  const [showRaw, setShowRaw] = useState(false);
+  const counts = countDiagnostics(entries);
+  const visible = filter === 'all' ? entries : entries.filter((e) => e.level === filter);
+
+  const rawLog = (
+    <pre className="text-xs leading-relaxed whitespace-pre-wrap break-words bg-slate-50 border border-slate-200 rounded p-3 text-slate-800">
+      {log}
+    </pre>
+  );
+  if (!entries.length) return rawLog;
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex items-center gap-1" role="group" aria-label="Filter diagnostics">
+        {FILTERS.map(({ id, label }) => (
+          <button
+            key={id}
+            onClick={() => setFilter(id)}
+            aria-pressed={filter === id}
+            className={`px-2 py-1 text-xs rounded border ${
+              filter === id ? 'bg-blue-50 border-blue-200 text-blue-800' : 'bg-white border-slate-200 text-slate-600 hover:bg-slate-50'
+            }`}
+          >
+            {label} ({id === 'all' ? entries.length : counts[id]})
+          </button>
+        ))}
+        <button
+          onClick={() => setShowRaw((v) => !v)}
+          aria-pressed={showRaw}
+          className="ml-auto px-2 py-1 text-xs rounded text-slate-500 hover:bg-slate-100"
+        >
+          {showRaw ? 'Hide raw log' : 'Show raw log'}
+        </button>
+      </div>
+      {visible.length ? (
+        <ul className="divide-y divide-slate-100 border border-slate-200 rounded" aria-label="Diagnostics">
+          {visible.map((entry, i) => {
+            const body = (
+              <>
+                <span className="mt-0.5 shrink-0">{LEVEL_ICONS[entry.level]}</span>
+                <span className="min-w-0 flex-1">
+                  <span className="block text-slate-800 break-words">{entry.message}</span>
+                  {entry.context && <code className="block truncate text-slate-500">{entry.context}</code>}
+                </span>
+                <span className="shrink-0 text-slate-400 font-mono">{locationOf(entry)}</span>
+              </>
+            );
+            return (
+              <li key={i}>
+                {entry.target ? (
+                  <button
+                    onClick={() => onSelect?.(entry)}
+                    title={`Go to ${entry.target.path ? `${entry.target.path}:` : 'line '}${entry.target.line}`}
+                    className="flex w-full items-start gap-2 px-3 py-2 text-left text-xs hover:bg-blue-50"
+                  >
+                    {body}
+                  </button>
+                ) : (
+                  <div className="flex items-start gap-2 px-3 py-2 text-xs">{body}</div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <div className="text-xs text-slate-500">No {FILTERS.find((f) => f.id === filter).label.toLowerCase()}.</div>
+      )}
+      {showRaw && rawLog}
+    </div>
+  );
+}
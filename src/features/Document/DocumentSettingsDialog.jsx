@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, X } from 'lucide-react';
+import {
+  DOCUMENT_CLASSES,
+  FONT_PACKAGES,
+  FONT_SIZES,
+  LINE_SPACINGS,
+  MARGIN_SIDES,
+  PAPER_SIZES,
+} from '../../lib/documentSettings';
+
+const FIELD = 'px-2 py-1 text-sm rounded border border-slate-200 bg-white focus:outline-none focus:ring-2 focus:ring-blue-200';
+const SIDE_LABELS = { top: 'Top', bottom: 'Bottom', left: 'Left', right: 'Right' };
+
+// Edits the preamble as a settings model (see readDocumentSettings): class and class options, geometry margins,
+// line spacing, font and the package list. `onSave(next)` receives the edited model.
+export default function DocumentSettingsDialog({ settings, onSave, onClose }) {
+  const [model, setModel] = useState(() => ({
+    ...settings,
+    margins: { ...settings?.margins },
+    packages: (settings?.packages || []).map((p) => ({ ...p })),
+  }));
+
+  const set = (key, value) => setModel((prev) => ({ ...prev, [key]: value }));
+  const setMargin = (side, value) => setModel((prev) => ({ ...prev, margins: { ...prev.margins, [side]: value } }));
+  const setPackage = (index, key, value) =>
+    setModel((prev) => ({ ...prev, packages: prev.packages.map((p, i) => (i === index ? { ...p, [key]: value } : p)) }));
+  const removePackage = (index) => setModel((prev) => ({ ...prev, packages: prev.packages.filter((_, i) => i !== index) }));
+  const addPackage = () => setModel((prev) => ({ ...prev, packages: [...prev.packages, { name: '', options: '' }] }));
+
+  const save = () =>
+    onSave?.({
+      ...model,
+      documentClass: String(model.documentClass || '').trim(),
+      margins: Object.fromEntries(MARGIN_SIDES.map((side) => [side, String(model.margins[side] || '').trim()])),
+      packages: model.packages
+        .map((p) => ({ name: String(p.name || '').trim(), options: String(p.options || '').trim() }))
+        .filter((p) => p.name),
+    });
+
+  const select = (id, label, value, onChange, options) => (
+    <label className="flex flex-col gap-1 text-xs font-medium text-slate-600" htmlFor={id}>
+      {label}
+      <select id={id} value={value} onChange={(e) => onChange(e.target.value)} className={FIELD}>
+        {options.map((o) => (
+          <option key={o.value} value={o.value}>
+            {o.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <div role="dialog" aria-label="Document Settings" className="w-[90vw] max-w-xl max-h-[90vh] bg-white rounded-lg shadow-xl border border-slate-200 flex flex-col">
+        <div className="flex items-center justify-between px-4 py-2 border-b border-slate-200">
+          <div className="text-sm font-semibold text-slate-700">Document Settings</div>
+          <button className="p-1 rounded hover:bg-slate-100" onClick={onClose} title="Close">
+            <X size={16} />
+          </button>
+        </div>
+        <div className="p-4 flex flex-col gap-4 overflow-auto">
+          <section className="grid grid-cols-3 gap-3">
+            <label className="flex flex-col gap-1 text-xs font-medium text-slate-600" htmlFor="texure-doc-class">
+              Document class
+              <input
+                id="texure-doc-class"
+                list="texure-doc-classes"
+                value={model.documentClass || ''}
+                onChange={(e) => set('documentClass', e.target.value)}
+                className={`${FIELD} font-mono`}
+              />
+              <datalist id="texure-doc-classes">
+                {DOCUMENT_CLASSES.map((c) => (
+                  <option key={c} value={c} />
+                ))}
+              </datalist>
+            </label>
+            {select('texure-doc-font-size', 'Font size', model.fontSize || '', (v) => set('fontSize', v), [
+              { value: '', label: 'Class default' },
+              ...FONT_SIZES.map((s) => ({ value: s, label: s })),
+            ])}
+            {select('texure-doc-paper', 'Paper size', model.paper || '', (v) => set('paper', v), [
+              { value: '', label: 'Class default' },
+              ...PAPER_SIZES.map((p) => ({ value: p.value, label: p.label })),
+            ])}
+            <label className="col-span-3 flex items-center gap-2 text-sm text-slate-700">
+              <input type="checkbox" checked={!!model.twoColumn} onChange={(e) => set('twoColumn', e.target.checked)} />
+              Two columns
+            </label>
+          </section>
+
+          <section className="flex flex-col gap-1">
+            <div className="text-xs font-medium text-slate-600">Margins</div>
+            <div className="grid grid-cols-4 gap-2">
+              {MARGIN_SIDES.map((side) => (
+                <input
+                  key={side}
+                  value={model.margins[side] || ''}
+                  onChange={(e) => setMargin(side, e.target.value)}
+                  placeholder={SIDE_LABELS[side]}
+                  aria-label={`${SIDE_LABELS[side]} margin`}
+                  className={`${FIELD} font-mono`}
+                />
+              ))}
+            </div>
+            <div className="text-[11px] text-slate-500">TeX lengths such as 2.5cm or 1in; leave empty for the class default.</div>
+          </section>
+
+          <section className="grid grid-cols-2 gap-3">
+            {select('texure-doc-spacing', 'Line spacing', model.lineSpacing || 'single', (v) => set('lineSpacing', v), LINE_SPACINGS)}
+            {select('texure-doc-font', 'Font', model.fontPackage || '', (v) => set('fontPackage', v), FONT_PACKAGES)}
+          </section>
+
+          <section className="flex flex-col gap-1">
+            <div className="text-xs font-medium text-slate-600">Packages</div>
+            <ul aria-label="Packages" className="flex flex-col gap-1">
+              {model.packages.map((p, i) => (
+                <li key={i} className="flex items-center gap-2">
+                  <input
+                    value={p.name}
+                    onChange={(e) => setPackage(i, 'name', e.target.value)}
+                    placeholder="package"
+                    aria-label={`Package ${i + 1} name`}
+                    className={`${FIELD} flex-1 min-w-0 font-mono`}
+                  />
+                  <input
+                    value={p.options}
+                    onChange={(e) => setPackage(i, 'options', e.target.value)}
+                    placeholder="options"
+                    aria-label={`Package ${i + 1} options`}
+                    className={`${FIELD} flex-1 min-w-0 font-mono`}
+                  />
+                  <button
+                    className="p-1 rounded text-slate-400 hover:text-red-600 hover:bg-slate-100"
+                    onClick={() => removePackage(i)}
+                    aria-label={`Remove ${p.name || `package ${i + 1}`}`}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <button className="self-start flex items-center gap-1 text-xs text-blue-700 hover:underline" onClick={addPackage}>
+              <Plus size={12} /> Add package
+            </button>
+          </section>
+
+          <div className="flex justify-end gap-2 pt-1">
+            <button
+              className="px-3 py-2 rounded bg-slate-100 hover:bg-slate-200 text-slate-700 border border-slate-200 text-sm"
+              onClick={onClose}
+            >
+              Cancel
+            </button>
+            <button className="px-3 py-2 rounded bg-blue-600 text-white text-sm font-medium hover:bg-blue-700" onClick={save}>
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import React, { useMemo, useState } from 'react';
+import { Trash2, X } from 'lucide-react';
+import { diffHunks, diffLines, revertHunk } from '../../lib/diff';
+import { versionTitle } from '../../lib/history';
+
+const CURRENT = 'current';
+const LINE_STYLES = {
+  equal: 'text-slate-600',
+  delete: 'bg-red-50 text-red-700',
+  insert: 'bg-emerald-50 text-emerald-700',
+};
+const LINE_MARKS = { equal: ' ', delete: '-', insert: '+' };
+
+const formatTime = (ms) => {
+  try {
+    return new Date(ms).toLocaleString();
+  } catch {
+    return '';
+  }
+};
+
+// Version timeline for the open document. `versions` are the stored snapshots, newest first; the diff
+// compares any two of them (or the current text). Restoring a version or a single hunk calls
+// `onRestore(text)` with the full new document text.
+export default function HistoryPanel({ versions = [], currentText = '', onSnapshot, onRestore, onDelete, onClose }) {
+  const [label, setLabel] = useState('');
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(CURRENT);
+
+  const byId = (id) => versions.find((v) => v.id === id);
+  const from = fromId === CURRENT ? CURRENT : byId(fromId) ? fromId : versions[0]?.id || CURRENT;
+  const to = toId === CURRENT || byId(toId) ? toId : CURRENT;
+  const textOf = (id) => (id === CURRENT ? currentText : byId(id)?.text ?? '');
+
+  const fromText = textOf(from);
+  const toText = textOf(to);
+  const ops = useMemo(() => diffLines(fromText, toText), [fromText, toText]);
+  const hunks = useMemo(() => diffHunks(ops), [ops]);
+  const canRevertHunks = to === CURRENT && from !== CURRENT;
+
+  const optionLabel = (v) => `${versionTitle(v)} — ${formatTime(v.createdAt)}`;
+  const takeSnapshot = () => {
+    onSnapshot?.(label.trim());
+    setLabel('');
+  };
+
+  const versionSelect = (id, value, onChange, text) => (
+    <label className="flex items-center gap-1 text-xs text-slate-600" htmlFor={id}>
+      {text}
+      <select
+        id={id}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="max-w-[16rem] px-1.5 py-1 text-xs rounded border border-slate-200 bg-white"
+      >
+        <option value={CURRENT}>Current document</option>
+        {versions.map((v) => (
+          <option key={v.id} value={v.id}>
+            {optionLabel(v)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <div role="dialog" aria-label="Version History" className="w-[94vw] max-w-5xl h-[85vh] bg-white rounded-lg shadow-xl border border-slate-200 flex flex-col">
+        <div className="flex items-center justify-between px-4 py-2 border-b border-slate-200">
+          <div className="text-sm font-semibold text-slate-700">Version History</div>
+          <button className="p-1 rounded hover:bg-slate-100" onClick={onClose} title="Close">
+            <X size={16} />
+          </button>
+        </div>
+        <div className="flex flex-1 min-h-0">
+          <div className="w-72 flex-shrink-0 border-r border-slate-200 flex flex-col min-h-0">
+            <div className="p-3 flex gap-2 border-b border-slate-100">
+              <input
+                value={label}
+                onChange={(e) => setLabel(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') takeSnapshot();
+                }}
+                placeholder="e.g. submitted to reviewers"
+                aria-label="Snapshot name"
+                className="min-w-0 flex-1 px-2 py-1 text-xs rounded border border-slate-200 focus:outline-none focus:ring-2 focus:ring-blue-200"
+              />
+              <button className="px-2 py-1 rounded bg-blue-600 text-white text-xs font-medium hover:bg-blue-700" onClick={takeSnapshot}>
+                Save snapshot
+              </button>
+            </div>
+            {versions.length ? (
+              <ul aria-label="Versions" className="flex-1 overflow-auto divide-y divide-slate-100">
+                {versions.map((v) => (
+                  <li key={v.id} className={`px-3 py-2 ${v.id === from ? 'bg-blue-50' : ''}`}>
+                    <button
+                      className="w-full text-left"
+                      onClick={() => {
+                        setFromId(v.id);
+                        setToId(CURRENT);
+                      }}
+                      title="Compare with the current document"
+                    >
+                      <div className={`text-sm ${v.kind === 'manual' ? 'font-medium text-slate-800' : 'text-slate-700'}`}>{versionTitle(v)}</div>
+                      <div className="text-[11px] text-slate-500">{formatTime(v.createdAt)}</div>
+                    </button>
+                    <div className="mt-1 flex items-center gap-2">
+                      <button className="text-[11px] text-blue-700 hover:underline" onClick={() => onRestore?.(v.text)}>
+                        Restore
+                      </button>
+                      <button
+                        className="ml-auto p-0.5 rounded text-slate-400 hover:text-red-600 hover:bg-slate-100"
+                        onClick={() => onDelete?.(v.id)}
+                        aria-label={`Delete ${optionLabel(v)}`}
+                      >
+                        <Trash2 size={12} />
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <div className="p-3 text-xs text-slate-500">
+                No versions yet. One is kept whenever you save, when the document compiles, and when you save a snapshot.
+              </div>
+            )}
+          </div>
+
+          <div className="flex-1 min-w-0 flex flex-col min-h-0">
+            <div className="px-3 py-2 flex flex-wrap items-center gap-3 border-b border-slate-100">
+              {versionSelect('texure-history-from', from, setFromId, 'From')}
+              {versionSelect('texure-history-to', to, setToId, 'To')}
+            </div>
+            <div aria-label="Differences" className="flex-1 overflow-auto p-3 flex flex-col gap-3">
+              {!hunks.length && <div className="text-xs text-slate-500">No differences.</div>}
+              {hunks.map((hunk, idx) => (
+                <div key={`${hunk.start}-${hunk.end}`} className="rounded border border-slate-200 overflow-hidden">
+                  <div className="flex items-center justify-between px-2 py-1 bg-slate-50 border-b border-slate-200 text-[11px] text-slate-500">
+                    <span>Change {idx + 1} of {hunks.length}</span>
+                    {canRevertHunks && (
+                      <button className="text-blue-700 hover:underline" onClick={() => onRestore?.(revertHunk(ops, hunk))}>
+                        Revert this change
+                      </button>
+                    )}
+                  </div>
+                  <pre className="text-xs font-mono leading-5">
+                    {ops.slice(hunk.start, hunk.end).map((op, i) => (
+                      <div key={i} className={`px-2 whitespace-pre-wrap ${LINE_STYLES[op.type]}`}>
+                        {`${LINE_MARKS[op.type]} ${op.text}`}
+                      </div>
+                    ))}
+                  </pre>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Eraser } from 'lucide-react';
+
+const SIZE = 180;
+
+// Sketch area for symbol recognition. `onStrokesChange(strokes)` receives every stroke (arrays of `{ x, y }`
+// in canvas pixels) after each pen-up and after clearing.
+export default function DrawingPad({ onStrokesChange }) {
+  const canvasRef = useRef(null);
+  const strokesRef = useRef([]);
+  const drawingRef = useRef(false);
+  const [empty, setEmpty] = useState(true);
+
+  const context = () => {
+    try {
+      return canvasRef.current?.getContext?.('2d') || null;
+    } catch {
+      return null;
+    }
+  };
+
+  const redraw = () => {
+    const ctx = context();
+    if (!ctx) return;
+    ctx.clearRect(0, 0, SIZE, SIZE);
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = '#1e293b';
+    for (const stroke of strokesRef.current) {
+      ctx.beginPath();
+      stroke.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+      if (stroke.length === 1) ctx.lineTo(stroke[0].x + 0.1, stroke[0].y);
+      ctx.stroke();
+    }
+  };
+
+  useEffect(redraw, []);
+
+  const pointOf = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const onPointerDown = (e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    drawingRef.current = true;
+    strokesRef.current = [...strokesRef.current, [pointOf(e)]];
+    setEmpty(false);
+    redraw();
+  };
+
+  const onPointerMove = (e) => {
+    if (!drawingRef.current) return;
+    strokesRef.current[strokesRef.current.length - 1].push(pointOf(e));
+    redraw();
+  };
+
+  const onPointerUp = () => {
+    if (!drawingRef.current) return;
+    drawingRef.current = false;
+    onStrokesChange?.(strokesRef.current.map((stroke) => stroke.slice()));
+  };
+
+  const clear = () => {
+    strokesRef.current = [];
+    setEmpty(true);
+    redraw();
+    onStrokesChange?.([]);
+  };
+
+  return (
+    <div className="flex flex-col items-center gap-1">
+      <div className="relative">
+        <canvas
+          ref={canvasRef}
+          width={SIZE}
+          height={SIZE}
+          aria-label="Drawing pad"
+          className="rounded border border-dashed border-slate-300 bg-white touch-none cursor-crosshair"
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerLeave={onPointerUp}
+        />
+        {empty && (
+          <div className="pointer-events-none absolute inset-0 flex items-center justify-center text-xs text-slate-400">
+            Draw a symbol
+          </div>
+        )}
+      </div>
+      <button
+        type="button"
+        onClick={clear}
+        className="flex items-center gap-1 text-xs text-slate-600 hover:text-slate-900"
+      >
+        <Eraser size={12} /> Clear
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import React, { useEffect, useRef } from 'react';
+
+const renderPreview = (preview) => {
+  if (typeof window === 'undefined' || !window.katex) return null;
+  try {
+    return window.katex.renderToString(preview, { displayMode: false, throwOnError: false });
+  } catch (e) {
+    return null;
+  }
+};
+
+// Completion list for the equation editor (see mathCompletions). `anchor` is the input's client rect; the list
+// opens below it. Items are picked with the mouse here; the keyboard is handled by the input that owns the list.
+export default function MathCompletionPopup({ items, activeIndex = 0, anchor, onPick, onHover }) {
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    listRef.current?.children[activeIndex]?.scrollIntoView?.({ block: 'nearest' });
+  }, [activeIndex, items]);
+
+  if (!items?.length) return null;
+  const top = Math.max(8, (anchor?.bottom ?? 0) + 4);
+  const left = Math.max(8, Math.min(anchor?.left ?? 8, window.innerWidth - 328));
+
+  return (
+    <ul
+      ref={listRef}
+      role="listbox"
+      aria-label="Math completions"
+      className="fixed z-[10000] w-80 max-h-64 overflow-auto bg-white rounded-lg shadow-xl border border-slate-200 py-1 text-sm"
+      style={{ top, left }}
+    >
+      {items.map((item, i) => {
+        const html = renderPreview(item.preview);
+        return (
+          <li
+            key={item.cmd}
+            role="option"
+            aria-selected={i === activeIndex}
+            onMouseDown={(e) => {
+              e.preventDefault();
+              onPick?.(item);
+            }}
+            onMouseEnter={() => onHover?.(i)}
+            className={`flex items-center gap-3 px-2 py-1 cursor-pointer ${i === activeIndex ? 'bg-blue-50' : ''}`}
+          >
+            <span className="w-16 shrink-0 flex justify-center overflow-hidden">
+              {html ? <span className="leading-none" dangerouslySetInnerHTML={{ __html: html }} /> : null}
+            </span>
+            <span className="flex-1 min-w-0 truncate font-mono text-xs text-slate-700">{item.cmd}</span>
+            <span className="shrink-0 text-[11px] text-slate-400">{item.desc}</span>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
@@ -0,0 +1,148 @@
+import React, { useMemo, useState } from 'react';
+import { PenLine, Search, Star, X } from 'lucide-react';
+import { PALETTE_SYMBOLS, SYMBOL_CATEGORIES } from '../../constants/symbols';
+import {
+  loadFavoriteSymbols,
+  loadRecentSymbols,
+  pushRecentSymbol,
+  searchSymbols,
+  toggleFavoriteSymbol,
+} from '../../lib/symbolPalette';
+import { recognizeSymbol } from '../../lib/symbolRecognizer';
+import DrawingPad from './DrawingPad';
+
+const DRAW_TAB = 'draw';
+
+// Catalog entry for a command; the recognizer also proposes plain characters and \sqrt{}, which the catalog does not file.
+const symbolFor = (cmd) => PALETTE_SYMBOLS.find((s) => s.cmd === cmd) || { cmd, name: cmd.replace(/^\\/, '').replace(/\{\}$/, ''), char: cmd };
+
+const glyphHtml = (sym, katexLoaded) => {
+  if (!katexLoaded || typeof window === 'undefined' || !window.katex) return null;
+  try {
+    const src = sym.preview || sym.cmd.replace(/\{\}/g, '{x}');
+    return window.katex.renderToString(src, { displayMode: false, throwOnError: false });
+  } catch (e) {
+    return null;
+  }
+};
+
+// Full symbol browser: categories, fuzzy search, a recently used row, favorites (both kept in localStorage) and
+// a drawing pad. `onInsert(cmd)` inserts a command into the equation being edited. Mouse presses inside the palette
+// keep the focus where it is, so the equation editor stays open.
+export default function SymbolPalette({ katexLoaded, onInsert, onClose }) {
+  const [query, setQuery] = useState('');
+  const [tab, setTab] = useState(SYMBOL_CATEGORIES[0].id);
+  const [recent, setRecent] = useState(loadRecentSymbols);
+  const [favorites, setFavorites] = useState(loadFavoriteSymbols);
+  const [candidates, setCandidates] = useState([]);
+
+  const results = useMemo(() => searchSymbols(query), [query]);
+  const category = SYMBOL_CATEGORIES.find((c) => c.id === tab);
+
+  const insert = (cmd) => {
+    onInsert?.(cmd);
+    setRecent(pushRecentSymbol(cmd));
+  };
+
+  const tile = (sym) => {
+    const html = glyphHtml(sym, katexLoaded);
+    const favorite = favorites.includes(sym.cmd);
+    return (
+      <div key={sym.cmd} className="group relative">
+        <button
+          type="button"
+          onClick={() => insert(sym.cmd)}
+          title={sym.cmd}
+          aria-label={sym.cmd}
+          className="w-10 h-10 flex items-center justify-center rounded border border-transparent hover:border-slate-200 hover:bg-white hover:shadow-sm text-slate-800"
+        >
+          {html ? <span className="leading-none" dangerouslySetInnerHTML={{ __html: html }} /> : <span className="text-sm">{sym.char || sym.name}</span>}
+        </button>
+        <button
+          type="button"
+          onClick={() => setFavorites(toggleFavoriteSymbol(sym.cmd))}
+          aria-label={favorite ? `Remove ${sym.cmd} from favorites` : `Add ${sym.cmd} to favorites`}
+          aria-pressed={favorite}
+          className={`absolute -top-1 -right-1 p-0.5 rounded-full bg-white ${favorite ? 'text-amber-500' : 'text-slate-300 opacity-0 group-hover:opacity-100'}`}
+        >
+          <Star size={10} fill={favorite ? 'currentColor' : 'none'} />
+        </button>
+      </div>
+    );
+  };
+
+  const row = (label, symbols) =>
+    symbols.length ? (
+      <section aria-label={label} className="flex flex-col gap-1">
+        <div className="text-[11px] uppercase tracking-wider text-slate-500">{label}</div>
+        <div className="flex flex-wrap gap-1">{symbols.map(tile)}</div>
+      </section>
+    ) : null;
+
+  let body;
+  if (query.trim()) {
+    body = results.length ? row('Search results', results) : <div className="text-xs text-slate-500">No symbols match “{query.trim()}”.</div>;
+  } else if (tab === DRAW_TAB) {
+    body = (
+      <div className="flex gap-4 items-start">
+        <DrawingPad onStrokesChange={(strokes) => setCandidates(recognizeSymbol(strokes))} />
+        <div className="flex-1 min-w-0">
+          {candidates.length
+            ? row('Best matches', candidates.map((c) => symbolFor(c.cmd)))
+            : <div className="text-xs text-slate-500">Sketch a symbol; the closest matches appear here. Nothing leaves your browser.</div>}
+        </div>
+      </div>
+    );
+  } else {
+    body = row(category.label, category.symbols);
+  }
+
+  return (
+    <div
+      role="dialog"
+      aria-label="Symbol palette"
+      data-texure-math-keep-open="true"
+      onMouseDown={(e) => {
+        if (e.target.tagName !== 'INPUT') e.preventDefault();
+      }}
+      className="fixed z-50 top-24 right-4 w-[420px] max-w-[95vw] max-h-[75vh] bg-white rounded-lg shadow-xl border border-slate-200 flex flex-col"
+    >
+      <div className="flex items-center gap-2 px-3 py-2 border-b border-slate-200">
+        <Search size={14} className="text-slate-400" />
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search symbols (name or description)"
+          aria-label="Search symbols"
+          className="flex-1 min-w-0 text-sm focus:outline-none"
+        />
+        <button type="button" className="p-1 rounded hover:bg-slate-100" onClick={onClose} title="Close" aria-label="Close">
+          <X size={14} />
+        </button>
+      </div>
+      <div role="tablist" aria-label="Symbol categories" className="flex flex-wrap gap-1 px-3 py-2 border-b border-slate-100">
+        {[...SYMBOL_CATEGORIES, { id: DRAW_TAB, label: 'Draw' }].map((c) => (
+          <button
+            key={c.id}
+            type="button"
+            role="tab"
+            aria-selected={tab === c.id}
+            onClick={() => {
+              setTab(c.id);
+              setQuery('');
+            }}
+            className={`flex items-center gap-1 px-2 py-0.5 rounded text-xs ${tab === c.id ? 'bg-blue-100 text-blue-800' : 'text-slate-600 hover:bg-slate-100'}`}
+          >
+            {c.id === DRAW_TAB && <PenLine size={11} />}
+            {c.label}
+          </button>
+        ))}
+      </div>
+      <div className="p-3 flex flex-col gap-3 overflow-auto">
+        {row('Favorites', favorites.map(symbolFor))}
+        {row('Recently used', recent.map(symbolFor))}
+        {body}
+      </div>
+    </div>
+  );
+}
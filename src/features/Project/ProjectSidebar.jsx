@@ -0,0 +1,124 @@
+import React, { useMemo, useState } from 'react';
+import { ChevronDown, ChevronRight, FileText, Folder, Star, X } from 'lucide-react';
+import { buildFileTree, extensionOf } from '../../lib/project';
+
+function TreeNode({ node, depth, activePath, mainPath, dirtyPaths, onOpen, onSetMain }) {
+  const [expanded, setExpanded] = useState(true);
+  const pad = { paddingLeft: 8 + depth * 12 };
+
+  if (node.children) {
+    return (
+      <li>
+        <button
+          onClick={() => setExpanded((v) => !v)}
+          aria-expanded={expanded}
+          style={pad}
+          className="flex w-full items-center gap-1 py-1 pr-2 text-left text-xs text-slate-600 hover:bg-slate-100"
+        >
+          {expanded ? <ChevronDown size={12} /> : <ChevronRight size={12} />}
+          <Folder size={13} className="text-slate-400" />
+          <span className="truncate">{node.name}</span>
+        </button>
+        {expanded && (
+          <ul role="group">
+            {node.children.map((child) => (
+              <TreeNode
+                key={child.path}
+                node={child}
+                depth={depth + 1}
+                activePath={activePath}
+                mainPath={mainPath}
+                dirtyPaths={dirtyPaths}
+                onOpen={onOpen}
+                onSetMain={onSetMain}
+              />
+            ))}
+          </ul>
+        )}
+      </li>
+    );
+  }
+
+  const isTex = extensionOf(node.path) === 'tex';
+  const isActive = node.path === activePath;
+  const isMain = node.path === mainPath;
+  const isDirty = dirtyPaths?.has?.(node.path);
+
+  return (
+    <li className="group flex items-center">
+      <button
+        onClick={() => onOpen?.(node.path)}
+        aria-current={isActive ? 'page' : undefined}
+        title={node.path}
+        style={pad}
+        className={`flex min-w-0 flex-1 items-center gap-1 py-1 pr-1 text-left text-xs transition-colors ${
+          isActive ? 'bg-blue-50 font-medium text-blue-800' : 'text-slate-700 hover:bg-slate-100'
+        }`}
+      >
+        <FileText size={13} className={isTex ? 'text-slate-500' : 'text-slate-300'} />
+        <span className="truncate">{node.name}</span>
+        {isDirty && <span className="text-blue-600" aria-label="Unsaved changes">•</span>}
+      </button>
+      {isTex && (
+        <button
+          onClick={() => onSetMain?.(node.path)}
+          title={isMain ? 'Main document' : 'Set as main document'}
+          aria-label={isMain ? `${node.path} is the main document` : `Set ${node.path} as main document`}
+          aria-pressed={isMain}
+          className={`mr-1 rounded p-0.5 ${isMain ? 'text-amber-500' : 'text-slate-300 opacity-0 hover:text-amber-500 group-hover:opacity-100'}`}
+        >
+          <Star size={12} fill={isMain ? 'currentColor' : 'none'} />
+        </button>
+      )}
+    </li>
+  );
+}
+
+export default function ProjectSidebar({
+  name,
+  paths = [],
+  activePath,
+  mainPath,
+  dirtyPaths,
+  onOpen,
+  onSetMain,
+  onClose,
+}) {
+  const tree = useMemo(() => buildFileTree(paths), [paths]);
+
+  return (
+    <aside
+      aria-label="Project files"
+      className="flex w-56 flex-shrink-0 flex-col border-r border-slate-200 bg-white"
+    >
+      <div className="flex items-center justify-between border-b border-slate-100 px-3 py-2">
+        <div className="min-w-0">
+          <div className="truncate text-xs font-semibold text-slate-700">{name || 'Project'}</div>
+          <div className="truncate text-[11px] text-slate-500">{mainPath ? `Main: ${mainPath}` : 'No main document'}</div>
+        </div>
+        <button
+          onClick={() => onClose?.()}
+          title="Close Folder"
+          aria-label="Close Folder"
+          className="rounded p-1 text-slate-500 hover:bg-slate-100"
+        >
+          <X size={14} />
+        </button>
+      </div>
+      <ul role="tree" className="flex-1 overflow-y-auto py-1">
+        {tree.map((node) => (
+          <TreeNode
+            key={node.path}
+            node={node}
+            depth={0}
+            activePath={activePath}
+            mainPath={mainPath}
+            dirtyPaths={dirtyPaths}
+            onOpen={onOpen}
+            onSetMain={onSetMain}
+          />
+        ))}
+      </ul>
+    </aside>
+  );
+}
@@ -0,0 +1,60 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Inline source editor for a raw LaTeX chip or block. `anchor` is the element's client rect; the popover opens
+// below it. `onApply(source)` receives the text exactly as typed (an empty source removes the element).
+export default function RawLatexPopover({ source, anchor, onApply, onCancel }) {
+  const [value, setValue] = useState(source || '');
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    const input = inputRef.current;
+    if (!input) return;
+    input.focus();
+    input.setSelectionRange?.(input.value.length, input.value.length);
+  }, []);
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onCancel?.();
+    } else if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+      e.preventDefault();
+      onApply?.(value);
+    }
+  };
+
+  const top = Math.max(8, (anchor?.bottom ?? 0) + 6);
+  const left = Math.max(8, Math.min(anchor?.left ?? 8, window.innerWidth - 428));
+  const rows = Math.min(12, Math.max(2, value.split('\n').length));
+
+  return (
+    <div
+      role="dialog"
+      aria-label="Edit LaTeX source"
+      className="fixed z-50 w-[420px] max-w-[90vw] bg-white rounded-lg shadow-xl border border-slate-200 p-2 flex flex-col gap-2"
+      style={{ top, left }}
+    >
+      <textarea
+        ref={inputRef}
+        value={value}
+        rows={rows}
+        spellCheck={false}
+        onChange={(e) => setValue(e.target.value)}
+        onKeyDown={onKeyDown}
+        aria-label="LaTeX source"
+        className="w-full px-2 py-1 font-mono text-xs rounded border border-slate-200 bg-slate-50 focus:outline-none focus:ring-2 focus:ring-amber-200 resize-y"
+      />
+      <div className="flex items-center justify-between gap-2">
+        <span className="text-[11px] text-slate-500">Written back exactly as typed · Ctrl+Enter to apply</span>
+        <div className="flex gap-2">
+          <button className="px-2 py-1 rounded bg-slate-100 hover:bg-slate-200 text-slate-700 border border-slate-200 text-xs" onClick={onCancel}>
+            Cancel
+          </button>
+          <button className="px-2 py-1 rounded bg-blue-600 text-white text-xs font-medium hover:bg-blue-700" onClick={() => onApply?.(value)}>
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useMemo } from 'react';
+import { collapseDiff, countDiffChanges, diffLines } from '../../lib/diff';
+
+const LINE_STYLES = {
+  equal: 'text-slate-600',
+  delete: 'bg-red-50 text-red-700',
+  insert: 'bg-emerald-50 text-emerald-700',
+};
+const LINE_MARKS = { equal: ' ', delete: '-', insert: '+' };
+
+const formatTime = (ms) => {
+  try {
+    return new Date(ms).toLocaleString();
+  } catch {
+    return '';
+  }
+};
+
+// Offers an autosaved draft after a reload or crash. `draft` is the stored record
+// (`{ text, fileName, updatedAt, handle }`); `disk` is `{ status: 'idle' | 'loading' | 'ready' | 'error', text, error }`
+// for the file the draft came from, compared once `onCompare` has read it.
+export default function RecoveryDialog({ draft, disk = { status: 'idle' }, onCompare, onRestore, onDiscard }) {
+  const diff = useMemo(
+    () => (disk.status === 'ready' ? diffLines(disk.text, draft.text) : null),
+    [disk.status, disk.text, draft.text]
+  );
+  const changes = diff ? countDiffChanges(diff) : null;
+  const hunks = diff ? collapseDiff(diff) : [];
+  const name = draft.fileName || 'Untitled';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40">
+      <div role="dialog" aria-label="Restore unsaved changes" className="w-[90vw] max-w-2xl bg-white rounded-lg shadow-xl border border-slate-200 flex flex-col max-h-[85vh]">
+        <div className="px-4 py-2 border-b border-slate-200 text-sm font-semibold text-slate-700">Restore unsaved changes?</div>
+        <div className="p-4 flex flex-col gap-3 min-h-0">
+          <div className="text-sm text-slate-700">
+            <span className="font-medium">{name}</span> has changes from {formatTime(draft.updatedAt)} that were never saved.
+          </div>
+
+          {draft.handle && disk.status === 'idle' && (
+            <button className="self-start text-xs text-blue-700 hover:underline" onClick={onCompare}>
+              Compare with the file on disk
+            </button>
+          )}
+          {disk.status === 'loading' && <div className="text-xs text-slate-500">Reading {name}…</div>}
+          {disk.status === 'error' && <div className="text-xs text-red-600">Could not read the file on disk: {disk.error}</div>}
+          {diff && (
+            <>
+              <div className="text-xs text-slate-500">
+                {hunks.length
+                  ? `Compared with the file on disk: ${changes.inserted} line(s) added, ${changes.deleted} removed.`
+                  : 'The file on disk already matches these changes.'}
+              </div>
+              {hunks.length > 0 && (
+                <pre aria-label="Changes" className="min-h-0 overflow-auto rounded border border-slate-200 bg-slate-50 text-xs font-mono leading-5">
+                  {hunks.map((op, idx) =>
+                    op.type === 'skip' ? (
+                      <div key={idx} className="px-2 text-slate-400 italic">{`… ${op.count} unchanged line(s)`}</div>
+                    ) : (
+                      <div key={idx} className={`px-2 whitespace-pre-wrap ${LINE_STYLES[op.type]}`}>
+                        {`${LINE_MARKS[op.type]} ${op.text}`}
+                      </div>
+                    )
+                  )}
+                </pre>
+              )}
+            </>
+          )}
+
+          <div className="flex justify-end gap-2 pt-1">
+            <button
+              className="px-3 py-2 rounded bg-slate-100 hover:bg-slate-200 text-slate-700 border border-slate-200 text-sm"
+              onClick={onDiscard}
+            >
+              Discard
+            </button>
+            <button
+              className="px-3 py-2 rounded bg-blue-600 text-white text-sm font-medium hover:bg-blue-700"
+              onClick={onRestore}
+            >
+              Restore
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef } from 'react';
+import { Annotation, EditorState, Transaction } from '@codemirror/state';
+import {
+  EditorView,
+  drawSelection,
+  highlightActiveLine,
+  highlightActiveLineGutter,
+  highlightSpecialChars,
+  keymap,
+  lineNumbers,
+} from '@codemirror/view';
+import { defaultKeymap, history, historyKeymap, indentWithTab } from '@codemirror/commands';
+import {
+  HighlightStyle,
+  StreamLanguage,
+  bracketMatching,
+  foldGutter,
+  foldKeymap,
+  foldService,
+  syntaxHighlighting,
+} from '@codemirror/language';
+import { highlightSelectionMatches, search, searchKeymap } from '@codemirror/search';
+import { lintGutter, setDiagnostics } from '@codemirror/lint';
+import { stex } from '@codemirror/legacy-modes/mode/stex';
+import { tags } from '@lezer/highlight';
+import { environmentFoldRange } from '../../lib/sourceFolding';
+
+// Marks transactions that mirror the `value` prop so they are not reported back through onChange.
+const External = Annotation.define();
+
+const latexHighlight = HighlightStyle.define([
+  { tag: tags.tagName, color: '#7dd3fc' }, // \commands
+  { tag: tags.atom, color: '#c4b5fd' }, // environment names, labels, packages
+  { tag: tags.keyword, color: '#fcd34d' }, // math
+  { tag: tags.comment, color: '#64748b', fontStyle: 'italic' },
+  { tag: tags.bracket, color: '#94a3b8' },
+  { tag: tags.number, color: '#fda4af' },
+  { tag: tags.string, color: '#86efac' },
+  { tag: tags.standard(tags.variableName), color: '#f9a8d4' },
+  { tag: tags.invalid, color: '#f87171' },
+]);
+
+const sourceTheme = EditorView.theme(
+  {
+    '&': { height: '100%', backgroundColor: 'rgb(15 23 42)', color: 'rgb(203 213 225)', fontSize: '14px' },
+    '.cm-scroller': { fontFamily: "'Source Code Pro', ui-monospace, monospace", lineHeight: '1.625' },
+    '.cm-content': { padding: '16px 0', caretColor: 'rgb(226 232 240)' },
+    '.cm-gutters': { backgroundColor: 'rgb(15 23 42)', color: 'rgb(71 85 105)', border: 'none' },
+    '.cm-activeLine, .cm-activeLineGutter': { backgroundColor: 'rgb(30 41 59 / 0.6)' },
+    '.cm-cursor': { borderLeftColor: 'rgb(226 232 240)' },
+    '&.cm-focused .cm-selectionBackground, .cm-selectionBackground, ::selection': {
+      backgroundColor: 'rgb(51 65 85) !important',
+    },
+    '.cm-matchingBracket': { backgroundColor: 'rgb(37 99 235 / 0.35)', color: 'inherit' },
+    '.cm-nonmatchingBracket': { backgroundColor: 'rgb(220 38 38 / 0.35)', color: 'inherit' },
+    '.cm-foldPlaceholder': { backgroundColor: 'rgb(51 65 85)', border: 'none', color: 'rgb(203 213 225)' },
+    '.cm-panels': { backgroundColor: 'rgb(30 41 59)', color: 'rgb(226 232 240)' },
+    '.cm-searchMatch': { backgroundColor: 'rgb(234 179 8 / 0.3)' },
+    '.cm-searchMatch-selected': { backgroundColor: 'rgb(234 179 8 / 0.6)' },
+  },
+  { dark: true }
+);
+
+// The fold gutter asks once per visible line; flatten each document version only once.
+const docTextCache = new WeakMap();
+const docText = (doc) => {
+  let text = docTextCache.get(doc);
+  if (text == null) {
+    text = doc.toString();
+    docTextCache.set(doc, text);
+  }
+  return text;
+};
+
+const latexFolding = foldService.of((state, lineStart, lineEnd) => environmentFoldRange(docText(state.doc), lineStart, lineEnd));
+
+// Compiler diagnostics (`{ line, level, message }`, 1-based lines) as whole-line lint marks.
+const toLintDiagnostics = (doc, diagnostics) =>
+  (diagnostics || [])
+    .filter((d) => d && d.line != null)
+    .map((d) => {
+      const line = doc.line(Math.max(1, Math.min(doc.lines, Math.floor(Number(d.line) || 1))));
+      return { from: line.from, to: line.to, severity: d.level || 'error', message: d.message || '' };
+    });
+
+// CodeMirror source pane. `onChange` only fires for user edits, so the caller can keep its
+// `lastSource` bookkeeping; changes to `value` are applied in place without moving the scroll position.
+// `diagnostics` are shown as gutter markers and underlines until the next set arrives.
+const SourceEditor = forwardRef(function SourceEditor(
+  { value, onChange, diagnostics, className = '', ariaLabel = 'LaTeX source' },
+  ref
+) {
+  const hostRef = useRef(null);
+  const viewRef = useRef(null);
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  useEffect(() => {
+    const view = new EditorView({
+      parent: hostRef.current,
+      state: EditorState.create({
+        doc: value || '',
+        extensions: [
+          lineNumbers(),
+          highlightActiveLineGutter(),
+          highlightSpecialChars(),
+          history(),
+          lintGutter(),
+          foldGutter(),
+          drawSelection(),
+          bracketMatching(),
+          highlightActiveLine(),
+          highlightSelectionMatches(),
+          search({ top: true }),
+          StreamLanguage.define(stex),
+          syntaxHighlighting(latexHighlight),
+          latexFolding,
+          sourceTheme,
+          EditorView.lineWrapping,
+          EditorView.contentAttributes.of({ 'aria-label': ariaLabel, spellcheck: 'false' }),
+          keymap.of([...defaultKeymap, ...historyKeymap, ...foldKeymap, ...searchKeymap, indentWithTab]),
+          EditorView.updateListener.of((update) => {
+            if (!update.docChanged) return;
+            if (update.transactions.some((tr) => tr.annotation(External))) return;
+            onChangeRef.current?.(update.state.doc.toString());
+          }),
+        ],
+      }),
+    });
+    viewRef.current = view;
+    return () => {
+      view.destroy();
+      viewRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view) return;
+    const current = view.state.doc.toString();
+    const next = value || '';
+    if (current === next) return;
+    // Replace only the changed middle section so the cursor and folds outside it survive.
+    let start = 0;
+    while (start < current.length && start < next.length && current[start] === next[start]) start += 1;
+    let endCur = current.length;
+    let endNext = next.length;
+    while (endCur > start && endNext > start && current[endCur - 1] === next[endNext - 1]) {
+      endCur -= 1;
+      endNext -= 1;
+    }
+    view.dispatch({
+      changes: { from: start, to: endCur, insert: next.slice(start, endNext) },
+      annotations: [External.of(true), Transaction.addToHistory.of(false)],
+    });
+  }, [value]);
+
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view) return;
+    view.dispatch(setDiagnostics(view.state, toLintDiagnostics(view.state.doc, diagnostics)));
+  }, [diagnostics]);
+
+  useImperativeHandle(ref, () => ({
+    get view() {
+      return viewRef.current;
+    },
+    focus() {
+      viewRef.current?.focus();
+    },
+    // Cursor as a character offset into the document.
+    getCursor() {
+      return viewRef.current ? viewRef.current.state.selection.main.head : null;
+    },
+    setCursor(offset) {
+      const view = viewRef.current;
+      if (!view) return;
+      const pos = Math.max(0, Math.min(view.state.doc.length, Math.floor(Number(offset) || 0)));
+      view.dispatch({ selection: { anchor: pos }, effects: EditorView.scrollIntoView(pos, { y: 'center' }) });
+    },
+    // Moves the cursor to a 1-based line and scrolls it into the middle of the pane.
+    goToLine(lineNumber) {
+      const view = viewRef.current;
+      if (!view) return;
+      const n = Math.max(1, Math.min(view.state.doc.lines, Math.floor(Number(lineNumber) || 1)));
+      const line = view.state.doc.line(n);
+      view.dispatch({
+        selection: { anchor: line.from },
+        effects: EditorView.scrollIntoView(line.from, { y: 'center' }),
+      });
+      view.focus();
+    },
+  }));
+
+  return <div ref={hostRef} className={`min-h-0 overflow-hidden ${className}`} />;
+});
+
+export default SourceEditor;
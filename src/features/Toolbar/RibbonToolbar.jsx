@@ -26,8 +26,14 @@ import {
   Plus,
   ChevronDown,
   ChevronUp,
+  Table as TableIcon,
+  BookOpen,
+  Superscript,
+  Search,
 } from 'lucide-react';
 import { MATH_GROUPS } from '../../constants/math';
+import SymbolPalette from '../Math/SymbolPalette';
+import { formatAuthorsShort, searchBibEntries, cleanBibValue } from '../../lib/bibtex';
 
 function Tooltip({ children }) {
   return (
@@ -185,9 +191,203 @@ function Menu({ label, items, onChoose, ariaLabel }) {
   );
 }
 
+const TABLE_PICKER_SIZE = 8;
+
+function TablePicker({ onPick }) {
+  const [open, setOpen] = useState(false);
+  const [hover, setHover] = useState({ rows: 0, cols: 0 });
+  const [pos, setPos] = useState(null);
+  const rootRef = useRef(null);
+  const popRef = useRef(null);
+  const buttonRef = useRef(null);
+
+  useEffect(() => {
+    const onPointerDown = (e) => {
+      if (rootRef.current && rootRef.current.contains(e.target)) return;
+      if (popRef.current && popRef.current.contains(e.target)) return;
+      setOpen(false);
+    };
+    document.addEventListener('pointerdown', onPointerDown, true);
+    return () => document.removeEventListener('pointerdown', onPointerDown, true);
+  }, []);
+
+  useLayoutEffect(() => {
+    if (!open) return;
+    const rect = buttonRef.current?.getBoundingClientRect();
+    if (rect) setPos({ left: Math.max(8, rect.left), top: rect.bottom + 6 });
+    setHover({ rows: 0, cols: 0 });
+  }, [open]);
+
+  const cells = [];
+  for (let r = 1; r <= TABLE_PICKER_SIZE; r += 1) {
+    for (let c = 1; c <= TABLE_PICKER_SIZE; c += 1) {
+      const lit = r <= hover.rows && c <= hover.cols;
+      cells.push(
+        <button
+          key={`${r}x${c}`}
+          onMouseDown={(e) => e.preventDefault()}
+          onMouseEnter={() => setHover({ rows: r, cols: c })}
+          onFocus={() => setHover({ rows: r, cols: c })}
+          onClick={() => {
+            onPick?.(r, c);
+            setOpen(false);
+          }}
+          aria-label={`${r} by ${c} table`}
+          className={`h-4 w-4 rounded-sm border ${lit ? 'border-blue-500 bg-blue-100' : 'border-slate-300 bg-white'}`}
+        />
+      );
+    }
+  }
+
+  return (
+    <div ref={rootRef} className="relative">
+      <button
+        ref={buttonRef}
+        onMouseDown={(e) => e.preventDefault()}
+        onClick={() => setOpen((v) => !v)}
+        aria-label="Insert Table"
+        aria-expanded={open}
+        aria-haspopup="dialog"
+        title="Insert Table"
+        className="flex items-center gap-1.5 rounded px-2 py-1 text-xs font-medium text-slate-700 hover:bg-slate-100 transition-colors"
+      >
+        <TableIcon size={14} className="text-slate-600" /> Table <ChevronDown size={14} />
+      </button>
+      {open &&
+        pos &&
+        typeof document !== 'undefined' &&
+        createPortal(
+          <div
+            ref={popRef}
+            role="dialog"
+            aria-label="Table size"
+            style={{ position: 'fixed', left: pos.left, top: pos.top }}
+            className="z-[100] rounded-md border border-slate-200 bg-white p-2 shadow-lg"
+          >
+            <div
+              className="grid gap-0.5"
+              style={{ gridTemplateColumns: `repeat(${TABLE_PICKER_SIZE}, minmax(0, 1fr))` }}
+              onMouseLeave={() => setHover({ rows: 0, cols: 0 })}
+            >
+              {cells}
+            </div>
+            <div className="mt-1.5 text-center text-[11px] text-slate-600 tabular-nums">
+              {hover.rows && hover.cols ? `${hover.rows} × ${hover.cols}` : 'Select size'}
+            </div>
+          </div>,
+          document.body
+        )}
+    </div>
+  );
+}
+
+function CitationPicker({ entries = [], onPick, onLoad }) {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [pos, setPos] = useState(null);
+  const rootRef = useRef(null);
+  const popRef = useRef(null);
+  const buttonRef = useRef(null);
+
+  useEffect(() => {
+    const onPointerDown = (e) => {
+      if (rootRef.current && rootRef.current.contains(e.target)) return;
+      if (popRef.current && popRef.current.contains(e.target)) return;
+      setOpen(false);
+    };
+    document.addEventListener('pointerdown', onPointerDown, true);
+    return () => document.removeEventListener('pointerdown', onPointerDown, true);
+  }, []);
+
+  useLayoutEffect(() => {
+    if (!open) return;
+    const rect = buttonRef.current?.getBoundingClientRect();
+    if (rect) setPos({ left: Math.max(8, rect.left), top: rect.bottom + 6 });
+    setQuery('');
+  }, [open]);
+
+  const results = useMemo(() => searchBibEntries(entries, query), [entries, query]);
+
+  return (
+    <div ref={rootRef} className="relative">
+      <button
+        ref={buttonRef}
+        onMouseDown={(e) => e.preventDefault()}
+        onClick={() => setOpen((v) => !v)}
+        aria-label="Insert Citation"
+        aria-expanded={open}
+        aria-haspopup="dialog"
+        title="Insert Citation (\\cite{...})"
+        className="flex items-center gap-1.5 rounded px-2 py-1 text-xs font-medium text-slate-700 hover:bg-slate-100 transition-colors"
+      >
+        <BookOpen size={14} className="text-slate-600" /> Citation <ChevronDown size={14} />
+      </button>
+      {open &&
+        pos &&
+        typeof document !== 'undefined' &&
+        createPortal(
+          <div
+            ref={popRef}
+            role="dialog"
+            aria-label="Citations"
+            style={{ position: 'fixed', left: pos.left, top: pos.top }}
+            className="z-[100] w-80 rounded-md border border-slate-200 bg-white p-2 shadow-lg"
+          >
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search key, author or title"
+              aria-label="Search citations"
+              className="w-full rounded border border-slate-200 px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-blue-200"
+            />
+            <div className="mt-2 max-h-64 overflow-y-auto">
+              {results.map((entry) => (
+                <button
+                  key={entry.key}
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => {
+                    onPick?.(entry.key);
+                    setOpen(false);
+                  }}
+                  className="w-full rounded px-2 py-1.5 text-left text-xs text-slate-700 hover:bg-slate-50"
+                >
+                  <div className="font-medium font-mono text-[11px] text-blue-800">{entry.key}</div>
+                  <div className="truncate">{cleanBibValue(entry.fields?.title) || '(untitled)'}</div>
+                  <div className="truncate text-[11px] text-slate-500">
+                    {[formatAuthorsShort(entry), cleanBibValue(entry.fields?.year)].filter(Boolean).join(', ')}
+                  </div>
+                </button>
+              ))}
+              {!results.length && (
+                <div className="px-2 py-3 text-center text-[11px] text-slate-500">
+                  {entries.length ? 'No matching entries' : 'No bibliography loaded'}
+                </div>
+              )}
+            </div>
+            <div className="mt-2 border-t border-slate-100 pt-2">
+              <button
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => {
+                  onLoad?.();
+                  setOpen(false);
+                }}
+                className="w-full rounded px-2 py-1 text-left text-xs font-medium text-slate-700 hover:bg-slate-50"
+              >
+                Load .bib file…
+              </button>
+            </div>
+          </div>,
+          document.body
+        )}
+    </div>
+  );
+}
+
 function MathPalette({ katexLoaded, activeGroup, onActiveGroupChange, onInsert }) {
   const groupKeys = useMemo(() => Object.keys(MATH_GROUPS), []);
   const group = MATH_GROUPS[activeGroup] || MATH_GROUPS.structures;
+  const [symbolsOpen, setSymbolsOpen] = useState(false);
 
   return (
     <div className="w-full">
@@ -212,7 +412,21 @@ function MathPalette({ katexLoaded, activeGroup, onActiveGroupChange, onInsert }
             </select>
           </label>
         </div>
+        <button
+          type="button"
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => setSymbolsOpen((v) => !v)}
+          aria-pressed={symbolsOpen}
+          className="flex items-center gap-1 rounded border border-slate-200 bg-white px-2 py-1 text-xs text-slate-700 hover:bg-slate-50"
+        >
+          <Search size={12} /> All symbols…
+        </button>
       </div>
+      {symbolsOpen &&
+        createPortal(
+          <SymbolPalette katexLoaded={katexLoaded} onInsert={onInsert} onClose={() => setSymbolsOpen(false)} />,
+          document.body
+        )}
 
       <div className="mt-2 max-h-[140px] overflow-y-auto rounded-md border border-slate-200 bg-slate-50 p-2">
         <div className={`flex flex-wrap ${activeGroup === 'multidim' ? 'gap-2' : 'gap-1'} items-center`}>
@@ -259,11 +473,14 @@ export default function RibbonToolbar({
   enableVisualTopbar,
   isMathActive,
   isInlineCodeActive = false,
+  isTableActive = false,
+  bibEntries = [],
   katexLoaded,
   zoom,
   onZoomChange,
   actions,
   onInsertMathSymbol,
+  theoremEnvironments = [],
 }) {
   const TAB_KEY = 'texure.ribbon.activeTab';
   const COLLAPSE_KEY = 'texure.ribbon.collapsed';
@@ -364,6 +581,19 @@ export default function RibbonToolbar({
   const hasInsertCode = ff.showInlineCode || ff.showCodeBlock;
   const hasInsertLayout = ff.showHSpace || ff.showVSpace || ff.showNewPage;
   const hasMedia = ff.showLink || ff.showImage;
+  const tableToolItems = [
+    { key: 'rowAbove', label: 'Insert Row Above' },
+    { key: 'rowBelow', label: 'Insert Row Below' },
+    { key: 'colLeft', label: 'Insert Column Left' },
+    { key: 'colRight', label: 'Insert Column Right' },
+    { key: 'deleteRow', label: 'Delete Row' },
+    { key: 'deleteCol', label: 'Delete Column' },
+    { key: 'merge', label: 'Merge Cells', hint: 'With the cell to the right' },
+    { key: 'alignLeft', label: 'Align Column Left' },
+    { key: 'alignCenter', label: 'Align Column Center' },
+    { key: 'alignRight', label: 'Align Column Right' },
+    { key: 'booktabs', label: 'Toggle Booktabs Rules', hint: '\\toprule / \\midrule / \\bottomrule' },
+  ];
   const tabs = [
     { key: 'home', label: 'Home' },
     { key: 'insert', label: 'Insert' },
@@ -676,6 +906,46 @@ export default function RibbonToolbar({
                 </Group>
               )}
 
+              {ff.showTable && (
+                <Group title="Table">
+                  <TablePicker onPick={(rows, cols) => actions.insertTable?.(rows, cols)} />
+                  {isTableActive && (
+                    <Menu
+                      label="Table Tools"
+                      ariaLabel="Table Tools"
+                      items={tableToolItems}
+                      onChoose={(it) => actions.tableCommand?.(it.key)}
+                    />
+                  )}
+                </Group>
+              )}
+
+              {(ff.showCitation || ff.showFootnote) && (
+                <Group title="References">
+                  {ff.showCitation && (
+                    <CitationPicker
+                      entries={bibEntries}
+                      onPick={(key) => actions.insertCitation?.(key)}
+                      onLoad={() => actions.loadBibliography?.()}
+                    />
+                  )}
+                  {ff.showFootnote && (
+                    <LabeledButton icon={Superscript} label="Footnote" title="Insert Footnote" onClick={() => actions.insertFootnote?.()} />
+                  )}
+                </Group>
+              )}
+
+              {ff.showTheorem && theoremEnvironments.length > 0 && (
+                <Group title="Theorems">
+                  <Menu
+                    label="Theorem"
+                    ariaLabel="Insert Theorem"
+                    items={theoremEnvironments.map((t) => ({ key: t.env, label: t.title, hint: `\\begin{${t.env}}` }))}
+                    onChoose={(it) => actions.insertTheorem?.(it.key)}
+                  />
+                </Group>
+              )}
+
               {hasMedia && (
                 <Group title="Media">
                   {ff.showLink && <IconButton icon={LinkIcon} onClick={actions.insertLink} title="Link" />}
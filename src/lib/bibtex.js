@@ -0,0 +1,313 @@
+// BibTeX parsing and citation formatting for the visual view
+
+import { stripComments } from './latexScan';
+
+const ACCENTS = {
+  '`': '̀',
+  "'": '́',
+  '^': '̂',
+  '~': '̃',
+  '=': '̄',
+  '.': '̇',
+  '"': '̈',
+  c: '̧',
+  u: '̆',
+  v: '̌',
+  H: '̋',
+};
+
+export const CITE_COMMANDS = ['cite', 'citep', 'citet', 'parencite', 'textcite'];
+
+// Turns a BibTeX field value into plain text (accents, dashes, braces, simple escapes).
+export const cleanBibValue = (value) => {
+  let s = String(value ?? '');
+  s = s.replace(/\\([`'^~=."cuvH])\s*\{?\\?([A-Za-z])\}?/g, (_, acc, ch) => `${ch}${ACCENTS[acc]}`);
+  s = s
+    .replace(/\\ss\b\s*/g, 'ß')
+    .replace(/\\(?:ae)\b\s*/g, 'æ')
+    .replace(/\\o\b\s*/g, 'ø')
+    .replace(/\\([&%$#_])/g, '$1')
+    .replace(/\\(?:textit|textbf|emph|textsc|textrm)\s*\{/g, '{')
+    .replace(/---/g, '—')
+    .replace(/--/g, '–')
+    .replace(/~/g, ' ')
+    .replace(/[{}]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return s.normalize('NFC');
+};
+
+const readBalanced = (src, i, open, close) => {
+  let depth = 0;
+  for (let k = i; k < src.length; k += 1) {
+    const ch = src[k];
+    if (ch === '\\') {
+      k += 1;
+      continue;
+    }
+    if (ch === open) depth += 1;
+    else if (ch === close) {
+      depth -= 1;
+      if (depth === 0) return k;
+    }
+  }
+  return -1;
+};
+
+// Parses `key = value` pairs of one entry body; values may be {braced}, "quoted", numbers or @string macros joined with #.
+const parseFields = (body, strings) => {
+  const fields = {};
+  let i = 0;
+  const n = body.length;
+  while (i < n) {
+    const m = /\s*,?\s*([A-Za-z][\w:-]*)\s*=\s*/y;
+    m.lastIndex = i;
+    const hit = m.exec(body);
+    if (!hit) break;
+    const name = hit[1].toLowerCase();
+    i = m.lastIndex;
+    const parts = [];
+    for (;;) {
+      while (i < n && /\s/.test(body[i])) i += 1;
+      if (body[i] === '{') {
+        const end = readBalanced(body, i, '{', '}');
+        if (end === -1) return fields;
+        parts.push(body.slice(i + 1, end));
+        i = end + 1;
+      } else if (body[i] === '"') {
+        let end = i + 1;
+        let depth = 0;
+        while (end < n && !(body[end] === '"' && depth === 0)) {
+          if (body[end] === '{') depth += 1;
+          else if (body[end] === '}') depth -= 1;
+          end += 1;
+        }
+        parts.push(body.slice(i + 1, end));
+        i = end + 1;
+      } else {
+        const word = /[^\s,#}]+/y;
+        word.lastIndex = i;
+        const w = word.exec(body);
+        if (!w) break;
+        const raw = w[0];
+        parts.push(Object.prototype.hasOwnProperty.call(strings, raw.toLowerCase()) ? strings[raw.toLowerCase()] : raw);
+        i = word.lastIndex;
+      }
+      while (i < n && /\s/.test(body[i])) i += 1;
+      if (body[i] === '#') {
+        i += 1;
+        continue;
+      }
+      break;
+    }
+    fields[name] = parts.join('');
+  }
+  return fields;
+};
+
+// Parses .bib text into entries `{ key, type, fields }` (raw field values, see cleanBibValue).
+export const parseBibtex = (text) => {
+  const src = String(text || '');
+  const entries = [];
+  const strings = {};
+  const re = /@([A-Za-z]+)\s*([({])/g;
+  let m;
+  while ((m = re.exec(src))) {
+    const type = m[1].toLowerCase();
+    const open = m[2];
+    const start = m.index + m[0].length - 1;
+    const end = readBalanced(src, start, open, open === '{' ? '}' : ')');
+    if (end === -1) break;
+    const body = src.slice(start + 1, end);
+    re.lastIndex = end + 1;
+    if (type === 'comment' || type === 'preamble') continue;
+    if (type === 'string') {
+      Object.assign(strings, parseFields(body, strings));
+      continue;
+    }
+    const comma = body.indexOf(',');
+    const key = (comma === -1 ? body : body.slice(0, comma)).trim();
+    if (!key) continue;
+    entries.push({ key, type, fields: comma === -1 ? {} : parseFields(body.slice(comma + 1), strings) });
+  }
+  return entries;
+};
+
+const splitTopLevel = (s, sepRe) => {
+  const out = [];
+  let depth = 0;
+  let cur = '';
+  const words = s.split(/(\s+)/);
+  for (const w of words) {
+    for (const ch of w) {
+      if (ch === '{') depth += 1;
+      else if (ch === '}') depth -= 1;
+    }
+    if (depth === 0 && sepRe.test(w)) {
+      out.push(cur.trim());
+      cur = '';
+      continue;
+    }
+    cur += w;
+  }
+  if (cur.trim()) out.push(cur.trim());
+  return out;
+};
+
+// Splits a BibTeX name list ("A and B and others") into `{ first, last }` pairs.
+export const parseNames = (value) => {
+  const raw = String(value || '').trim();
+  if (!raw) return [];
+  return splitTopLevel(raw, /^and$/i).map((name) => {
+    if (/^others$/i.test(name)) return { first: '', last: 'others' };
+    const commaParts = name.split(',').map((p) => p.trim());
+    if (commaParts.length > 1) {
+      return { first: cleanBibValue(commaParts[commaParts.length - 1]), last: cleanBibValue(commaParts[0]) };
+    }
+    const words = name.match(/\{[^}]*\}|\S+/g) || [];
+    const last = words.pop() || '';
+    return { first: cleanBibValue(words.join(' ')), last: cleanBibValue(last) };
+  });
+};
+
+const fieldOf = (entry, name) => cleanBibValue(entry?.fields?.[name] || '');
+
+const authorsOf = (entry) => parseNames(entry?.fields?.author || entry?.fields?.editor || '');
+
+export const formatAuthorsShort = (entry) => {
+  const names = authorsOf(entry);
+  if (!names.length) return entry?.key || '';
+  if (names.length === 1) return names[0].last;
+  if (names.length === 2 && names[1].last !== 'others') return `${names[0].last} and ${names[1].last}`;
+  return `${names[0].last} et al.`;
+};
+
+const formatAuthorsFull = (names) => {
+  const full = names.filter((n) => n.last !== 'others').map((n) => [n.first, n.last].filter(Boolean).join(' '));
+  const etAl = full.length < names.length ? ' et al.' : '';
+  if (full.length <= 1 || etAl) return `${full.join(', ')}${etAl}`;
+  if (full.length === 2) return `${full[0]} and ${full[1]}`;
+  return `${full.slice(0, -1).join(', ')}, and ${full[full.length - 1]}`;
+};
+
+// Reads the citation style from the preamble: author-year for natbib author-year styles or biblatex `style=authoryear`.
+export const detectCitationStyle = (latex) => {
+  const s = String(latex || '');
+  if (/\\bibliographystyle\{(?:plainnat|abbrvnat|unsrtnat|apalike|apa\w*|chicago\w*|agsm|harvard\w*|authordate\d?)\}/.test(s)) {
+    return /unsrtnat|plainnat|abbrvnat/.test(s) && /\\usepackage\[[^\]]*numbers[^\]]*\]\{natbib\}/.test(s) ? 'numeric' : 'authoryear';
+  }
+  if (/\\usepackage\[[^\]]*style\s*=\s*(?:authoryear|apa|chicago)[^\]]*\]\{biblatex\}/.test(s)) return 'authoryear';
+  return 'numeric';
+};
+
+const CITE_RE = new RegExp(`\\\\(${CITE_COMMANDS.join('|')}|nocite)\\*?\\s*(?:\\[([^\\]]*)\\])?\\s*(?:\\[([^\\]]*)\\])?\\s*\\{([^}]*)\\}`, 'g');
+
+export const citationKeysOf = (keyList) => String(keyList || '').split(',').map((k) => k.trim()).filter(Boolean);
+
+// Collects cited keys in order of first citation; numeric labels follow that order.
+export const buildCitationIndex = (latex, entries = [], style = 'numeric') => {
+  const byKey = new Map((entries || []).map((e) => [e.key, e]));
+  const order = new Map();
+  const src = stripComments(latex);
+  let m;
+  CITE_RE.lastIndex = 0;
+  while ((m = CITE_RE.exec(src))) {
+    for (const key of citationKeysOf(m[4])) {
+      if (key === '*') {
+        for (const e of entries || []) if (!order.has(e.key)) order.set(e.key, order.size + 1);
+        continue;
+      }
+      if (!order.has(key) && byKey.has(key)) order.set(key, order.size + 1);
+    }
+  }
+  return { entries: byKey, order, style };
+};
+
+// Label text for one citation command, e.g. `[1, 3]`, `(Smith, 2020)` or `Smith et al. (2020)`.
+export const formatCitation = (cmd, keys, index, { prenote = '', postnote = '' } = {}) => {
+  const style = index?.style === 'authoryear' ? 'authoryear' : 'numeric';
+  const textual = cmd === 'citet' || cmd === 'textcite';
+  const entries = keys.map((k) => index?.entries?.get(k) || null);
+  const missing = keys.filter((k, i) => !entries[i]);
+  const pre = prenote ? `${prenote} ` : '';
+  const post = postnote ? `, ${postnote}` : '';
+
+  if (style === 'numeric') {
+    const nums = keys.map((k, i) => (entries[i] ? index.order.get(k) ?? '?' : '?'));
+    if (textual) {
+      const parts = entries.map((e, i) => `${e ? formatAuthorsShort(e) : '?'} [${nums[i]}]`);
+      return { text: parts.join(', '), missing };
+    }
+    return { text: `[${pre}${nums.join(', ')}${post}]`, missing };
+  }
+
+  const parts = entries.map((e) => (e ? { who: formatAuthorsShort(e), year: fieldOf(e, 'year') || 'n.d.' } : { who: '?', year: '' }));
+  if (textual) {
+    return { text: parts.map((p) => `${p.who} (${p.year || '?'}${post})`).join(', '), missing };
+  }
+  const body = parts.map((p) => [p.who, p.year].filter(Boolean).join(', ')).join('; ');
+  if (cmd === 'cite') return { text: `${pre}${body}${post}`, missing };
+  return { text: `(${pre}${body}${post})`, missing };
+};
+
+// Plain-text reference list entry: authors, title, venue and year.
+export const formatBibEntry = (entry) => {
+  const authors = formatAuthorsFull(authorsOf(entry));
+  const title = fieldOf(entry, 'title');
+  const venue = fieldOf(entry, 'journal') || fieldOf(entry, 'booktitle') || fieldOf(entry, 'publisher') || fieldOf(entry, 'school') || fieldOf(entry, 'howpublished');
+  const volume = fieldOf(entry, 'volume');
+  const number = fieldOf(entry, 'number');
+  const pages = fieldOf(entry, 'pages');
+  const year = fieldOf(entry, 'year');
+  const details = [
+    volume ? `${volume}${number ? `(${number})` : ''}` : '',
+    pages ? (volume ? `:${pages}` : `pp. ${pages}`) : '',
+  ].join('');
+  return { authors, title, venue, details, year };
+};
+
+// Entries to list at \bibliography: cited ones (citation order for numeric, author/year order otherwise).
+export const bibliographyEntries = (index) => {
+  const listed = Array.from(index?.order?.keys() || [])
+    .map((k) => index.entries.get(k))
+    .filter(Boolean);
+  if (index?.style !== 'authoryear') return listed;
+  return listed.slice().sort((a, b) => {
+    const byName = formatAuthorsShort(a).localeCompare(formatAuthorsShort(b));
+    return byName || fieldOf(a, 'year').localeCompare(fieldOf(b, 'year'));
+  });
+};
+
+// Case-insensitive search over key, authors and title; every query word must match.
+export const searchBibEntries = (entries, query, { limit = 50 } = {}) => {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const list = entries || [];
+  const hits = words.length
+    ? list.filter((e) => {
+      const hay = [e.key, fieldOf(e, 'author'), fieldOf(e, 'editor'), fieldOf(e, 'title'), fieldOf(e, 'year')]
+        .join(' ')
+        .toLowerCase();
+      return words.every((w) => hay.includes(w));
+    })
+    : list;
+  return hits.slice(0, limit);
+};
+
+// Prepends `filecontents*` blocks so single-file compilers see the .bib files the document references.
+export const embedBibliography = (latex, bibFiles = []) => {
+  const src = String(latex || '');
+  const wanted = new Set();
+  const re = /\\(?:bibliography|addbibresource)\s*(?:\[[^\]]*\])?\s*\{([^}]*)\}/g;
+  let m;
+  while ((m = re.exec(src))) {
+    for (const name of m[1].split(',')) {
+      const base = name.trim().replace(/\.bib$/i, '');
+      if (base) wanted.add(base);
+    }
+  }
+  const blocks = (bibFiles || [])
+    .map((f) => ({ base: String(f?.name || '').replace(/^.*\//, '').replace(/\.bib$/i, ''), text: String(f?.text || '') }))
+    .filter((f) => wanted.has(f.base) && !src.includes(`{filecontents*}[overwrite]{${f.base}.bib}`))
+    .map((f) => `\\begin{filecontents*}[overwrite]{${f.base}.bib}\n${f.text.replace(/\s+$/, '')}\n\\end{filecontents*}\n`);
+  return blocks.length ? blocks.join('') + src : src;
+};
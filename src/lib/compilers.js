@@ -0,0 +1,246 @@
+// Compiler backends: a registry of ways to turn LaTeX into a PDF, tried in the user's fallback order
+
+import { compileWithWasmLatex, fetchWithTimeout, isWasmLatexEngineConfigured, readJSONSafe } from './latex';
+
+const ENABLE_RTEX = import.meta.env.VITE_ENABLE_RTEX === 'true';
+const USE_WASM_LATEX = import.meta.env.VITE_USE_WASM_LATEX === 'true';
+const ENABLE_LOCAL_TEX = import.meta.env.VITE_ENABLE_LOCAL_TEX === 'true';
+
+export const COMPILER_SETTINGS_KEY = 'texure.compilerSettings';
+
+// A backend is `{ id, label, description, isAvailable(config), background, compile(files, options) }`.
+// `background` marks backends that may run the debounced diagnostics compile: it defaults to false so
+// documents only reach a public service when the user asks for a compile.
+// `files` maps project paths to text, or to bytes (Uint8Array) for binary files such as images; `options` carries `mainFile`, `engine` (pdflatex | xelatex | lualatex),
+// `timeoutMs` and the saved `config`.
+// `compile` resolves to `{ status: 'success' | 'error' | 'unavailable', pdf: Blob | null, log: string }`;
+// it should throw only for transport failures (network, timeouts).
+const registry = new Map();
+
+export const registerCompilerBackend = (backend) => {
+  if (!backend || !backend.id || typeof backend.compile !== 'function') {
+    throw new Error('A compiler backend needs an id and a compile(files, options) function.');
+  }
+  registry.set(backend.id, { label: backend.id, description: '', isAvailable: () => true, background: false, ...backend });
+  return () => unregisterCompilerBackend(backend.id);
+};
+
+export const unregisterCompilerBackend = (id) => registry.delete(id);
+
+export const getCompilerBackend = (id) => registry.get(id) || null;
+
+export const listCompilerBackends = () => Array.from(registry.values());
+
+export const base64ToPdfBlob = (base64) => {
+  const bin = atob(String(base64 || ''));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new Blob([bytes], { type: 'application/pdf' });
+};
+
+const bytesToBase64 = (bytes) => {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+};
+
+const isPdfResponse = (res) => !!res?.headers?.get?.('content-type')?.includes('pdf');
+
+const mainTextOf = (files, mainFile) => String(files?.[mainFile] ?? '');
+
+registerCompilerBackend({
+  id: 'wasm',
+  label: 'In-browser (WASM)',
+  description: 'Compiles locally with a WebAssembly TeX engine (VITE_WASM_LATEX_MODULE or a global SwiftLaTeX).',
+  isAvailable: () => isWasmLatexEngineConfigured(),
+  background: true,
+  compile: async (files, { mainFile, engine }) => {
+    try {
+      const pdf = await compileWithWasmLatex(mainTextOf(files, mainFile), { engine });
+      if (pdf && pdf.size > 0) return { status: 'success', pdf, log: '' };
+      return { status: 'error', pdf: null, log: 'The WASM engine did not return a PDF.' };
+    } catch (e) {
+      const log = String(e?.message || e || '');
+      if (/no wasm latex engine configured|configured wasm module not found/i.test(log)) {
+        return { status: 'unavailable', pdf: null, log };
+      }
+      return { status: 'error', pdf: null, log: log || 'WASM LaTeX compile failed.' };
+    }
+  },
+});
+
+registerCompilerBackend({
+  id: 'latexonline',
+  label: 'latexonline.cc',
+  description: 'Public compile service, reached through the /api/latexonline dev proxy.',
+  compile: async (files, { mainFile, engine, timeoutMs }) => {
+    const command = engine && engine !== 'pdflatex' ? `&command=${encodeURIComponent(engine)}` : '';
+    const res = await fetchWithTimeout(
+      `/api/latexonline/compile?text=${encodeURIComponent(mainTextOf(files, mainFile))}${command}`,
+      { method: 'GET' },
+      timeoutMs
+    );
+    if (res.ok && isPdfResponse(res)) {
+      const pdf = await res.blob();
+      if (pdf && pdf.size > 0) return { status: 'success', pdf, log: '' };
+    }
+    const log = await res.text().catch(() => '');
+    return { status: 'error', pdf: null, log: log || `latexonline.cc responded with HTTP ${res.status}.` };
+  },
+});
+
+registerCompilerBackend({
+  id: 'rtex',
+  label: 'RTeX',
+  description: 'rtex.probably.rocks through the /api/rtex dev proxy (needs VITE_ENABLE_RTEX=true).',
+  isAvailable: () => ENABLE_RTEX,
+  // VITE_ENABLE_RTEX is the opt-in: RTeX has always run background diagnostics when enabled.
+  background: true,
+  compile: async (files, { mainFile, engine, timeoutMs }) => {
+    const res = await fetchWithTimeout(
+      '/api/rtex/api/v2',
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          code: mainTextOf(files, mainFile),
+          format: 'pdf',
+          ...(engine && engine !== 'pdflatex' ? { compiler: engine } : {}),
+        }),
+      },
+      timeoutMs
+    );
+    const data = await readJSONSafe(res);
+    if (data?.status === 'success' && data?.result) {
+      return { status: 'success', pdf: base64ToPdfBlob(data.result), log: data.log || '' };
+    }
+    const log = data?.log || data?.error || data?.message || (typeof data === 'string' ? data : '');
+    return { status: 'error', pdf: null, log: log || 'Compiler did not return details.' };
+  },
+});
+
+// Compile-server protocol shared by the bundled local server and self-hosted URLs.
+// Request: POST JSON `{ mainFile, files, engine }`, binary files as `{ base64 }`. Response: a PDF body, or JSON
+// `{ status, pdf (base64), log }`.
+const postProject = async (endpoint, files, { mainFile, engine = 'pdflatex', timeoutMs }) => {
+  const payload = Object.fromEntries(
+    Object.entries(files || {}).map(([path, content]) => [path, typeof content === 'string' ? content : { base64: bytesToBase64(content) }])
+  );
+  const res = await fetchWithTimeout(
+    endpoint,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ mainFile, files: payload, engine }),
+    },
+    timeoutMs
+  );
+  if (res.ok && isPdfResponse(res)) {
+    return { status: 'success', pdf: await res.blob(), log: '' };
+  }
+  const data = await readJSONSafe(res);
+  if (data?.status === 'success' && data?.pdf) {
+    return { status: 'success', pdf: base64ToPdfBlob(data.pdf), log: data.log || '' };
+  }
+  const log = data?.log || data?.error || data?.message || (typeof data === 'string' ? data : '');
+  return { status: 'error', pdf: null, log: log || `Compile server responded with HTTP ${res.status}.` };
+};
+
+registerCompilerBackend({
+  id: 'local',
+  label: 'Local TeX Live',
+  description: 'latexmk on this machine via scripts/compile-server.cjs, mounted at /api/compile (needs VITE_ENABLE_LOCAL_TEX=true).',
+  isAvailable: () => ENABLE_LOCAL_TEX,
+  background: true,
+  compile: (files, options) => postProject('/api/compile', files, options),
+});
+
+registerCompilerBackend({
+  id: 'url',
+  label: 'Self-hosted server',
+  description: 'POSTs the project files to a compile server URL of your choice.',
+  isAvailable: (config) => !!String(config?.url || '').trim(),
+  compile: (files, options) => postProject(String(options.config.url).trim(), files, options),
+});
+
+// Mirrors the old env-driven chain: WASM only on static hosting, latexonline.cc otherwise, RTeX when enabled.
+// A local TeX Live server, when enabled, goes first so documents stay on the machine.
+export const defaultCompilerSettings = () => ({
+  order: [
+    ...(ENABLE_LOCAL_TEX ? ['local'] : []),
+    ...(USE_WASM_LATEX ? ['wasm'] : ENABLE_LOCAL_TEX ? [] : ['latexonline']),
+    ...(ENABLE_RTEX ? ['rtex'] : []),
+  ],
+  url: '',
+});
+
+// `order` lists the enabled backends, primary first; unknown ids are dropped.
+export const normalizeCompilerSettings = (raw) => {
+  const defaults = defaultCompilerSettings();
+  const order = Array.isArray(raw?.order) ? raw.order.filter((id, i, all) => registry.has(id) && all.indexOf(id) === i) : defaults.order;
+  return { order, url: typeof raw?.url === 'string' ? raw.url : defaults.url };
+};
+
+export const loadCompilerSettings = () => {
+  try {
+    const raw = localStorage.getItem(COMPILER_SETTINGS_KEY);
+    return normalizeCompilerSettings(raw ? JSON.parse(raw) : null);
+  } catch {
+    return defaultCompilerSettings();
+  }
+};
+
+export const saveCompilerSettings = (settings) => {
+  try {
+    localStorage.setItem(COMPILER_SETTINGS_KEY, JSON.stringify(normalizeCompilerSettings(settings)));
+  } catch { /* ignore */ }
+};
+
+// Tries each enabled backend in order until one returns a PDF. Resolves to `{ status, pdf, log, backend, attempts }`:
+// on failure `log` is the first compiler log (a TeX error beats a later network failure), and `status` is
+// 'unavailable' when no backend could run at all. With `background`, backends not marked `background` are skipped.
+export const compileWithBackends = async (
+  files,
+  { settings, mainFile = 'main.tex', engine = 'pdflatex', timeoutMs = 20000, background = false } = {}
+) => {
+  const { order: enabled, url } = normalizeCompilerSettings(settings);
+  const order = background ? enabled.filter((id) => registry.get(id).background) : enabled;
+  const config = { url };
+  const attempts = [];
+  let failure = null;
+  let transportError = '';
+  for (const id of order) {
+    const backend = registry.get(id);
+    if (!backend.isAvailable(config)) {
+      attempts.push({ backend: id, status: 'unavailable', log: '' });
+      continue;
+    }
+    let result;
+    try {
+      result = await backend.compile(files, { mainFile, engine, timeoutMs, config });
+    } catch (e) {
+      const log = `${backend.label}: ${String(e?.message || e || 'request failed')}`;
+      transportError = transportError || log;
+      attempts.push({ backend: id, status: 'error', log });
+      continue;
+    }
+    attempts.push({ backend: id, status: result.status, log: result.log || '' });
+    if (result.status === 'success' && result.pdf && result.pdf.size > 0) {
+      return { status: 'success', pdf: result.pdf, log: result.log || '', backend: id, attempts };
+    }
+    if (result.status === 'error' && !failure) failure = { log: result.log || '', backend: id };
+  }
+  if (failure) return { status: 'error', pdf: null, log: failure.log, backend: failure.backend, attempts };
+  if (transportError) return { status: 'error', pdf: null, log: transportError, backend: null, attempts };
+  const why = attempts.map((a) => a.log).find(Boolean);
+  const none = background && order.length < enabled.length
+    ? 'Background diagnostics only use local backends (WASM, local TeX Live, or RTeX when enabled). Use Compile to check with the other backends.'
+    : 'No compiler backend is available. Enable one in File → Compiler Settings….';
+  return {
+    status: 'unavailable',
+    pdf: null,
+    log: why || none,
+    backend: null,
+    attempts,
+  };
+};
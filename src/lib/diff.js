@@ -0,0 +1,108 @@
+// Line diffs for comparing document versions (crash recovery, history)
+
+// Above this many cells in the LCS table the changed region is reported as one replacement block.
+const MAX_LCS_CELLS = 4_000_000;
+
+const splitLines = (text) => String(text ?? '').split(/\r?\n/);
+
+// Diffs two texts line by line. Returns `[{ type: 'equal' | 'delete' | 'insert', text }]` in document
+// order, deletions before insertions within a change.
+export const diffLines = (before, after) => {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = a.slice(0, start).map((text) => ({ type: 'equal', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n && m && (n + 1) * (m + 1) <= MAX_LCS_CELLS) {
+    // lcs[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+    const lcs = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * (m + 1) + j] =
+          midA[i] === midB[j]
+            ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+            : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        ops.push({ type: 'equal', text: midA[i] });
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+        ops.push({ type: 'delete', text: midA[i++] });
+      } else {
+        ops.push({ type: 'insert', text: midB[j++] });
+      }
+    }
+    while (i < n) ops.push({ type: 'delete', text: midA[i++] });
+    while (j < m) ops.push({ type: 'insert', text: midB[j++] });
+  } else {
+    midA.forEach((text) => ops.push({ type: 'delete', text }));
+    midB.forEach((text) => ops.push({ type: 'insert', text }));
+  }
+
+  a.slice(endA).forEach((text) => ops.push({ type: 'equal', text }));
+  return ops;
+};
+
+export const countDiffChanges = (ops) => ({
+  inserted: ops.filter((op) => op.type === 'insert').length,
+  deleted: ops.filter((op) => op.type === 'delete').length,
+});
+
+// Groups changes into hunks: `[{ start, end }]` index ranges into `ops` that include up to `context`
+// unchanged lines on each side. Changes closer than 2 * context lines share a hunk.
+export const diffHunks = (ops, context = 3) => {
+  const hunks = [];
+  ops.forEach((op, idx) => {
+    if (op.type === 'equal') return;
+    const start = Math.max(0, idx - context);
+    const end = Math.min(ops.length, idx + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) last.end = Math.max(last.end, end);
+    else hunks.push({ start, end });
+  });
+  return hunks;
+};
+
+// Keeps `context` unchanged lines around each change and collapses the rest into
+// `{ type: 'skip', count }` entries. Returns [] when the texts are identical.
+export const collapseDiff = (ops, context = 3) => {
+  const hunks = diffHunks(ops, context);
+  if (!hunks.length) return [];
+  const out = [];
+  let pos = 0;
+  for (const { start, end } of hunks) {
+    if (start > pos) out.push({ type: 'skip', count: start - pos });
+    out.push(...ops.slice(start, end));
+    pos = end;
+  }
+  if (pos < ops.length) out.push({ type: 'skip', count: ops.length - pos });
+  return out;
+};
+
+// Rebuilds the "after" text with one hunk taken from the "before" side, i.e. undoes that hunk's changes.
+export const revertHunk = (ops, hunk) =>
+  ops
+    .filter((op, idx) => {
+      const inside = idx >= hunk.start && idx < hunk.end;
+      return op.type === 'equal' || op.type === (inside ? 'delete' : 'insert');
+    })
+    .map((op) => op.text)
+    .join('\n');
@@ -0,0 +1,379 @@
+// Document settings: the class, page geometry, line spacing, font and package list read from the preamble
+// as a model, and written back with minimal edits (comments, ordering and unrelated lines are kept)
+
+import { maskComments, readBraceGroup, readBracketGroup } from './latexScan';
+
+export const DOCUMENT_CLASSES = ['article', 'report', 'book', 'letter', 'memoir', 'amsart', 'scrartcl', 'beamer'];
+
+export const FONT_SIZES = ['10pt', '11pt', '12pt'];
+
+export const PAPER_SIZES = [
+  { value: 'letterpaper', label: 'US Letter', width: '8.5in', height: '11in' },
+  { value: 'a4paper', label: 'A4', width: '210mm', height: '297mm' },
+  { value: 'a5paper', label: 'A5', width: '148mm', height: '210mm' },
+  { value: 'b5paper', label: 'B5', width: '176mm', height: '250mm' },
+  { value: 'legalpaper', label: 'US Legal', width: '8.5in', height: '14in' },
+  { value: 'executivepaper', label: 'Executive', width: '7.25in', height: '10.5in' },
+];
+
+// setspace commands; single spacing is LaTeX's default and needs no command.
+export const LINE_SPACINGS = [
+  { value: 'single', label: 'Single', command: '' },
+  { value: 'onehalf', label: '1.5 lines', command: '\\onehalfspacing' },
+  { value: 'double', label: 'Double', command: '\\doublespacing' },
+];
+
+export const FONT_PACKAGES = [
+  { value: '', label: 'Computer Modern (default)' },
+  { value: 'lmodern', label: 'Latin Modern' },
+  { value: 'mathptmx', label: 'Times' },
+  { value: 'mathpazo', label: 'Palatino' },
+  { value: 'charter', label: 'Charter' },
+  { value: 'libertine', label: 'Linux Libertine' },
+  { value: 'fourier', label: 'Utopia (Fourier)' },
+  { value: 'kpfonts', label: 'Kp-Fonts' },
+];
+
+export const MARGIN_SIDES = ['top', 'bottom', 'left', 'right'];
+
+// Packages the dialog manages through its own fields; they are left out of the package list.
+const MANAGED_PACKAGES = new Set(['geometry', 'setspace']);
+const FONT_PACKAGE_NAMES = new Set(FONT_PACKAGES.map((f) => f.value).filter(Boolean));
+const PAPER_NAMES = new Set(PAPER_SIZES.map((p) => p.value));
+const FONT_SIZE_RE = /^\d+(?:\.\d+)?pt$/;
+const SPACING_RE = /\\(?:singlespacing|onehalfspacing|doublespacing)\b|\\setstretch\s*\{[^}]*\}/g;
+
+// geometry keys for each side, most specific last.
+const MARGIN_KEYS = {
+  top: ['margin', 'vmargin', 'tmargin', 'top'],
+  bottom: ['margin', 'vmargin', 'bmargin', 'bottom'],
+  left: ['margin', 'hmargin', 'lmargin', 'inner', 'left'],
+  right: ['margin', 'hmargin', 'rmargin', 'outer', 'right'],
+};
+const ALL_MARGIN_KEYS = new Set(Object.values(MARGIN_KEYS).flat());
+
+// Splits `a4paper, margin={1in}` on top-level commas.
+const splitOptions = (text) => {
+  const out = [];
+  let depth = 0;
+  let cur = '';
+  for (const ch of String(text || '')) {
+    if (ch === '{') depth += 1;
+    else if (ch === '}') depth -= 1;
+    if (ch === ',' && depth === 0) {
+      out.push(cur);
+      cur = '';
+    } else cur += ch;
+  }
+  out.push(cur);
+  return out.map((o) => o.trim()).filter(Boolean);
+};
+
+// Joins options the way the original list was written (`a,b` or `a, b`).
+const joinOptions = (list, original = '') => list.join(/,\s/.test(original) ? ', ' : ',');
+
+const keyOf = (option) => option.split('=')[0].trim();
+const valueOf = (option) => {
+  const idx = option.indexOf('=');
+  return idx === -1 ? '' : option.slice(idx + 1).trim().replace(/^\{([\s\S]*)\}$/, '$1');
+};
+
+// `\name[options]{arg}` occurrences outside comments: `[{ start, end, options, optStart, optEnd, arg, argStart, argEnd }]`.
+// `optStart`/`optEnd` span the brackets' content (null without options).
+const findCommands = (src, name) => {
+  const masked = maskComments(src);
+  const out = [];
+  const re = new RegExp(`\\\\${name}\\b`, 'g');
+  let m;
+  while ((m = re.exec(masked))) {
+    let j = m.index + m[0].length;
+    const opt = readBracketGroup(masked, j);
+    if (opt && !/\S/.test(masked.slice(j, opt.start))) j = opt.end;
+    const arg = readBraceGroup(masked, j);
+    if (!arg) continue;
+    const hasOpt = opt && opt.end === j;
+    out.push({
+      start: m.index,
+      end: arg.end,
+      options: hasOpt ? src.slice(opt.start + 1, opt.end - 1) : null,
+      optStart: hasOpt ? opt.start + 1 : null,
+      optEnd: hasOpt ? opt.end - 1 : null,
+      arg: src.slice(arg.start + 1, arg.end - 1),
+      argStart: arg.start + 1,
+      argEnd: arg.end - 1,
+    });
+    re.lastIndex = arg.end;
+  }
+  return out;
+};
+
+const findUsePackages = (src) =>
+  findCommands(src, 'usepackage').map((u) => ({ ...u, names: u.arg.split(',').map((n) => n.trim()).filter(Boolean) }));
+
+const findGeometryCommands = (src) => findCommands(src, 'geometry').map((g) => ({ ...g, options: g.arg, optStart: g.argStart, optEnd: g.argEnd }));
+
+// Where geometry options live: the \usepackage[...]{geometry} line, then any \geometry{...} commands.
+const geometrySources = (src) => {
+  const use = findUsePackages(src).find((u) => u.names.includes('geometry'));
+  return [...(use ? [{ ...use, kind: 'usepackage' }] : []), ...findGeometryCommands(src).map((g) => ({ ...g, kind: 'command' }))];
+};
+
+const replaceRange = (src, start, end, text) => src.slice(0, start) + text + src.slice(end);
+
+// Removes `start..end`, and its line when nothing else is left on it.
+const removeRange = (src, start, end) => {
+  const lineStart = src.lastIndexOf('\n', start - 1) + 1;
+  let lineEnd = src.indexOf('\n', end);
+  if (lineEnd === -1) lineEnd = src.length;
+  if (!/\S/.test(src.slice(lineStart, start)) && !/\S/.test(src.slice(end, lineEnd))) {
+    return src.slice(0, lineStart) + src.slice(Math.min(lineEnd + 1, src.length));
+  }
+  return src.slice(0, start) + src.slice(end);
+};
+
+const insertBeforeBeginDocument = (src, line) => {
+  const idx = src.indexOf('\\begin{document}');
+  if (idx === -1) return `${src.trimEnd()}\n${line}\n`;
+  return src.slice(0, idx) + `${line}\n` + src.slice(idx);
+};
+
+const usePackageLine = (name, options) => `\\usepackage${options ? `[${options}]` : ''}{${name}}`;
+
+// Reads the preamble (anything before `\begin{document}` is used) into
+// `{ documentClass, fontSize, paper, twoColumn, margins: { top, bottom, left, right }, lineSpacing, fontPackage, packages }`.
+// Unset values are ''; `packages` is `[{ name, options }]` without the ones the other fields manage.
+export const readDocumentSettings = (latex) => {
+  const full = String(latex || '');
+  const beginIdx = full.indexOf('\\begin{document}');
+  const src = beginIdx === -1 ? full : full.slice(0, beginIdx);
+
+  const cls = findCommands(src, 'documentclass')[0];
+  const classOptions = splitOptions(cls?.options);
+  const uses = findUsePackages(src);
+
+  const margins = { top: '', bottom: '', left: '', right: '' };
+  let paper = classOptions.find((o) => PAPER_NAMES.has(o)) || '';
+  for (const g of geometrySources(src)) {
+    for (const option of splitOptions(g.options)) {
+      const key = keyOf(option);
+      if (PAPER_NAMES.has(key)) paper = key;
+      else if (key === 'paper' && PAPER_NAMES.has(valueOf(option))) paper = valueOf(option);
+      // Later keys override earlier ones, as in geometry itself.
+      for (const side of MARGIN_SIDES) {
+        if (MARGIN_KEYS[side].includes(key)) margins[side] = valueOf(option);
+      }
+    }
+  }
+
+  const spacing = Array.from(maskComments(src).matchAll(SPACING_RE)).pop()?.[0] || '';
+  const lineSpacing = LINE_SPACINGS.find((l) => l.command && spacing === l.command)?.value || 'single';
+
+  const fontPackage = uses.flatMap((u) => u.names).find((n) => FONT_PACKAGE_NAMES.has(n)) || '';
+  const packages = uses.flatMap((u) =>
+    u.names
+      .filter((n) => !MANAGED_PACKAGES.has(n) && n !== fontPackage)
+      .map((name) => ({ name, options: u.names.length === 1 ? (u.options || '').trim() : '' })),
+  );
+
+  return {
+    documentClass: cls ? cls.arg.trim() : '',
+    fontSize: classOptions.find((o) => FONT_SIZE_RE.test(o)) || '',
+    paper,
+    twoColumn: classOptions.includes('twocolumn'),
+    margins,
+    lineSpacing,
+    fontPackage,
+    packages,
+  };
+};
+
+// Sets (or with '' removes) the class option matched by `match`, keeping its position.
+const setOption = (options, match, value) => {
+  const idx = options.findIndex(match);
+  if (idx === -1) return value ? [...options, value] : options;
+  return value ? options.map((o, i) => (i === idx ? value : o)) : options.filter((_, i) => i !== idx);
+};
+
+const hasMarginOptions = (g) => splitOptions(g.options).some((o) => ALL_MARGIN_KEYS.has(keyOf(o)));
+const isPaperOption = (o) => PAPER_NAMES.has(keyOf(o)) || keyOf(o) === 'paper';
+
+const paperInGeometry = (src) => geometrySources(src).some((g) => splitOptions(g.options).some(isPaperOption));
+
+const writeDocumentClass = (src, next, cur) => {
+  const cls = findCommands(src, 'documentclass')[0];
+  let options = splitOptions(cls?.options);
+  options = setOption(options, (o) => FONT_SIZE_RE.test(o), next.fontSize);
+  if (next.paper !== cur.paper && !paperInGeometry(src)) options = setOption(options, (o) => PAPER_NAMES.has(o), next.paper);
+  options = setOption(options, (o) => o === 'twocolumn', next.twoColumn ? 'twocolumn' : '');
+  const optionText = options.length ? `[${joinOptions(options, cls?.options || '')}]` : '';
+  const line = `\\documentclass${optionText}{${next.documentClass || cur.documentClass || 'article'}}`;
+  if (!cls) return `${line}\n${src}`;
+  return replaceRange(src, cls.start, cls.end, line);
+};
+
+// `margin=1in` when all sides match, otherwise one key per set side.
+const marginOptions = (margins) => {
+  const values = MARGIN_SIDES.map((side) => String(margins?.[side] || '').trim());
+  if (values.every((v) => v && v === values[0])) return [`margin=${values[0]}`];
+  return MARGIN_SIDES.map((side, i) => (values[i] ? `${side}=${values[i]}` : '')).filter(Boolean);
+};
+
+// Replaces the options of one geometry source. Sources left without options only restore the defaults, so they go.
+const setGeometryOptions = (src, g, options) => {
+  if (!options.length && g.kind === 'command') return removeRange(src, g.start, g.end);
+  if (g.kind === 'usepackage') {
+    if (!options.length && g.names.length === 1 && !findGeometryCommands(src).length) return removeRange(src, g.start, g.end);
+    if (g.optStart == null) {
+      const at = g.start + '\\usepackage'.length;
+      return replaceRange(src, at, at, `[${joinOptions(options)}]`);
+    }
+  }
+  return replaceRange(src, g.optStart, g.optEnd, joinOptions(options, g.options));
+};
+
+const writeMargins = (src, margins) => {
+  const sources = geometrySources(src);
+  const target = [...sources].reverse().find(hasMarginOptions) || sources[0];
+  const wanted = marginOptions(margins);
+  if (!target) return wanted.length ? insertBeforeBeginDocument(src, usePackageLine('geometry', joinOptions(wanted))) : src;
+
+  const options = splitOptions(target.options);
+  const first = options.findIndex((o) => ALL_MARGIN_KEYS.has(keyOf(o)));
+  const rest = options.filter((o) => !ALL_MARGIN_KEYS.has(keyOf(o)));
+  const at = first === -1 ? rest.length : options.slice(0, first).filter((o) => !ALL_MARGIN_KEYS.has(keyOf(o))).length;
+  let out = setGeometryOptions(src, target, [...rest.slice(0, at), ...wanted, ...rest.slice(at)]);
+  // Margin keys in earlier sources go too, so the page gets exactly the margins asked for.
+  for (const g of sources.slice(0, sources.indexOf(target)).reverse()) {
+    if (hasMarginOptions(g)) out = setGeometryOptions(out, g, splitOptions(g.options).filter((o) => !ALL_MARGIN_KEYS.has(keyOf(o))));
+  }
+  return out;
+};
+
+const writeGeometryPaper = (src, paper) => {
+  const g = [...geometrySources(src)].reverse().find((s) => splitOptions(s.options).some(isPaperOption));
+  if (!g) return src;
+  const options = splitOptions(g.options);
+  const idx = options.findIndex(isPaperOption);
+  const value = paper ? (keyOf(options[idx]) === 'paper' ? `paper=${paper}` : paper) : '';
+  return setGeometryOptions(src, g, value ? options.map((o, i) => (i === idx ? value : o)) : options.filter((_, i) => i !== idx));
+};
+
+const writeGeometry = (src, next, cur) => {
+  let out = src;
+  if (MARGIN_SIDES.some((side) => (next.margins?.[side] || '') !== cur.margins[side])) out = writeMargins(out, next.margins);
+  if ((next.paper || '') !== cur.paper && paperInGeometry(out)) out = writeGeometryPaper(out, next.paper);
+  return out;
+};
+
+const writeLineSpacing = (src, next) => {
+  const command = LINE_SPACINGS.find((l) => l.value === next.lineSpacing)?.command || '';
+  const masked = maskComments(src.slice(0, src.indexOf('\\begin{document}') === -1 ? src.length : src.indexOf('\\begin{document}')));
+  const last = Array.from(masked.matchAll(SPACING_RE)).pop();
+  if (last) {
+    const end = last.index + last[0].length;
+    return command ? replaceRange(src, last.index, end, command) : removeRange(src, last.index, end);
+  }
+  if (!command) return src;
+  let out = src;
+  if (!findUsePackages(out).some((u) => u.names.includes('setspace'))) out = insertBeforeBeginDocument(out, usePackageLine('setspace'));
+  return insertBeforeBeginDocument(out, command);
+};
+
+// Removes `name` from its \usepackage line (the whole line when it is the only package).
+const removePackage = (src, name) => {
+  const use = findUsePackages(src).find((u) => u.names.includes(name));
+  if (!use) return src;
+  if (use.names.length === 1) return removeRange(src, use.start, use.end);
+  return replaceRange(src, use.argStart, use.argEnd, use.names.filter((n) => n !== name).join(','));
+};
+
+// Sets the options of `name`; packages sharing a line with others get a line of their own.
+const setPackageOptions = (src, name, options) => {
+  const use = findUsePackages(src).find((u) => u.names.includes(name));
+  if (!use) return insertBeforeBeginDocument(src, usePackageLine(name, options));
+  if (use.names.length > 1) {
+    const line = usePackageLine(name, options);
+    const out = removePackage(src, name);
+    const after = findUsePackages(out).find((u) => u.start === use.start);
+    return after ? replaceRange(out, after.end, after.end, `\n${line}`) : insertBeforeBeginDocument(out, line);
+  }
+  if (use.optStart == null) {
+    const at = use.start + '\\usepackage'.length;
+    return options ? replaceRange(src, at, at, `[${options}]`) : src;
+  }
+  return options ? replaceRange(src, use.optStart, use.optEnd, options) : replaceRange(src, use.optStart - 1, use.optEnd + 1, '');
+};
+
+const writeFontPackage = (src, next, cur) => {
+  if (!cur.fontPackage) return insertBeforeBeginDocument(src, usePackageLine(next.fontPackage));
+  const use = findUsePackages(src).find((u) => u.names.includes(cur.fontPackage));
+  if (!next.fontPackage) return removePackage(src, cur.fontPackage);
+  if (use.names.length === 1) return replaceRange(src, use.start, use.end, usePackageLine(next.fontPackage));
+  return replaceRange(src, use.argStart, use.argEnd, use.names.map((n) => (n === cur.fontPackage ? next.fontPackage : n)).join(','));
+};
+
+const writePackages = (src, next, cur) => {
+  const wanted = new Map();
+  for (const p of next.packages || []) {
+    const name = String(p?.name || '').trim();
+    if (name) wanted.set(name, String(p.options || '').trim());
+  }
+  let out = src;
+  for (const p of cur.packages) {
+    if (!wanted.has(p.name)) out = removePackage(out, p.name);
+    else if (wanted.get(p.name) !== p.options) out = setPackageOptions(out, p.name, wanted.get(p.name));
+  }
+  const existing = new Set(findUsePackages(out).flatMap((u) => u.names));
+  for (const [name, options] of wanted) {
+    if (!existing.has(name)) out = insertBeforeBeginDocument(out, usePackageLine(name, options));
+  }
+  return out;
+};
+
+// Applies `next` (a model as returned by readDocumentSettings) to the preamble. Only settings that differ
+// from what the preamble has are rewritten; everything else, including comments, is left as it was.
+export const applyDocumentSettings = (preambleWithBeginDoc, next) => {
+  const src = String(preambleWithBeginDoc || '');
+  const cur = readDocumentSettings(src);
+  let out = src;
+  const samePackages =
+    JSON.stringify(cur.packages) === JSON.stringify((next.packages || []).filter((p) => String(p?.name || '').trim()).map((p) => ({ name: p.name.trim(), options: String(p.options || '').trim() })));
+  if (!samePackages) out = writePackages(out, next, cur);
+  if ((next.fontPackage || '') !== cur.fontPackage) out = writeFontPackage(out, next, cur);
+  out = writeGeometry(out, next, readDocumentSettings(out));
+  if ((next.lineSpacing || 'single') !== cur.lineSpacing) out = writeLineSpacing(out, next);
+  if (
+    (next.documentClass || cur.documentClass) !== cur.documentClass ||
+    (next.fontSize || '') !== cur.fontSize ||
+    ((next.paper || '') !== cur.paper && !paperInGeometry(out)) ||
+    !!next.twoColumn !== cur.twoColumn
+  ) {
+    out = writeDocumentClass(out, next, cur);
+  }
+  return out;
+};
+
+// Applies `next` to a whole document: the preamble is rewritten as above, the body is kept.
+export const writeDocumentSettings = (latex, next) => {
+  const src = String(latex || '');
+  const m = src.match(/[\s\S]*?\\begin\{document\}/);
+  const preamble = m ? m[0] : src;
+  return applyDocumentSettings(preamble, next) + src.slice(preamble.length);
+};
+
+// A TeX length as CSS (`2.5cm`, `1in`, `72bp`), or null when it has no fixed CSS equivalent.
+export const texLengthToCss = (length) => {
+  const m = String(length || '').trim().match(/^(\d*\.?\d+)\s*(in|cm|mm|pt|bp|pc|em|ex)$/);
+  if (!m) return null;
+  // A TeX bp is the CSS pt (1/72 in).
+  return `${m[1]}${m[2] === 'bp' ? 'pt' : m[2]}`;
+};
+
+// Page size and margins for the visual page: `{ width, height, margins: { top, bottom, left, right } }`
+// as CSS lengths, null where the document keeps the defaults.
+export const pageLayoutOf = (settings) => {
+  const paper = PAPER_SIZES.find((p) => p.value === settings?.paper);
+  const margins = {};
+  for (const side of MARGIN_SIDES) margins[side] = texLengthToCss(settings?.margins?.[side]);
+  return { width: paper?.width || null, height: paper?.height || null, margins };
+};
@@ -0,0 +1,262 @@
+// LaTeX figure / subfigure floats <-> HTML <figure> helpers
+
+import { escapeAttr, findEnvironmentEnd, readBraceGroup, readBracketGroup } from './latexScan';
+
+// Float placements offered when inserting a figure; [H] needs the float package.
+export const FIGURE_PLACEMENTS = [
+  { value: 'htbp', label: 'Best fit [htbp]' },
+  { value: 'h', label: 'Here [h]' },
+  { value: 't', label: 'Top of page [t]' },
+  { value: 'b', label: 'Bottom of page [b]' },
+  { value: 'p', label: 'Own page [p]' },
+  { value: 'H', label: 'Exactly here [H]' },
+];
+
+// Spacing commands that separate subfigures; kept as chips between them.
+const GAP_RE = /\\(?:hfill|qquad|quad)\b/g;
+
+// Blanks out nested subfigure/minipage bodies (same length) so searches only see the float's own level.
+const maskNested = (src) => {
+  let out = src;
+  const re = /\\begin\{(subfigure|minipage)\}/g;
+  let m;
+  while ((m = re.exec(out))) {
+    const endIdx = findEnvironmentEnd(out, m[1], m.index + m[0].length);
+    if (endIdx === -1) break;
+    const end = endIdx + `\\end{${m[1]}}`.length;
+    out = out.slice(0, m.index) + ' '.repeat(end - m.index) + out.slice(end);
+    re.lastIndex = end;
+  }
+  return out;
+};
+
+const cutRanges = (src, ranges, from = 0, to = src.length) => {
+  let out = '';
+  let i = from;
+  for (const r of ranges) {
+    if (r.end <= from || r.start >= to) continue;
+    out += src.slice(i, Math.max(i, r.start));
+    i = Math.max(i, r.end);
+  }
+  return out + src.slice(i, Math.max(i, to));
+};
+
+// `0.45\textwidth` -> `45%`; other widths have no CSS equivalent.
+const widthToPercent = (width) => {
+  const m = String(width || '').trim().match(/^(\d*\.?\d+)?\s*\\(?:textwidth|linewidth|columnwidth)$/);
+  if (!m) return null;
+  const frac = m[1] ? Number(m[1]) : 1;
+  return Number.isFinite(frac) && frac > 0 ? `${Math.round(frac * 1000) / 10}%` : null;
+};
+
+// Splits a float body into `{ caption, shortCaption, captionStart, captionEnd, labels, centering, body, captionPosition }`;
+// `captionStart..captionEnd` is the \caption command in `inner` (-1 without one).
+const parseFloatBody = (inner) => {
+  const masked = maskNested(inner);
+  const ranges = [];
+
+  const capMatch = /\\caption\b/.exec(masked);
+  let caption = null;
+  let shortCaption = null;
+  let capIdx = -1;
+  let capEnd = -1;
+  if (capMatch) {
+    let j = capMatch.index + capMatch[0].length;
+    const opt = readBracketGroup(inner, j);
+    if (opt && !/\S/.test(inner.slice(j, opt.start))) j = opt.end;
+    const cap = readBraceGroup(inner, j);
+    if (cap) {
+      capIdx = capMatch.index;
+      capEnd = cap.end;
+      caption = cap.content;
+      shortCaption = opt && opt.end <= cap.start ? opt.content : null;
+      ranges.push({ start: capIdx, end: capEnd });
+    }
+  }
+  const labels = [];
+  for (const m of masked.matchAll(/\\label\s*\{([^}]*)\}/g)) {
+    // Labels written inside the caption stay part of it.
+    if (m.index > capIdx && m.index < capEnd) continue;
+    if (m[1].trim()) labels.push(m[1].trim());
+    ranges.push({ start: m.index, end: m.index + m[0].length });
+  }
+  let centering = false;
+  for (const m of masked.matchAll(/\\centering\b[ \t]*/g)) {
+    centering = true;
+    ranges.push({ start: m.index, end: m.index + m[0].length });
+  }
+  ranges.sort((a, b) => a.start - b.start);
+
+  const body = cutRanges(inner, ranges).trim();
+  const before = capIdx === -1 ? '' : cutRanges(inner, ranges, 0, capIdx);
+  return {
+    caption,
+    shortCaption,
+    captionStart: capIdx,
+    captionEnd: capEnd,
+    labels,
+    centering,
+    body,
+    captionPosition: caption != null && !/\S/.test(before) && body ? 'top' : 'bottom',
+  };
+};
+
+// Renders the body, turning top-level spacing commands between subfigures into chips.
+// Each piece is rendered with `renderPiece(piece, prefix)`, `prefix` being the body before it.
+const renderFigureBody = (body, renderPiece) => {
+  const masked = maskNested(body);
+  let out = '';
+  let i = 0;
+  for (const m of masked.matchAll(GAP_RE)) {
+    const cmd = escapeAttr(m[0]);
+    out += renderPiece(body.slice(i, m.index), body.slice(0, i));
+    out += `<div class="texure-figure-gap" contenteditable="false" data-texure-latex="${cmd}" title="${cmd}"></div>`;
+    i = m.index + m[0].length;
+  }
+  return out + renderPiece(body.slice(i), body.slice(0, i));
+};
+
+// "Figure 2:" before a float's caption, "(a)" before a subfigure's; not part of the caption's source.
+const captionNumberHtml = (env, number) => {
+  if (number == null) return '';
+  const text = env === 'subfigure' ? `(${number.replace(/^\d+/, '')})` : `Figure ${number}:`;
+  return `<span class="texure-caption-number" contenteditable="false">${escapeAttr(text)}</span> `;
+};
+
+const buildFigureHtml = ({ env, placement, width, position, parsed, bodyHtml, captionHtml, number = null }) => {
+  const isSub = env === 'subfigure';
+  const cssWidth = isSub ? widthToPercent(width) : null;
+  const attrs = [
+    `class="${isSub ? 'texure-subfigure' : 'texure-figure'}"`,
+    `data-texure-float="${escapeAttr(env)}"`,
+    placement ? `data-texure-float-placement="${escapeAttr(placement)}"` : '',
+    isSub ? `data-texure-subfigure-width="${escapeAttr(width)}"` : '',
+    position ? `data-texure-subfigure-position="${escapeAttr(position)}"` : '',
+    parsed.centering ? 'data-texure-centering="true"' : '',
+    parsed.captionPosition === 'top' ? 'data-texure-caption-position="top"' : '',
+    parsed.shortCaption != null ? `data-texure-short-caption="${escapeAttr(parsed.shortCaption)}"` : '',
+    parsed.labels.length ? `data-texure-label="${escapeAttr(parsed.labels.join(' '))}"` : '',
+    cssWidth ? `style="width: ${cssWidth}"` : '',
+  ].filter(Boolean).join(' ');
+  const body = `<div class="texure-figure-body">${bodyHtml}</div>`;
+  const caption = captionHtml != null ? `<figcaption>${captionNumberHtml(env, number)}${captionHtml}</figcaption>` : '';
+  return `<figure ${attrs}>${parsed.captionPosition === 'top' ? caption + body : body + caption}</figure>`;
+};
+
+// Replaces figure, figure* and subfigure environments with editable <figure> blocks.
+// `emit(html, source)` receives each generated figure and the LaTeX it replaces (e.g. to protect it from later regex
+// passes).
+// `numbers` are the document's caption numbers in order (see buildLabelIndex) and `ordinalAt(before)` the index
+// into them of the next \caption after `before`, a prefix of `src`. Body pieces are rendered with
+// `renderFragment(piece, before)`, `before` standing for the source ahead of them, so subfigures number on.
+export const replaceLatexFigures = (src, { renderFragment, emit = (html) => html, numbers = [], ordinalAt = () => 0 }) => {
+  const s = String(src || '');
+  let out = '';
+  let i = 0;
+  const re = /\\begin\{(figure\*?|subfigure)\}/g;
+  let m;
+  while ((m = re.exec(s))) {
+    const env = m[1];
+    const endIdx = findEnvironmentEnd(s, env, m.index + m[0].length);
+    if (endIdx === -1) break;
+    const end = endIdx + `\\end{${env}}`.length;
+
+    let innerStart = m.index + m[0].length;
+    const opt = readBracketGroup(s, innerStart);
+    const optionArg = opt && opt.end <= endIdx && !/\S/.test(s.slice(innerStart, opt.start)) ? opt.content.trim() : null;
+    if (optionArg != null) innerStart = opt.end;
+    let width = '';
+    if (env === 'subfigure') {
+      const w = readBraceGroup(s, innerStart);
+      if (!w || w.end > endIdx) {
+        re.lastIndex = end;
+        continue;
+      }
+      width = w.content.trim();
+      innerStart = w.end;
+    }
+
+    const inner = s.slice(innerStart, endIdx);
+    const parsed = parseFloatBody(inner);
+    const head = s.slice(0, innerStart);
+    const own = parsed.caption != null ? ordinalAt(head + inner.slice(0, parsed.captionStart)) : null;
+    // The body has the float's own caption cut out; pieces after it see it again in `before`.
+    const captionSource = inner.slice(parsed.captionStart, parsed.captionEnd);
+    const renderPiece = (piece, prefix) =>
+      renderFragment(piece, own != null && ordinalAt(head + prefix) >= own ? head + captionSource + prefix : head + prefix);
+    const html = buildFigureHtml({
+      env,
+      placement: env === 'subfigure' ? '' : optionArg,
+      position: env === 'subfigure' ? optionArg : '',
+      width,
+      parsed,
+      bodyHtml: renderFigureBody(parsed.body, renderPiece),
+      captionHtml: parsed.caption != null ? renderFragment(parsed.caption) : null,
+      number: own != null ? numbers[own] ?? null : null,
+    });
+    out += s.slice(i, m.index) + emit(html, s.slice(m.index, end));
+    i = end;
+    re.lastIndex = end;
+  }
+  return out + s.slice(i);
+};
+
+// A figure float around already-rendered image HTML, for the insert-image flow.
+// `caption` and `label` are plain text.
+export const createFigureHtml = ({ imageHtml, caption = '', label = '', placement = 'htbp' }) =>
+  buildFigureHtml({
+    env: 'figure',
+    placement,
+    parsed: { centering: true, captionPosition: 'bottom', shortCaption: null, labels: label.trim() ? [label.trim()] : [] },
+    bodyHtml: imageHtml,
+    captionHtml: escapeAttr(caption.trim()),
+  });
+
+const childOf = (el, match) => Array.from(el.children).find(match) || null;
+
+// Serializes an editor `<figure>` back to its float environment.
+export const figureElementToLatex = (figure, renderChildren) => {
+  const env = figure.getAttribute('data-texure-float') || 'figure';
+  const captionEl = childOf(figure, (c) => c.tagName.toLowerCase() === 'figcaption');
+  const bodyEl = childOf(figure, (c) => c.classList.contains('texure-figure-body'));
+  let body;
+  if (bodyEl) {
+    body = renderChildren(bodyEl);
+  } else {
+    const rest = figure.cloneNode(true);
+    Array.from(rest.children).filter((c) => c.tagName.toLowerCase() === 'figcaption').forEach((c) => c.remove());
+    body = renderChildren(rest);
+  }
+  // Blank lines would become paragraph breaks and stack side-by-side subfigures.
+  const bodyLatex = String(body || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join('\n');
+
+  let head = `\\begin{${env}}`;
+  if (env === 'subfigure') {
+    const position = figure.getAttribute('data-texure-subfigure-position');
+    head += `${position ? `[${position}]` : ''}{${figure.getAttribute('data-texure-subfigure-width') || '0.45\\linewidth'}}`;
+  } else {
+    const placement = figure.getAttribute('data-texure-float-placement');
+    if (placement) head += `[${placement}]`;
+  }
+  const out = [head];
+  if (figure.getAttribute('data-texure-centering') === 'true') out.push('\\centering');
+
+  const labelKeys = String(figure.getAttribute('data-texure-label') || '').split(/\s+/).filter(Boolean);
+  const shortCaption = figure.getAttribute('data-texure-short-caption');
+  const captionLines = [
+    ...(captionEl
+      ? [`\\caption${shortCaption != null ? `[${shortCaption}]` : ''}{${String(renderChildren(captionEl) || '').replace(/\s+/g, ' ').trim()}}`]
+      : []),
+    ...labelKeys.map((k) => `\\label{${k}}`),
+  ];
+  const captionOnTop = captionEl && figure.getAttribute('data-texure-caption-position') === 'top';
+  if (captionOnTop) out.push(...captionLines);
+  if (bodyLatex) out.push(bodyLatex);
+  if (!captionOnTop) out.push(...captionLines);
+  out.push(`\\end{${env}}`);
+  return out.join('\n');
+};
@@ -35,6 +35,26 @@ export const pickTexFile = async () => {
   return handles?.[0] || null;
 };
 
+export const pickBibFiles = async () => {
+  if (!isOpenFilePickerSupported()) {
+    throw new Error('File picker not supported in this browser/context.');
+  }
+  // @ts-ignore
+  const handles = await window.showOpenFilePicker({
+    multiple: true,
+    types: [
+      {
+        description: 'BibTeX',
+        accept: {
+          'text/plain': ['.bib'],
+          'application/x-bibtex': ['.bib'],
+        },
+      },
+    ],
+  });
+  return Array.from(handles || []);
+};
+
 export const listDirectoryFilesRecursive = async (dirHandle, { maxFiles = 5000 } = {}) => {
   const out = [];
   const walk = async (handle, prefix) => {
@@ -60,6 +80,21 @@ export const readFileText = async (fileHandle) => {
   return await file.text();
 };
 
+// Whether `fileHandle` may be read (or written with mode 'readwrite'). Handles restored from IndexedDB start in
+// the 'prompt' state; `request: true` asks the user, which browsers only allow from a click.
+export const hasFilePermission = async (fileHandle, { mode = 'read', request = false } = {}) => {
+  try {
+    // @ts-ignore
+    if (typeof fileHandle?.queryPermission !== 'function') return !!fileHandle;
+    // @ts-ignore
+    if ((await fileHandle.queryPermission({ mode })) === 'granted') return true;
+    // @ts-ignore
+    return request && typeof fileHandle.requestPermission === 'function' && (await fileHandle.requestPermission({ mode })) === 'granted';
+  } catch {
+    return false;
+  }
+};
+
 export const writeFileText = async (fileHandle, text) => {
   // Some browsers gate by permissions; attempt politely.
   try {
@@ -0,0 +1,28 @@
+// Version history: automatic and named snapshots of each document, kept in IndexedDB
+
+import { deleteVersion, listVersions, putVersion } from './idb';
+
+// Automatic snapshots kept per document; named snapshots are never pruned.
+export const MAX_AUTOMATIC_VERSIONS = 50;
+// Background compiles succeed after almost every edit, so they snapshot at most this often.
+export const COMPILE_SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
+
+const KIND_TITLES = { save: 'Saved', compile: 'Compiled', manual: 'Snapshot', restore: 'Before restore' };
+
+export const versionTitle = (version) => version?.label || KIND_TITLES[version?.kind] || 'Snapshot';
+
+// Stores `text` as a new version of `docKey`. Automatic kinds ('save', 'compile', 'restore') skip text that
+// matches the newest version, and 'compile' also waits COMPILE_SNAPSHOT_INTERVAL_MS after the last compile
+// snapshot. Resolves to the new record, or null when nothing was stored.
+export const snapshotDocument = async (docKey, text, { kind = 'manual', label = '' } = {}) => {
+  const versions = await listVersions(docKey);
+  if (kind !== 'manual' && versions[0]?.text === text) return null;
+  if (kind === 'compile') {
+    const lastCompile = versions.find((v) => v.kind === 'compile');
+    if (lastCompile && Date.now() - lastCompile.createdAt < COMPILE_SNAPSHOT_INTERVAL_MS) return null;
+  }
+  const record = await putVersion({ docKey, text, kind, label });
+  const automatic = [record, ...versions].filter((v) => v.kind !== 'manual');
+  for (const old of automatic.slice(MAX_AUTOMATIC_VERSIONS)) await deleteVersion(old.id);
+  return record;
+};
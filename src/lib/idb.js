@@ -1,6 +1,9 @@
 const DB_NAME = 'texure';
-const DB_VERSION = 1;
+// v1: images. v2: documents (autosaved drafts). v3: versions (history snapshots, indexed by docKey).
+const DB_VERSION = 3;
 const STORE_IMAGES = 'images';
+const STORE_DOCUMENTS = 'documents';
+const STORE_VERSIONS = 'versions';
 
 let dbPromise = null;
 
@@ -13,10 +16,17 @@ const openDb = () => {
     }
     const req = indexedDB.open(DB_NAME, DB_VERSION);
     req.onerror = () => reject(req.error || new Error('Failed to open IndexedDB.'));
+    // Creates whichever stores are missing, so any older version upgrades in place without touching data.
     req.onupgradeneeded = () => {
       const db = req.result;
-      if (!db.objectStoreNames.contains(STORE_IMAGES)) {
-        db.createObjectStore(STORE_IMAGES, { keyPath: 'id' });
+      for (const name of [STORE_IMAGES, STORE_DOCUMENTS]) {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, { keyPath: 'id' });
+        }
+      }
+      if (!db.objectStoreNames.contains(STORE_VERSIONS)) {
+        const versions = db.createObjectStore(STORE_VERSIONS, { keyPath: 'id' });
+        versions.createIndex('docKey', 'docKey', { unique: false });
       }
     };
     req.onsuccess = () => resolve(req.result);
@@ -30,9 +40,11 @@ const txRequest = (req) =>
     req.onerror = () => reject(req.error || new Error('IndexedDB request failed.'));
   });
 
-export const putImageFile = async (file) => {
+const newId = (prefix) => globalThis.crypto?.randomUUID?.() || `${prefix}_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+
+// `id` overrides the generated key, e.g. for content-addressed images that later imports can find again.
+export const putImageFile = async (file, id = newId('img')) => {
   const db = await openDb();
-  const id = (globalThis.crypto?.randomUUID?.() || `img_${Date.now()}_${Math.random().toString(16).slice(2)}`);
   const tx = db.transaction(STORE_IMAGES, 'readwrite');
   const store = tx.objectStore(STORE_IMAGES);
   const record = {
@@ -60,3 +72,62 @@ export const deleteImage = async (id) => {
   await txRequest(store.delete(id));
 };
 
+// Key of the single crash-recovery draft for the working document.
+export const AUTOSAVE_DRAFT_ID = 'autosave';
+
+// Stores `{ text, fileName, cursor, handle }` (handle: a FileSystemFileHandle or null) with a timestamp.
+export const putDocumentDraft = async (draft) => {
+  const db = await openDb();
+  const tx = db.transaction(STORE_DOCUMENTS, 'readwrite');
+  const store = tx.objectStore(STORE_DOCUMENTS);
+  const record = {
+    id: draft?.id || AUTOSAVE_DRAFT_ID,
+    text: String(draft?.text ?? ''),
+    fileName: draft?.fileName || '',
+    cursor: Number.isFinite(draft?.cursor) ? draft.cursor : null,
+    handle: draft?.handle || null,
+    updatedAt: Date.now(),
+  };
+  await txRequest(store.put(record));
+  return record;
+};
+
+export const getDocumentDraft = async (id = AUTOSAVE_DRAFT_ID) => {
+  const db = await openDb();
+  const tx = db.transaction(STORE_DOCUMENTS, 'readonly');
+  const store = tx.objectStore(STORE_DOCUMENTS);
+  return await txRequest(store.get(id));
+};
+
+export const deleteDocumentDraft = async (id = AUTOSAVE_DRAFT_ID) => {
+  const db = await openDb();
+  const tx = db.transaction(STORE_DOCUMENTS, 'readwrite');
+  const store = tx.objectStore(STORE_DOCUMENTS);
+  await txRequest(store.delete(id));
+};
+
+// History snapshots: `{ id, docKey, text, kind: 'save' | 'compile' | 'manual' | 'restore', label, createdAt }`.
+export const putVersion = async ({ docKey, text, kind = 'manual', label = '' }) => {
+  const db = await openDb();
+  const tx = db.transaction(STORE_VERSIONS, 'readwrite');
+  const store = tx.objectStore(STORE_VERSIONS);
+  const record = { id: newId('ver'), docKey: String(docKey || ''), text: String(text ?? ''), kind, label: String(label || ''), createdAt: Date.now() };
+  await txRequest(store.put(record));
+  return record;
+};
+
+// All snapshots of one document, newest first.
+export const listVersions = async (docKey) => {
+  const db = await openDb();
+  const tx = db.transaction(STORE_VERSIONS, 'readonly');
+  const store = tx.objectStore(STORE_VERSIONS);
+  const records = await txRequest(store.index('docKey').getAll(String(docKey || '')));
+  return (records || []).sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const deleteVersion = async (id) => {
+  const db = await openDb();
+  const tx = db.transaction(STORE_VERSIONS, 'readwrite');
+  const store = tx.objectStore(STORE_VERSIONS);
+  await txRequest(store.delete(id));
+};
@@ -1,5 +1,27 @@
 // LaTeX helpers and WASM compiler integration
 
+import { figureElementToLatex, replaceLatexFigures } from './figures';
+import { NOTE_COMMANDS, footnoteElementToLatex, footnotesBlockHtml, noteElementToLatex, replaceLatexNotes } from './notes';
+import { replaceLatexTables, tableElementToLatex } from './tables';
+import { TITLE_FIELDS, readTitleMetadata, renderTitleField, replaceTitleBlock } from './titleBlock';
+import { REF_COMMANDS, buildLabelIndex, countCaptions, countNumberedEquations, countNumberedTheorems, formatReference, mathLabelsOf } from './refs';
+import { MATH_ENVIRONMENTS, equationNumbersHtml, katexSourceOf } from './mathEnvironments';
+import { MAX_MACRO_DEPTH, readMacroDefinitions } from './macros';
+import { readTheoremDefinitions, replaceLatexTheorems, theoremElementToLatex } from './theorems';
+import {
+  CITE_COMMANDS,
+  bibliographyEntries,
+  buildCitationIndex,
+  citationKeysOf,
+  cleanBibValue,
+  detectCitationStyle,
+  formatBibEntry,
+  formatCitation,
+} from './bibtex';
+import { INCLUDE_RE, documentBodyOf, expandIncludes } from './project';
+import { parseTexLog } from './texlog';
+import { ESCAPED_CHARS, TEXT_SYMBOLS, argSource, parseLatex, plainTextOf } from './latexParser';
+
 // Env flags (evaluated at module load)
 const WASM_MODULE = import.meta.env.VITE_WASM_LATEX_MODULE; // optional ESM module id or URL
 
@@ -238,10 +260,81 @@ const readJSONSafe = async (res) => {
   }
 };
 
-const latexToHtml = (latex) => {
+// Constructs the passes of latexToHtml convert before the AST stage; the parse stage leaves them alone.
+const PASS_COMMANDS = new Set([
+  ...TITLE_FIELDS, 'maketitle', 'mintinline', ...NOTE_COMMANDS, 'label', ...REF_COMMANDS, ...CITE_COMMANDS,
+  'bibliographystyle', 'nocite', 'bibliography', 'printbibliography', 'hspace', 'vspace', 'newpage',
+]);
+const PASS_ENVIRONMENTS = new Set([
+  'verbatim', 'minted', 'lstlisting', 'abstract', 'figure', 'figure*', 'subfigure', 'table', 'table*', 'tabular', 'tabular*', 'tabularx',
+  ...MATH_ENVIRONMENTS,
+]);
+
+// Rendered from the AST. Declarations style the rest of their group (article 10pt sizes).
+const HEADING_TAGS = { section: 'h1', subsection: 'h2', subsubsection: 'h3', paragraph: 'h4' };
+const STYLE_TAGS = { textbf: 'b', textit: 'i', underline: 'u' };
+const DECLARATION_STYLES = {
+  tiny: 'font-size: 5pt',
+  scriptsize: 'font-size: 7pt',
+  footnotesize: 'font-size: 8pt',
+  small: 'font-size: 9pt',
+  normalsize: 'font-size: 10pt',
+  large: 'font-size: 12pt',
+  Large: 'font-size: 14.4pt',
+  LARGE: 'font-size: 17.28pt',
+  huge: 'font-size: 20.74pt',
+  Huge: 'font-size: 24.88pt',
+  bfseries: 'font-weight: bold',
+  itshape: 'font-style: italic',
+  sffamily: 'font-family: sans-serif',
+  ttfamily: 'font-family: monospace',
+  scshape: 'font-variant: small-caps',
+};
+const ALIGN_ENVIRONMENTS = { center: 'center', flushright: 'right', flushleft: 'left', justify: 'justify' };
+const AST_COMMANDS = new Set([
+  ...Object.keys(HEADING_TAGS), ...Object.keys(STYLE_TAGS), ...Object.keys(DECLARATION_STYLES), ...Object.keys(ESCAPED_CHARS), ...Object.keys(TEXT_SYMBOLS),
+  'emph', 'textsf', 'texttt', 'textcolor', 'colorbox', 'href', 'justify', 'includegraphics', 'fontsize', 'selectfont', '\\',
+]);
+const AST_ENVIRONMENTS = new Set([...Object.keys(ALIGN_ENVIRONMENTS), 'quote', 'quotation', 'itemize', 'enumerate']);
+
+// `{\leftskip=<len>\relax ... \par}` indentation blocks have their own pass.
+const isLeftskipGroup = (node) => {
+  const lead = node.children.find((child) => child.type !== 'text' || child.value.trim());
+  return lead?.type === 'command' && lead.name === 'leftskip';
+};
+
+// LaTeX the visual editor does not understand, kept as an uneditable chip (or block) with its exact source.
+const rawLatexHtml = (source, block) => block
+  ? `<div class="texure-raw texure-raw-block" contenteditable="false" data-texure-latex="${escapeHtml(source)}" title="Raw LaTeX (click to edit)"><pre>${escapeHtml(source)}</pre></div>`
+  : `<span class="texure-raw" contenteditable="false" data-texure-latex="${escapeHtml(source)}" title="Raw LaTeX (click to edit)">${escapeHtml(source)}</span>`;
+
+// `options.labelIndex` carries the document-wide numbering into recursive calls on fragments.
+// `options.bibliography` is the list of parsed .bib entries used to resolve \cite (see lib/bibtex).
+// In a project, `options.resolveInclude` renders \input/\include children inline and
+// `options.documentSource` (the expanded main document) drives numbering and citation order.
+// `options.resolveImage(path)` maps \includegraphics paths to stored image ids so project images preview.
+// `options.footnotes` collects footnote texts from fragments; the outermost call lists them at the end.
+// `options.macroDefinitions` (see lib/macros) carries the preamble's \newcommand definitions into fragments,
+// `options.theoremDefinitions` (see lib/theorems) its \newtheorem environments, and `options.theoremOffset`,
+// `options.captionOffset` and `options.equationOffset` count the numbered theorems, captions and equations of the
+// document before `latex` (for includes, theorem bodies and figure bodies).
+const latexToHtml = (latex, options = {}) => {
   if (!latex) return "";
   let bodyMatch = latex.match(/\\begin{document}([\s\S]*?)\\end{document}/);
   let content = bodyMatch ? bodyMatch[1] : latex;
+  const indexSource = options.documentSource || latex;
+  const indexBody = options.documentSource ? documentBodyOf(indexSource) : content;
+  const theoremDefinitions = options.theoremDefinitions || readTheoremDefinitions(indexSource);
+  const labelIndex = options.labelIndex || buildLabelIndex(indexBody, theoremDefinitions);
+  const citationIndex = options.citationIndex || buildCitationIndex(indexBody, options.bibliography, detectCitationStyle(indexSource));
+  const footnotes = options.footnotes || [];
+  const macroDefinitions = options.macroDefinitions || readMacroDefinitions(indexSource);
+  const macroDepth = options.macroDepth || 0;
+  const theoremOffset = options.theoremOffset || 0;
+  const captionOffset = options.captionOffset || 0;
+  const equationOffset = options.equationOffset || 0;
+  const renderFragment = (fragment, extra) =>
+    latexToHtml(fragment, { ...options, labelIndex, citationIndex, footnotes, macroDefinitions, theoremDefinitions, ...extra });
 
   const TEXURE_IMAGE_PREFIX = 'texure-image:';
   const TRANSPARENT_GIF =
@@ -250,14 +343,59 @@ const latexToHtml = (latex) => {
   const renderMath = (math, displayMode) => {
     if (typeof window !== 'undefined' && window.katex) {
       try {
-        return window.katex.renderToString(math, { displayMode: displayMode, throwOnError: false });
+        // KaTeX adds \gdef definitions to `macros`, so every call gets its own copy.
+        return window.katex.renderToString(math, { displayMode: displayMode, throwOnError: false, macros: { ...macroDefinitions.macros } });
       } catch (e) { return `<span class="text-red-500">Error</span>`; }
     }
     return displayMode ? `<div class="math-placeholder">\\[${math}\\]</div>` : `<span class="math-placeholder">$${math}$</span>`;
   };
 
+  // `source` is the LaTeX a placeholder stands for, so raw nodes can restore their exact text.
   const protectedBlocks = [];
-  const protect = (str) => { protectedBlocks.push(str); return `__PROTECTED_BLOCK_${protectedBlocks.length - 1}__`; };
+  const protectedSources = [];
+  const protect = (str, source) => {
+    protectedBlocks.push(str);
+    protectedSources.push(source);
+    return `__PROTECTED_BLOCK_${protectedBlocks.length - 1}__`;
+  };
+  const restoreSource = (text) =>
+    String(text).replace(/__PROTECTED_BLOCK_(\d+)__/g, (m, i) => (protectedSources[i] != null ? restoreSource(protectedSources[i]) : m));
+  const resolveProtected = (text) => text.replace(/__PROTECTED_BLOCK_(\d+)__/g, (_, i) => resolveProtected(protectedBlocks[i]));
+  // `before`, a prefix of this source, as the LaTeX it stands for, includes inlined.
+  const expandedSource = (before) => {
+    const source = restoreSource(before);
+    return options.resolveInclude ? expandIncludes(source, options.resolveInclude, options.includeStack || []) : source;
+  };
+  // Index into `labelIndex.theorems` / `.captions` / `.equations` of the next numbered item after `before`.
+  const theoremOrdinal = (before) => theoremOffset + countNumberedTheorems(expandedSource(before), theoremDefinitions);
+  const captionOrdinal = (before) => captionOffset + countCaptions(expandedSource(before));
+  const equationOrdinal = (before) => equationOffset + countNumberedEquations(expandedSource(before));
+  // Numbering for a fragment that follows `before`, and a renderFragment for passes that report it.
+  const offsetsAfter = (before) => ({
+    theoremOffset: theoremOrdinal(before),
+    captionOffset: captionOrdinal(before),
+    equationOffset: equationOrdinal(before),
+  });
+  const renderAfter = (fragment, before) => renderFragment(fragment, before == null ? undefined : offsetsAfter(before));
+
+  const mathHtml = (math, displayMode) => displayMode
+    ? `<div class="math-block not-prose my-4 text-center cursor-pointer hover:bg-blue-50 transition-colors rounded py-2" contenteditable="false" data-latex="${encodeURIComponent(math)}">${renderMath(math, true)}</div>`
+    : `<span class="math-inline not-prose px-1 cursor-pointer hover:bg-blue-50 transition-colors rounded" contenteditable="false" data-latex="${encodeURIComponent(math)}">${renderMath(math, false)}</span>`;
+
+  // Comments, math, \verb and leftovers of the AST stage; `source` is their exact text.
+  const leafHtml = (node, source) => {
+    if (node.type === 'math') return mathHtml(node.value, node.display);
+    if (node.type === 'verb') return `<code class="texure-inline-code" contenteditable="false" data-texure-latex="${escapeHtml(source)}">${escapeHtml(node.value)}</code>`;
+    if (node.type === 'comment') return `<span class="texure-comment" contenteditable="false" data-texure-latex="${escapeHtml(source)}">${escapeHtml(source.replace(/\n$/, ''))}</span>`;
+    return rawLatexHtml(source, node.type === 'environment');
+  };
+
+  // An argument-free user macro in running text renders its definition; the chip keeps the macro call as source.
+  const textMacroHtml = (node, source) =>
+    `<span class="texure-macro" contenteditable="false" data-texure-latex="${escapeHtml(source)}" title="${escapeHtml(`\\${node.name} (macro)`)}">${renderFragment(macroDefinitions.textMacros[node.name], { macroDepth: macroDepth + 1 })}</span>`;
+  const isTextMacro = (node) =>
+    !node.known && macroDepth < MAX_MACRO_DEPTH && Object.prototype.hasOwnProperty.call(macroDefinitions.textMacros, node.name)
+    && node.args.every((arg) => !arg || !arg.children.length);
 
   const latexLengthToCssLength = (raw) => {
     const fmt = (num) => {
@@ -279,24 +417,78 @@ const latexToHtml = (latex) => {
 
   // Images: store local images in the document as `texure-image:<id>` placeholders.
 
+  // Project includes: the child renders read-only inside a block that keeps the include command.
+  if (options.resolveInclude) {
+    const includeStack = options.includeStack || [];
+    content = content.replace(INCLUDE_RE, (match, cmd, name, at, whole) => {
+      if (!cmd) return match;
+      const hit = options.resolveInclude(name);
+      if (!hit || includeStack.includes(hit.path)) return match;
+      const childHtml = latexToHtml(hit.text, {
+        ...options,
+        labelIndex,
+        citationIndex,
+        footnotes,
+        macroDefinitions,
+        theoremDefinitions,
+        ...offsetsAfter(whole.slice(0, at)),
+        includeStack: [...includeStack, hit.path],
+      });
+      const path = escapeHtml(hit.path);
+      return protect(`<div class="texure-include" contenteditable="false" data-texure-latex="${escapeHtml(match)}" data-texure-include="${path}"><div class="texure-include-title" title="Open ${path}">${path}</div>${childHtml}</div>`, match);
+    });
+  }
+
+  // PARSE: comments, math and constructs nothing below understands are protected with their exact source.
+  // The scan only descends into what the AST stage renders; other known constructs are left to their passes.
+  // The document's theorem environments have their own pass, like the fixed PASS_ENVIRONMENTS.
+  const isPassEnvironment = (name) => PASS_ENVIRONMENTS.has(name) || Object.prototype.hasOwnProperty.call(theoremDefinitions, name);
+  const protectParsedSource = (src) => {
+    const edits = [];
+    const visit = (nodes, inList = false) => {
+      for (const node of nodes) {
+        const source = src.slice(node.start, node.end);
+        if (node.type === 'comment' || node.type === 'math' || node.type === 'verb') {
+          edits.push({ node, text: protect(leafHtml(node, source), source) });
+        } else if (node.type === 'group') {
+          if (!isLeftskipGroup(node)) visit(node.children);
+        } else if (node.type === 'command') {
+          if (node.name === 'item' ? inList : AST_COMMANDS.has(node.name)) node.args.forEach((arg) => arg && visit(arg.children));
+          else if (isTextMacro(node)) edits.push({ node, text: protect(textMacroHtml(node, source), source) });
+          else if (!PASS_COMMANDS.has(node.name)) edits.push({ node, text: protect(leafHtml(node, source), source) });
+        } else if (node.type === 'environment') {
+          if (AST_ENVIRONMENTS.has(node.name)) visit(node.children, node.name === 'itemize' || node.name === 'enumerate');
+          else if (!isPassEnvironment(node.name)) edits.push({ node, text: protect(leafHtml(node, source), source) });
+        }
+      }
+    };
+    visit(parseLatex(src));
+    let out = src;
+    for (const { node, text } of edits.sort((a, b) => b.node.start - a.node.start)) {
+      out = out.slice(0, node.start) + text + out.slice(node.end);
+    }
+    return out;
+  };
+  content = protectParsedSource(content);
+
   // PROTECT BLOCKS
   content = content
     // Indentation blocks: emitted as `{\\leftskip=<len>\\relax ... \\par}` from the visual editor.
-    .replace(/\{\\leftskip\s*=\s*([^}]+?)\\relax([\s\S]*?)\\par\}/g, (_, len, inner) => {
+    .replace(/\{\\leftskip\s*=\s*([^}]+?)\\relax([\s\S]*?)\\par\}/g, (match, len, inner) => {
       const cssLen = latexLengthToCssLength(len);
       const style = cssLen ? ` style="margin-left: ${escapeHtml(cssLen)}"` : '';
-      const innerHtml = latexToHtml(inner);
-      return protect(`<div${style}>${innerHtml}</div>`);
+      const innerHtml = renderFragment(inner);
+      return protect(`<div${style}>${innerHtml}</div>`, match);
     })
-    .replace(/\\begin\{verbatim\}([\s\S]*?)\\end\{verbatim\}/g, (_, c) => {
+    .replace(/\\begin\{verbatim\}([\s\S]*?)\\end\{verbatim\}/g, (match, c) => {
       const code = String(c || '').replace(/^\n/, '').replace(/\n$/, '');
-      return protect(buildCodeBlockHtml('text', code));
+      return protect(buildCodeBlockHtml('text', code), match);
     })
-    .replace(/\\begin\{minted\}(?:\[[^\]]*\])?\{([^}]*)\}([\s\S]*?)\\end\{minted\}/g, (_, lang, c) => {
+    .replace(/\\begin\{minted\}(?:\[[^\]]*\])?\{([^}]*)\}([\s\S]*?)\\end\{minted\}/g, (match, lang, c) => {
       const code = String(c || '').replace(/^\n/, '').replace(/\n$/, '');
-      return protect(buildCodeBlockHtml(lang, code));
+      return protect(buildCodeBlockHtml(lang, code), match);
     })
-    .replace(/\\begin\{lstlisting\}(?:\[([^\]]*)\])?([\s\S]*?)\\end\{lstlisting\}/g, (_, optText, c) => {
+    .replace(/\\begin\{lstlisting\}(?:\[([^\]]*)\])?([\s\S]*?)\\end\{lstlisting\}/g, (match, optText, c) => {
       const opts = String(optText || '');
       const langMatch = opts.match(/(?:^|,)\s*language\s*=\s*([^,\]]+)\s*(?:,|$)/i);
       const rawLang = (langMatch?.[1] || 'text').trim();
@@ -320,236 +512,282 @@ const latexToHtml = (latex) => {
         return 'text';
       })();
       const code = String(c || '').replace(/^\n/, '').replace(/\n$/, '');
-      return protect(buildCodeBlockHtml(normalized, code));
+      return protect(buildCodeBlockHtml(normalized, code), match);
     })
     // Inline minted (delimiter form): \mintinline{lang}|code|
-    .replace(/\\mintinline(?:\[[^\]]*\])?\{([^}]*)\}([^\s])([\s\S]*?)\2/g, (_, lang, delim, c) => {
+    .replace(/\\mintinline(?:\[[^\]]*\])?\{([^}]*)\}([^\s])([\s\S]*?)\2/g, (match, lang, delim, c) => {
       const safeLang = escapeHtml(String(lang || '').trim());
-      return protect(`<code class="texure-inline-code" data-texure-code-lang="${safeLang}">${escapeHtml(c)}</code>`);
+      return protect(`<code class="texure-inline-code" data-texure-code-lang="${safeLang}">${escapeHtml(c)}</code>`, match);
     })
     // Inline minted (brace form): \mintinline{lang}{code} (best-effort)
-    .replace(/\\mintinline(?:\[[^\]]*\])?\{([^}]*)\}\{([\s\S]*?)\}/g, (_, lang, c) => {
+    .replace(/\\mintinline(?:\[[^\]]*\])?\{([^}]*)\}\{([\s\S]*?)\}/g, (match, lang, c) => {
       const safeLang = escapeHtml(String(lang || '').trim());
-      return protect(`<code class="texure-inline-code" data-texure-code-lang="${safeLang}">${escapeHtml(c)}</code>`);
-    })
-    // Checkbox task lists: protect before inline-math handling so the `$\\square$` marker isn't converted into a math placeholder.
-    .replace(/\\begin\{itemize\}\s*\\item\[\$\\square\$\]([\s\S]*?)\\end\{itemize\}/g, (_, i) => {
-      const list = `<ul style="list-style-type: none;">${i
-        .split('\\item[$\\square$]')
-        .join('</li><li><input type="checkbox" disabled> ')
-        .replace(/^<\/li>/, '')}</li></ul>`;
-      return protect(list);
+      return protect(`<code class="texure-inline-code" data-texure-code-lang="${safeLang}">${escapeHtml(c)}</code>`, match);
+    });
+
+  // Title block and abstract; \maketitle shows the metadata of the whole document.
+  content = replaceTitleBlock(content, {
+    renderFragment,
+    emit: protect,
+    metadata: /\\maketitle\b/.test(content) ? readTitleMetadata(indexSource) : null,
+  });
+
+  // Theorem-like environments: the body and note are converted recursively; numbers come from the label index.
+  content = replaceLatexTheorems(content, {
+    renderFragment: renderAfter,
+    emit: protect,
+    definitions: theoremDefinitions,
+    numbers: labelIndex.theorems,
+    ordinalAt: theoremOrdinal,
+  });
+
+  // Figures: the body and caption are converted recursively; caption numbers come from the label index.
+  content = replaceLatexFigures(content, { renderFragment: renderAfter, emit: protect, numbers: labelIndex.captions, ordinalAt: captionOrdinal });
+
+  // Tables: cells are converted recursively so math/formatting inside them renders as usual.
+  content = replaceLatexTables(content, { renderFragment, emit: protect, numbers: labelIndex.captions, ordinalAt: captionOrdinal });
+
+  // Footnotes become numbered markers (text listed at the end); margin notes and todos side annotations.
+  content = replaceLatexNotes(content, { renderFragment, emit: protect, footnotes });
+
+  const mathEnvRe = new RegExp(`\\\\begin\\{(${MATH_ENVIRONMENTS.map((e) => e.replace('*', '\\*')).join('|')})\\}([\\s\\S]*?)\\\\end\\{\\1\\}`, 'g');
+
+  content = content
+    // Display math environments keep their \label inside data-latex; row numbers come from the label index.
+    .replace(mathEnvRe, (match, env, m, at, whole) => {
+      const body = String(m || '').replace(/^\n/, '').replace(/\n$/, '');
+      const numbers = labelIndex.equations.slice(equationOrdinal(whole.slice(0, at)));
+      const keys = mathLabelsOf(body);
+      const labelAttr = keys.length ? ` data-texure-label="${escapeHtml(keys.join(' '))}"` : '';
+      return protect(`<div class="math-block not-prose my-4 text-center cursor-pointer hover:bg-blue-50 transition-colors rounded py-2" contenteditable="false" data-latex="${encodeURIComponent(body)}" data-texure-math-env="${escapeHtml(env)}"${labelAttr}>${renderMath(katexSourceOf(env, body), true)}${equationNumbersHtml(env, body, numbers)}</div>`, match);
     })
-    .replace(/\\\[([\s\S]*?)\\\]/g, (_, m) => {
-      return protect(`<div class="math-block not-prose my-4 text-center cursor-pointer hover:bg-blue-50 transition-colors rounded py-2" contenteditable="false" data-latex="${encodeURIComponent(m)}">${renderMath(m, true)}</div>`);
+    .replace(/\\label\s*\{([^}]*)\}/g, (match, key) => {
+      const k = String(key || '').trim();
+      const latexCmd = escapeHtml(`\\label{${k}}`);
+      return protect(`<span class="texure-label" contenteditable="false" data-texure-latex="${latexCmd}" data-texure-label="${escapeHtml(k)}" title="${latexCmd}">${escapeHtml(k)}</span>`, match);
     })
-    .replace(/\$\$([\s\S]*?)\$\$/g, (_, m) => {
-      return protect(`<div class="math-block not-prose my-4 text-center cursor-pointer hover:bg-blue-50 transition-colors rounded py-2" contenteditable="false" data-latex="${encodeURIComponent(m)}">${renderMath(m, true)}</div>`);
+    .replace(new RegExp(`\\\\(${REF_COMMANDS.join('|')})\\s*\\{([^}]*)\\}`, 'g'), (match, cmd, keyList) => {
+      const keys = String(keyList || '').split(',').map((k) => k.trim()).filter(Boolean);
+      const text = formatReference(cmd, keys, labelIndex);
+      const latexCmd = escapeHtml(`\\${cmd}{${keys.join(',')}}`);
+      const undefinedCls = text == null ? ' texure-ref-undefined' : '';
+      const title = text == null ? escapeHtml(`Undefined reference: ${keys.join(', ')}`) : latexCmd;
+      return protect(`<span class="texure-ref${undefinedCls}" contenteditable="false" data-texure-latex="${latexCmd}" data-texure-ref="${escapeHtml(keys.join(','))}" data-texure-ref-cmd="${cmd}" title="${title}">${escapeHtml(text ?? '??')}</span>`, match);
     })
-    .replace(/(?<!\\)\$([^$]+?)\$/g, (_, m) => {
-      return protect(`<span class="math-inline not-prose px-1 cursor-pointer hover:bg-blue-50 transition-colors rounded" contenteditable="false" data-latex="${encodeURIComponent(m)}">${renderMath(m, false)}</span>`);
+    // Citations keep their original command (including pre/postnotes) for the round trip.
+    .replace(new RegExp(`\\\\(${CITE_COMMANDS.join('|')})\\*?\\s*(?:\\[([^\\]]*)\\])?\\s*(?:\\[([^\\]]*)\\])?\\s*\\{([^}]*)\\}`, 'g'), (match, cmd, opt1, opt2, keyList) => {
+      const keys = citationKeysOf(keyList);
+      const notes = opt2 !== undefined
+        ? { prenote: cleanBibValue(opt1), postnote: cleanBibValue(opt2) }
+        : { postnote: cleanBibValue(opt1) };
+      const { text, missing } = formatCitation(cmd, keys, citationIndex, notes);
+      const latexCmd = escapeHtml(match);
+      const undefinedCls = missing.length ? ' texure-cite-undefined' : '';
+      const title = missing.length ? escapeHtml(`Unknown citation: ${missing.join(', ')}`) : latexCmd;
+      return protect(`<span class="texure-cite${undefinedCls}" contenteditable="false" data-texure-latex="${latexCmd}" data-texure-cite="${escapeHtml(keys.join(','))}" title="${title}">${escapeHtml(text)}</span>`, match);
     })
-    .replace(/\\texttt\{([\s\S]*?)\}/g, (_, c) => {
-      const txt = String(c ?? '');
-      if (!txt.replace(/[\u200B\uFEFF]/g, '').trim()) return '';
-      return protect(`<code class="texure-inline-code">${escapeHtml(txt)}</code>`);
+    .replace(/\\(?:bibliographystyle|nocite)\s*\{[^}]*\}/g, (match) => {
+      const latexCmd = escapeHtml(match);
+      return protect(`<span class="texure-label" contenteditable="false" data-texure-latex="${latexCmd}" title="${latexCmd}">${latexCmd}</span>`, match);
     })
+    // The reference list is generated from the cited entries, like BibTeX would.
+    .replace(/\\bibliography\s*\{[^}]*\}|\\printbibliography\b(?:\[[^\]]*\])?/g, (match) => {
+      const latexCmd = escapeHtml(match);
+      const numeric = citationIndex.style !== 'authoryear';
+      const items = bibliographyEntries(citationIndex).map((entry) => {
+        const { authors, title, venue, details, year } = formatBibEntry(entry);
+        const label = numeric ? `<span class="texure-bib-label">[${citationIndex.order.get(entry.key)}]</span> ` : '';
+        const parts = [
+          authors ? `${escapeHtml(authors)}.` : '',
+          title ? `${escapeHtml(title)}.` : '',
+          venue || details ? `<em>${escapeHtml(venue)}</em>${escapeHtml(details ? `${venue ? ', ' : ''}${details}` : '')}${year ? ',' : '.'}` : '',
+          year ? `${escapeHtml(year)}.` : '',
+        ].filter(Boolean).join(' ');
+        return `<li data-texure-cite="${escapeHtml(entry.key)}">${label}${parts}</li>`;
+      });
+      const list = items.length
+        ? `<ol>${items.join('')}</ol>`
+        : '<p class="texure-bibliography-empty">No cited entries. Load a .bib file and add \\cite commands.</p>';
+      return protect(`<div class="texure-bibliography not-prose" contenteditable="false" data-texure-latex="${latexCmd}" title="${latexCmd}"><div class="texure-bibliography-title">References</div>${list}</div>`, match);
+    });
+
+  content = content
     // Manual spacing / pagination
-    .replace(/\\hspace\*?\{([^}]*)\}/g, (_, len) => {
+    .replace(/\\hspace\*?\{([^}]*)\}/g, (match, len) => {
       const raw = String(len || '').trim();
       const cssLen = toSafeCssLength(raw);
       const style = cssLen ? ` style="width: ${escapeHtml(cssLen)}"` : '';
       const title = escapeHtml(`\\hspace{${raw}}`);
       const latexCmd = escapeHtml(`\\hspace{${raw}}`);
-      return protect(`<span class="inline-block align-baseline bg-slate-200/70 border border-dashed border-slate-400 rounded-sm" contenteditable="false" data-texure-latex="${latexCmd}" title="${title}"${style}>&nbsp;</span>`);
+      return protect(`<span class="inline-block align-baseline bg-slate-200/70 border border-dashed border-slate-400 rounded-sm" contenteditable="false" data-texure-latex="${latexCmd}" title="${title}"${style}>&nbsp;</span>`, match);
     })
-    .replace(/\\vspace\*?\{([^}]*)\}/g, (_, len) => {
+    .replace(/\\vspace\*?\{([^}]*)\}/g, (match, len) => {
       const raw = String(len || '').trim();
       const cssLen = toSafeCssLength(raw);
       const style = cssLen ? ` style="height: ${escapeHtml(cssLen)}"` : '';
       const title = escapeHtml(`\\vspace{${raw}}`);
       const latexCmd = escapeHtml(`\\vspace{${raw}}`);
-      return protect(`<div class="my-2 bg-slate-200/40 border border-dashed border-slate-400 rounded-sm w-full" contenteditable="false" data-texure-latex="${latexCmd}" title="${title}"${style}></div>`);
+      return protect(`<div class="my-2 bg-slate-200/40 border border-dashed border-slate-400 rounded-sm w-full" contenteditable="false" data-texure-latex="${latexCmd}" title="${title}"${style}></div>`, match);
     })
-    .replace(/\\newpage\b/g, () => {
+    .replace(/\\newpage\b/g, (match) => {
       const latexCmd = escapeHtml(`\\newpage`);
-      return protect(`<div class="my-6 border-t border-dashed border-slate-400 text-[10px] text-slate-500 text-center" contenteditable="false" data-texure-latex="${latexCmd}" title="\\newpage">\\newpage</div>`);
+      return protect(`<div class="my-6 border-t border-dashed border-slate-400 text-[10px] text-slate-500 text-center" contenteditable="false" data-texure-latex="${latexCmd}" title="\\newpage">\\newpage</div>`, match);
     });
 
-  // FORMATTING
-  const replaceFontsizeGroups = (input) => {
-    const s = String(input || '');
-    const out = [];
-    const n = s.length;
-    let i = 0;
-    while (i < n) {
-      const start = s.indexOf('{\\fontsize{', i);
-      if (start === -1) {
-        out.push(s.slice(i));
-        break;
-      }
-      out.push(s.slice(i, start));
-      let j = start + 1; // after "{"
-      // Parse "\fontsize{...}{...}\selectfont"
-      if (!s.startsWith('\\fontsize{', j)) {
-        out.push(s.slice(start, start + 1));
-        i = start + 1;
-        continue;
-      }
-      j += '\\fontsize{'.length;
-      const sizeEnd = s.indexOf('}', j);
-      if (sizeEnd === -1) {
-        out.push(s.slice(start));
-        break;
-      }
-      const sizeRaw = s.slice(j, sizeEnd).trim();
-      j = sizeEnd + 1;
-      if (s[j] !== '{') {
-        out.push(s.slice(start, start + 1));
-        i = start + 1;
-        continue;
-      }
-      j += 1;
-      const baselineEnd = s.indexOf('}', j);
-      if (baselineEnd === -1) {
-        out.push(s.slice(start));
-        break;
-      }
-      j = baselineEnd + 1;
-      if (!s.startsWith('\\selectfont', j)) {
-        out.push(s.slice(start, start + 1));
-        i = start + 1;
-        continue;
-      }
-      j += '\\selectfont'.length;
-      // Optional whitespace after \selectfont
-      while (j < n && /\s/.test(s[j])) j += 1;
-
-      // Find matching "}" for the opening "{...".
-      let depth = 1;
-      let k = j;
-      while (k < n) {
-        const ch = s[k];
-        if (ch === '{') depth += 1;
-        else if (ch === '}') {
-          depth -= 1;
-          if (depth === 0) break;
+  // FORMATTING: the rest is parsed and rendered from the AST (placeholders pass through as text).
+  const imageHtml = (optsText, path) => {
+    const raw = String(path || '').trim();
+    const safeSrc = raw.replace(/"/g, '&quot;');
+    const projectImageId = raw.startsWith(TEXURE_IMAGE_PREFIX) ? null : options.resolveImage?.(raw);
+    const idAttrs = raw.startsWith(TEXURE_IMAGE_PREFIX)
+      ? [`data-texure-image-id="${raw.slice(TEXURE_IMAGE_PREFIX.length).trim().replace(/"/g, '&quot;')}"`]
+      : projectImageId
+        ? [`data-texure-image-id="${String(projectImageId).replace(/"/g, '&quot;')}"`, `data-texure-src="${safeSrc}"`]
+        : [];
+    const placeholder = idAttrs.length > 0;
+    if (optsText == null) {
+      const attrs = [...idAttrs, 'data-texure-img-width="1"'].join(' ');
+      return placeholder
+        ? `<img src="${TRANSPARENT_GIF}" ${attrs} alt="" style="max-width:100%" />`
+        : `<img src="${safeSrc}" ${attrs} style="max-width:100%" />`;
+    }
+    const parsed = {};
+    for (const part of String(optsText).split(',')) {
+      const [k, ...rest] = part.split('=');
+      const key = (k || '').trim().toLowerCase();
+      if (key) parsed[key] = rest.join('=').trim();
+    }
+    let widthFrac = null;
+    const w = String(parsed.width || '').trim();
+    if (w) {
+      const m = w.match(/^(\d+(?:\.\d+)?)?\s*\\linewidth$/);
+      if (m) widthFrac = m[1] ? Number(m[1]) : 1;
+    }
+    const angleDeg = parsed.angle ? Number(parsed.angle) : null;
+    const attrs = [
+      ...idAttrs,
+      widthFrac != null && Number.isFinite(widthFrac) ? `data-texure-img-width="${String(widthFrac)}"` : '',
+      angleDeg != null && Number.isFinite(angleDeg) ? `data-texure-img-angle="${String(angleDeg)}"` : '',
+    ].filter(Boolean).join(' ');
+    return placeholder
+      ? `<img src="${TRANSPARENT_GIF}" ${attrs} alt="" style="max-width:100%" />`
+      : `<img src="${safeSrc}" ${attrs} style="max-width:100%" />`;
+  };
+
+  const renderParsedContent = (src) => {
+    const sourceOf = (node) => restoreSource(src.slice(node.start, node.end));
+    const argText = (arg) => restoreSource(argSource(src, arg));
+    const raw = (node) => leafHtml(node, sourceOf(node));
+    const isBlank = (node) => node.type === 'text' && !node.value.trim();
+
+    // Declarations (\large, \bfseries) style the rest of their group; `open` ones are not the group's first token.
+    const renderNodes = (nodes) => {
+      let out = '';
+      for (let i = 0; i < nodes.length; i += 1) {
+        const node = nodes[i];
+        if (node.type === 'command' && DECLARATION_STYLES[node.name] && !node.args.length) {
+          return `${out}<span data-texure-decl="${node.name}" data-texure-decl-open="true" style="${DECLARATION_STYLES[node.name]}">${renderNodes(nodes.slice(i + 1))}</span>`;
         }
-        k += 1;
+        out += renderNode(node);
+      }
+      return out;
+    };
+
+    const renderGroup = (node) => {
+      const first = node.children.findIndex((child) => !isBlank(child));
+      const lead = node.children[first];
+      if (lead?.type === 'command' && DECLARATION_STYLES[lead.name] && !lead.args.length) {
+        return `<span data-texure-decl="${lead.name}" style="${DECLARATION_STYLES[lead.name]}">${renderNodes(node.children.slice(first + 1))}</span>`;
       }
-      if (k >= n) {
-        out.push(s.slice(start));
-        break;
+      // {\fontsize{12pt}{14pt}\selectfont ...}: the size is read back from the span's style.
+      if (lead?.type === 'command' && lead.name === 'fontsize' && lead.args[1]) {
+        const next = node.children.findIndex((child, i) => i > first && !isBlank(child));
+        const select = node.children[next];
+        const size = argText(lead.args[0]).trim().match(/^([0-9]*\.?[0-9]+)\s*(pt)?$/i);
+        if (size && select?.type === 'command' && select.name === 'selectfont') {
+          return `<span style="font-size: ${escapeHtml(size[1])}pt">${renderNodes(node.children.slice(next + 1))}</span>`;
+        }
       }
+      return `<span data-texure-group="true">${renderNodes(node.children)}</span>`;
+    };
 
-      const body = s.slice(j, k);
-      const m = sizeRaw.match(/^([0-9]*\.?[0-9]+)\s*(pt)?$/i);
-      if (!m) {
-        out.push(s.slice(start, k + 1));
-        i = k + 1;
-        continue;
+    const renderList = (node) => {
+      const tag = node.name === 'enumerate' ? 'ol' : 'ul';
+      const items = [];
+      for (const child of node.children) {
+        if (child.type === 'command' && child.name === 'item') items.push({ item: child, children: [] });
+        else if (items.length) items[items.length - 1].children.push(child);
+        else if (!isBlank(child)) items.push({ item: null, children: [child] });
       }
-      const sizePt = m[1];
-      out.push(`<span style="font-size: ${escapeHtml(sizePt)}pt">${body}</span>`);
-      i = k + 1;
-    }
-    return out.join('');
-  };
+      const labels = items.map(({ item }) => (item?.args[0] ? argText(item.args[0]) : null));
+      const checklist = labels[0] === '$\\square$';
+      const lis = items.map(({ children }, i) => {
+        const body = renderNodes(children).trim();
+        if (labels[i] === '$\\square$') return `<li><input type="checkbox" disabled> ${body}</li>`;
+        return labels[i] != null ? `<li data-texure-item-label="${escapeHtml(labels[i])}">${body}</li>` : `<li>${body}</li>`;
+      });
+      const listOptions = node.args[0] ? ` data-texure-list-options="${escapeHtml(argText(node.args[0]))}"` : '';
+      const style = checklist ? ' style="list-style-type: none;"' : '';
+      return `<${tag}${style}${listOptions}>${lis.join('')}</${tag}>`;
+    };
 
-  content = replaceFontsizeGroups(content);
-  content = content
-    .replace(/\\section\s*\{([\s\S]*?)\}/g, '<h1>$1</h1>')
-    .replace(/\\subsection\s*\{([\s\S]*?)\}/g, '<h2>$1</h2>')
-    .replace(/\\subsubsection\s*\{([\s\S]*?)\}/g, '<h3>$1</h3>')
-    .replace(/\\textbf\{([\s\S]*?)\}/g, '<b>$1</b>')
-    .replace(/\\textit\{([\s\S]*?)\}/g, '<i>$1</i>')
-    .replace(/\\underline\{([\s\S]*?)\}/g, '<u>$1</u>')
-    .replace(/\\texttt\{([\s\S]*?)\}/g, '<span style="font-family: monospace">$1</span>')
-    .replace(/\\textsf\{([\s\S]*?)\}/g, '<span style="font-family: sans-serif">$1</span>')
-    // Roughly match default LaTeX font sizes (article 10pt)
-    .replace(/\\tiny\s+([\s\S]*?)(?=\\|\n|$)/g, '<span style="font-size: 5pt">$1</span>')
-    .replace(/\\scriptsize\s+([\s\S]*?)(?=\\|\n|$)/g, '<span style="font-size: 7pt">$1</span>')
-    .replace(/\\footnotesize\s+([\s\S]*?)(?=\\|\n|$)/g, '<span style="font-size: 8pt">$1</span>')
-    .replace(/\\small\s+([\s\S]*?)(?=\\|\n|$)/g, '<span style="font-size: 9pt">$1</span>')
-    .replace(/\\normalsize\s+([\s\S]*?)(?=\\|\n|$)/g, '<span style="font-size: 10pt">$1</span>')
-    .replace(/\\large\s+([\s\S]*?)(?=\\|\n|$)/g, '<span style="font-size: 12pt">$1</span>')
-    .replace(/\\Large\s+([\s\S]*?)(?=\\|\n|$)/g, '<span style="font-size: 14.4pt">$1</span>')
-    .replace(/\\LARGE\s+([\s\S]*?)(?=\\|\n|$)/g, '<span style="font-size: 17.28pt">$1</span>')
-    .replace(/\\huge\s+([\s\S]*?)(?=\\|\n|$)/g, '<span style="font-size: 20.74pt">$1</span>')
-    .replace(/\\Huge\s+([\s\S]*?)(?=\\|\n|$)/g, '<span style="font-size: 24.88pt">$1</span>')
-    .replace(/\\textcolor\[(HTML)\]\{([0-9a-fA-F]{6})\}\{([\s\S]*?)\}/g, '<span style="color: #$2">$3</span>')
-    .replace(/\\colorbox\[(HTML)\]\{([0-9a-fA-F]{6})\}\{([\s\S]*?)\}/g, '<span style="background-color: #$2">$3</span>')
-    .replace(/\\textcolor\{([a-zA-Z]+|#[0-9a-fA-F]{6})\}\{([\s\S]*?)\}/g, '<span style="color: $1">$2</span>')
-    .replace(/\\colorbox\{([a-zA-Z]+|#[0-9a-fA-F]{6})\}\{([\s\S]*?)\}/g, '<span style="background-color: $1">$2</span>')
-    .replace(/\\begin\{center\}([\s\S]*?)\\end\{center\}/g, '<div style="text-align: center">$1</div>')
-    .replace(/\\begin\{flushright\}([\s\S]*?)\\end\{flushright\}/g, '<div style="text-align: right">$1</div>')
-    .replace(/\\begin\{flushleft\}([\s\S]*?)\\end\{flushleft\}/g, '<div style="text-align: left">$1</div>')
-    .replace(/\\begin\{quote\}([\s\S]*?)\\end\{quote\}/g, '<blockquote>$1</blockquote>')
-    .replace(/\\begin\{quotation\}([\s\S]*?)\\end\{quotation\}/g, '<blockquote>$1</blockquote>')
-    .replace(/\\begin\{justify\}([\s\S]*?)\\end\{justify\}/g, '<div style="text-align: justify">$1</div>')
-    .replace(/\\justify\{([\s\S]*?)\}/g, '<div style="text-align: justify">$1</div>')
-    .replace(/\\href\{([\s\S]*?)\}\{([\s\S]*?)\}/g, '<a href="$1">$2</a>')
-    .replace(/\\includegraphics\[((?:[^\]]|\](?!\{))*)\]\{([\s\S]*?)\}/g, (_, optsText, src) => {
-      const opts = String(optsText || '');
-      const parsed = (() => {
-        const out = {};
-        for (const part of opts.split(',')) {
-          const [k, ...rest] = part.split('=');
-          const key = (k || '').trim().toLowerCase();
-          const val = rest.join('=').trim();
-          if (!key) continue;
-          out[key] = val;
-        }
-        return out;
-      })();
+    const renderCommand = (node) => {
+      const { name, args } = node;
+      const body = (arg) => renderNodes(arg.children);
+      if (ESCAPED_CHARS[name] && !args.length) return escapeHtml(ESCAPED_CHARS[name]);
+      if (TEXT_SYMBOLS[name] != null && args.every((arg) => arg && !arg.children.length)) return escapeHtml(TEXT_SYMBOLS[name]);
+      if (name === '\\') return '<br/>';
+      if (!node.complete) return raw(node);
+      if (HEADING_TAGS[name]) {
+        const tag = HEADING_TAGS[name];
+        const star = node.star ? ' data-texure-starred="true"' : '';
+        const short = args[0] ? ` data-texure-short-title="${escapeHtml(argText(args[0]))}"` : '';
+        return `<${tag}${star}${short}>${body(args[1])}</${tag}>`;
+      }
+      if (STYLE_TAGS[name]) return `<${STYLE_TAGS[name]}>${body(args[0])}</${STYLE_TAGS[name]}>`;
+      if (name === 'emph') return `<em data-texure-cmd="emph">${body(args[0])}</em>`;
+      if (name === 'textsf') return `<span style="font-family: sans-serif">${body(args[0])}</span>`;
+      if (name === 'texttt') {
+        const text = plainTextOf(args[0].children);
+        if (text == null) return `<span style="font-family: monospace">${body(args[0])}</span>`;
+        if (!text.replace(/[\u200B\uFEFF]/g, '').trim()) return '';
+        return `<code class="texure-inline-code">${escapeHtml(text)}</code>`;
+      }
+      if (name === 'textcolor' || name === 'colorbox') {
+        const model = args[0] ? argText(args[0]).trim() : null;
+        const value = argText(args[1]).trim();
+        const color = model === 'HTML' && /^[0-9a-fA-F]{6}$/.test(value) ? `#${value}`
+          : model == null && /^([a-zA-Z]+|#[0-9a-fA-F]{6})$/.test(value) ? value
+          : null;
+        if (!color) return raw(node);
+        return `<span style="${name === 'textcolor' ? 'color' : 'background-color'}: ${color}">${body(args[2])}</span>`;
+      }
+      if (name === 'href') return `<a href="${escapeHtml(argText(args[0]))}">${body(args[1])}</a>`;
+      if (name === 'justify') return `<div style="text-align: justify">${body(args[0])}</div>`;
+      if (name === 'includegraphics') return imageHtml(args[0] ? argText(args[0]) : null, argText(args[1]));
+      return raw(node);
+    };
 
-      let widthFrac = null;
-      const w = String(parsed.width || '').trim();
-      if (w) {
-        const m = w.match(/^(\d+(?:\.\d+)?)?\s*\\linewidth$/);
-        if (m) widthFrac = m[1] ? Number(m[1]) : 1;
-      }
-
-      const angleDeg = parsed.angle ? Number(parsed.angle) : null;
-      const raw = String(src || '').trim();
-      if (raw.startsWith(TEXURE_IMAGE_PREFIX)) {
-        const id = raw.slice(TEXURE_IMAGE_PREFIX.length).trim();
-        const safeId = id.replace(/"/g, '&quot;');
-        const attrs = [
-          `data-texure-image-id="${safeId}"`,
-          widthFrac != null && Number.isFinite(widthFrac) ? `data-texure-img-width="${String(widthFrac)}"` : '',
-          angleDeg != null && Number.isFinite(angleDeg) ? `data-texure-img-angle="${String(angleDeg)}"` : '',
-        ].filter(Boolean).join(' ');
-        return `<img src="${TRANSPARENT_GIF}" ${attrs} alt="" style="max-width:100%" />`;
-      }
-      const safeSrc = raw.replace(/"/g, '&quot;');
-      const attrs = [
-        widthFrac != null && Number.isFinite(widthFrac) ? `data-texure-img-width="${String(widthFrac)}"` : '',
-        angleDeg != null && Number.isFinite(angleDeg) ? `data-texure-img-angle="${String(angleDeg)}"` : '',
-      ].filter(Boolean).join(' ');
-      return `<img src="${safeSrc}" ${attrs} style="max-width:100%" />`;
-    })
-    .replace(/\\includegraphics\{([\s\S]*?)\}/g, (_, src) => {
-      const raw = String(src || '').trim();
-      if (raw.startsWith(TEXURE_IMAGE_PREFIX)) {
-        const id = raw.slice(TEXURE_IMAGE_PREFIX.length).trim();
-        const safeId = id.replace(/"/g, '&quot;');
-        return `<img src="${TRANSPARENT_GIF}" data-texure-image-id="${safeId}" data-texure-img-width="1" alt="" style="max-width:100%" />`;
-      }
-      const safeSrc = raw.replace(/"/g, '&quot;');
-      return `<img src="${safeSrc}" data-texure-img-width="1" style="max-width:100%" />`;
-    })
-    .replace(/\\begin\{itemize\}([\s\S]*?)\\end\{itemize\}/g, (_, i) => `<ul>${i.split('\\item').filter(t=>t.trim()).map(t=>`<li>${t.trim()}</li>`).join('')}</ul>`)
-    .replace(/\\begin\{enumerate\}([\s\S]*?)\\end\{enumerate\}/g, (_, i) => `<ol>${i.split('\\item').filter(t=>t.trim()).map(t=>`<li>${t.trim()}</li>`).join('')}</ol>`);
+    const renderNode = (node) => {
+      if (node.type === 'text') return escapeHtml(node.value.replace(/\n/g, ' '));
+      if (node.type === 'special' && node.value === '~') return '<span class="texure-tie" contenteditable="false" data-texure-latex="~">&nbsp;</span>';
+      if (node.type === 'group') return renderGroup(node);
+      if (node.type === 'command') return renderCommand(node);
+      if (node.type === 'environment') {
+        if (ALIGN_ENVIRONMENTS[node.name]) return `<div style="text-align: ${ALIGN_ENVIRONMENTS[node.name]}">${renderNodes(node.children)}</div>`;
+        if (node.name === 'quote') return `<blockquote>${renderNodes(node.children)}</blockquote>`;
+        if (node.name === 'quotation') return `<blockquote data-texure-cmd="quotation">${renderNodes(node.children)}</blockquote>`;
+        if (node.name === 'itemize' || node.name === 'enumerate') return renderList(node);
+      }
+      return raw(node);
+    };
 
-  // SPACING FIX
-  content = content
-    .replace(/\\\\/g, '<br/>')
-    // Do NOT convert plain newlines to <br/>; keep them as spacing only
-    .replace(/\n/g, ' ');
+    return renderNodes(parseLatex(src));
+  };
 
-  content = unescapeLatex(content);
-  content = content.replace(/__PROTECTED_BLOCK_(\d+)__/g, (_, i) => protectedBlocks[i]);
+  content = renderParsedContent(content);
+  content = resolveProtected(content);
+  if (!options.footnotes) content += footnotesBlockHtml(footnotes, content);
   return content;
 };
 
@@ -669,6 +907,9 @@ const htmlToLatex = (html) => {
     return false;
   };
 
+  const titleFieldOf = (field) =>
+    Array.from(tempDiv.querySelectorAll('.texure-title-block [data-texure-meta]')).find((el) => el.getAttribute('data-texure-meta') === field) || null;
+
   const traverse = (node) => {
     if (node.nodeType === 3) {
       const text = stripZeroWidth(node.textContent).replace(/\s+/g, ' ');
@@ -676,6 +917,24 @@ const htmlToLatex = (html) => {
     }
 
     if (node.nodeType === 1) {
+      // Body-level \title/\author/\date take their value from the title block when there is one.
+      const metaCommand = node.getAttribute('data-texure-meta-command');
+      if (metaCommand) {
+        const field = titleFieldOf(metaCommand);
+        const original = node.getAttribute('data-texure-latex') || '';
+        if (field) {
+          const value = titleFieldLatex(field);
+          if (value !== readTitleMetadata(original)[metaCommand]) return `\\${metaCommand}{${value}}`;
+        }
+        return original;
+      }
+
+      // Raw LaTeX and expanded macros are written back exactly; blocks only get their own lines.
+      if (node.classList.contains('texure-raw') || node.classList.contains('texure-macro')) {
+        const source = node.getAttribute('data-texure-latex') || '';
+        return node.classList.contains('texure-raw-block') ? `\n${source}\n` : source;
+      }
+
       const texureLatex = node.getAttribute('data-texure-latex');
       if (texureLatex) {
         const cmd = normalizeTexureLatex(texureLatex);
@@ -684,6 +943,22 @@ const htmlToLatex = (html) => {
         return cmd;
       }
 
+      if (node.classList.contains('texure-abstract')) {
+        const bodyEl = node.querySelector('.texure-abstract-body') || node;
+        const body = Array.from(bodyEl.childNodes).map(traverse).join('').replace(/\n{3,}/g, '\n\n').trim();
+        return `\n\\begin{abstract}\n${body}\n\\end{abstract}\n`;
+      }
+
+      if (node.classList.contains('texure-footnotes') || node.classList.contains('texure-caption-number')) return '';
+      if (node.hasAttribute('data-texure-footnote')) {
+        const renderChildren = (el) => Array.from(el.childNodes).map(traverse).join('');
+        return footnoteElementToLatex(node, tempDiv, renderChildren);
+      }
+      if (node.hasAttribute('data-texure-note')) {
+        const renderChildren = (el) => Array.from(el.childNodes).map(traverse).join('');
+        return noteElementToLatex(node, renderChildren);
+      }
+
       if (node.classList.contains('texure-codeblock')) {
         const lang = (node.getAttribute('data-texure-code-lang') || 'text').trim();
         const encoded = node.getAttribute('data-texure-code') || '';
@@ -695,9 +970,25 @@ const htmlToLatex = (html) => {
         return `\n\\begin{lstlisting}${opt}\n${safeCode}\n\\end{lstlisting}\n`;
       }
 
+      if (node.classList.contains('texure-theorem')) {
+        return `\n${theoremElementToLatex(node, (nodes) => nodes.map(traverse).join(''))}\n`;
+      }
+
+      if (node.tagName.toLowerCase() === 'figure') {
+        const renderChildren = (el) => Array.from(el.childNodes).map(traverse).join('');
+        return `\n${figureElementToLatex(node, renderChildren)}\n`;
+      }
+
+      if (node.tagName.toLowerCase() === 'table') {
+        const renderChildren = (el) => Array.from(el.childNodes).map(traverse).join('');
+        return `\n${tableElementToLatex(node, renderChildren)}\n`;
+      }
+
       if (node.classList.contains('math-block')) {
         const input = node.querySelector('textarea');
         const latex = input ? input.value : decodeURIComponent(node.getAttribute('data-latex') || "");
+        const env = node.getAttribute('data-texure-math-env');
+        if (env) return `\n\\begin{${env}}\n${latex}\n\\end{${env}}\n`;
         return `\n\\[\n${latex}\n\\]\n`;
       }
       if (node.classList.contains('math-inline')) {
@@ -724,6 +1015,14 @@ const htmlToLatex = (html) => {
         return `\\texttt{${escapeLatex(code)}}`;
       }
 
+      // Declarations and plain groups rendered from the AST keep their braces.
+      const decl = node.getAttribute('data-texure-decl');
+      if (decl || node.hasAttribute('data-texure-group')) {
+        const inner = Array.from(node.childNodes).map(traverse).join('');
+        if (!decl) return `{${inner}}`;
+        return node.hasAttribute('data-texure-decl-open') ? `\\${decl} ${inner}` : `{\\${decl} ${inner}}`;
+      }
+
       const childContent = Array.from(node.childNodes).map(traverse).join('');
       if (
         tagName === 'span' &&
@@ -740,6 +1039,9 @@ const htmlToLatex = (html) => {
       const paddingLeft = getStyle(node, 'paddingLeft');
       const paddingRight = getStyle(node, 'paddingRight');
       const textIndent = getStyle(node, 'textIndent');
+      const star = node.getAttribute('data-texure-starred') === 'true' ? '*' : '';
+      const short = node.hasAttribute('data-texure-short-title') ? `[${node.getAttribute('data-texure-short-title')}]` : '';
+      const cmdAttr = node.getAttribute('data-texure-cmd');
 
       let prefix = ''; let suffix = '';
 
@@ -777,18 +1079,19 @@ const htmlToLatex = (html) => {
       }
 
       switch (tagName) {
-        case 'h1': return prefix + `\n\\section{${childContent}}\n` + suffix;
-        case 'h2': return prefix + `\n\\subsection{${childContent}}\n` + suffix;
-        case 'h3': return prefix + `\n\\subsubsection{${childContent}}\n` + suffix;
-        case 'h4': return prefix + `\n\\paragraph{${childContent}}\n` + suffix;
+        case 'h1': return prefix + `\n\\section${star}${short}{${childContent}}\n` + suffix;
+        case 'h2': return prefix + `\n\\subsection${star}${short}{${childContent}}\n` + suffix;
+        case 'h3': return prefix + `\n\\subsubsection${star}${short}{${childContent}}\n` + suffix;
+        case 'h4': return prefix + `\n\\paragraph${star}${short}{${childContent}}\n` + suffix;
         case 'b': case 'strong': return prefix + `\\textbf{${childContent}}` + suffix;
-        case 'i': case 'em': return prefix + `\\textit{${childContent}}` + suffix;
+        case 'i': case 'em': return prefix + `\\${cmdAttr === 'emph' ? 'emph' : 'textit'}{${childContent}}` + suffix;
         case 'u': return prefix + `\\underline{${childContent}}` + suffix;
         case 'a': return prefix + `\\href{${node.getAttribute('href')}}{${childContent}}` + suffix;
         case 'img': {
           const texureId = node.getAttribute('data-texure-image-id');
           const src = node.getAttribute('src') || '';
-          const ref = texureId ? `texure-image:${texureId}` : src;
+          // Project images keep their path in the source; data-texure-image-id only supplies the preview.
+          const ref = node.getAttribute('data-texure-src') || (texureId ? `texure-image:${texureId}` : src);
           const widthAttr = node.getAttribute('data-texure-img-width');
           const angleAttr = node.getAttribute('data-texure-img-angle');
           const opts = [];
@@ -804,16 +1107,22 @@ const htmlToLatex = (html) => {
 	          const optText = `[${opts.join(',')}]`;
 	          return prefix + `\\includegraphics${optText}{${ref}}` + suffix;
 	        }
-        case 'ul': return prefix + `\n\\begin{itemize}\n${childContent}\\end{itemize}\n` + suffix;
-        case 'ol': return prefix + `\n\\begin{enumerate}\n${childContent}\\end{enumerate}\n` + suffix;
+        case 'ul':
+        case 'ol': {
+          const env = tagName === 'ol' ? 'enumerate' : 'itemize';
+          const listOptions = node.hasAttribute('data-texure-list-options') ? `[${node.getAttribute('data-texure-list-options')}]` : '';
+          return prefix + `\n\\begin{${env}}${listOptions}\n${childContent}\\end{${env}}\n` + suffix;
+        }
         case 'li': 
             const isCheck = node.querySelector('input[type="checkbox"]');
-            return `  \\item${isCheck ? '[$\\square$] ' : ' '}${childContent.replace(/^\s*/, '')}\n`;
+            const itemLabel = isCheck ? '$\\square$' : node.getAttribute('data-texure-item-label');
+            return `  \\item${itemLabel != null ? `[${itemLabel}] ` : ' '}${childContent.replace(/^\s*/, '')}\n`;
         case 'br': 
           // Ignore auto-inserted <br> from contentEditable; avoid injecting \\.
           return '';
         case 'blockquote': {
-          return `\n\\begin{quote}\n${prefix}${childContent}${suffix}\n\\end{quote}\n`;
+          const env = cmdAttr === 'quotation' ? 'quotation' : 'quote';
+          return `\n\\begin{${env}}\n${prefix}${childContent}${suffix}\n\\end{${env}}\n`;
         }
         case 'div':
         case 'p': {
@@ -834,23 +1143,61 @@ const htmlToLatex = (html) => {
   return Array.from(tempDiv.childNodes).map(traverse).join('').replace(/\n{3,}/g, '\n\n').trim();
 };
 
-// Parse LaTeX log to a short human-friendly summary
+// Replaces the source of a raw LaTeX chip or block (or a comment); emptying it removes the element.
+// A comment, or a source whose last line opens one, keeps its closing newline so it cannot swallow the
+// text that follows.
+const setRawLatexSource = (el, source) => {
+  let text = String(source ?? '');
+  if (!text.trim()) {
+    el.remove();
+    return;
+  }
+  const lastLine = text.slice(text.lastIndexOf('\n') + 1);
+  if (el.classList.contains('texure-comment') || /(^|[^\\])(\\\\)*%/.test(lastLine)) {
+    if (!text.endsWith('\n')) text += '\n';
+  }
+  el.setAttribute('data-texure-latex', text);
+  const display = el.querySelector('pre') || el;
+  display.textContent = el.classList.contains('texure-comment') ? text.replace(/\n$/, '') : text;
+};
+
+// LaTeX for a title block field. Unedited fields keep their source, which may not survive an
+// HTML round trip (e.g. grouping braces).
+const titleFieldLatex = (el) => {
+  const latex = htmlToLatex(el.innerHTML).replace(/\s+/g, ' ').trim();
+  let source = null;
+  try {
+    source = el.hasAttribute('data-texure-meta-latex') ? decodeURIComponent(el.getAttribute('data-texure-meta-latex')) : null;
+  } catch { /* treated as edited */ }
+  if (source == null) return latex;
+  const rendered = htmlToLatex(renderTitleField(source, (s) => latexToHtml(s, { footnotes: [] })));
+  return rendered.replace(/\s+/g, ' ').trim() === latex ? source : latex;
+};
+
+// `{ title, author, date }` as edited in the visual title block (LaTeX source), or null without one.
+const readTitleBlockMetadata = (html) => {
+  if (!html) return null;
+  const tempDiv = document.createElement('div');
+  tempDiv.innerHTML = html;
+  const block = tempDiv.querySelector('.texure-title-block');
+  if (!block) return null;
+  const meta = {};
+  for (const field of TITLE_FIELDS) {
+    const el = Array.from(block.querySelectorAll('[data-texure-meta]')).find((f) => f.getAttribute('data-texure-meta') === field);
+    if (el) meta[field] = titleFieldLatex(el);
+  }
+  return meta;
+};
+
+// Parse LaTeX log to a short human-friendly summary: the first error, else the first box warning
 const summarizeLatexLog = (log) => {
   if (!log) return '';
-  const lines = log.split(/\r?\n/);
-  const bangIdx = lines.findIndex(l => l.trim().startsWith('!'));
-  if (bangIdx !== -1) {
-    const err = lines[bangIdx].replace(/^!\s*/, '');
-    const ctx = lines[bangIdx + 1] || '';
-    const lnMatch = ctx.match(/l\.(\d+)/);
-    const ln = lnMatch ? ` at line ${lnMatch[1]}` : '';
-    return `${err}${ln}`.trim();
-  }
-  const overfull = lines.find(l => l.includes('Overfull'));
-  if (overfull) return overfull.trim();
-  const underfull = lines.find(l => l.includes('Underfull'));
-  if (underfull) return underfull.trim();
-  const genericErr = lines.find(l => /error/i.test(l));
+  const entries = parseTexLog(log);
+  const err = entries.find(e => e.level === 'error');
+  if (err) return `${err.message}${err.line != null ? ` at line ${err.line}` : ''}`.trim();
+  const box = entries.find(e => e.message.startsWith('Overfull')) || entries.find(e => e.message.startsWith('Underfull'));
+  if (box) return box.message;
+  const genericErr = log.split(/\r?\n/).find(l => /error/i.test(l));
   if (genericErr) return genericErr.trim();
   return '';
 };
@@ -862,7 +1209,7 @@ const isWasmLatexEngineConfigured = () => {
   return !!(g.SwiftLaTeX && typeof g.SwiftLaTeX.compile === 'function');
 };
 
-const compileWithWasmLatex = async (latex) => {
+const compileWithWasmLatex = async (latex, options = {}) => {
   const toBlob = (bytesOrBase64) => {
     if (bytesOrBase64 instanceof Uint8Array || Array.isArray(bytesOrBase64)) {
       return new Blob([bytesOrBase64], { type: 'application/pdf' });
@@ -880,6 +1227,9 @@ const compileWithWasmLatex = async (latex) => {
     try {
       const mod = await import(/* @vite-ignore */ WASM_MODULE);
       if (mod?.PDFTeX?.new) {
+        if (options.engine && options.engine !== 'pdflatex') {
+          throw new Error(`The configured WASM engine only runs pdfLaTeX; ${options.engine} needs another compiler backend.`);
+        }
         const pdftex = await mod.PDFTeX.new();
         const out = await pdftex.compile(latex);
         const blob = toBlob(out);
@@ -887,7 +1237,7 @@ const compileWithWasmLatex = async (latex) => {
         return blob;
       }
       if (typeof mod?.compile === 'function') {
-        const out = await mod.compile(latex);
+        const out = await mod.compile(latex, options);
         const blob = toBlob(out);
         if (!blob) throw new Error('Unsupported WASM engine output format');
         return blob;
@@ -904,7 +1254,7 @@ const compileWithWasmLatex = async (latex) => {
 
   const g = typeof window !== 'undefined' ? window : {};
   if (g.SwiftLaTeX && typeof g.SwiftLaTeX.compile === 'function') {
-    const out = await g.SwiftLaTeX.compile(latex);
+    const out = await g.SwiftLaTeX.compile(latex, options);
     const blob = toBlob(out);
     if (!blob) throw new Error('SwiftLaTeX returned unsupported output format');
     return blob;
@@ -920,6 +1270,8 @@ export {
   readJSONSafe,
   latexToHtml,
   htmlToLatex,
+  readTitleBlockMetadata,
+  setRawLatexSource,
   summarizeLatexLog,
   isWasmLatexEngineConfigured,
   compileWithWasmLatex,
@@ -0,0 +1,408 @@
+// LaTeX tokenizer and parser: an AST with source offsets for the visual editor's conversions
+//
+// Every node has `start`/`end` offsets into the source, and the top-level nodes cover it without gaps,
+// so `src.slice(node.start, node.end)` always gives back the exact text of a construct.
+//   { type: 'text', value }
+//   { type: 'comment', value }                        `%` to the end of the line, newline included
+//   { type: 'special', value }                        `~`, or a `}` without an opening brace
+//   { type: 'command', name, star, args, known, complete }
+//                                                     `args` follow the command's signature (`complete` is false when
+//                                                     a mandatory one is missing); control words without one take
+//                                                     the adjacent [..] / {..} groups
+//   { type: 'group', children, closed }               `{...}`
+//   { type: 'environment', name, args, children, closed, bodyStart, bodyEnd }
+//                                                     verbatim and display math environments have `body` text instead of children
+//   { type: 'math', display, delimiter, value }       `$`, `$$`, `\(` and `\[`
+//   { type: 'verb', star, delimiter, value }
+// Arguments are `{ kind: 'optional' | 'mandatory', children, start, end }` (offsets include the brackets),
+// or null where an optional argument is absent. Verbatim arguments hold a single text child.
+
+import { MATH_ENVIRONMENTS } from './mathEnvironments';
+
+// xparse-style signatures: `s` star, `o` [optional], `m` {mandatory}, `v` {verbatim} (e.g. URLs, where `%` is not a comment).
+export const COMMAND_SIGNATURES = {
+  begin: 'm',
+  end: 'm',
+  '\\': 's o',
+  item: 'o',
+  section: 's o m',
+  subsection: 's o m',
+  subsubsection: 's o m',
+  paragraph: 's o m',
+  textbf: 'm',
+  textit: 'm',
+  textsl: 'm',
+  textsc: 'm',
+  textsf: 'm',
+  texttt: 'm',
+  textrm: 'm',
+  textup: 'm',
+  textmd: 'm',
+  textnormal: 'm',
+  emph: 'm',
+  underline: 'm',
+  mbox: 'm',
+  textcolor: 'o m m',
+  colorbox: 'o m m',
+  href: 'v m',
+  url: 'v',
+  includegraphics: 's o m',
+  hspace: 's m',
+  vspace: 's m',
+  fontsize: 'm m',
+  justify: 'm',
+};
+
+export const ENVIRONMENT_SIGNATURES = {
+  itemize: 'o',
+  enumerate: 'o',
+  minipage: 'o m',
+  tabular: 'o m',
+};
+
+// Environments whose body is read as plain text. Display math bodies are kept as source for KaTeX.
+export const VERBATIM_ENVIRONMENTS = new Set(['verbatim', 'verbatim*', 'Verbatim', 'lstlisting', 'minted', 'comment']);
+const RAW_BODY_ENVIRONMENTS = new Set([...VERBATIM_ENVIRONMENTS, ...MATH_ENVIRONMENTS]);
+
+// Primitive definitions: `\def\name#1#2{body}` and `\let\a=\b` take a control sequence and parameter text.
+const DEFINITION_COMMANDS = new Set(['def', 'gdef', 'edef', 'xdef', 'let']);
+
+const isLetter = (ch) => /[A-Za-z@]/.test(ch || '');
+
+export const parseLatex = (source, { signatures = COMMAND_SIGNATURES, environments = ENVIRONMENT_SIGNATURES } = {}) => {
+  const src = String(source || '');
+  const n = src.length;
+  let pos = 0;
+
+  // Spaces and at most one line break (a blank line ends a paragraph, so it is never skipped).
+  const skipSpace = () => {
+    let j = pos;
+    let newlines = 0;
+    while (j < n && /\s/.test(src[j])) {
+      if (src[j] === '\n') {
+        newlines += 1;
+        if (newlines > 1) return;
+      }
+      j += 1;
+    }
+    pos = j;
+  };
+
+  const peekAfterSpace = () => {
+    const save = pos;
+    skipSpace();
+    const at = pos;
+    pos = save;
+    return at;
+  };
+
+  // `}` closes the group being read; `]` closes an optional argument at brace depth 0.
+  const parseNodes = ({ stopAt = null, stopEnv = null } = {}) => {
+    const nodes = [];
+    let textStart = -1;
+    const flushText = () => {
+      if (textStart !== -1 && textStart < pos) nodes.push({ type: 'text', value: src.slice(textStart, pos), start: textStart, end: pos });
+      textStart = -1;
+    };
+    while (pos < n) {
+      const ch = src[pos];
+      if (ch === stopAt) break;
+      if (stopEnv && src.startsWith(`\\end{${stopEnv}}`, pos)) break;
+      let node = null;
+      if (ch === '\\') node = parseBackslash();
+      else if (ch === '{') node = parseGroup();
+      else if (ch === '}') node = { type: 'special', value: '}', start: pos, end: (pos += 1) };
+      else if (ch === '%') node = parseComment();
+      else if (ch === '$') node = parseDollarMath();
+      else if (ch === '~') node = { type: 'special', value: '~', start: pos, end: (pos += 1) };
+      if (node) {
+        if (textStart !== -1) {
+          const end = pos;
+          pos = node.start;
+          flushText();
+          pos = end;
+        }
+        nodes.push(node);
+        continue;
+      }
+      if (textStart === -1) textStart = pos;
+      pos += 1;
+    }
+    flushText();
+    return nodes;
+  };
+
+  const parseComment = () => {
+    const start = pos;
+    const nl = src.indexOf('\n', pos);
+    pos = nl === -1 ? n : nl + 1;
+    return { type: 'comment', value: src.slice(start, pos), start, end: pos };
+  };
+
+  const parseGroup = () => {
+    const start = pos;
+    pos += 1;
+    const children = parseNodes({ stopAt: '}' });
+    const closed = src[pos] === '}';
+    if (closed) pos += 1;
+    return { type: 'group', children, closed, start, end: pos };
+  };
+
+  const parseOptional = () => {
+    const start = pos;
+    pos += 1;
+    const children = [];
+    // Brackets inside braces do not close the argument.
+    while (pos < n && src[pos] !== ']') {
+      const before = pos;
+      children.push(...parseNodes({ stopAt: ']' }));
+      if (pos === before) break;
+    }
+    if (src[pos] !== ']') {
+      pos = start;
+      return null;
+    }
+    pos += 1;
+    return { kind: 'optional', children, start, end: pos };
+  };
+
+  const parseMandatory = () => {
+    if (src[pos] !== '{') return null;
+    const group = parseGroup();
+    if (!group.closed) {
+      pos = group.start;
+      return null;
+    }
+    return { kind: 'mandatory', children: group.children, start: group.start, end: group.end };
+  };
+
+  const parseVerbatimArg = () => {
+    if (src[pos] !== '{') return null;
+    const start = pos;
+    let depth = 0;
+    for (let j = pos; j < n; j += 1) {
+      if (src[j] === '{') depth += 1;
+      else if (src[j] === '}' && --depth === 0) {
+        pos = j + 1;
+        const children = j > start + 1 ? [{ type: 'text', value: src.slice(start + 1, j), start: start + 1, end: j }] : [];
+        return { kind: 'mandatory', children, start, end: pos };
+      }
+    }
+    return null;
+  };
+
+  // Reads arguments for `signature`; commands without one take the adjacent [..] / {..} groups.
+  const parseArgs = (signature) => {
+    const args = [];
+    let star = false;
+    let complete = true;
+    if (signature == null) {
+      for (;;) {
+        const save = pos;
+        while (pos < n && (src[pos] === ' ' || src[pos] === '\t')) pos += 1;
+        const arg = src[pos] === '[' ? parseOptional() : src[pos] === '{' ? parseMandatory() : null;
+        if (!arg) {
+          pos = save;
+          break;
+        }
+        args.push(arg);
+      }
+      return { args, star, complete };
+    }
+    for (const spec of signature.split(/\s+/).filter(Boolean)) {
+      const save = pos;
+      pos = peekAfterSpace();
+      if (spec === 's') {
+        if (src[pos] === '*') {
+          star = true;
+          pos += 1;
+        } else pos = save;
+      } else if (spec === 'o') {
+        const arg = src[pos] === '[' ? parseOptional() : null;
+        if (!arg) pos = save;
+        args.push(arg);
+      } else {
+        const arg = spec === 'v' ? parseVerbatimArg() : parseMandatory();
+        if (!arg) {
+          pos = save;
+          args.push(null);
+          complete = false;
+          break;
+        }
+        args.push(arg);
+      }
+    }
+    return { args, star, complete };
+  };
+
+  const parseUntil = (close, start, node) => {
+    const idx = src.indexOf(close, pos);
+    if (idx === -1) return null;
+    const value = src.slice(pos, idx);
+    pos = idx + close.length;
+    return { ...node, value, start, end: pos };
+  };
+
+  const parseDollarMath = () => {
+    const start = pos;
+    const display = src[pos + 1] === '$';
+    pos += display ? 2 : 1;
+    const delimiter = display ? '$$' : '$';
+    for (let j = pos; j < n; j += 1) {
+      if (src[j] === '\\') {
+        j += 1;
+        continue;
+      }
+      if (src[j] === '%') {
+        const nl = src.indexOf('\n', j);
+        if (nl === -1) break;
+        j = nl;
+        continue;
+      }
+      if (src.startsWith(delimiter, j)) {
+        const value = src.slice(pos, j);
+        pos = j + delimiter.length;
+        return { type: 'math', display, delimiter, value, start, end: pos };
+      }
+    }
+    // No closing delimiter: the dollar is plain text.
+    pos = start;
+    return null;
+  };
+
+  const parseEnvironment = (begin) => {
+    const name = argSource(src, begin.args[0]).trim();
+    const { args } = parseArgs(environments[name] ?? '');
+    const bodyStart = pos;
+    const close = `\\end{${name}}`;
+    if (RAW_BODY_ENVIRONMENTS.has(name)) {
+      const idx = src.indexOf(close, pos);
+      const bodyEnd = idx === -1 ? n : idx;
+      pos = idx === -1 ? n : idx + close.length;
+      return { type: 'environment', name, args, body: src.slice(bodyStart, bodyEnd), closed: idx !== -1, bodyStart, bodyEnd, start: begin.start, end: pos };
+    }
+    const children = parseNodes({ stopEnv: name });
+    const bodyEnd = pos;
+    const closed = src.startsWith(close, pos);
+    if (closed) pos += close.length;
+    return { type: 'environment', name, args, children, closed, bodyStart, bodyEnd, start: begin.start, end: pos };
+  };
+
+  const readControlSequence = () => {
+    if (src[pos] !== '\\' || pos + 1 >= n) return false;
+    pos += 1;
+    if (isLetter(src[pos])) while (pos < n && isLetter(src[pos])) pos += 1;
+    else pos += 1;
+    return true;
+  };
+
+  // `\def` reads up to its body group, `\let` up to the token it copies; null when the source does not fit.
+  const parseDefinition = (start, name) => {
+    const save = pos;
+    skipSpace();
+    if (!readControlSequence()) {
+      pos = save;
+      return null;
+    }
+    if (name === 'let') {
+      while (src[pos] === ' ') pos += 1;
+      if (src[pos] === '=') pos += 1;
+      if (src[pos] === ' ') pos += 1;
+      if (!readControlSequence()) pos += 1;
+      return { type: 'command', name, star: false, args: [], known: true, complete: true, start, end: Math.min(pos, n) };
+    }
+    const params = src.slice(pos).match(/^[^{}\n%]*/)[0];
+    pos += params.length;
+    const body = parseMandatory();
+    if (!body) {
+      pos = save;
+      return null;
+    }
+    return { type: 'command', name, star: false, args: [body], known: true, complete: true, start, end: pos };
+  };
+
+  const parseBackslash = () => {
+    const start = pos;
+    const next = src[pos + 1];
+    if (next === undefined) {
+      pos += 1;
+      return { type: 'text', value: '\\', start, end: pos };
+    }
+    if (next === '(' || next === '[') {
+      pos += 2;
+      const math = parseUntil(next === '(' ? '\\)' : '\\]', start, { type: 'math', display: next === '[', delimiter: `\\${next}` });
+      if (math) return math;
+      pos = start;
+    }
+    let name;
+    if (isLetter(next)) {
+      let j = pos + 1;
+      while (j < n && isLetter(src[j])) j += 1;
+      name = src.slice(pos + 1, j);
+      pos = j;
+      if (name === 'verb') {
+        const star = src[pos] === '*';
+        const delimiter = src[pos + (star ? 1 : 0)];
+        if (delimiter && !/[\sA-Za-z*]/.test(delimiter)) {
+          const end = src.indexOf(delimiter, pos + (star ? 2 : 1));
+          const nl = src.indexOf('\n', pos);
+          if (end !== -1 && (nl === -1 || end < nl)) {
+            const value = src.slice(pos + (star ? 2 : 1), end);
+            pos = end + 1;
+            return { type: 'verb', star, delimiter, value, start, end: pos };
+          }
+        }
+      }
+      if (DEFINITION_COMMANDS.has(name)) {
+        const definition = parseDefinition(start, name);
+        if (definition) return definition;
+      }
+      // Spaces after a control word only end its name.
+      skipSpace();
+    } else {
+      name = next;
+      pos += 2;
+    }
+    // Control symbols (`\%`, `\,`) take no arguments unless their signature says so.
+    const known = Object.prototype.hasOwnProperty.call(signatures, name);
+    const { args, star, complete } = parseArgs(known ? signatures[name] : isLetter(name) ? null : '');
+    const command = { type: 'command', name, star, args, known, complete, start, end: pos };
+    if (name === 'begin' && args[0]) return parseEnvironment(command);
+    return command;
+  };
+
+  return parseNodes();
+};
+
+// Source text inside an argument's brackets ('' for an absent argument).
+export const argSource = (src, arg) => (arg ? src.slice(arg.start + 1, arg.end - 1) : '');
+
+// Calls `fn(node)` for every node, depth first, including argument contents.
+export const walkLatex = (nodes, fn) => {
+  for (const node of nodes || []) {
+    fn(node);
+    for (const arg of node.args || []) if (arg) walkLatex(arg.children, fn);
+    if (node.children) walkLatex(node.children, fn);
+  }
+};
+
+// The characters LaTeX's escapes stand for (`\%` is `%`).
+export const ESCAPED_CHARS = { '%': '%', '&': '&', $: '$', '#': '#', _: '_', '{': '{', '}': '}' };
+export const TEXT_SYMBOLS = { textbackslash: '\\', textasciitilde: '~', textasciicircum: '^' };
+
+// Plain text of `nodes` when they hold nothing but text and escapes (else null), e.g. for \url or \texttt.
+export const plainTextOf = (nodes) => {
+  let out = '';
+  for (const node of nodes || []) {
+    if (node.type === 'text') out += node.value;
+    else if (node.type === 'special' && node.value === '~') out += ' ';
+    else if (node.type === 'command' && ESCAPED_CHARS[node.name] && !node.args.length) out += ESCAPED_CHARS[node.name];
+    else if (node.type === 'command' && TEXT_SYMBOLS[node.name] != null && node.args.every((a) => a && !a.children.length)) out += TEXT_SYMBOLS[node.name];
+    else if (node.type === 'group') {
+      const inner = plainTextOf(node.children);
+      if (inner == null) return null;
+      out += inner;
+    } else return null;
+  }
+  return out;
+};
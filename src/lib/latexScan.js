@@ -0,0 +1,88 @@
+// Scanning helpers shared by the LaTeX converters: comments, argument groups, environment ends and attribute escaping
+
+// A comment: a `%` after an even run of backslashes (`\%` is a percent sign, `\\%` a line break and then a
+// comment), up to the end of the line. For regexes that skip comments (use the `m` flag).
+export const COMMENT_PATTERN = String.raw`(?<!\\)(?:\\\\)*%.*$`;
+
+const COMMENT_RE = new RegExp(COMMENT_PATTERN, 'gm');
+
+// Comments blanked to spaces so offsets still match the source.
+export const maskComments = (src) => String(src || '').replace(COMMENT_RE, (m) => {
+  const at = m.indexOf('%');
+  return m.slice(0, at) + ' '.repeat(m.length - at);
+});
+
+// Comments removed.
+export const stripComments = (src) => String(src || '').replace(COMMENT_RE, (m) => m.slice(0, m.indexOf('%')));
+
+const DOCUMENTCLASS_RE = /\\documentclass\s*(?:\[[^\]]*\])?\s*\{([^}]*)\}/;
+
+// Name of the `\documentclass` of `latex` (comments skipped), or ''.
+export const readDocumentClass = (latex) => {
+  const m = maskComments(latex).match(DOCUMENTCLASS_RE);
+  return m ? m[1].trim() : '';
+};
+
+export const escapeAttr = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Reads a `{...}` group starting at `i` (leading whitespace allowed). Returns null when absent.
+export const readBraceGroup = (src, i) => {
+  const s = String(src || '');
+  let j = i;
+  while (j < s.length && /\s/.test(s[j])) j += 1;
+  if (s[j] !== '{') return null;
+  let depth = 0;
+  for (let k = j; k < s.length; k += 1) {
+    const ch = s[k];
+    if (ch === '\\') {
+      k += 1;
+      continue;
+    }
+    if (ch === '{') depth += 1;
+    else if (ch === '}') {
+      depth -= 1;
+      if (depth === 0) return { content: s.slice(j + 1, k), start: j, end: k + 1 };
+    }
+  }
+  return null;
+};
+
+// Reads a `[...]` group starting at `i` (leading whitespace allowed). Returns null when absent.
+export const readBracketGroup = (src, i) => {
+  const s = String(src || '');
+  let j = i;
+  while (j < s.length && /\s/.test(s[j])) j += 1;
+  if (s[j] !== '[') return null;
+  const close = s.indexOf(']', j);
+  if (close === -1) return null;
+  return { content: s.slice(j + 1, close), start: j, end: close + 1 };
+};
+
+// Finds the matching `\end{env}` for an environment whose body starts at `from` (nesting-aware).
+export const findEnvironmentEnd = (src, env, from) => {
+  const open = `\\begin{${env}}`;
+  const close = `\\end{${env}}`;
+  let depth = 1;
+  let i = from;
+  while (depth > 0) {
+    const o = src.indexOf(open, i);
+    const c = src.indexOf(close, i);
+    if (c === -1) return -1;
+    if (o !== -1 && o < c) {
+      depth += 1;
+      i = o + open.length;
+      continue;
+    }
+    depth -= 1;
+    if (depth === 0) return c;
+    i = c + close.length;
+  }
+  return -1;
+};
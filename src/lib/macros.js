@@ -0,0 +1,150 @@
+// User macros: \newcommand, \renewcommand, \def and \DeclareMathOperator definitions from the preamble
+
+import { maskComments, readBraceGroup, readBracketGroup } from './latexScan';
+import { COMMAND_SIGNATURES, TEXT_SYMBOLS, parseLatex, walkLatex } from './latexParser';
+
+const DEFINITION_RE = /\\(newcommand|renewcommand|providecommand|DeclareMathOperator|def|gdef)(?![A-Za-z@])(\*?)/g;
+
+// Macro bodies are expanded at most this deep in the visual editor, so `\def\a{\a}` cannot loop.
+export const MAX_MACRO_DEPTH = 8;
+
+// The source before \begin{document}; a file without one has no preamble.
+export const preambleOf = (latex) => {
+  const s = String(latex || '');
+  const idx = s.search(/\\begin\s*\{document\}/);
+  return idx === -1 ? '' : s.slice(0, idx);
+};
+
+const skipSpace = (s, i) => {
+  while (i < s.length && /\s/.test(s[i])) i += 1;
+  return i;
+};
+
+// `\name` or `{\name}` at `i`: `{ name, end }` with the name without its backslash, or null.
+const readMacroName = (s, i) => {
+  const j = skipSpace(s, i);
+  const group = s[j] === '{' ? readBraceGroup(s, j) : null;
+  const text = group ? group.content.trim() : s.slice(j);
+  const m = text.match(/^\\([A-Za-z@]+|[^A-Za-z@\s])/);
+  if (!m || (group && m[0].length !== text.length)) return null;
+  return { name: m[1], end: group ? group.end : j + m[0].length };
+};
+
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// Keeps the argument-free macros whose bodies typeset outside math: no `^` / `_` outside `$..$`, and only control
+// symbols, commands the text renderer knows, or other such macros (`\R` as `\mathbb{R}` needs math mode).
+const textSafeMacros = (candidates) => {
+  const safe = { ...candidates };
+  const parsed = Object.fromEntries(Object.entries(candidates).map(([name, body]) => [name, parseLatex(body)]));
+  const isTextSafe = (nodes) => {
+    let ok = true;
+    walkLatex(nodes, (node) => {
+      if (node.type === 'text' && /[\^_]/.test(node.value)) ok = false;
+      else if (node.type === 'command' && /^[A-Za-z@]/.test(node.name)
+        && !has(COMMAND_SIGNATURES, node.name) && !has(TEXT_SYMBOLS, node.name) && !has(safe, node.name)) ok = false;
+    });
+    return ok;
+  };
+  // Dropping one macro can make those that use it unsafe, so repeat until nothing changes.
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const name of Object.keys(safe)) {
+      if (isTextSafe(parsed[name])) continue;
+      delete safe[name];
+      changed = true;
+    }
+  }
+  return safe;
+};
+
+// Reads every definition in the preamble. Returns
+//   macros:      KaTeX `macros` option (`{ '\\R': '\\mathbb{R}' }`), bodies using #1..#9 for arguments
+//   textMacros:  `{ name: body }` for argument-free \newcommand / \def macros whose bodies are text, expanded in running text
+//   unsupported: `[{ name, line, source, reason }]` for definitions the visual editor cannot honour
+// Later definitions win, as they do in TeX.
+export const readMacroDefinitions = (latex) => {
+  const src = preambleOf(latex);
+  const masked = maskComments(src);
+  const macros = {};
+  const textMacros = {};
+  const unsupported = [];
+  const lineAt = (i) => src.slice(0, i).split('\n').length;
+
+  DEFINITION_RE.lastIndex = 0;
+  let m;
+  while ((m = DEFINITION_RE.exec(masked))) {
+    const [, command, star] = m;
+    const start = m.index;
+    const report = (name, end, reason) =>
+      unsupported.push({ name: name ? `\\${name}` : `\\${command}`, line: lineAt(start), source: src.slice(start, end), reason });
+
+    const target = readMacroName(masked, m.index + m[0].length);
+    if (!target) {
+      report(null, m.index + m[0].length, 'missing macro name');
+      continue;
+    }
+    let i = target.end;
+    let numArgs = 0;
+
+    if (command === 'def' || command === 'gdef') {
+      // Only undelimited parameters (#1#2...) map onto KaTeX macros.
+      const params = masked.slice(i).match(/^[^{]*/)[0];
+      const body = readBraceGroup(masked, i + params.length);
+      if (!body) {
+        report(target.name, i + params.length, 'missing definition body');
+        continue;
+      }
+      const compact = params.replace(/\s+/g, '');
+      const expected = Array.from({ length: compact.length / 2 }, (_, k) => `#${k + 1}`).join('');
+      if (compact !== expected || compact.length > 18) {
+        report(target.name, body.end, 'delimited parameters are not supported');
+        continue;
+      }
+      numArgs = compact.length / 2;
+      DEFINITION_RE.lastIndex = body.end;
+      const value = body.content;
+      macros[`\\${target.name}`] = value;
+      if (numArgs === 0) textMacros[target.name] = value;
+      else delete textMacros[target.name];
+      continue;
+    }
+
+    if (command !== 'DeclareMathOperator') {
+      const count = readBracketGroup(masked, i);
+      if (count) {
+        numArgs = Number(count.content.trim());
+        i = count.end;
+        if (!Number.isInteger(numArgs) || numArgs < 0 || numArgs > 9) {
+          report(target.name, i, `invalid argument count "${count.content.trim()}"`);
+          continue;
+        }
+        const optional = readBracketGroup(masked, i);
+        if (optional) {
+          const body = readBraceGroup(masked, optional.end);
+          report(target.name, body ? body.end : optional.end, 'optional arguments with a default are not supported');
+          continue;
+        }
+      }
+    }
+
+    const body = readBraceGroup(masked, i);
+    if (!body) {
+      report(target.name, i, 'missing definition body');
+      continue;
+    }
+    DEFINITION_RE.lastIndex = body.end;
+    const value = body.content;
+    if (command === 'DeclareMathOperator') {
+      macros[`\\${target.name}`] = `\\operatorname${star}{${value}}`;
+      delete textMacros[target.name];
+      continue;
+    }
+    if (command === 'providecommand' && macros[`\\${target.name}`] != null) continue;
+    macros[`\\${target.name}`] = value;
+    if (numArgs === 0) textMacros[target.name] = value;
+    else delete textMacros[target.name];
+  }
+  return { macros, textMacros: textSafeMacros(textMacros), unsupported };
+};
@@ -0,0 +1,93 @@
+// Math autocompletion for the equation editor: candidates for a `\name` prefix and `{}` / `[]` tab stops
+
+import { MATH_ENVIRONMENT_SNIPPETS, MATH_GROUPS } from '../constants/math';
+import { MATH_SYMBOLS } from '../constants/symbols';
+
+// Letters a query is matched against: `\frac{}{}` -> "frac", `\begin{pmatrix} ...` -> "beginpmatrix".
+const completionKey = (cmd) => {
+  const m = String(cmd || '').match(/^\\([A-Za-z]+)(?:\{([A-Za-z]+)\})?/);
+  return m ? m[1] + (m[2] || '') : '';
+};
+
+// Every candidate once: the toolbar catalog first (it has hand-written previews), then the symbol catalog
+// shared with the palette, then environments.
+// `preview` is KaTeX input; tab stops are filled with an x so the structure is visible.
+export const MATH_COMPLETIONS = (() => {
+  const seen = new Set();
+  const out = [];
+  const add = ({ cmd, desc, preview }) => {
+    const key = completionKey(cmd);
+    if (!key || seen.has(cmd)) return;
+    seen.add(cmd);
+    out.push({ cmd, key, desc: desc || '', preview: preview || cmd.replace(/\[\]/g, '').replace(/\{\}/g, '{x}') });
+  };
+  Object.values(MATH_GROUPS).forEach((group) => group.symbols.forEach((sym) => add({ ...sym, desc: sym.desc || group.label })));
+  MATH_SYMBOLS.forEach(add);
+  MATH_ENVIRONMENT_SNIPPETS.forEach(add);
+  return out;
+})();
+
+// The `\name` being typed before the caret, or null (`\\` is a line break, not a command).
+export const completionTokenAt = (value, caret) => {
+  const before = String(value || '').slice(0, caret);
+  const m = before.match(/\\+([A-Za-z]*)$/);
+  if (!m || (m[0].length - m[1].length) % 2 === 0) return null;
+  return { start: before.length - m[1].length - 1, query: m[1] };
+};
+
+// Candidates for a query: exact match, then prefix (case-sensitive first), then substring; shorter names first.
+export const mathCompletions = (query, limit = 20) => {
+  const q = String(query || '');
+  if (!q) return MATH_COMPLETIONS.slice(0, limit);
+  const lower = q.toLowerCase();
+  const rank = (key) => {
+    if (key === q) return 0;
+    if (key.startsWith(q)) return 1;
+    if (key.toLowerCase().startsWith(lower)) return 2;
+    return key.toLowerCase().includes(lower) ? 3 : -1;
+  };
+  return MATH_COMPLETIONS.map((item, order) => ({ item, order, score: rank(item.key) }))
+    .filter((c) => c.score >= 0)
+    .sort((a, b) => a.score - b.score || a.item.key.length - b.item.key.length || a.order - b.order)
+    .slice(0, limit)
+    .map((c) => c.item);
+};
+
+const STOP_RE = /\{\}|\[\]/g;
+
+// Replaces value[start, end) with a snippet; the caret lands in its first tab stop, or after it.
+export const applySnippet = (value, start, end, cmd) => {
+  const s = String(value || '');
+  const text = String(cmd || '');
+  const stop = text.search(STOP_RE);
+  return {
+    value: s.slice(0, start) + text + s.slice(end),
+    caret: start + (stop === -1 ? text.length : stop + 1),
+  };
+};
+
+// Tab: the next empty `{}` / `[]` after the caret; without one, out of the group the caret is in. Null when
+// there is nowhere to go (Tab then keeps its default behaviour).
+export const nextTabStop = (value, caret) => {
+  const s = String(value || '');
+  STOP_RE.lastIndex = caret;
+  const m = STOP_RE.exec(s);
+  if (m) return m.index + 1;
+  let depth = 0;
+  for (let i = caret; i < s.length; i += 1) {
+    if (s[i - 1] === '\\') continue;
+    if (s[i] === '{') depth += 1;
+    else if (s[i] === '}' && depth-- === 0) return i + 1;
+  }
+  return null;
+};
+
+// Shift+Tab: the previous empty `{}` / `[]` before the one the caret is in.
+export const previousTabStop = (value, caret) => {
+  const s = String(value || '');
+  let found = null;
+  STOP_RE.lastIndex = 0;
+  let m;
+  while ((m = STOP_RE.exec(s)) && m.index + 1 < caret) found = m.index + 1;
+  return found;
+};
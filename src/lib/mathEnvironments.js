@@ -0,0 +1,81 @@
+// Display math environments (amsmath): row numbering and the KaTeX input for each environment
+
+import { escapeAttr } from './latexScan';
+
+// Math environments that get equation numbers (starred variants never do).
+export const NUMBERED_MATH_ENVS = ['equation', 'align', 'gather', 'multline', 'flalign'];
+
+// Every environment rendered as a math block. `split` belongs inside equation but KaTeX draws it standalone too.
+export const MATH_ENVIRONMENTS = [...NUMBERED_MATH_ENVS.flatMap((env) => [env, `${env}*`]), 'split'];
+
+// Environments that number each `\\`-separated row; equation and multline carry a single number.
+const ROW_NUMBERED_ENVS = ['align', 'gather', 'flalign'];
+
+// KaTeX has no numbered multi-row environments of its own here: the rows are drawn with the inner
+// (unnumbered) variant and texure adds the numbers. multline has no KaTeX equivalent; gathered is close.
+const KATEX_ENVIRONMENTS = { align: 'aligned', flalign: 'aligned', gather: 'gathered', multline: 'gathered', split: 'split' };
+
+const baseName = (env) => String(env || '').replace(/\*$/, '');
+
+// Splits at `\\` outside braces and nested environments; a trailing empty row is dropped.
+const splitRows = (body) => {
+  const s = String(body || '');
+  const rows = [];
+  let depth = 0;
+  let start = 0;
+  const re = /\\begin\s*\{[^}]*\}|\\end\s*\{[^}]*\}|\\\\|\\[A-Za-z]+|\\.|[{}]/g;
+  let m;
+  while ((m = re.exec(s))) {
+    const tok = m[0];
+    if (tok === '{' || tok.startsWith('\\begin')) depth += 1;
+    else if (tok === '}' || tok.startsWith('\\end')) depth = Math.max(0, depth - 1);
+    else if (tok === '\\\\' && depth === 0) {
+      rows.push(s.slice(start, m.index));
+      start = m.index + tok.length;
+    }
+  }
+  rows.push(s.slice(start));
+  if (rows.length > 1 && !/\S/.test(rows[rows.length - 1].replace(/^\s*\[[^\]]*\]/, ''))) rows.pop();
+  return rows;
+};
+
+// `[{ source, numbered, tag }]` for each row of the environment. `tag` is the `\tag` text as printed:
+// `\tag{x}` gives "(x)", `\tag*{x}` gives "x". Tagged and `\nonumber`/`\notag` rows take no number.
+export const mathRowsOf = (env, body) => {
+  const base = baseName(env);
+  const numbered = !String(env || '').endsWith('*') && NUMBERED_MATH_ENVS.includes(base);
+  const rows = ROW_NUMBERED_ENVS.includes(base) ? splitRows(body) : [String(body || '')];
+  return rows.map((source) => {
+    const tag = source.match(/\\tag(\*?)\s*\{([^}]*)\}/);
+    return {
+      source,
+      numbered: numbered && !tag && !/\\(?:nonumber|notag)(?![A-Za-z])/.test(source),
+      tag: tag ? (tag[1] ? tag[2].trim() : `(${tag[2].trim()})`) : null,
+    };
+  });
+};
+
+// KaTeX input for an environment body: labels, tags and \nonumber are dropped (the numbers column shows them).
+export const katexSourceOf = (env, body) => {
+  const math = String(body || '')
+    .replace(/\\(?:label|tag\*?)\s*\{[^}]*\}/g, '')
+    .replace(/\\(?:nonumber|notag)(?![A-Za-z])/g, '');
+  const inner = KATEX_ENVIRONMENTS[baseName(env)];
+  return inner ? `\\begin{${inner}}${math}\\end{${inner}}` : math;
+};
+
+// Right-hand numbers column: one entry per row so the numbers line up with their rows. Numbered rows take
+// `numbers` in order (the document's equation numbers from the label index, see lib/refs); a row past the end
+// keeps an empty entry. '' when no row shows a number or tag.
+export const equationNumbersHtml = (env, body, numbers = []) => {
+  const rows = mathRowsOf(env, body);
+  if (!rows.some((r) => r.numbered || r.tag != null)) return '';
+  let next = 0;
+  const cells = rows.map((r) => {
+    if (r.tag != null) return `<span class="texure-eq-tag">${escapeAttr(r.tag)}</span>`;
+    if (!r.numbered) return '<span class="texure-eq-blank"></span>';
+    const number = numbers[next++];
+    return `<span class="texure-eq-number">${number != null ? `(${escapeAttr(number)})` : ''}</span>`;
+  });
+  return `<span class="texure-eq-numbers" aria-hidden="true">${cells.join('')}</span>`;
+};
@@ -0,0 +1,120 @@
+// Footnotes, margin notes and todonotes <-> visual editor HTML
+
+import { escapeAttr, readBraceGroup, readBracketGroup } from './latexScan';
+
+export const NOTE_COMMANDS = ['footnote', 'marginpar', 'marginnote', 'todo'];
+const NOTE_CLASSES = { marginpar: 'texure-margin-note', marginnote: 'texure-margin-note', todo: 'texure-todo' };
+
+const isInlineTodo = (options) => String(options || '').split(',').some((o) => o.trim() === 'inline');
+
+// Replaces \footnote, \marginpar, \marginnote and \todo with HTML. Footnote markers are pushed to
+// `footnotes` as `{ id, html }`; the note text is rendered at the bottom by footnotesBlockHtml.
+// `emit(html, source)` receives each generated element and the LaTeX it replaces (e.g. to protect it from later regex
+// passes).
+export const replaceLatexNotes = (src, { renderFragment, emit = (html) => html, footnotes = [] }) => {
+  const s = String(src || '');
+  let out = '';
+  let i = 0;
+  const re = new RegExp(`\\\\(${NOTE_COMMANDS.join('|')})\\b`, 'g');
+  let m;
+  while ((m = re.exec(s))) {
+    const cmd = m[1];
+    let j = m.index + m[0].length;
+    const opt = readBracketGroup(s, j);
+    if (opt && !/\S/.test(s.slice(j, opt.start))) j = opt.end;
+    const arg = readBraceGroup(s, j);
+    if (!arg) continue;
+    const options = opt && opt.end === j ? opt.content : null;
+    const optionsAttr = options != null ? ` data-texure-note-options="${escapeAttr(options)}"` : '';
+
+    let html;
+    if (cmd === 'footnote') {
+      const id = `fn-${footnotes.length + 1}`;
+      footnotes.push({ id, html: renderFragment(arg.content) });
+      html = `<sup class="texure-footnote" contenteditable="false" data-texure-footnote="${id}"${optionsAttr} data-texure-footnote-latex="${escapeAttr(encodeURIComponent(arg.content))}" title="Footnote"></sup>`;
+    } else {
+      const inline = cmd === 'todo' && isInlineTodo(options) ? ' texure-todo-inline' : '';
+      html = `<span class="${NOTE_CLASSES[cmd]}${inline}" data-texure-note="${cmd}"${optionsAttr} title="${escapeAttr(`\\${cmd}${options != null ? `[${options}]` : ''}`)}">${renderFragment(arg.content)}</span>`;
+    }
+    out += s.slice(i, m.index) + emit(html, s.slice(m.index, arg.end));
+    i = arg.end;
+    re.lastIndex = arg.end;
+  }
+  return out + s.slice(i);
+};
+
+const footnoteItemHtml = (id, html) =>
+  `<li contenteditable="true" data-texure-footnote-for="${escapeAttr(id)}">${html}</li>`;
+
+// The footnote texts for a rendered document, in the order their markers appear in `html`.
+export const footnotesBlockHtml = (footnotes, html) => {
+  if (!footnotes?.length) return '';
+  const byId = new Map(footnotes.map((f) => [f.id, f.html]));
+  const items = Array.from(String(html || '').matchAll(/data-texure-footnote="([^"]+)"/g))
+    .map((m) => m[1])
+    .filter((id) => byId.has(id))
+    .map((id) => footnoteItemHtml(id, byId.get(id)));
+  return items.length ? `<div class="texure-footnotes" contenteditable="false"><ol>${items.join('')}</ol></div>` : '';
+};
+
+const attrEquals = (root, attr, value) =>
+  Array.from(root.querySelectorAll(`[${attr}]`)).find((el) => el.getAttribute(attr) === value) || null;
+
+// Serializes a footnote marker using its text from the footnotes block under `root`
+// (or the source it was rendered from when that item is gone).
+export const footnoteElementToLatex = (marker, root, renderChildren) => {
+  const id = marker.getAttribute('data-texure-footnote');
+  const item = root ? attrEquals(root, 'data-texure-footnote-for', id) : null;
+  let text;
+  if (item) text = String(renderChildren(item) || '').replace(/\s+/g, ' ').trim();
+  else {
+    try {
+      text = decodeURIComponent(marker.getAttribute('data-texure-footnote-latex') || '');
+    } catch {
+      text = '';
+    }
+  }
+  const options = marker.getAttribute('data-texure-note-options');
+  return `\\footnote${options != null ? `[${options}]` : ''}{${text}}`;
+};
+
+// Serializes a margin note or todo span.
+export const noteElementToLatex = (el, renderChildren) => {
+  const cmd = el.getAttribute('data-texure-note') || 'marginpar';
+  const options = el.getAttribute('data-texure-note-options');
+  const text = String(renderChildren(el) || '').replace(/\s+/g, ' ').trim();
+  return `\\${cmd}${options != null ? `[${options}]` : ''}{${text}}`;
+};
+
+// Editor commands
+
+export const newFootnoteId = (root) => {
+  let n = root.querySelectorAll('[data-texure-footnote]').length + 1;
+  while (attrEquals(root, 'data-texure-footnote', `fn-${n}`)) n += 1;
+  return `fn-${n}`;
+};
+
+export const createFootnoteMarkerHtml = (id) =>
+  `<sup class="texure-footnote" contenteditable="false" data-texure-footnote="${escapeAttr(id)}" data-texure-footnote-latex="" title="Footnote"></sup>`;
+
+// Adds an empty footnote item for `marker` at its position in the footnotes block at the end of `root`
+// (creating the block when needed). Returns the new item.
+export const attachFootnote = (root, marker) => {
+  let block = Array.from(root.children).find((c) => c.classList.contains('texure-footnotes'));
+  if (!block) {
+    block = document.createElement('div');
+    block.className = 'texure-footnotes';
+    block.setAttribute('contenteditable', 'false');
+    block.appendChild(document.createElement('ol'));
+    root.appendChild(block);
+  }
+  const list = block.querySelector('ol');
+  const markers = Array.from(root.querySelectorAll('[data-texure-footnote]'));
+  const later = markers.slice(markers.indexOf(marker) + 1).map((el) => el.getAttribute('data-texure-footnote'));
+  const before = Array.from(list.children).find((li) => later.includes(li.getAttribute('data-texure-footnote-for')));
+  const tpl = document.createElement('template');
+  tpl.innerHTML = footnoteItemHtml(marker.getAttribute('data-texure-footnote'), '');
+  const item = tpl.content.firstChild;
+  list.insertBefore(item, before || null);
+  return item;
+};
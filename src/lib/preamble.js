@@ -1,12 +1,37 @@
+import { stripComments } from './latexScan';
+import { classTheoremsOf } from './theorems';
+
 const USEPACKAGE_RE = /\\usepackage(?:\[[^\]]*\])?\{([^}]*)\}/g;
 
+// Inferred packages that must not be added when the preamble already loads an alternative.
+const PACKAGE_CONFLICTS = {
+  natbib: ['biblatex'],
+};
+
+// Inferred packages that the document class already provides: a class with its own proof environment
+// (beamer, llncs) either loads amsthm or clashes with it.
+const providedByClass = (pkg, preamble) => pkg === 'amsthm' && classTheoremsOf(preamble).includes('proof');
+
 export const inferRequiredPackages = (latexBody) => {
   const body = String(latexBody || '');
   const required = new Set();
   if (/\\includegraphics\b/.test(body)) required.add('graphicx');
   if (/\\begin\{justify\}|\\justifying\b|\\justify\{/.test(body)) required.add('ragged2e');
-  if (/\\href\{|\\url\{|\\hyperref\[/.test(body)) required.add('hyperref');
+  if (/\\href\{|\\url\{|\\hyperref\[|\\autoref\{/.test(body)) required.add('hyperref');
+  if (/\\eqref\{/.test(body)) required.add('amsmath');
+  if (/\\begin\{(?:proof|theorem|lemma|proposition|corollary|definition|example|remark)\}/.test(body)) required.add('amsthm');
+  if (/\\cite[pt]\*?\s*[[{]/.test(body)) required.add('natbib');
   if (/\\begin\{minted\}|\\mintinline\b|\\begin\{lstlisting\}|\\lstinline\b/.test(body)) required.add('listings');
+  if (/\\(?:toprule|midrule|bottomrule|cmidrule)\b/.test(body)) required.add('booktabs');
+  if (/\\begin\{tabularx\}/.test(body)) required.add('tabularx');
+  if (/\\begin\{subfigure\}|\\subcaption\b/.test(body)) required.add('subcaption');
+  if (/\\begin\{(?:figure|table)\*?\}\s*\[[^\]]*H/.test(body)) required.add('float');
+  if (/\\todo\b|\\listoftodos\b|\\missingfigure\b/.test(body)) required.add('todonotes');
+  if (/\\marginnote\b/.test(body)) required.add('marginnote');
+  if (/\\(?:setmainfont|setsansfont|setmonofont|newfontfamily|fontspec)\b/.test(body)) required.add('fontspec');
+  if (/\\setmathfont\b/.test(body)) required.add('unicode-math');
+  // cleveref must load after hyperref, so it stays last.
+  if (/\\[cC]ref\{/.test(body)) required.add('cleveref');
   return Array.from(required);
 };
 
@@ -22,7 +47,9 @@ export const ensureUsePackagesInPreamble = (preambleWithBeginDoc, packageNames)
     for (const p of inside) existing.add(p);
   }
 
-  const missing = wanted.filter((p) => !existing.has(p));
+  const missing = wanted.filter((p) => !existing.has(p)
+    && !(PACKAGE_CONFLICTS[p] || []).some((c) => existing.has(c))
+    && !providedByClass(p, preamble));
   if (!missing.length) return preamble;
 
   const insertPoint = preamble.indexOf('\\begin{document}');
@@ -33,6 +60,69 @@ export const ensureUsePackagesInPreamble = (preambleWithBeginDoc, packageNames)
   return preamble.slice(0, insertPoint) + insertBlock + preamble.slice(insertPoint);
 };
 
+// TeX engines the compile paths understand; `id` is the value used in `% !TEX program = <id>`.
+export const TEX_ENGINES = [
+  { id: 'pdflatex', label: 'pdfLaTeX' },
+  { id: 'xelatex', label: 'XeLaTeX' },
+  { id: 'lualatex', label: 'LuaLaTeX' },
+];
+
+// Packages that only work under a Unicode engine, and the engine to suggest for them.
+const ENGINE_PACKAGES = {
+  fontspec: 'xelatex',
+  'unicode-math': 'xelatex',
+  polyglossia: 'xelatex',
+  xeCJK: 'xelatex',
+  luacode: 'lualatex',
+  luaotfload: 'lualatex',
+};
+
+// Editors only look for magic comments near the top of the file (TeXShop reads the first 20 lines).
+const MAGIC_COMMENT_LINES = 20;
+const TEX_PROGRAM_RE = /^(\s*%\s*!\s*TEX\s+(?:TS-)?program\s*=\s*)(\S*)(.*)$/im;
+
+const headOf = (latex) => String(latex || '').split('\n').slice(0, MAGIC_COMMENT_LINES).join('\n');
+
+// Engine from a `% !TEX program = xelatex` (or `% !TeX TS-program`) magic comment, or null.
+export const readTexProgram = (latex) => {
+  const m = headOf(latex).match(TEX_PROGRAM_RE);
+  if (!m) return null;
+  const value = m[2].toLowerCase();
+  return TEX_ENGINES.find((e) => value.includes(e.id))?.id || null;
+};
+
+// Writes the magic comment (replacing an existing one, or adding it on the first line); a falsy
+// engine removes it so the engine is chosen automatically again.
+export const setTexProgram = (latex, engine) => {
+  const src = String(latex || '');
+  const head = headOf(src);
+  const m = head.match(TEX_PROGRAM_RE);
+  if (m) {
+    const start = m.index;
+    const end = start + m[0].length;
+    if (!engine) return src.slice(0, start) + src.slice(src[end] === '\n' ? end + 1 : end);
+    return src.slice(0, start) + `${m[1]}${engine}${m[3]}` + src.slice(end);
+  }
+  return engine ? `% !TEX program = ${engine}\n${src}` : src;
+};
+
+// Unicode engine implied by the loaded (or inferred) packages, or null when pdfLaTeX will do.
+export const suggestTexEngine = (latex) => {
+  const src = stripComments(latex);
+  const loaded = new Set(inferRequiredPackages(src));
+  let m;
+  USEPACKAGE_RE.lastIndex = 0;
+  while ((m = USEPACKAGE_RE.exec(src))) {
+    for (const p of (m[1] || '').split(',')) loaded.add(p.trim());
+  }
+  const engines = Array.from(loaded).map((p) => ENGINE_PACKAGES[p]).filter(Boolean);
+  if (engines.includes('lualatex') || /\\directlua\b/.test(src)) return 'lualatex';
+  return engines.includes('xelatex') ? 'xelatex' : null;
+};
+
+// The engine a compile should use: the magic comment, else the suggestion, else pdfLaTeX.
+export const resolveTexEngine = (latex) => readTexProgram(latex) || suggestTexEngine(latex) || 'pdflatex';
+
 export const ensureJustifyWrapperInPreamble = (preambleWithBeginDoc) => {
   // Deprecated: the editor now emits `\\begin{justify}...\\end{justify}` (ragged2e) instead of a custom `\\justify{...}` wrapper.
   return String(preambleWithBeginDoc || '');
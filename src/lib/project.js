@@ -0,0 +1,210 @@
+// Multi-file projects: path helpers, main-document detection and \input/\include resolution
+
+import { COMMENT_PATTERN, stripComments } from './latexScan';
+
+// Files read into memory when a folder is opened (everything else is listed but not loaded).
+export const PROJECT_TEXT_EXTENSIONS = ['tex', 'bib', 'sty', 'cls', 'bst', 'txt'];
+
+export const INCLUDE_COMMANDS = ['input', 'include', 'subfile'];
+
+// Matches include commands; comments are matched too (without a command group) so callers can skip them.
+export const INCLUDE_RE = new RegExp(`${COMMENT_PATTERN}|\\\\(${INCLUDE_COMMANDS.join('|')})\\s*\\{([^}]*)\\}`, 'gm');
+
+export const extensionOf = (path) => {
+  const m = String(path || '').match(/\.([^./]+)$/);
+  return m ? m[1].toLowerCase() : '';
+};
+
+export const isProjectTextFile = (path) => PROJECT_TEXT_EXTENSIONS.includes(extensionOf(path));
+
+export const dirnameOf = (path) => {
+  const s = String(path || '');
+  const idx = s.lastIndexOf('/');
+  return idx === -1 ? '' : s.slice(0, idx);
+};
+
+// Joins and normalises `a/./b/../c` style paths; returns null when the path escapes the project root.
+export const joinProjectPath = (dir, name) => {
+  const out = [];
+  for (const part of `${dir ? `${dir}/` : ''}${name}`.split('/')) {
+    if (!part || part === '.') continue;
+    if (part === '..') {
+      if (!out.length) return null;
+      out.pop();
+      continue;
+    }
+    out.push(part);
+  }
+  return out.join('/');
+};
+
+// Picks the root document: a .tex file with \documentclass, preferring complete documents, then main.tex-like
+// names and shallow paths.
+export const findMainDocument = (files) => {
+  const candidates = Object.entries(files || {})
+    .filter(([path, text]) => extensionOf(path) === 'tex' && /\\documentclass\b/.test(String(text || '')))
+    .map(([path]) => path);
+  if (!candidates.length) return Object.keys(files || {}).find((p) => extensionOf(p) === 'tex') || '';
+  // Subfiles and standalone children have \begin{document} too but are compiled from elsewhere.
+  const score = (path) => {
+    const text = String(files[path] || '');
+    const complete = /\\begin\{document\}/.test(text) && !/\\documentclass\s*(?:\[[^\]]*\])?\s*\{(?:subfiles|standalone)\}/.test(text) ? 0 : 1;
+    const base = path.split('/').pop().toLowerCase();
+    const named = ['main.tex', 'root.tex', 'paper.tex', 'thesis.tex'].includes(base) ? 0 : 1;
+    return [complete, named, path.split('/').length, path];
+  };
+  return candidates.sort((a, b) => {
+    const [ca, na, da, pa] = score(a);
+    const [cb, nb, db, pb] = score(b);
+    return ca - cb || na - nb || da - db || pa.localeCompare(pb);
+  })[0];
+};
+
+// Path of the buffer that holds the main document's text, or null when edits to it belong in the editor:
+// outside a project, or while the main file is the open one (its text lives in the editor, not its buffer).
+export const mainBufferPath = (project, activePath, buffers) => {
+  const mainPath = project?.mainPath;
+  return mainPath && mainPath !== activePath && buffers?.[mainPath] ? mainPath : null;
+};
+
+// Returns `(name) => { path, text } | null`; names resolve against the main document's directory like TeX's cwd.
+export const createIncludeResolver = (mainPath, readText) => {
+  const baseDir = dirnameOf(mainPath);
+  return (name) => {
+    const clean = String(name || '').trim();
+    if (!clean) return null;
+    const candidates = extensionOf(clean) ? [clean, `${clean}.tex`] : [`${clean}.tex`, clean];
+    for (const dir of baseDir ? [baseDir, ''] : ['']) {
+      for (const candidate of candidates) {
+        const path = joinProjectPath(dir, candidate);
+        if (!path) continue;
+        const text = readText(path);
+        if (text != null) return { path, text: String(text) };
+      }
+    }
+    return null;
+  };
+};
+
+// Extensions tried, in TeX's order, for \includegraphics names given without one.
+const GRAPHICS_EXTENSIONS = ['.pdf', '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp'];
+
+// Returns `(name) => imageId | null` for \includegraphics names, given `imageIds` mapping project paths to stored
+// images. Names resolve against the main document's directory and its \graphicspath entries.
+export const createImageResolver = (imageIds, mainPath, mainText = '') => {
+  const baseDir = dirnameOf(mainPath);
+  const graphicsPaths = [''];
+  const gp = stripComments(mainText).match(/\\graphicspath\s*\{((?:\s*\{[^}]*\})*)\s*\}/);
+  if (gp) for (const m of gp[1].matchAll(/\{([^}]*)\}/g)) graphicsPaths.push(m[1].trim());
+  return (name) => {
+    const clean = String(name || '').trim();
+    if (!clean) return null;
+    const extensions = extensionOf(clean) ? [''] : GRAPHICS_EXTENSIONS;
+    for (const prefix of graphicsPaths) {
+      for (const dir of baseDir ? [baseDir, ''] : ['']) {
+        for (const ext of extensions) {
+          const path = joinProjectPath(dir, `${prefix}${clean}${ext}`);
+          if (path && imageIds?.[path]) return imageIds[path];
+        }
+      }
+    }
+    return null;
+  };
+};
+
+// Body of a standalone (\subfile) document; plain fragments are returned unchanged.
+export const documentBodyOf = (latex) => {
+  const m = String(latex || '').match(/\\begin\{document\}([\s\S]*?)\\end\{document\}/);
+  return m ? m[1] : String(latex || '');
+};
+
+// Inlines \input, \include and \subfile recursively so single-file compilers see the whole project.
+// Unresolved or cyclic includes are left as written.
+export const expandIncludes = (latex, resolveInclude, stack = []) => inlineIncludes(latex, resolveInclude, stack, null);
+
+// Private-use markers that record where each included file starts and ends in the expanded text.
+const OPEN_MARK = '\uE000';
+const CLOSE_MARK = '\uE001';
+const SYNTHETIC_NEWLINE = '\uE002';
+
+const inlineIncludes = (latex, resolveInclude, stack, marked) => {
+  return String(latex || '').replace(INCLUDE_RE, (match, cmd, name) => {
+    if (!cmd) return match;
+    const hit = resolveInclude?.(name);
+    if (!hit || stack.includes(hit.path)) return match;
+    let text = inlineIncludes(hit.text, resolveInclude, [...stack, hit.path], marked);
+    let firstLine = 1;
+    if (cmd === 'subfile') {
+      const bodyAt = text.search(/\\begin\{document\}/);
+      if (bodyAt !== -1) firstLine += (text.slice(0, bodyAt).match(/\n/g) || []).length;
+      text = documentBodyOf(text);
+    }
+    if (marked) text = `${OPEN_MARK}${hit.path}${OPEN_MARK}${firstLine}${OPEN_MARK}${text}${CLOSE_MARK}`;
+    const newline = marked ? SYNTHETIC_NEWLINE : '\n';
+    return cmd === 'include' ? `\\clearpage${newline}${text}${newline}\\clearpage` : text;
+  });
+};
+
+// Like expandIncludes, but also returns `lines`: for each line of the expanded text, the `{ path, line }`
+// it came from, so compiler diagnostics can point back into the right project file.
+export const expandIncludesWithLineMap = (latex, resolveInclude, rootPath) => {
+  const marked = inlineIncludes(latex, resolveInclude, [], true);
+  const stack = [{ path: rootPath || '', line: 1 }];
+  const lines = [];
+  let text = '';
+  let lineRecorded = false;
+  const record = () => {
+    if (lineRecorded) return;
+    const top = stack[stack.length - 1];
+    lines.push({ path: top.path, line: top.line });
+    lineRecorded = true;
+  };
+  for (let i = 0; i < marked.length; i += 1) {
+    const ch = marked[i];
+    if (ch === OPEN_MARK) {
+      const pathEnd = marked.indexOf(OPEN_MARK, i + 1);
+      const lineEnd = marked.indexOf(OPEN_MARK, pathEnd + 1);
+      stack.push({ path: marked.slice(i + 1, pathEnd), line: Number(marked.slice(pathEnd + 1, lineEnd)) });
+      i = lineEnd;
+    } else if (ch === CLOSE_MARK) {
+      if (stack.length > 1) stack.pop();
+    } else if (ch === '\n' || ch === SYNTHETIC_NEWLINE) {
+      record();
+      text += '\n';
+      // Newlines added around \include belong to no source line.
+      if (ch === '\n') stack[stack.length - 1].line += 1;
+      lineRecorded = false;
+    } else {
+      record();
+      text += ch;
+    }
+  }
+  record();
+  return { text, lines };
+};
+
+// Nested `{ name, path, children }` tree for the sidebar; folders first, then files, alphabetically.
+export const buildFileTree = (paths) => {
+  const root = { name: '', path: '', children: [] };
+  for (const path of paths || []) {
+    let node = root;
+    const parts = String(path).split('/');
+    parts.forEach((part, i) => {
+      const isFile = i === parts.length - 1;
+      const childPath = parts.slice(0, i + 1).join('/');
+      let child = node.children.find((c) => c.name === part && !!c.children === !isFile);
+      if (!child) {
+        child = isFile ? { name: part, path: childPath } : { name: part, path: childPath, children: [] };
+        node.children.push(child);
+      }
+      node = child;
+    });
+  }
+  const sort = (node) => {
+    if (!node.children) return;
+    node.children.sort((a, b) => (!!b.children - !!a.children) || a.name.localeCompare(b.name));
+    node.children.forEach(sort);
+  };
+  sort(root);
+  return root.children;
+};
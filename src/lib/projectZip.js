@@ -0,0 +1,185 @@
+// Project archives: export the document with its images, bibliography and child files as a portable .zip,
+// and open archives such as Overleaf downloads as projects
+
+import { unzipSync, zipSync } from 'fflate';
+import { getImageRecord, putImageFile } from './idb';
+import { extensionOf, findMainDocument, isProjectTextFile, joinProjectPath } from './project';
+
+const TEXURE_IMAGE_RE = /texure-image:([A-Za-z0-9_.-]+)/g;
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf',
+};
+
+// Image formats a browser can preview; these go to the IndexedDB image store on import.
+const PREVIEWABLE_IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  svg: 'image/svg+xml',
+  webp: 'image/webp',
+};
+
+// latexmk's $pdf_mode for each engine id.
+const PDF_MODES = { pdflatex: 1, lualatex: 4, xelatex: 5 };
+
+export const collectTexureImageIds = (text) => {
+  const ids = new Set();
+  for (const m of String(text || '').matchAll(TEXURE_IMAGE_RE)) ids.add(m[1]);
+  return Array.from(ids);
+};
+
+// `images/<name>.<ext>` for a stored image: the original file name made TeX-safe (no spaces or
+// specials), the extension from the name or MIME type, and a numeric suffix when `taken` has it.
+export const imagePathFor = (record, id, taken = new Set()) => {
+  const name = String(record?.name || '');
+  const dot = name.lastIndexOf('.');
+  const ext = ((dot > 0 ? name.slice(dot + 1) : '') || IMAGE_EXTENSIONS[record?.type] || 'png').toLowerCase();
+  const stem =
+    (dot > 0 ? name.slice(0, dot) : name)
+      .replace(/[^A-Za-z0-9_-]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60) || `image-${String(id).slice(0, 8)}`;
+  let path = `images/${stem}.${ext}`;
+  for (let n = 2; taken.has(path); n++) path = `images/${stem}-${n}.${ext}`;
+  taken.add(path);
+  return path;
+};
+
+export const rewriteTexureImageRefs = (text, pathsById) =>
+  String(text || '').replace(TEXURE_IMAGE_RE, (match, id) => pathsById[id] || match);
+
+export const latexmkrcFor = (engine, mainFile) =>
+  [
+    '# latexmk settings written by Texure',
+    `$pdf_mode = ${PDF_MODES[engine] || PDF_MODES.pdflatex}; # ${PDF_MODES[engine] ? engine : 'pdflatex'}`,
+    `@default_files = ('${String(mainFile).replace(/'/g, "\\'")}');`,
+    '',
+  ].join('\n');
+
+const blobBytes = async (blob) => {
+  if (typeof blob?.arrayBuffer === 'function') return new Uint8Array(await blob.arrayBuffer());
+  return await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error || new Error('Could not read image data.'));
+    reader.readAsArrayBuffer(blob);
+  });
+};
+
+const dirOf = (path) => (path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '');
+
+// Writes the images that `files` reference as `texure-image:<id>` into the project: each is read through `getImage`
+// (the IndexedDB store by default), added as bytes under `images/` next to the main file, and the references
+// rewritten to that path. Resolves to `{ files, missing: [ids of images that could not be read] }`.
+export const materializeProjectImages = async ({ files, mainFile, getImage = getImageRecord }) => {
+  const base = dirOf(mainFile);
+  const taken = new Set(Object.keys(files).filter((p) => p.startsWith(`${base}images/`)).map((p) => p.slice(base.length)));
+  const pathsById = {};
+  const out = {};
+  const missing = [];
+
+  const ids = new Set();
+  for (const content of Object.values(files)) {
+    if (typeof content === 'string') collectTexureImageIds(content).forEach((id) => ids.add(id));
+  }
+  for (const id of ids) {
+    let record = null;
+    try {
+      record = await getImage(id);
+    } catch { /* reported as missing */ }
+    if (!record?.blob) {
+      missing.push(id);
+      continue;
+    }
+    pathsById[id] = imagePathFor(record, id, taken);
+    out[base + pathsById[id]] = await blobBytes(record.blob);
+  }
+  for (const [path, content] of Object.entries(files)) {
+    out[path] = typeof content === 'string' ? rewriteTexureImageRefs(content, pathsById) : content;
+  }
+  return { files: out, missing };
+};
+
+// Builds the archive from `files` (project paths to text, or bytes for binary files) with the images they
+// reference written out as above. `latexmkrc` adds a latexmkrc for the given engine unless the project already
+// has one. Resolves to `{ zip: Uint8Array, missing: [ids of images that could not be read] }`.
+export const buildProjectZip = async ({ files, mainFile, latexmkrc = null, getImage = getImageRecord }) => {
+  const base = dirOf(mainFile);
+  const { files: withImages, missing } = await materializeProjectImages({ files, mainFile, getImage });
+  const encoder = new TextEncoder();
+  const entries = {};
+  for (const [path, content] of Object.entries(withImages)) {
+    entries[path] = typeof content === 'string' ? encoder.encode(content) : content;
+  }
+  const rcPath = `${base}latexmkrc`;
+  if (latexmkrc && !entries[rcPath] && !entries[`${base}.latexmkrc`]) {
+    entries[rcPath] = encoder.encode(latexmkrcFor(latexmkrc, mainFile.slice(base.length)));
+  }
+  return { zip: zipSync(entries, { level: 6 }), missing };
+};
+
+const ARCHIVE_JUNK = ['__MACOSX', '.DS_Store', '.git', 'Thumbs.db'];
+
+// Unpacks an archive to `{ [path]: Uint8Array }`, dropping directories, OS and VCS metadata,
+// paths that escape the root, and a single top-level folder wrapping everything (as in GitHub downloads).
+export const readProjectZip = (bytes) => {
+  const raw = unzipSync(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+  let entries = Object.entries(raw)
+    .filter(([path]) => !path.endsWith('/') && !path.split('/').some((part) => ARCHIVE_JUNK.includes(part)))
+    .map(([path, data]) => [joinProjectPath('', path.replace(/\\/g, '/')), data])
+    .filter(([path]) => path);
+  const roots = new Set(entries.map(([path]) => path.split('/')[0]));
+  if (roots.size === 1 && entries.every(([path]) => path.includes('/'))) {
+    const prefix = `${[...roots][0]}/`;
+    entries = entries.map(([path, data]) => [path.slice(prefix.length), data]);
+  }
+  return Object.fromEntries(entries);
+};
+
+// Image store id for an imported image: a hash of its bytes, so importing the same archive again finds the
+// images it already stored instead of adding copies. Null where Web Crypto is unavailable (insecure origins).
+export const importedImageId = async (data) => {
+  if (!globalThis.crypto?.subtle) return null;
+  const digest = new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', data));
+  return `zip-${Array.from(digest, (b) => b.toString(16).padStart(2, '0')).join('')}`;
+};
+
+// Turns an archive into project contents: text files decoded, previewable images added to the image store
+// through `putImage` (so \includegraphics can show them) unless `getImage` already has them, and every
+// non-text file kept as bytes.
+// Resolves to `{ texts, binaries, imageIds: { [path]: id }, mainPath }`.
+export const importProjectZip = async (bytes, { putImage = putImageFile, getImage = getImageRecord } = {}) => {
+  const decoder = new TextDecoder();
+  const texts = {};
+  const binaries = {};
+  const imageIds = {};
+  for (const [path, data] of Object.entries(readProjectZip(bytes))) {
+    if (isProjectTextFile(path)) {
+      texts[path] = decoder.decode(data);
+      continue;
+    }
+    binaries[path] = data;
+    const type = PREVIEWABLE_IMAGE_TYPES[extensionOf(path)];
+    if (!type) continue;
+    const id = await importedImageId(data);
+    let stored = null;
+    try {
+      stored = id && (await getImage(id));
+    } catch { /* no image store: putImage fails below */ }
+    if (stored) {
+      imageIds[path] = id;
+      continue;
+    }
+    try {
+      imageIds[path] = (await putImage(new File([data], path.split('/').pop(), { type }), id || undefined)).id;
+    } catch { /* no image store: the file still exports, it just does not preview */ }
+  }
+  return { texts, binaries, imageIds, mainPath: findMainDocument(texts) };
+};
@@ -0,0 +1,201 @@
+// Cross-reference helpers: numbering pass over LaTeX source and \ref rendering
+
+import { stripComments } from './latexScan';
+import { MATH_ENVIRONMENTS, mathRowsOf } from './mathEnvironments';
+
+const SECTION_LEVELS = { section: 0, subsection: 1, subsubsection: 2 };
+const FLOAT_ENVS = { figure: 'figure', table: 'table' };
+// Sub-floats (subcaption) number as the enclosing float plus a letter: 2a, 2b, ...
+const SUBFLOAT_ENVS = { subfigure: 'figure', subtable: 'table' };
+
+const AUTOREF_NAMES = {
+  section: 'Section',
+  subsection: 'Section',
+  subsubsection: 'Section',
+  equation: 'Equation',
+  figure: 'Figure',
+  table: 'Table',
+};
+
+const CREF_NAMES = {
+  section: 'section',
+  subsection: 'section',
+  subsubsection: 'section',
+  equation: 'eq.',
+  figure: 'fig.',
+  table: 'table',
+};
+
+export const REF_COMMANDS = ['ref', 'eqref', 'autoref', 'cref', 'Cref'];
+
+// Walks the document in order and assigns numbers to sections, equations, figures, tables and the theorem
+// environments in `theorems` (see readTheoremDefinitions); `theorems` in the result lists the numbers of the
+// numbered ones in document order, `captions` the number of every \caption (null outside a float) and `equations`
+// those of the numbered display math rows, for the visual editor to draw.
+// Each `\label` attaches to the innermost numbered item before it, like LaTeX's \@currentlabel.
+export const buildLabelIndex = (latex, theorems = {}) => {
+  const src = stripComments(latex);
+  const labels = new Map();
+  const duplicates = new Set();
+  const sections = [0, 0, 0];
+  const counters = { equation: 0, figure: 0, table: 0 };
+  const theoremCounters = {};
+  const theoremNumbers = [];
+  const captionNumbers = [];
+  const equationNumbers = [];
+  let current = null;
+  const stack = [];
+  const addLabel = (key, entry) => {
+    if (!key) return;
+    if (labels.has(key)) duplicates.add(key);
+    else labels.set(key, entry ? { ...entry } : { type: 'section', number: '' });
+  };
+
+  const re = /\\(section|subsection|subsubsection)(\*?)\s*\{|\\begin\{([A-Za-z]+)(\*?)\}|\\end\{([A-Za-z]+)\*?\}|\\caption\s*(?:\[[^\]]*\])?\s*\{|\\label\s*\{([^}]*)\}/g;
+  let m;
+  while ((m = re.exec(src))) {
+    if (m[1]) {
+      if (m[2]) continue;
+      const level = SECTION_LEVELS[m[1]];
+      sections[level] += 1;
+      for (let i = level + 1; i < sections.length; i += 1) sections[i] = 0;
+      if (level === 0) {
+        for (const def of Object.values(theorems)) if (def.within === 'section') theoremCounters[def.counter] = 0;
+      }
+      current = { type: m[1], number: sections.slice(0, level + 1).join('.') };
+      continue;
+    }
+    if (m[3]) {
+      const env = m[3] + m[4];
+      const close = `\\end{${env}}`;
+      const end = MATH_ENVIRONMENTS.includes(env) ? src.indexOf(close, re.lastIndex) : -1;
+      if (end === -1) {
+        stack.push({ env: m[3], saved: current });
+        const theorem = !m[4] && Object.prototype.hasOwnProperty.call(theorems, m[3]) ? theorems[m[3]] : null;
+        if (theorem?.numbered) {
+          const n = (theoremCounters[theorem.counter] || 0) + 1;
+          theoremCounters[theorem.counter] = n;
+          const number = theorem.within === 'section' ? `${sections[0]}.${n}` : String(n);
+          theoremNumbers.push(number);
+          current = { type: theorem.env, number, name: theorem.title };
+        }
+        continue;
+      }
+      // Display math: each row takes the next number (or its \tag); its labels refer to that row.
+      for (const row of mathRowsOf(env, src.slice(re.lastIndex, end))) {
+        if (row.numbered) {
+          counters.equation += 1;
+          equationNumbers.push(String(counters.equation));
+        }
+        const number = row.numbered ? String(counters.equation) : row.tag?.replace(/^\((.*)\)$/, '$1');
+        const entry = number != null ? { type: 'equation', number } : current;
+        for (const key of mathLabelsOf(row.source)) addLabel(key, entry);
+      }
+      re.lastIndex = end + close.length;
+      continue;
+    }
+    if (m[5]) {
+      const idx = stack.map((e) => e.env).lastIndexOf(m[5]);
+      if (idx !== -1) {
+        current = stack[idx].saved;
+        stack.length = idx;
+      }
+      continue;
+    }
+    if (m[0].startsWith('\\caption')) {
+      const float = [...stack].reverse().find((e) => FLOAT_ENVS[e.env] || SUBFLOAT_ENVS[e.env]);
+      let number = null;
+      if (float && SUBFLOAT_ENVS[float.env]) {
+        const type = SUBFLOAT_ENVS[float.env];
+        const parent = [...stack].reverse().find((e) => FLOAT_ENVS[e.env] === type);
+        if (parent) {
+          // Sub-captions usually precede the float's own caption, which takes the next number.
+          parent.subfloats = (parent.subfloats || 0) + 1;
+          const base = parent.captioned ? counters[type] : counters[type] + 1;
+          number = `${base}${String.fromCharCode(96 + parent.subfloats)}`;
+          current = { type, number };
+        }
+      } else if (float) {
+        const type = FLOAT_ENVS[float.env];
+        counters[type] += 1;
+        float.captioned = true;
+        number = String(counters[type]);
+        current = { type, number };
+      }
+      captionNumbers.push(number);
+      continue;
+    }
+    addLabel(String(m[6] || '').trim(), current);
+  }
+  return { labels, duplicates, theorems: theoremNumbers, captions: captionNumbers, equations: equationNumbers };
+};
+
+// How many numbered theorem environments `latex` opens: the index into `buildLabelIndex(...).theorems` of
+// the next one after it.
+export const countNumberedTheorems = (latex, theorems = {}) => {
+  const src = stripComments(latex);
+  const re = /\\begin\{([A-Za-z]+)\}/g;
+  let count = 0;
+  let m;
+  while ((m = re.exec(src))) {
+    if (Object.prototype.hasOwnProperty.call(theorems, m[1]) && theorems[m[1]].numbered) count += 1;
+  }
+  return count;
+};
+
+// How many numbered display math rows `latex` has: the index into `buildLabelIndex(...).equations` of the next one.
+export const countNumberedEquations = (latex) => {
+  const src = stripComments(latex);
+  const re = /\\begin\{([A-Za-z]+\*?)\}/g;
+  let count = 0;
+  let m;
+  while ((m = re.exec(src))) {
+    if (!MATH_ENVIRONMENTS.includes(m[1])) continue;
+    const close = `\\end{${m[1]}}`;
+    const end = src.indexOf(close, re.lastIndex);
+    if (end === -1) continue;
+    count += mathRowsOf(m[1], src.slice(re.lastIndex, end)).filter((row) => row.numbered).length;
+    re.lastIndex = end + close.length;
+  }
+  return count;
+};
+
+// How many \caption commands `latex` has: the index into `buildLabelIndex(...).captions` of the next one after it.
+export const countCaptions = (latex) => (stripComments(latex).match(/\\caption\s*(?:\[[^\]]*\])?\s*\{/g) || []).length;
+
+export const mathLabelsOf = (latex) => {
+  const keys = [];
+  const re = /\\label\s*\{([^}]*)\}/g;
+  let m;
+  while ((m = re.exec(String(latex || '')))) {
+    if (m[1].trim()) keys.push(m[1].trim());
+  }
+  return keys;
+};
+
+// KaTeX does not know \label; drop it before rendering (the source keeps it).
+export const stripMathLabels = (latex) => String(latex || '').replace(/\\label\s*\{[^}]*\}/g, '');
+
+// Resolved text for a reference command, or null when any key is undefined.
+export const formatReference = (cmd, keys, index) => {
+  const entries = keys.map((k) => index?.labels?.get(k));
+  if (!entries.length || entries.some((e) => !e)) return null;
+  const parts = entries.map((e) => {
+    if (cmd === 'eqref') return `(${e.number})`;
+    if (cmd === 'autoref') return `${AUTOREF_NAMES[e.type] || e.name || ''} ${e.number}`.trim();
+    if (cmd === 'cref' || cmd === 'Cref') {
+      const name = CREF_NAMES[e.type] || e.name?.toLowerCase() || '';
+      const label = cmd === 'Cref' ? name.charAt(0).toUpperCase() + name.slice(1) : name;
+      return `${label} ${e.number}`.trim();
+    }
+    return e.number;
+  });
+  return parts.join(', ');
+};
+
+// Finds the visual-editor element carrying `key` (label chip, numbered equation or table).
+export const findLabelTarget = (root, key) => {
+  if (!root || !key) return null;
+  const nodes = Array.from(root.querySelectorAll('[data-texure-label]'));
+  return nodes.find((el) => String(el.getAttribute('data-texure-label') || '').split(/\s+/).includes(key)) || null;
+};
@@ -8,6 +8,7 @@ const ALLOWED_TAGS = new Set([
   'i',
   'em',
   'u',
+  'sup',
   'span',
   'div',
   'p',
@@ -24,6 +25,16 @@ const ALLOWED_TAGS = new Set([
   'select',
   'option',
   'blockquote',
+  'figure',
+  'figcaption',
+  'table',
+  'caption',
+  'thead',
+  'tbody',
+  'tfoot',
+  'tr',
+  'td',
+  'th',
   // MathML (KaTeX accessibility tree) — keep these to avoid mangling output
   'math',
   'mrow',
@@ -63,10 +74,38 @@ const GLOBAL_ATTRS = new Set([
   'data-texure-code-lang',
   'data-texure-code',
   'data-texure-image-id',
+  'data-texure-src',
   'data-texure-img-width',
   'data-texure-img-angle',
   'data-texure-img-x',
   'data-texure-img-y',
+  'data-texure-starred',
+  'data-texure-math-env',
+  'data-texure-label',
+  'data-texure-ref',
+  'data-texure-ref-cmd',
+  'data-texure-cite',
+  'data-texure-include',
+  'data-texure-footnote',
+  'data-texure-footnote-for',
+  'data-texure-footnote-latex',
+  'data-texure-note',
+  'data-texure-note-options',
+  'data-texure-meta',
+  'data-texure-meta-latex',
+  'data-texure-meta-command',
+  'data-texure-cmd',
+  'data-texure-decl',
+  'data-texure-decl-open',
+  'data-texure-group',
+  'data-texure-short-title',
+  'data-texure-item-label',
+  'data-texure-list-options',
+  'data-texure-theorem',
+  'data-texure-theorem-style',
+  'data-texure-theorem-number',
+  'data-texure-theorem-note',
+  'data-placeholder',
   'title',
   'aria-hidden',
   'role',
@@ -79,6 +118,30 @@ const TAG_ATTRS = {
   textarea: new Set(['value', ...GLOBAL_ATTRS]),
   select: new Set(['value', ...GLOBAL_ATTRS]),
   option: new Set(['value', 'selected', ...GLOBAL_ATTRS]),
+  table: new Set([
+    'data-texure-env',
+    'data-texure-colspec',
+    'data-texure-width',
+    'data-texure-rules-after',
+    'data-texure-float',
+    'data-texure-float-placement',
+    'data-texure-centering',
+    'data-texure-caption-position',
+    ...GLOBAL_ATTRS,
+  ]),
+  figure: new Set([
+    'data-texure-float',
+    'data-texure-float-placement',
+    'data-texure-subfigure-width',
+    'data-texure-subfigure-position',
+    'data-texure-centering',
+    'data-texure-caption-position',
+    'data-texure-short-caption',
+    ...GLOBAL_ATTRS,
+  ]),
+  tr: new Set(['data-texure-rules', ...GLOBAL_ATTRS]),
+  td: new Set(['colspan', 'rowspan', 'data-texure-align', 'data-texure-multicolumn-spec', ...GLOBAL_ATTRS]),
+  th: new Set(['colspan', 'rowspan', 'data-texure-align', 'data-texure-multicolumn-spec', ...GLOBAL_ATTRS]),
   // Allow a conservative set of MathML attributes used by KaTeX
   math: new Set(['xmlns', 'display', 'overflow', ...GLOBAL_ATTRS]),
   mrow: new Set(['displaystyle', 'scriptlevel', ...GLOBAL_ATTRS]),
@@ -0,0 +1,27 @@
+// Environment folding for the source editor: `\begin{env}` lines fold down to their matching `\end{env}`
+
+import { findEnvironmentEnd } from './latexScan';
+
+const BEGIN_RE = /\\begin\{([^}]+)\}/g;
+
+// Returns `{ from, to }` (document offsets) for the first environment opened on the line
+// [lineStart, lineEnd) whose `\end` sits on a later line, or null when nothing folds.
+export const environmentFoldRange = (text, lineStart, lineEnd) => {
+  const src = String(text || '');
+  const line = src.slice(lineStart, lineEnd);
+  const commentAt = line.search(/(?<!\\)%/);
+  const code = commentAt === -1 ? line : line.slice(0, commentAt);
+  BEGIN_RE.lastIndex = 0;
+  let m;
+  while ((m = BEGIN_RE.exec(code))) {
+    const env = m[1];
+    const after = lineStart + m.index + m[0].length;
+    const end = findEnvironmentEnd(src, env, after);
+    if (end === -1) continue;
+    const endLineStart = src.lastIndexOf('\n', end - 1) + 1;
+    // Keep the `\begin` and `\end` lines visible; there must be at least one line between them.
+    if (endLineStart - 1 <= lineEnd) continue;
+    return { from: lineEnd, to: endLineStart - 1 };
+  }
+  return null;
+};
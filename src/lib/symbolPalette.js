@@ -0,0 +1,79 @@
+// Symbol palette: fuzzy search over the catalog, recently used symbols and favorites (localStorage)
+
+import { PALETTE_SYMBOLS, SYMBOL_KEYWORDS } from '../constants/symbols';
+
+export const RECENT_SYMBOLS_KEY = 'texure.symbols.recent';
+export const FAVORITE_SYMBOLS_KEY = 'texure.symbols.favorites';
+export const MAX_RECENT_SYMBOLS = 16;
+
+// The command word a symbol is filed under: `\mathbb{R}` -> "mathbb", `\leq` -> "leq".
+const baseName = (sym) => (String(sym.cmd).match(/^\\([A-Za-z]+)/) || [])[1] || '';
+
+// True when every character of `query` appears in `text` in order ("lsim" matches "lesssim").
+const isSubsequence = (query, text) => {
+  let i = 0;
+  for (const ch of text) if (ch === query[i]) i += 1;
+  return i === query.length;
+};
+
+// Lower scores rank first; -1 is no match. Names beat spoken keywords, which beat the category and loose
+// (subsequence) matches. Case only matters to break ties (\Delta vs \delta).
+const matchScore = (sym, query) => {
+  const q = query.toLowerCase();
+  const name = sym.name.toLowerCase();
+  if (sym.name === query) return 0;
+  if (name === q) return 1;
+  if (name.startsWith(q)) return sym.name.startsWith(query) ? 2 : 3;
+  if (name.includes(q)) return 4;
+  const words = `${SYMBOL_KEYWORDS[sym.name] || ''} ${SYMBOL_KEYWORDS[baseName(sym)] || ''}`.toLowerCase().split(/\s+/);
+  const terms = q.split(/\s+/).filter(Boolean);
+  if (terms.every((t) => words.some((w) => w.startsWith(t)))) return 5;
+  if (sym.category.toLowerCase().startsWith(q)) return 6;
+  return isSubsequence(q.replace(/\s+/g, ''), name.replace(/\s+/g, '')) ? 7 : -1;
+};
+
+// Catalog symbols matching a query, best first (catalog order within a rank). An empty query matches nothing.
+export const searchSymbols = (query, symbols = PALETTE_SYMBOLS, limit = 60) => {
+  const q = String(query || '').trim().replace(/^\\/, '');
+  if (!q) return [];
+  return symbols
+    .map((sym, order) => ({ sym, order, score: matchScore(sym, q) }))
+    .filter((m) => m.score >= 0)
+    .sort((a, b) => a.score - b.score || a.order - b.order)
+    .slice(0, limit)
+    .map((m) => m.sym);
+};
+
+const loadList = (key) => {
+  try {
+    const list = JSON.parse(localStorage.getItem(key) || '[]');
+    return Array.isArray(list) ? list.filter((c) => typeof c === 'string') : [];
+  } catch {
+    return [];
+  }
+};
+
+const saveList = (key, list) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(list));
+  } catch { /* ignore */ }
+};
+
+export const loadRecentSymbols = () => loadList(RECENT_SYMBOLS_KEY).slice(0, MAX_RECENT_SYMBOLS);
+
+// Moves `cmd` to the front of the recently used list and returns the new list.
+export const pushRecentSymbol = (cmd) => {
+  const next = [cmd, ...loadRecentSymbols().filter((c) => c !== cmd)].slice(0, MAX_RECENT_SYMBOLS);
+  saveList(RECENT_SYMBOLS_KEY, next);
+  return next;
+};
+
+export const loadFavoriteSymbols = () => loadList(FAVORITE_SYMBOLS_KEY);
+
+// Adds or removes `cmd` from the favorites and returns the new list.
+export const toggleFavoriteSymbol = (cmd) => {
+  const current = loadFavoriteSymbols();
+  const next = current.includes(cmd) ? current.filter((c) => c !== cmd) : [...current, cmd];
+  saveList(FAVORITE_SYMBOLS_KEY, next);
+  return next;
+};
@@ -0,0 +1,170 @@
+// Hand-drawn symbol recognition for the symbol palette: a $P point-cloud recognizer (Vatavu, Anthony and
+// Wobbrock, 2012) over built-in stroke templates. Runs entirely offline.
+
+// Template strokes in a unit box (y grows downwards); only shape and proportions matter.
+const line = (x1, y1, x2, y2) => [[x1, y1], [x2, y2]];
+const poly = (...points) => points;
+const arc = (cx, cy, rx, ry, from, to, steps = 24) =>
+  Array.from({ length: steps + 1 }, (_, i) => {
+    const a = ((from + ((to - from) * i) / steps) * Math.PI) / 180;
+    return [cx + rx * Math.cos(a), cy + ry * Math.sin(a)];
+  });
+const curve = (fn, steps = 32) => Array.from({ length: steps + 1 }, (_, i) => fn(i / steps));
+const wave = (y) => curve((t) => [t, y - 0.12 * Math.sin(2 * Math.PI * t)]);
+
+export const SYMBOL_TEMPLATES = {
+  '+': [line(0.5, 0, 0.5, 1), line(0, 0.5, 1, 0.5)],
+  '-': [line(0, 0.5, 1, 0.5)],
+  '=': [line(0, 0.3, 1, 0.3), line(0, 0.7, 1, 0.7)],
+  '<': [poly([1, 0], [0, 0.5], [1, 1])],
+  '>': [poly([0, 0], [1, 0.5], [0, 1])],
+  '\\times': [line(0, 0, 1, 1), line(1, 0, 0, 1)],
+  '\\pm': [line(0.5, 0, 0.5, 0.7), line(0, 0.35, 1, 0.35), line(0, 1, 1, 1)],
+  '\\equiv': [line(0, 0.2, 1, 0.2), line(0, 0.5, 1, 0.5), line(0, 0.8, 1, 0.8)],
+  '\\neq': [line(0, 0.35, 1, 0.35), line(0, 0.65, 1, 0.65), line(0.7, 0, 0.3, 1)],
+  '\\leq': [poly([1, 0], [0, 0.4], [1, 0.8]), line(0, 1, 1, 1)],
+  '\\geq': [poly([0, 0], [1, 0.4], [0, 0.8]), line(0, 1, 1, 1)],
+  '\\sim': [wave(0.5)],
+  '\\approx': [wave(0.3), wave(0.7)],
+  '\\rightarrow': [line(0, 0.5, 1, 0.5), poly([0.75, 0.3], [1, 0.5], [0.75, 0.7])],
+  '\\leftarrow': [line(1, 0.5, 0, 0.5), poly([0.25, 0.3], [0, 0.5], [0.25, 0.7])],
+  '\\uparrow': [line(0.5, 1, 0.5, 0), poly([0.3, 0.25], [0.5, 0], [0.7, 0.25])],
+  '\\downarrow': [line(0.5, 0, 0.5, 1), poly([0.3, 0.75], [0.5, 1], [0.7, 0.75])],
+  '\\infty': [curve((t) => {
+    const a = 2 * Math.PI * t;
+    const d = 1 + Math.sin(a) ** 2;
+    return [0.5 + (0.5 * Math.cos(a)) / d, 0.5 + (0.5 * Math.sin(a) * Math.cos(a)) / d];
+  })],
+  '\\int': [poly([0.8, 0.05], [0.65, 0], [0.55, 0.1], [0.5, 0.5], [0.45, 0.9], [0.35, 1], [0.2, 0.95])],
+  '\\sum': [poly([1, 0], [0, 0], [0.5, 0.5], [0, 1], [1, 1])],
+  '\\prod': [line(0, 0, 1, 0), line(0.2, 0, 0.2, 1), line(0.8, 0, 0.8, 1)],
+  '\\sqrt{}': [poly([0, 0.6], [0.15, 0.5], [0.35, 1], [0.55, 0], [1, 0])],
+  '\\partial': [poly([0.2, 0.1], [0.5, 0], [0.8, 0.2], [0.85, 0.6], [0.6, 1], [0.25, 0.95], [0.15, 0.7], [0.4, 0.5], [0.85, 0.55])],
+  '\\nabla': [poly([0, 0], [1, 0], [0.5, 1], [0, 0])],
+  '\\Delta': [poly([0.5, 0], [0, 1], [1, 1], [0.5, 0])],
+  '\\forall': [poly([0, 0], [0.5, 1], [1, 0]), line(0.2, 0.45, 0.8, 0.45)],
+  '\\exists': [poly([0, 0], [1, 0], [1, 1], [0, 1]), line(0, 0.5, 1, 0.5)],
+  '\\in': [arc(0.9, 0.5, 0.9, 0.5, 270, 90), line(0, 0.5, 0.9, 0.5)],
+  '\\subset': [arc(0.9, 0.5, 0.9, 0.5, 270, 90)],
+  '\\cup': [arc(0.5, 0, 0.5, 1, 180, 0)],
+  '\\cap': [arc(0.5, 1, 0.5, 1, 180, 360)],
+  '\\wedge': [poly([0, 1], [0.5, 0], [1, 1])],
+  '\\vee': [poly([0, 0], [0.5, 1], [1, 0])],
+  '\\circ': [arc(0.5, 0.5, 0.5, 0.5, 0, 360)],
+  '\\emptyset': [arc(0.5, 0.5, 0.4, 0.4, 0, 360), line(0.9, 0, 0.1, 1)],
+  '\\theta': [arc(0.5, 0.5, 0.35, 0.5, 0, 360), line(0.15, 0.5, 0.85, 0.5)],
+  '\\alpha': [poly([1, 0.1], [0.8, 0.5], [0.6, 0.9], [0.3, 1], [0.05, 0.8], [0.05, 0.3], [0.3, 0.05], [0.55, 0.2], [0.8, 0.6], [1, 1])],
+  '\\pi': [line(0, 0, 1, 0), line(0.3, 0, 0.25, 1), line(0.7, 0, 0.75, 1)],
+  '\\lambda': [line(0.1, 0, 0.9, 1), line(0.5, 0.45, 0.1, 1)],
+  '\\perp': [line(0.5, 0, 0.5, 1), line(0, 1, 1, 1)],
+  '\\parallel': [line(0.35, 0, 0.35, 1), line(0.65, 0, 0.65, 1)],
+  '\\mid': [line(0.5, 0, 0.5, 1)],
+  '\\angle': [poly([1, 0], [0, 1], [1, 1])],
+};
+
+const SAMPLE_POINTS = 32;
+// $P ignores stroke order and count; a different number of strokes than the template costs this much per stroke.
+const STROKE_COUNT_PENALTY = 0.25;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Strokes are arrays of `{ x, y }` or `[x, y]`; each point keeps the index of its stroke.
+const toPoints = (strokes) =>
+  (strokes || []).flatMap((stroke, id) => (stroke || []).map((p) => ({ x: Array.isArray(p) ? p[0] : p.x, y: Array.isArray(p) ? p[1] : p.y, id })));
+
+// `n` points evenly spaced along the strokes (pen-up gaps are not part of the path).
+const resample = (input, n) => {
+  const points = input.slice();
+  let length = 0;
+  for (let i = 1; i < points.length; i += 1) if (points[i].id === points[i - 1].id) length += distance(points[i - 1], points[i]);
+  if (!(length > 0)) return Array.from({ length: n }, () => ({ ...points[0] }));
+  const step = length / (n - 1);
+  let walked = 0;
+  const out = [points[0]];
+  for (let i = 1; i < points.length && out.length < n; i += 1) {
+    if (points[i].id !== points[i - 1].id) continue;
+    const d = distance(points[i - 1], points[i]);
+    if (walked + d >= step) {
+      const t = (step - walked) / d;
+      const q = { x: points[i - 1].x + t * (points[i].x - points[i - 1].x), y: points[i - 1].y + t * (points[i].y - points[i - 1].y), id: points[i].id };
+      out.push(q);
+      points.splice(i, 0, q);
+      walked = 0;
+    } else {
+      walked += d;
+    }
+  }
+  while (out.length < n) out.push({ ...points[points.length - 1] });
+  return out;
+};
+
+// Scaled to a unit box (aspect ratio kept) and centred on the centroid.
+const normalize = (points) => {
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const size = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+  const scaled = points.map((p) => ({ x: (p.x - minX) / size, y: (p.y - minY) / size }));
+  const cx = scaled.reduce((s, p) => s + p.x, 0) / scaled.length;
+  const cy = scaled.reduce((s, p) => s + p.y, 0) / scaled.length;
+  return scaled.map((p) => ({ x: p.x - cx, y: p.y - cy }));
+};
+
+const strokeCount = (strokes) => (strokes || []).filter((stroke) => stroke?.length).length;
+
+const cloudOf = (strokes) => {
+  const points = toPoints(strokes).filter((p) => Number.isFinite(p.x) && Number.isFinite(p.y));
+  return points.length ? normalize(resample(points, SAMPLE_POINTS)) : null;
+};
+
+// Greedy matching from `start`; earlier matches weigh more, as in $P.
+const cloudDistance = (a, b, start) => {
+  const n = a.length;
+  const matched = new Array(n).fill(false);
+  let sum = 0;
+  let i = start;
+  do {
+    let best = -1;
+    let min = Infinity;
+    for (let j = 0; j < n; j += 1) {
+      if (matched[j]) continue;
+      const d = distance(a[i], b[j]);
+      if (d < min) {
+        min = d;
+        best = j;
+      }
+    }
+    matched[best] = true;
+    sum += (1 - ((i - start + n) % n) / n) * min;
+    i = (i + 1) % n;
+  } while (i !== start);
+  return sum;
+};
+
+const greedyCloudMatch = (points, template) => {
+  const n = points.length;
+  const step = Math.floor(Math.sqrt(n));
+  let min = Infinity;
+  for (let i = 0; i < n; i += step) {
+    min = Math.min(min, cloudDistance(points, template, i), cloudDistance(template, points, i));
+  }
+  return min;
+};
+
+let templateClouds = null;
+
+// Best matching symbols for the drawn strokes: `[{ cmd, score }]`, score in (0, 1], best first.
+export const recognizeSymbol = (strokes, limit = 5) => {
+  const cloud = cloudOf(strokes);
+  if (!cloud) return [];
+  const count = strokeCount(strokes);
+  templateClouds ||= Object.entries(SYMBOL_TEMPLATES).map(([cmd, t]) => ({ cmd, cloud: cloudOf(t), strokes: t.length }));
+  return templateClouds
+    .map((t) => {
+      const d = greedyCloudMatch(cloud, t.cloud) * (1 + STROKE_COUNT_PENALTY * Math.abs(count - t.strokes));
+      return { cmd: t.cmd, score: 1 / (1 + d) };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
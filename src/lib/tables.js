@@ -0,0 +1,701 @@
+// LaTeX tabular <-> HTML table helpers
+
+import { escapeAttr, findEnvironmentEnd, readBraceGroup, readBracketGroup } from './latexScan';
+
+const ALIGN_TO_CSS = { l: 'left', c: 'center', r: 'right' };
+
+const expandColumnSpec = (spec) => {
+  let s = String(spec || '');
+  for (let guard = 0; guard < 20; guard += 1) {
+    const star = s.indexOf('*');
+    if (star === -1) break;
+    const count = readBraceGroup(s, star + 1);
+    const body = count ? readBraceGroup(s, count.end) : null;
+    if (!count || !body) break;
+    const n = Math.max(0, Math.min(64, parseInt(count.content, 10) || 0));
+    s = s.slice(0, star) + body.content.repeat(n) + s.slice(body.end);
+  }
+  return s;
+};
+
+// Parses a tabular column spec (e.g. `|l|c|p{3cm}|`) into columns with alignment and vertical rules.
+export const parseColumnSpec = (spec) => {
+  const s = expandColumnSpec(spec);
+  const columns = [];
+  let pendingRules = 0;
+  let i = 0;
+  while (i < s.length) {
+    const ch = s[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+    if (ch === '|') {
+      pendingRules += 1;
+      i += 1;
+      continue;
+    }
+    if (ch === '@' || ch === '!' || ch === '>' || ch === '<') {
+      const g = readBraceGroup(s, i + 1);
+      i = g ? g.end : i + 1;
+      continue;
+    }
+    if (ch === 'p' || ch === 'm' || ch === 'b') {
+      const g = readBraceGroup(s, i + 1);
+      columns.push({ type: ch, align: 'l', width: g ? g.content.trim() : '', rulesBefore: pendingRules });
+      pendingRules = 0;
+      i = g ? g.end : i + 1;
+      continue;
+    }
+    if (/[A-Za-z]/.test(ch)) {
+      const align = ch === 'c' || ch === 'r' ? ch : 'l';
+      columns.push({ type: ch, align, width: '', rulesBefore: pendingRules });
+      pendingRules = 0;
+    }
+    i += 1;
+  }
+  return { columns, trailingRules: pendingRules };
+};
+
+export const buildColumnSpec = ({ columns = [], trailingRules = 0 } = {}) => {
+  const parts = columns.map((col) => {
+    const rules = '|'.repeat(Math.max(0, col.rulesBefore || 0));
+    const type = col.type || col.align || 'l';
+    if (type === 'p' || type === 'm' || type === 'b') return `${rules}${type}{${col.width || '3cm'}}`;
+    return `${rules}${type}`;
+  });
+  return parts.join('') + '|'.repeat(Math.max(0, trailingRules || 0));
+};
+
+const RULE_RE = /^\s*\\(hline|toprule|midrule|bottomrule|cline|cmidrule)\b/;
+
+// Strips leading `\hline`-style rules from a row, returning the rule tokens (without backslash).
+const takeLeadingRules = (text) => {
+  let rest = String(text || '');
+  const rules = [];
+  for (;;) {
+    const m = rest.match(RULE_RE);
+    if (!m) break;
+    let j = m[0].length;
+    const opt = readBracketGroup(rest, j);
+    if (opt) j = opt.end;
+    if (m[1] === 'cmidrule') {
+      const trim = rest.slice(j).match(/^\s*\([^)]*\)/);
+      if (trim) j += trim[0].length;
+    }
+    if (m[1] === 'cline' || m[1] === 'cmidrule') {
+      const g = readBraceGroup(rest, j);
+      if (g) j = g.end;
+    }
+    rules.push(rest.slice(0, j).trim().slice(1).replace(/\s+/g, ''));
+    rest = rest.slice(j);
+  }
+  return { rules, rest };
+};
+
+const splitTabularRows = (body) => {
+  const s = String(body || '');
+  const rows = [];
+  let cells = [];
+  let cur = '';
+  let depth = 0;
+  let envDepth = 0;
+  let i = 0;
+  while (i < s.length) {
+    const ch = s[i];
+    if (ch === '%') {
+      const nl = s.indexOf('\n', i);
+      i = nl === -1 ? s.length : nl + 1;
+      continue;
+    }
+    if (ch === '\\') {
+      const next = s[i + 1];
+      if (next === '\\' && depth === 0 && envDepth === 0) {
+        cells.push(cur);
+        rows.push(cells);
+        cells = [];
+        cur = '';
+        i += 2;
+        if (s[i] === '*') i += 1;
+        const opt = readBracketGroup(s, i);
+        if (opt && !/\S/.test(s.slice(i, opt.start))) i = opt.end;
+        continue;
+      }
+      if (s.startsWith('\\begin{', i)) envDepth += 1;
+      else if (s.startsWith('\\end{', i)) envDepth = Math.max(0, envDepth - 1);
+      cur += ch + (next ?? '');
+      i += 2;
+      continue;
+    }
+    if (ch === '{') depth += 1;
+    else if (ch === '}') depth = Math.max(0, depth - 1);
+    if (ch === '&' && depth === 0 && envDepth === 0) {
+      cells.push(cur);
+      cur = '';
+      i += 1;
+      continue;
+    }
+    cur += ch;
+    i += 1;
+  }
+  cells.push(cur);
+  rows.push(cells);
+  return rows;
+};
+
+const parseCell = (raw) => {
+  const text = String(raw || '').trim();
+  const m = text.match(/^\\multicolumn\b/);
+  if (m) {
+    const n = readBraceGroup(text, m[0].length);
+    const spec = n ? readBraceGroup(text, n.end) : null;
+    const content = spec ? readBraceGroup(text, spec.end) : null;
+    if (n && spec && content && !text.slice(content.end).trim()) {
+      const colspan = Math.max(1, parseInt(n.content, 10) || 1);
+      return { content: content.content.trim(), colspan, spec: spec.content.trim() };
+    }
+  }
+  return { content: text, colspan: 1, spec: null };
+};
+
+// Parses a tabular body into rows of cells plus the horizontal rules around them.
+export const parseTabularBody = (body) => {
+  const rawRows = splitTabularRows(body);
+  const rows = [];
+  let rulesAfter = [];
+  rawRows.forEach((cells, idx) => {
+    const { rules, rest } = takeLeadingRules(cells[0]);
+    const rowCells = [rest, ...cells.slice(1)];
+    const isEmpty = rowCells.length === 1 && !rest.trim();
+    if (isEmpty) {
+      if (idx === rawRows.length - 1) rulesAfter = rules;
+      else if (rules.length) rows.push({ rules, cells: [] });
+      return;
+    }
+    rows.push({ rules, cells: rowCells.map(parseCell) });
+  });
+  // Fold rule-only rows into the next row's leading rules.
+  const merged = [];
+  let carry = [];
+  for (const row of rows) {
+    if (!row.cells.length) {
+      carry = carry.concat(row.rules);
+      continue;
+    }
+    merged.push({ rules: carry.concat(row.rules), cells: row.cells });
+    carry = [];
+  }
+  return { rows: merged, rulesAfter: carry.concat(rulesAfter) };
+};
+
+const parseTabularArgs = (env, inner) => {
+  let i = 0;
+  let width = '';
+  if (env === 'tabularx' || env === 'tabular*') {
+    const w = readBraceGroup(inner, i);
+    if (!w) return null;
+    width = w.content.trim();
+    i = w.end;
+  } else {
+    const pos = readBracketGroup(inner, i);
+    if (pos) i = pos.end;
+  }
+  const spec = readBraceGroup(inner, i);
+  if (!spec) return null;
+  return { width, colSpec: spec.content, body: inner.slice(spec.end) };
+};
+
+// Resolves alignment and vertical rules for a cell starting at column `col`; a `\multicolumn` spec overrides the columns.
+const cellDecoration = ({ columns, trailingRules }, col, colspan, multicolumnSpec = null) => {
+  if (multicolumnSpec != null) {
+    const spec = parseColumnSpec(multicolumnSpec);
+    return {
+      align: spec.columns[0]?.align || 'l',
+      ruleLeft: spec.columns[0]?.rulesBefore || 0,
+      ruleRight: spec.trailingRules,
+    };
+  }
+  const lastCol = columns.length - 1;
+  return {
+    align: columns[Math.min(col, lastCol)]?.align || 'l',
+    ruleLeft: columns[col]?.rulesBefore || 0,
+    ruleRight: col + colspan - 1 >= lastCol ? trailingRules : 0,
+  };
+};
+
+const buildTableHtml = ({ env, width, colSpec, body }, renderFragment, float = null) => {
+  const layout = parseColumnSpec(colSpec);
+  const { rows, rulesAfter } = parseTabularBody(body);
+
+  const rowsHtml = rows.map((row) => {
+    let col = 0;
+    const cellsHtml = row.cells.map((cell) => {
+      const { align, ruleLeft, ruleRight } = cellDecoration(layout, col, cell.colspan, cell.spec);
+      const classes = [
+        ruleLeft ? 'texure-vrule-left' : '',
+        ruleRight ? 'texure-vrule-right' : '',
+      ].filter(Boolean).join(' ');
+      const attrs = [
+        cell.colspan > 1 ? `colspan="${cell.colspan}"` : '',
+        cell.spec != null ? `data-texure-multicolumn-spec="${escapeAttr(cell.spec)}"` : '',
+        `data-texure-align="${align}"`,
+        classes ? `class="${classes}"` : '',
+        `style="text-align: ${ALIGN_TO_CSS[align] || 'left'}"`,
+      ].filter(Boolean).join(' ');
+      col += cell.colspan;
+      return `<td ${attrs}>${renderFragment(cell.content)}</td>`;
+    }).join('');
+    const rulesAttr = row.rules.length ? ` data-texure-rules="${escapeAttr(row.rules.join(' '))}"` : '';
+    return `<tr${rulesAttr}>${cellsHtml}</tr>`;
+  }).join('');
+
+  const attrs = [
+    'class="texure-table not-prose"',
+    `data-texure-env="${escapeAttr(env)}"`,
+    `data-texure-colspec="${escapeAttr(colSpec)}"`,
+    width ? `data-texure-width="${escapeAttr(width)}"` : '',
+    rulesAfter.length ? `data-texure-rules-after="${escapeAttr(rulesAfter.join(' '))}"` : '',
+    float ? `data-texure-float="${escapeAttr(float.env)}"` : '',
+    float?.placement ? `data-texure-float-placement="${escapeAttr(float.placement)}"` : '',
+    float?.centering ? 'data-texure-centering="true"' : '',
+    float?.caption != null && float.captionPosition === 'bottom' ? 'data-texure-caption-position="bottom"' : '',
+    float?.labels?.length ? `data-texure-label="${escapeAttr(float.labels.join(' '))}"` : '',
+  ].filter(Boolean).join(' ');
+  const number = float?.number != null ? `<span class="texure-caption-number" contenteditable="false">Table ${escapeAttr(float.number)}:</span> ` : '';
+  const caption = float?.caption != null ? `<caption>${number}${renderFragment(float.caption)}</caption>` : '';
+  return `<table ${attrs}>${caption}<tbody>${rowsHtml}</tbody></table>`;
+};
+
+const findTabular = (src, from = 0) => {
+  const re = /\\begin\{(tabularx|tabular\*|tabular)\}/g;
+  re.lastIndex = from;
+  const m = re.exec(src);
+  if (!m) return null;
+  const env = m[1];
+  const innerStart = m.index + m[0].length;
+  const endIdx = findEnvironmentEnd(src, env, innerStart);
+  if (endIdx === -1) return null;
+  return {
+    env,
+    start: m.index,
+    innerStart,
+    end: endIdx + `\\end{${env}}`.length,
+    inner: src.slice(innerStart, endIdx),
+  };
+};
+
+// `numberAt(offset)` is the caption number for a \caption at `offset` in `inner`.
+const convertFloat = (env, inner, placement, renderFragment, numberAt) => {
+  const tab = findTabular(inner);
+  if (!tab) return null;
+  const args = parseTabularArgs(tab.env, tab.inner);
+  if (!args) return null;
+  const capIdx = inner.search(/\\caption\b/);
+  const cap = capIdx !== -1 ? readBraceGroup(inner, capIdx + '\\caption'.length) : null;
+  // Float-level labels (outside the caption and the tabular) are kept on the table element.
+  const outside = inner.slice(0, tab.start) + inner.slice(tab.end);
+  const captionFree = cap ? outside.replace(inner.slice(capIdx, cap.end), '') : outside;
+  const labels = Array.from(captionFree.matchAll(/\\label\s*\{([^}]*)\}/g)).map((m) => m[1].trim()).filter(Boolean);
+  const float = {
+    env,
+    placement,
+    labels,
+    centering: /\\centering\b/.test(inner) || /\\begin\{center\}/.test(inner),
+    caption: cap ? cap.content : null,
+    number: cap ? numberAt(capIdx) : null,
+    captionPosition: cap && capIdx > tab.start ? 'bottom' : 'top',
+  };
+  return buildTableHtml({ env: tab.env, ...args }, renderFragment, float);
+};
+
+// Replaces `table` floats and bare tabular environments with HTML tables.
+// `emit(html, source)` receives each generated table and the LaTeX it replaces (e.g. to protect it from later regex
+// passes).
+// Captions are numbered from `numbers` and `ordinalAt`, as in replaceLatexFigures.
+export const replaceLatexTables = (src, { renderFragment, emit = (html) => html, numbers = [], ordinalAt = () => 0 }) => {
+  let s = String(src || '');
+  let out = '';
+  let i = 0;
+  const floatRe = /\\begin\{(table\*?)\}/g;
+  for (;;) {
+    floatRe.lastIndex = i;
+    const fm = floatRe.exec(s);
+    const tab = findTabular(s, i);
+    const nextFloat = fm ? fm.index : Infinity;
+    const nextTab = tab ? tab.start : Infinity;
+    if (nextFloat === Infinity && nextTab === Infinity) break;
+
+    if (nextFloat < nextTab) {
+      const env = fm[1];
+      let innerStart = fm.index + fm[0].length;
+      const opt = readBracketGroup(s, innerStart);
+      const placement = opt && !/\S/.test(s.slice(innerStart, opt.start)) ? opt.content.trim() : '';
+      if (placement || opt?.content === '') innerStart = opt.end;
+      const endIdx = findEnvironmentEnd(s, env, fm.index + fm[0].length);
+      if (endIdx === -1) break;
+      const numberAt = (offset) => numbers[ordinalAt(s.slice(0, innerStart + offset))] ?? null;
+      const html = convertFloat(env, s.slice(innerStart, endIdx), placement, renderFragment, numberAt);
+      const end = endIdx + `\\end{${env}}`.length;
+      if (html == null) {
+        out += s.slice(i, end);
+      } else {
+        out += s.slice(i, fm.index) + emit(html, s.slice(fm.index, end));
+      }
+      i = end;
+      continue;
+    }
+
+    const args = parseTabularArgs(tab.env, tab.inner);
+    if (!args) {
+      out += s.slice(i, tab.end);
+    } else {
+      out += s.slice(i, tab.start) + emit(buildTableHtml({ env: tab.env, ...args }, renderFragment), s.slice(tab.start, tab.end));
+    }
+    i = tab.end;
+  }
+  return out + s.slice(i);
+};
+
+const tableRowsOf = (table) => {
+  const rows = table.rows ? Array.from(table.rows) : Array.from(table.querySelectorAll('tr'));
+  return rows.filter((tr) => tr.closest('table') === table);
+};
+
+const cellsOf = (tr) => Array.from(tr.children).filter((c) => /^(td|th)$/i.test(c.tagName));
+
+const spanOf = (cell) => Math.max(1, Number(cell.getAttribute('colspan')) || 1);
+
+const cellAlign = (cell) => {
+  const a = cell.getAttribute('data-texure-align');
+  if (a === 'l' || a === 'c' || a === 'r') return a;
+  const css = String(cell.style?.textAlign || '').toLowerCase();
+  if (css === 'center') return 'c';
+  if (css === 'right') return 'r';
+  return 'l';
+};
+
+const splitRules = (raw) => String(raw || '').split(/\s+/).filter(Boolean).map((r) => `\\${r}`);
+
+// Column spec of an editor table; rebuilt from cell alignment when missing or out of sync with the cells.
+const tableColumnSpec = (table) => {
+  const rows = tableRowsOf(table);
+  const colCount = rows.reduce((max, tr) => Math.max(max, cellsOf(tr).reduce((sum, c) => sum + spanOf(c), 0)), 0);
+  const colSpec = table.getAttribute('data-texure-colspec');
+  if (colSpec != null && parseColumnSpec(colSpec).columns.length === colCount) return colSpec;
+  const aligns = new Array(colCount).fill(null);
+  for (const tr of rows) {
+    let col = 0;
+    for (const cell of cellsOf(tr)) {
+      const span = spanOf(cell);
+      if (span === 1 && aligns[col] == null) aligns[col] = cellAlign(cell);
+      col += span;
+    }
+  }
+  return aligns.map((a) => a || 'l').join('');
+};
+
+// Serializes an editor `<table>` back to a tabular (wrapped in a `table` float when captioned).
+export const tableElementToLatex = (table, renderChildren) => {
+  const env = table.getAttribute('data-texure-env') || 'tabular';
+  const rows = tableRowsOf(table);
+  const colSpec = tableColumnSpec(table);
+
+  const lines = [];
+  for (const tr of rows) {
+    lines.push(...splitRules(tr.getAttribute('data-texure-rules')));
+    const cells = cellsOf(tr).map((cell) => {
+      const content = String(renderChildren(cell) || '').replace(/\s+/g, ' ').trim();
+      const span = spanOf(cell);
+      const mcSpec = cell.getAttribute('data-texure-multicolumn-spec');
+      if (span > 1 || mcSpec != null) {
+        return `\\multicolumn{${span}}{${mcSpec != null ? mcSpec : cellAlign(cell)}}{${content}}`;
+      }
+      return content;
+    });
+    lines.push(`${cells.join(' & ')} \\\\`.replace(/ {2,}/g, ' ').trim());
+  }
+  lines.push(...splitRules(table.getAttribute('data-texure-rules-after')));
+
+  const width = table.getAttribute('data-texure-width');
+  const head = env === 'tabularx' || env === 'tabular*'
+    ? `\\begin{${env}}{${width || '\\linewidth'}}{${colSpec}}`
+    : `\\begin{${env}}{${colSpec}}`;
+  const tabular = [head, ...lines, `\\end{${env}}`].join('\n');
+
+  const captionEl = table.querySelector('caption');
+  const caption = captionEl && captionEl.closest('table') === table
+    ? String(renderChildren(captionEl) || '').replace(/\s+/g, ' ').trim()
+    : null;
+  const floatEnv = table.getAttribute('data-texure-float') || (caption != null ? 'table' : '');
+  if (!floatEnv) return tabular;
+
+  const placement = table.getAttribute('data-texure-float-placement');
+  const out = [`\\begin{${floatEnv}}${placement ? `[${placement}]` : ''}`];
+  if (table.getAttribute('data-texure-centering') === 'true') out.push('\\centering');
+  const labelKeys = String(table.getAttribute('data-texure-label') || '').split(/\s+/).filter(Boolean);
+  const captionLines = [
+    ...(caption != null ? [`\\caption{${caption}}`] : []),
+    ...labelKeys.map((k) => `\\label{${k}}`),
+  ];
+  const captionOnTop = caption != null && table.getAttribute('data-texure-caption-position') !== 'bottom';
+  if (captionOnTop) out.push(...captionLines);
+  out.push(tabular);
+  if (!captionOnTop) out.push(...captionLines);
+  out.push(`\\end{${floatEnv}}`);
+  return out.join('\n');
+};
+
+// Editor table commands
+// These operate on the live DOM of the visual editor; callers sync LaTeX afterwards.
+
+const BOOKTABS_RULES = new Set(['toprule', 'midrule', 'bottomrule']);
+
+const rulesOf = (el, attr = 'data-texure-rules') => String(el.getAttribute(attr) || '').split(/\s+/).filter(Boolean);
+
+const setRules = (el, rules, attr = 'data-texure-rules') => {
+  if (rules.length) el.setAttribute(attr, rules.join(' '));
+  else el.removeAttribute(attr);
+};
+
+const cellStart = (cell) => {
+  let col = 0;
+  for (const c of cellsOf(cell.parentElement)) {
+    if (c === cell) return col;
+    col += spanOf(c);
+  }
+  return col;
+};
+
+const cellCovering = (tr, col) => {
+  let start = 0;
+  for (const cell of cellsOf(tr)) {
+    const span = spanOf(cell);
+    if (col >= start && col < start + span) return { cell, start };
+    start += span;
+  }
+  return null;
+};
+
+const createEmptyCell = (doc) => {
+  const td = doc.createElement('td');
+  td.appendChild(doc.createElement('br'));
+  return td;
+};
+
+// Re-applies alignment and vertical-rule styling to every cell from the table's column spec.
+export const refreshTableDecorations = (table) => {
+  const layout = parseColumnSpec(tableColumnSpec(table));
+  for (const tr of tableRowsOf(table)) {
+    let col = 0;
+    for (const cell of cellsOf(tr)) {
+      const span = spanOf(cell);
+      const { align, ruleLeft, ruleRight } = cellDecoration(layout, col, span, cell.getAttribute('data-texure-multicolumn-spec'));
+      cell.setAttribute('data-texure-align', align);
+      cell.style.textAlign = ALIGN_TO_CSS[align] || 'left';
+      cell.classList.toggle('texure-vrule-left', !!ruleLeft);
+      cell.classList.toggle('texure-vrule-right', !!ruleRight);
+      if (!cell.getAttribute('class')) cell.removeAttribute('class');
+      col += span;
+    }
+  }
+};
+
+const updateColumns = (table, update) => {
+  const layout = parseColumnSpec(tableColumnSpec(table));
+  update(layout);
+  table.setAttribute('data-texure-colspec', buildColumnSpec(layout));
+};
+
+// Builds the HTML for a new empty `rows` x `cols` tabular with `\hline` rules.
+export const createTableHtml = (rows, cols) => {
+  const r = Math.max(1, Math.min(50, Math.floor(Number(rows)) || 1));
+  const c = Math.max(1, Math.min(26, Math.floor(Number(cols)) || 1));
+  const row = `\\hline\n${new Array(c).fill('').join(' & ')} \\\\\n`;
+  const body = `${row.repeat(r)}\\hline\n`;
+  return buildTableHtml({ env: 'tabular', width: '', colSpec: `|${'l|'.repeat(c)}`, body }, (text) => text || '<br>');
+};
+
+// Inserts an empty row above/below the row of `cell`. Returns the first cell of the new row.
+export const insertTableRow = (cell, where = 'below') => {
+  const table = cell?.closest('table');
+  if (!table) return null;
+  const rows = tableRowsOf(table);
+  const tr = cell.parentElement;
+  const index = rows.indexOf(tr) + (where === 'above' ? 0 : 1);
+  const colCount = parseColumnSpec(tableColumnSpec(table)).columns.length;
+  const doc = table.ownerDocument;
+  const newRow = doc.createElement('tr');
+  for (let i = 0; i < colCount; i += 1) newRow.appendChild(createEmptyCell(doc));
+
+  // Uniformly ruled tables (e.g. `\hline` everywhere) keep their pattern; otherwise the
+  // new row takes over the rules of the row it displaces (e.g. a booktabs `\midrule`).
+  const first = rulesOf(rows[0]).join(' ');
+  const uniform = !!first && rows.every((row) => rulesOf(row).join(' ') === first);
+  const displaced = rows[index];
+  if (uniform) setRules(newRow, rulesOf(rows[0]));
+  else if (displaced) {
+    setRules(newRow, rulesOf(displaced));
+    setRules(displaced, []);
+  }
+
+  if (displaced) displaced.parentElement.insertBefore(newRow, displaced);
+  else tr.parentElement.appendChild(newRow);
+  refreshTableDecorations(table);
+  return cellsOf(newRow)[0] || null;
+};
+
+// Deletes the row of `cell` (and the whole table when it was the last row).
+export const deleteTableRow = (cell) => {
+  const table = cell?.closest('table');
+  if (!table) return false;
+  const rows = tableRowsOf(table);
+  const tr = cell.parentElement;
+  if (rows.length <= 1) {
+    table.remove();
+    return true;
+  }
+  const next = rows[rows.indexOf(tr) + 1];
+  const first = rulesOf(rows[0]).join(' ');
+  const uniform = rows.every((row) => rulesOf(row).join(' ') === first);
+  if (!uniform && next && rulesOf(tr).length) setRules(next, rulesOf(tr));
+  tr.remove();
+  return true;
+};
+
+// Inserts an empty column left/right of `cell`. Returns the new cell in the current row.
+export const insertTableColumn = (cell, where = 'right') => {
+  const table = cell?.closest('table');
+  if (!table) return null;
+  const target = cellStart(cell) + (where === 'left' ? 0 : spanOf(cell));
+  updateColumns(table, (layout) => {
+    const rulesBefore = target < layout.columns.length ? layout.columns[target].rulesBefore : layout.trailingRules;
+    layout.columns.splice(target, 0, { type: 'l', align: 'l', width: '', rulesBefore });
+  });
+  const doc = table.ownerDocument;
+  let created = null;
+  for (const tr of tableRowsOf(table)) {
+    const hit = cellCovering(tr, target);
+    if (hit && hit.start < target) {
+      hit.cell.setAttribute('colspan', String(spanOf(hit.cell) + 1));
+      continue;
+    }
+    const td = createEmptyCell(doc);
+    if (hit) tr.insertBefore(td, hit.cell);
+    else tr.appendChild(td);
+    if (tr === cell.parentElement) created = td;
+  }
+  refreshTableDecorations(table);
+  return created;
+};
+
+// Deletes the column where `cell` starts (and the whole table when no columns remain).
+export const deleteTableColumn = (cell) => {
+  const table = cell?.closest('table');
+  if (!table) return false;
+  const target = cellStart(cell);
+  const layout = parseColumnSpec(tableColumnSpec(table));
+  if (layout.columns.length <= 1) {
+    table.remove();
+    return true;
+  }
+  updateColumns(table, (l) => {
+    const [removed] = l.columns.splice(target, 1);
+    if (target === 0 && l.columns[0]) l.columns[0].rulesBefore = removed.rulesBefore;
+  });
+  for (const tr of tableRowsOf(table)) {
+    const hit = cellCovering(tr, target);
+    if (!hit) continue;
+    const span = spanOf(hit.cell);
+    if (span > 1) {
+      if (span === 2) hit.cell.removeAttribute('colspan');
+      else hit.cell.setAttribute('colspan', String(span - 1));
+    } else {
+      hit.cell.remove();
+    }
+  }
+  refreshTableDecorations(table);
+  return true;
+};
+
+// Multicolumn spec matching the table's rules for a merged cell.
+const multicolumnSpecFor = (table, start, span, align) => {
+  const { columns, trailingRules } = parseColumnSpec(tableColumnSpec(table));
+  const end = start + span - 1;
+  const left = start === 0 ? columns[0]?.rulesBefore || 0 : 0;
+  const right = end >= columns.length - 1 ? trailingRules : columns[end + 1]?.rulesBefore || 0;
+  return `${'|'.repeat(left)}${align}${'|'.repeat(right)}`;
+};
+
+// Merges `cell` with its right-hand neighbour into a `\multicolumn` cell.
+export const mergeTableCells = (cell) => {
+  const table = cell?.closest('table');
+  const next = cell?.nextElementSibling;
+  if (!table || !next || !/^(td|th)$/i.test(next.tagName)) return false;
+  const doc = table.ownerDocument;
+  const hasText = (el) => !!String(el.textContent || '').trim();
+  if (hasText(cell) && hasText(next)) cell.appendChild(doc.createTextNode(' '));
+  if (hasText(next)) {
+    Array.from(cell.querySelectorAll('br')).forEach((br) => br.remove());
+    while (next.firstChild) cell.appendChild(next.firstChild);
+  }
+  const span = spanOf(cell) + spanOf(next);
+  next.remove();
+  cell.setAttribute('colspan', String(span));
+  const align = cell.hasAttribute('data-texure-multicolumn-spec') ? cellAlign(cell) : 'c';
+  cell.setAttribute('data-texure-multicolumn-spec', multicolumnSpecFor(table, cellStart(cell), span, align));
+  refreshTableDecorations(table);
+  return true;
+};
+
+// Sets the alignment (`l`, `c` or `r`) of the column under `cell`, or of the cell itself when merged.
+export const setTableColumnAlign = (cell, align) => {
+  const table = cell?.closest('table');
+  if (!table || !ALIGN_TO_CSS[align]) return false;
+  const mcSpec = cell.getAttribute('data-texure-multicolumn-spec');
+  if (mcSpec != null) {
+    cell.setAttribute('data-texure-multicolumn-spec', multicolumnSpecFor(table, cellStart(cell), spanOf(cell), align));
+  } else {
+    const col = cellStart(cell);
+    updateColumns(table, (layout) => {
+      const column = layout.columns[col];
+      if (column) Object.assign(column, { type: align, align, width: '' });
+    });
+  }
+  refreshTableDecorations(table);
+  return true;
+};
+
+export const isBooktabsTable = (table) => {
+  const rules = tableRowsOf(table).flatMap((tr) => rulesOf(tr)).concat(rulesOf(table, 'data-texure-rules-after'));
+  return rules.some((r) => BOOKTABS_RULES.has(r) || r.startsWith('cmidrule'));
+};
+
+// Switches between booktabs rules (`\toprule`/`\midrule`/`\bottomrule`) and plain `\hline` rules.
+export const toggleTableBooktabs = (table) => {
+  if (!table) return false;
+  const rows = tableRowsOf(table);
+  if (isBooktabsTable(table)) {
+    const toPlain = (r) => (BOOKTABS_RULES.has(r) ? 'hline' : r.replace(/^cmidrule(?:\([^)]*\))?/, 'cline'));
+    rows.forEach((tr) => setRules(tr, rulesOf(tr).map(toPlain)));
+    setRules(table, rulesOf(table, 'data-texure-rules-after').map(toPlain), 'data-texure-rules-after');
+    return true;
+  }
+  rows.forEach((tr, i) => {
+    const kept = rulesOf(tr).filter((r) => r !== 'hline').map((r) => r.replace(/^cline/, 'cmidrule'));
+    if (i === 0) setRules(tr, ['toprule', ...kept]);
+    else if (i === 1) setRules(tr, ['midrule', ...kept]);
+    else setRules(tr, kept);
+  });
+  setRules(table, ['bottomrule'], 'data-texure-rules-after');
+  // booktabs tables read best without vertical rules.
+  updateColumns(table, (layout) => {
+    layout.columns.forEach((c) => { c.rulesBefore = 0; });
+    layout.trailingRules = 0;
+  });
+  tableRowsOf(table).forEach((tr) => cellsOf(tr).forEach((c) => {
+    const spec = c.getAttribute('data-texure-multicolumn-spec');
+    if (spec != null) c.setAttribute('data-texure-multicolumn-spec', spec.replace(/\|/g, ''));
+  }));
+  refreshTableDecorations(table);
+  return true;
+};
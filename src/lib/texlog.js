@@ -0,0 +1,162 @@
+// TeX log parsing: turns a compiler log into `{ level, message, file, line }` diagnostics
+
+export const DIAGNOSTIC_LEVELS = ['error', 'warning', 'info'];
+
+// TeX hard-wraps log lines at this width (max_print_line).
+const LOG_LINE_WIDTH = 79;
+
+const FILE_OPEN_RE = /^\(((?:\.{1,2}\/|\/|[A-Za-z]:[\\/])[^\s()]*|[\w.-]+\.(?:tex|ltx|sty|cls|clo|cfg|def|fd|ldf|aux|bbl|toc|lof|lot|out))/;
+const MESSAGE_RE = /(LaTeX|Package|Class|Module)(?: (\S+))? (Warning|Info): /;
+const BOX_RE = /^(Overfull|Underfull) \\[hv]box\b/;
+const INPUT_LINE_RE = /\s*on input line (\d+)\.?/;
+
+// Files that belong to the TeX distribution rather than the document; their line numbers are not useful.
+export const isDocumentFile = (file) => {
+  if (!file) return true;
+  const f = String(file).replace(/\\/g, '/');
+  if (/\/(?:texmf|texlive|tex-dist|miktex)/i.test(f) || /^\/usr\//.test(f)) return false;
+  return /\.(?:tex|ltx)$/i.test(f);
+};
+
+// Pushes/pops the `(file ... )` nesting TeX prints while reading inputs.
+const trackFiles = (text, stack) => {
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (ch === '(') {
+      const m = text.slice(i).match(FILE_OPEN_RE);
+      stack.push(m ? m[1] : null);
+      if (m) i += m[0].length - 1;
+    } else if (ch === ')') {
+      stack.pop();
+    }
+  }
+};
+
+const currentFile = (stack) => {
+  for (let i = stack.length - 1; i >= 0; i -= 1) if (stack[i]) return stack[i];
+  return null;
+};
+
+// Joins the continuation lines of a message: hard-wrapped lines and `(<package>)`-prefixed lines.
+const readContinuation = (lines, start, first, prefix) => {
+  let message = first;
+  let last = lines[start];
+  let end = start;
+  for (let j = start + 1; j < lines.length; j += 1) {
+    const next = lines[j];
+    if (!next.trim()) break;
+    if (last.length === LOG_LINE_WIDTH) {
+      message += next;
+    } else if (prefix && next.startsWith(prefix)) {
+      message += ` ${next.slice(prefix.length).trim()}`;
+    } else {
+      break;
+    }
+    last = next;
+    end = j;
+  }
+  return { message: message.replace(/\s+/g, ' ').trim(), end };
+};
+
+// Parses a TeX/LaTeX log into diagnostics in log order. Errors (`! ...`) take their line from the
+// `l.<n>` context line; warnings from `on input line <n>` or `at lines <a>--<b>`. `file` is the input file
+// being read when the message was printed (null when unknown).
+export const parseTexLog = (log) => {
+  const lines = String(log || '').split(/\r?\n/);
+  const fileStack = [];
+  const out = [];
+  const seen = new Set();
+  const add = (entry) => {
+    const key = `${entry.level}|${entry.file}|${entry.line}|${entry.message}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    out.push(entry);
+  };
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const raw = lines[i];
+
+    if (raw.startsWith('!')) {
+      const { message, end } = readContinuation(lines, i, raw.replace(/^!\s*/, ''), null);
+      let line = null;
+      let context;
+      let j = end + 1;
+      for (; j < lines.length && j <= end + 20 && !lines[j].startsWith('!'); j += 1) {
+        const m = lines[j].match(/^l\.(\d+)\s?(.*)$/);
+        if (m) {
+          line = Number(m[1]);
+          context = m[2].trim() || undefined;
+          break;
+        }
+      }
+      add({ level: 'error', message, file: currentFile(fileStack), line, ...(context ? { context } : {}) });
+      // The context lines echo source text, whose parentheses must not disturb the file stack.
+      i = line != null ? j : end;
+      continue;
+    }
+
+    const box = raw.match(BOX_RE);
+    if (box) {
+      const { message } = readContinuation(lines, i, raw, null);
+      const at = message.match(/at lines? (\d+)/);
+      // The box contents that follow run up to the next blank line and may hold unbalanced parentheses.
+      let end = i;
+      while (end + 1 < lines.length && lines[end + 1].trim()) end += 1;
+      add({
+        level: box[1] === 'Overfull' ? 'warning' : 'info',
+        message,
+        file: currentFile(fileStack),
+        line: at ? Number(at[1]) : null,
+      });
+      i = end;
+      continue;
+    }
+
+    const msg = raw.match(MESSAGE_RE);
+    if (msg) {
+      trackFiles(raw.slice(0, msg.index), fileStack);
+      const [, kind, name, severity] = msg;
+      const source = name ? `${kind} ${name}` : kind;
+      const first = raw.slice(msg.index + msg[0].length);
+      const { message: joined, end } = readContinuation(lines, i, first, `(${name || kind})`);
+      const lineMatch = joined.match(INPUT_LINE_RE);
+      add({
+        level: severity === 'Warning' ? 'warning' : 'info',
+        message: joined.replace(INPUT_LINE_RE, '').trim(),
+        file: currentFile(fileStack),
+        line: lineMatch ? Number(lineMatch[1]) : null,
+        source,
+      });
+      i = end;
+      continue;
+    }
+
+    if (/^Missing character: There is no .+ in font /.test(raw)) {
+      add({ level: 'warning', message: raw.trim(), file: currentFile(fileStack), line: null });
+      continue;
+    }
+
+    const pdftex = raw.match(/^pdfTeX warning(?: \([^)]*\))?: (.*)$/);
+    if (pdftex) {
+      const { message, end } = readContinuation(lines, i, pdftex[1], null);
+      add({ level: 'warning', message, file: currentFile(fileStack), line: null, source: 'pdfTeX' });
+      i = end;
+      continue;
+    }
+
+    if (/^No file \S+\.$/.test(raw)) {
+      add({ level: 'info', message: raw.trim(), file: currentFile(fileStack), line: null });
+      continue;
+    }
+
+    trackFiles(raw, fileStack);
+  }
+  return out;
+};
+
+// Counts per level, for filter badges.
+export const countDiagnostics = (entries) => {
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const e of entries || []) if (e.level in counts) counts[e.level] += 1;
+  return counts;
+};
@@ -0,0 +1,177 @@
+// Theorem-like environments (amsthm): \newtheorem declarations, numbered blocks and their LaTeX
+
+import { escapeAttr, findEnvironmentEnd, maskComments, readBraceGroup, readBracketGroup, readDocumentClass } from './latexScan';
+import { preambleOf } from './macros';
+
+export const THEOREM_STYLES = ['plain', 'definition', 'remark'];
+
+// Declared on demand (see ensureTheoremDeclarations) when a document uses one of these without \newtheorem,
+// and rendered the same way in the meantime. All share the theorem counter.
+export const DEFAULT_THEOREMS = [
+  { env: 'theorem', title: 'Theorem', style: 'plain' },
+  { env: 'lemma', title: 'Lemma', style: 'plain' },
+  { env: 'proposition', title: 'Proposition', style: 'plain' },
+  { env: 'corollary', title: 'Corollary', style: 'plain' },
+  { env: 'definition', title: 'Definition', style: 'definition' },
+  { env: 'example', title: 'Example', style: 'definition' },
+  { env: 'remark', title: 'Remark', style: 'remark' },
+];
+
+// Document classes that declare theorem environments (and a proof) themselves; declaring them again is an
+// error ("Command \theorem already defined").
+const SPRINGER_THEOREMS = ['theorem', 'lemma', 'proposition', 'corollary', 'definition', 'example', 'remark', 'proof'];
+export const CLASS_THEOREMS = {
+  beamer: ['theorem', 'lemma', 'corollary', 'definition', 'example', 'proof'],
+  llncs: SPRINGER_THEOREMS,
+  svjour3: SPRINGER_THEOREMS,
+};
+
+// Theorem environments the `\documentclass` of `latex` already provides.
+export const classTheoremsOf = (latex) => CLASS_THEOREMS[readDocumentClass(latex)] || [];
+
+const PROOF = { env: 'proof', title: 'Proof', style: 'proof', numbered: false, counter: null, within: null };
+
+const DECLARATION_RE = /\\(newtheorem|theoremstyle)(?![A-Za-z@])(\*?)/g;
+
+const readDeclarations = (src) => {
+  const masked = maskComments(src);
+  const declared = {};
+  let style = 'plain';
+  DECLARATION_RE.lastIndex = 0;
+  let m;
+  while ((m = DECLARATION_RE.exec(masked))) {
+    const at = m.index + m[0].length;
+    if (m[1] === 'theoremstyle') {
+      const arg = readBraceGroup(masked, at);
+      if (arg) style = arg.content.trim();
+      continue;
+    }
+    // \newtheorem{env}[shared]{Title} or \newtheorem{env}{Title}[within]
+    const name = readBraceGroup(masked, at);
+    if (!name) continue;
+    const shared = readBracketGroup(masked, name.end);
+    const title = readBraceGroup(masked, shared ? shared.end : name.end);
+    if (!title) continue;
+    const within = shared ? null : readBracketGroup(masked, title.end);
+    const env = name.content.trim();
+    declared[env] = {
+      env,
+      title: title.content.trim(),
+      style: THEOREM_STYLES.includes(style) ? style : 'plain',
+      numbered: !m[2],
+      counter: shared ? shared.content.trim() : env,
+      within: within ? within.content.trim() : null,
+    };
+    DECLARATION_RE.lastIndex = (within || title).end;
+  }
+  return declared;
+};
+
+// Theorem environments of a document: `{ [env]: { env, title, style, numbered, counter, within } }`.
+// `style` is an amsthm style (or 'proof'); a shared counter also shares its `within` (only `section` is
+// numbered in the visual editor). Environments the preamble does not declare fall back to DEFAULT_THEOREMS,
+// and amsthm's proof is always there.
+export const readTheoremDefinitions = (latex) => {
+  const declared = readDeclarations(preambleOf(latex));
+  const definitions = {};
+  for (const d of DEFAULT_THEOREMS) {
+    definitions[d.env] = { ...d, numbered: true, counter: 'theorem', within: null };
+  }
+  definitions.proof = { ...PROOF };
+  Object.assign(definitions, declared);
+
+  for (const def of Object.values(definitions)) {
+    if (!def.numbered) continue;
+    const owner = definitions[def.counter];
+    def.within = owner && owner !== def ? owner.within : def.within;
+  }
+  return definitions;
+};
+
+// `<div class="texure-theorem">` with a run-in head ("Theorem 2.1 (note)."); `number` is left out until known.
+// `noteHtml` is the rendered optional argument and `note` its source.
+const buildTheoremHtml = (def, { number = null, note = null, noteHtml = '', bodyHtml = '' }) => {
+  const shown = def.numbered && number != null;
+  const attrs = [
+    'class="texure-theorem"',
+    `data-texure-theorem="${escapeAttr(def.env)}"`,
+    `data-texure-theorem-style="${escapeAttr(def.style)}"`,
+    shown ? `data-texure-theorem-number="${escapeAttr(number)}"` : '',
+    note != null ? `data-texure-theorem-note="${escapeAttr(note)}"` : '',
+  ].filter(Boolean).join(' ');
+  // A proof's optional argument replaces the word "Proof".
+  const head = def.style === 'proof' && note != null
+    ? `<span class="texure-theorem-name">${noteHtml}</span>`
+    : `<span class="texure-theorem-name">${escapeAttr(def.title)}</span>${shown ? ` <span class="texure-theorem-number">${escapeAttr(number)}</span>` : ''}${note != null ? ` <span class="texure-theorem-note">(${noteHtml})</span>` : ''}`;
+  return `<div ${attrs}><span class="texure-theorem-head" contenteditable="false">${head}.</span> ${bodyHtml}</div>`;
+};
+
+// Replaces the environments in `definitions` with theorem blocks; bodies and notes are converted recursively.
+// `emit(html, source)` receives each generated block and the LaTeX it replaces (e.g. to protect it from later regex
+// passes).
+// `numbers` are the document's theorem numbers in order (see buildLabelIndex) and `ordinalAt(before)` the index
+// into them of the next numbered environment after `before`, the part of `src` preceding it. Bodies are rendered
+// with `renderFragment(body, before)`, so the caller can number what they contain.
+export const replaceLatexTheorems = (src, { renderFragment, emit = (html) => html, definitions, numbers = [], ordinalAt = () => 0 }) => {
+  const names = Object.keys(definitions || {});
+  if (!names.length) return String(src || '');
+  const s = String(src || '');
+  let out = '';
+  let i = 0;
+  const re = new RegExp(`\\\\begin\\{(${names.map((n) => n.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\}`, 'g');
+  let m;
+  while ((m = re.exec(s))) {
+    const env = m[1];
+    const endIdx = findEnvironmentEnd(s, env, m.index + m[0].length);
+    if (endIdx === -1) break;
+    let bodyStart = m.index + m[0].length;
+    const opt = readBracketGroup(s, bodyStart);
+    const note = opt && opt.end <= endIdx && !/\S/.test(s.slice(bodyStart, opt.start)) ? opt.content.trim() : null;
+    if (note != null) bodyStart = opt.end;
+    const html = buildTheoremHtml(definitions[env], {
+      number: numbers[ordinalAt(s.slice(0, m.index))] ?? null,
+      note,
+      noteHtml: note != null ? renderFragment(note) : '',
+      bodyHtml: renderFragment(s.slice(bodyStart, endIdx).trim(), s.slice(0, bodyStart)),
+    });
+    const end = endIdx + `\\end{${env}}`.length;
+    out += s.slice(i, m.index) + emit(html, s.slice(m.index, end));
+    i = end;
+    re.lastIndex = i;
+  }
+  return out + s.slice(i);
+};
+
+// An empty block for the Insert menu; the caret goes after its head.
+export const createTheoremHtml = (def) => buildTheoremHtml(def, { bodyHtml: '<br>' });
+
+// Serializes an editor theorem block back to its environment. `renderNodes(nodes)` converts body nodes.
+export const theoremElementToLatex = (el, renderNodes) => {
+  const env = el.getAttribute('data-texure-theorem') || 'theorem';
+  const note = el.getAttribute('data-texure-theorem-note');
+  const nodes = Array.from(el.childNodes).filter((n) => !n.classList?.contains('texure-theorem-head'));
+  const body = renderNodes(nodes).replace(/\n{3,}/g, '\n\n').trim();
+  return `\\begin{${env}}${note != null ? `[${note}]` : ''}\n${body}\n\\end{${env}}`;
+};
+
+// Adds \newtheorem declarations (before \begin{document}) for DEFAULT_THEOREMS used in `latexBody` but not
+// declared by the preamble or its class, grouped by \theoremstyle. Needs amsthm, which inferRequiredPackages
+// asks for.
+export const ensureTheoremDeclarations = (preambleWithBeginDoc, latexBody) => {
+  const preamble = String(preambleWithBeginDoc || '');
+  const declared = readDeclarations(preamble);
+  for (const env of classTheoremsOf(preamble)) declared[env] = true;
+  const used = DEFAULT_THEOREMS.filter((d) => !declared[d.env] && new RegExp(`\\\\begin\\{${d.env}\\}`).test(String(latexBody || '')));
+  if (!used.length) return preamble;
+  const missing = declared.theorem || used.some((d) => d.env === 'theorem') ? used : [DEFAULT_THEOREMS[0], ...used];
+  let style = null;
+  const lines = [];
+  for (const d of missing) {
+    if (d.style !== style) lines.push(`\\theoremstyle{${(style = d.style)}}`);
+    lines.push(d.env === 'theorem' ? '\\newtheorem{theorem}{Theorem}' : `\\newtheorem{${d.env}}[theorem]{${d.title}}`);
+  }
+  const block = `${lines.join('\n')}\n`;
+  const insertPoint = preamble.indexOf('\\begin{document}');
+  if (insertPoint === -1) return `${preamble.trimEnd()}\n${block}`;
+  return preamble.slice(0, insertPoint) + block + preamble.slice(insertPoint);
+};
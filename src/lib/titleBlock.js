@@ -0,0 +1,134 @@
+// Title block: \title / \author / \date metadata, \maketitle and the abstract environment
+
+import { escapeAttr, findEnvironmentEnd, maskComments, readBraceGroup } from './latexScan';
+
+export const TITLE_FIELDS = ['title', 'author', 'date'];
+
+const FIELD_PLACEHOLDERS = { title: 'Title', author: 'Author' };
+
+// Every `\title{...}`-style definition: `[{ field, start, end, argStart, argEnd, value }]` in source order.
+const findMetadataCommands = (src) => {
+  const s = String(src || '');
+  const masked = maskComments(s);
+  const out = [];
+  const re = /\\(title|author|date)\b\s*(?:\[[^\]]*\])?/g;
+  let m;
+  while ((m = re.exec(masked))) {
+    const arg = readBraceGroup(s, m.index + m[0].length);
+    if (!arg) continue;
+    out.push({ field: m[1], start: m.index, end: arg.end, argStart: arg.start + 1, argEnd: arg.end - 1, value: arg.content });
+    re.lastIndex = arg.end;
+  }
+  return out;
+};
+
+// `{ title, author, date }` as LaTeX source (null when not set): the last definition before
+// \maketitle, as LaTeX would typeset it.
+export const readTitleMetadata = (latex) => {
+  const s = String(latex || '');
+  const makeIdx = maskComments(s).search(/\\maketitle\b/);
+  const meta = { title: null, author: null, date: null };
+  for (const cmd of findMetadataCommands(s)) {
+    if (makeIdx !== -1 && cmd.start > makeIdx) break;
+    meta[cmd.field] = cmd.value;
+  }
+  return meta;
+};
+
+// Writes `meta` values into the preamble: the last existing definition of each field is updated,
+// missing ones are added before \begin{document} (empty values are not added).
+export const setTitleMetadata = (preambleWithBeginDoc, meta) => {
+  let out = String(preambleWithBeginDoc || '');
+  for (const field of TITLE_FIELDS) {
+    const value = meta?.[field];
+    if (value == null) continue;
+    const existing = findMetadataCommands(out).filter((c) => c.field === field).pop();
+    if (existing) {
+      if (existing.value !== value) out = out.slice(0, existing.argStart) + value + out.slice(existing.argEnd);
+      continue;
+    }
+    if (!value) continue;
+    const beginIdx = out.search(/\\begin\{document\}/);
+    const line = `\\${field}{${value}}\n`;
+    out = beginIdx === -1 ? `${out}\n${line}` : out.slice(0, beginIdx) + line + out.slice(beginIdx);
+  }
+  return out;
+};
+
+// LaTeX's \today: "October 19, 2026".
+export const formatToday = (now = new Date()) =>
+  now.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+
+const chip = (cls, latex, text = '') =>
+  `<span class="${cls}" contenteditable="false" data-texure-latex="${escapeAttr(latex)}" title="${escapeAttr(latex.trim())}">${escapeAttr(text)}</span>`;
+
+// Renders one field, keeping \and, \\, \today and \thanks as chips so they survive editing.
+export const renderTitleField = (src, renderFragment) => {
+  const s = String(src || '');
+  const re = /\s*\\and\b\s*|\\\\|\\today\b|\\thanks\b/g;
+  let out = '';
+  let i = 0;
+  let m;
+  while ((m = re.exec(s))) {
+    let end = m.index + m[0].length;
+    let html;
+    if (m[0].trim() === '\\and') html = chip('texure-title-sep', ' \\and ');
+    else if (m[0] === '\\\\') html = chip('texure-title-break', '\\\\');
+    else if (m[0] === '\\today') html = chip('texure-today', '\\today', formatToday());
+    else {
+      const arg = readBraceGroup(s, end);
+      if (!arg) continue;
+      end = arg.end;
+      html = chip('texure-thanks', s.slice(m.index, end), '*');
+    }
+    out += renderFragment(s.slice(i, m.index)) + html;
+    i = end;
+    re.lastIndex = end;
+  }
+  return out + renderFragment(s.slice(i));
+};
+
+const titleBlockHtml = (meta, renderFragment) => {
+  const fields = TITLE_FIELDS.map((field) => {
+    const placeholder = field === 'date' ? formatToday() : FIELD_PLACEHOLDERS[field];
+    const inner = meta[field] != null ? renderTitleField(meta[field], renderFragment) : '';
+    const source = meta[field] != null ? ` data-texure-meta-latex="${escapeAttr(encodeURIComponent(meta[field]))}"` : '';
+    return `<div class="texure-${field}" contenteditable="true" data-texure-meta="${field}"${source} data-placeholder="${escapeAttr(placeholder)}">${inner}</div>`;
+  });
+  return `<div class="texure-title-block not-prose" contenteditable="false" data-texure-latex="\\maketitle">${fields.join('')}</div>`;
+};
+
+// Replaces \maketitle with an editable title block built from `metadata`, the abstract environment
+// with a titled block, and body-level \title/\author/\date with hidden placeholders that pick up
+// edits made in the title block (see htmlToLatex).
+// `emit(html, source)` receives each generated element and the LaTeX it replaces (e.g. to protect it from later regex
+// passes).
+export const replaceTitleBlock = (src, { renderFragment, emit = (html) => html, metadata }) => {
+  let s = String(src || '');
+
+  let out = '';
+  let i = 0;
+  for (const cmd of findMetadataCommands(s)) {
+    const latex = s.slice(cmd.start, cmd.end);
+    out += s.slice(i, cmd.start) + emit(`<span class="texure-meta-command" contenteditable="false" data-texure-meta-command="${cmd.field}" data-texure-latex="${escapeAttr(latex)}"></span>`, latex);
+    i = cmd.end;
+  }
+  s = out + s.slice(i);
+
+  s = s.replace(/\\maketitle\b/g, (match) => emit(titleBlockHtml(metadata || readTitleMetadata(src), renderFragment), match));
+
+  out = '';
+  i = 0;
+  const re = /\\begin\{abstract\}/g;
+  let m;
+  while ((m = re.exec(s))) {
+    const endIdx = findEnvironmentEnd(s, 'abstract', m.index + m[0].length);
+    if (endIdx === -1) break;
+    const body = renderFragment(s.slice(m.index + m[0].length, endIdx).trim());
+    const end = endIdx + '\\end{abstract}'.length;
+    out += s.slice(i, m.index) + emit(`<div class="texure-abstract"><div class="texure-abstract-title" contenteditable="false">Abstract</div><div class="texure-abstract-body">${body}</div></div>`, s.slice(m.index, end));
+    i = end;
+    re.lastIndex = i;
+  }
+  return out + s.slice(i);
+};
@@ -43,6 +43,10 @@ describe('constants/flags', () => {
       'showOutdent',
       'showLink',
       'showImage',
+      'showTable',
+      'showCitation',
+      'showFootnote',
+      'showTheorem',
     ];
 
     expect(Object.keys(FEATURE_FLAGS).sort()).toEqual(expectedKeys.sort());
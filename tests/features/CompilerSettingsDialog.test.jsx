@@ -0,0 +1,45 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import React from 'react';
+import CompilerSettingsDialog from '../../src/features/Compiler/CompilerSettingsDialog.jsx';
+
+const BACKENDS = [
+  { id: 'wasm', label: 'In-browser (WASM)', description: 'Local engine', isAvailable: () => false },
+  { id: 'latexonline', label: 'latexonline.cc', isAvailable: () => true },
+  { id: 'url', label: 'Self-hosted server', isAvailable: (config) => !!config.url },
+];
+
+describe('CompilerSettingsDialog', () => {
+  it('enables, reorders and saves backends with the server URL', () => {
+    const onSave = vi.fn();
+    render(<CompilerSettingsDialog backends={BACKENDS} settings={{ order: ['latexonline'], url: '' }} onSave={onSave} />);
+    const dialog = screen.getByRole('dialog', { name: 'Compiler Settings' });
+    expect(within(dialog).getByText('Primary').parentElement.textContent).toContain('latexonline.cc');
+    expect(within(dialog).getAllByText('Unavailable')).toHaveLength(2);
+    expect(screen.getByText('Local engine')).toBeTruthy();
+
+    fireEvent.click(screen.getByLabelText('Enable Self-hosted server'));
+    fireEvent.change(screen.getByLabelText('Self-hosted server URL'), { target: { value: ' http://localhost:3001/compile ' } });
+    expect(within(dialog).getAllByText('Unavailable')).toHaveLength(1);
+    expect(screen.getByRole('button', { name: 'Move Self-hosted server down' }).disabled).toBe(true);
+    fireEvent.click(screen.getByRole('button', { name: 'Move Self-hosted server up' }));
+    expect(screen.getByRole('button', { name: 'Move Self-hosted server up' }).disabled).toBe(true);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+    expect(onSave).toHaveBeenCalledWith({ order: ['url', 'latexonline'], url: 'http://localhost:3001/compile' });
+  });
+
+  it('disables backends and closes without saving', () => {
+    const onSave = vi.fn();
+    const onClose = vi.fn();
+    render(
+      <CompilerSettingsDialog backends={BACKENDS} settings={{ order: ['wasm', 'latexonline'] }} onSave={onSave} onClose={onClose} />
+    );
+    fireEvent.click(screen.getByLabelText('Enable In-browser (WASM)'));
+    expect(screen.queryByRole('button', { name: /Move In-browser/ })).toBeNull();
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+    expect(onSave).toHaveBeenCalledWith({ order: ['latexonline'], url: '' });
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+});
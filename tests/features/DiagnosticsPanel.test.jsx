@@ -0,0 +1,50 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import React from 'react';
+import DiagnosticsPanel from '../../src/features/Diagnostics/DiagnosticsPanel.jsx';
+
+const ENTRIES = [
+  { level: 'error', message: 'Undefined control sequence.', file: './main.tex', line: 14, context: '\\foo', target: { path: 'main.tex', line: 14 } },
+  { level: 'warning', message: "Citation `knuth' undefined", file: './intro.tex', line: 3, target: { path: 'intro.tex', line: 3 } },
+  { level: 'info', message: 'No file main.aux.', file: './main.tex', line: null },
+];
+
+describe('DiagnosticsPanel', () => {
+  it('shows the raw log when nothing was parsed', () => {
+    render(<DiagnosticsPanel entries={[]} log="Compiled successfully." />);
+    expect(screen.getByText('Compiled successfully.')).toBeTruthy();
+    expect(screen.queryByRole('group', { name: 'Filter diagnostics' })).toBeNull();
+  });
+
+  it('filters entries by level and jumps to clickable ones', () => {
+    const onSelect = vi.fn();
+    render(<DiagnosticsPanel entries={ENTRIES} log="raw log text" onSelect={onSelect} />);
+    const list = () => screen.getByRole('list', { name: 'Diagnostics' });
+    expect(within(list()).getAllByRole('listitem')).toHaveLength(3);
+    expect(screen.getByRole('button', { name: 'All (3)' }).getAttribute('aria-pressed')).toBe('true');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Warnings (1)' }));
+    expect(within(list()).getAllByRole('listitem')).toHaveLength(1);
+    fireEvent.click(screen.getByTitle('Go to intro.tex:3'));
+    expect(onSelect).toHaveBeenCalledWith(ENTRIES[1]);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Info (1)' }));
+    expect(screen.getByText('No file main.aux.')).toBeTruthy();
+    expect(screen.queryByTitle(/Go to/)).toBeNull();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Errors (1)' }));
+    expect(screen.getByText('\\foo')).toBeTruthy();
+    expect(screen.getByText('main.tex:14')).toBeTruthy();
+  });
+
+  it('reports empty filters and toggles the raw log', () => {
+    render(<DiagnosticsPanel entries={[ENTRIES[2]]} log="raw log text" />);
+    fireEvent.click(screen.getByRole('button', { name: 'Errors (0)' }));
+    expect(screen.getByText('No errors.')).toBeTruthy();
+    expect(screen.queryByText('raw log text')).toBeNull();
+    fireEvent.click(screen.getByRole('button', { name: 'Show raw log' }));
+    expect(screen.getByText('raw log text')).toBeTruthy();
+    fireEvent.click(screen.getByRole('button', { name: 'Hide raw log' }));
+    expect(screen.queryByText('raw log text')).toBeNull();
+  });
+});
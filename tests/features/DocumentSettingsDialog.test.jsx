@@ -0,0 +1,63 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import React from 'react';
+import DocumentSettingsDialog from '../../src/features/Document/DocumentSettingsDialog.jsx';
+
+const SETTINGS = {
+  documentClass: 'article',
+  fontSize: '11pt',
+  paper: 'a4paper',
+  twoColumn: false,
+  margins: { top: '2cm', bottom: '2cm', left: '2cm', right: '2cm' },
+  lineSpacing: 'single',
+  fontPackage: '',
+  packages: [
+    { name: 'inputenc', options: 'utf8' },
+    { name: 'amsmath', options: '' },
+  ],
+};
+
+describe('DocumentSettingsDialog', () => {
+  it('edits the class, margins, spacing, font and packages and saves the model', () => {
+    const onSave = vi.fn();
+    render(<DocumentSettingsDialog settings={SETTINGS} onSave={onSave} />);
+    expect(screen.getByRole('dialog', { name: 'Document Settings' })).toBeTruthy();
+
+    fireEvent.change(screen.getByLabelText('Document class'), { target: { value: ' report ' } });
+    fireEvent.change(screen.getByLabelText('Font size'), { target: { value: '12pt' } });
+    fireEvent.change(screen.getByLabelText('Paper size'), { target: { value: 'letterpaper' } });
+    fireEvent.click(screen.getByLabelText('Two columns'));
+    fireEvent.change(screen.getByLabelText('Left margin'), { target: { value: ' 3cm ' } });
+    fireEvent.change(screen.getByLabelText('Line spacing'), { target: { value: 'double' } });
+    fireEvent.change(screen.getByLabelText('Font'), { target: { value: 'lmodern' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Remove inputenc' }));
+    fireEvent.click(screen.getByRole('button', { name: /Add package/ }));
+    fireEvent.change(screen.getByLabelText('Package 2 name'), { target: { value: 'xcolor' } });
+    fireEvent.change(screen.getByLabelText('Package 2 options'), { target: { value: 'dvipsnames' } });
+    fireEvent.click(screen.getByRole('button', { name: /Add package/ }));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+    expect(onSave).toHaveBeenCalledWith({
+      documentClass: 'report',
+      fontSize: '12pt',
+      paper: 'letterpaper',
+      twoColumn: true,
+      margins: { top: '2cm', bottom: '2cm', left: '3cm', right: '2cm' },
+      lineSpacing: 'double',
+      fontPackage: 'lmodern',
+      packages: [
+        { name: 'amsmath', options: '' },
+        { name: 'xcolor', options: 'dvipsnames' },
+      ],
+    });
+  });
+
+  it('closes without saving', () => {
+    const onSave = vi.fn();
+    const onClose = vi.fn();
+    render(<DocumentSettingsDialog settings={SETTINGS} onSave={onSave} onClose={onClose} />);
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(onSave).not.toHaveBeenCalled();
+  });
+});
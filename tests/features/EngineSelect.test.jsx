@@ -0,0 +1,28 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import React from 'react';
+import EngineSelect from '../../src/features/Compiler/EngineSelect.jsx';
+
+describe('EngineSelect', () => {
+  it('shows the automatic choice and pins or clears an engine', () => {
+    const onChange = vi.fn();
+    const { rerender } = render(<EngineSelect value={null} suggested="xelatex" onChange={onChange} />);
+    const select = screen.getByRole('combobox', { name: 'TeX engine' });
+    expect(select.value).toBe('');
+    expect(screen.getByRole('option', { name: 'Auto (XeLaTeX)' })).toBeTruthy();
+
+    fireEvent.change(select, { target: { value: 'lualatex' } });
+    expect(onChange).toHaveBeenLastCalledWith('lualatex');
+
+    rerender(<EngineSelect value="pdflatex" suggested="xelatex" onChange={onChange} />);
+    expect(select.value).toBe('pdflatex');
+    expect(select.title).toMatch(/need XeLaTeX/);
+    fireEvent.change(select, { target: { value: '' } });
+    expect(onChange).toHaveBeenLastCalledWith(null);
+  });
+
+  it('falls back to pdfLaTeX when nothing is suggested', () => {
+    render(<EngineSelect value="" suggested={null} />);
+    expect(screen.getByRole('option', { name: 'Auto (pdfLaTeX)' })).toBeTruthy();
+  });
+});
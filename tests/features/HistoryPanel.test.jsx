@@ -0,0 +1,61 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import React from 'react';
+import HistoryPanel from '../../src/features/History/HistoryPanel.jsx';
+
+const VERSIONS = [
+  { id: 'v2', kind: 'manual', label: 'submitted to reviewers', text: 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj', createdAt: 2000 },
+  { id: 'v1', kind: 'save', label: '', text: 'a\nb', createdAt: 1000 },
+];
+const CURRENT = 'A\nb\nc\nd\ne\nf\ng\nh\ni\nJ';
+
+describe('HistoryPanel', () => {
+  it('lists versions, takes named snapshots and deletes versions', () => {
+    const onSnapshot = vi.fn();
+    const onDelete = vi.fn();
+    render(<HistoryPanel versions={VERSIONS} currentText={CURRENT} onSnapshot={onSnapshot} onDelete={onDelete} />);
+    const list = screen.getByRole('list', { name: 'Versions' });
+    expect(within(list).getByText('submitted to reviewers')).toBeTruthy();
+    expect(within(list).getByText('Saved')).toBeTruthy();
+
+    fireEvent.change(screen.getByLabelText('Snapshot name'), { target: { value: ' camera ready ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save snapshot' }));
+    expect(onSnapshot).toHaveBeenCalledWith('camera ready');
+    expect(screen.getByLabelText('Snapshot name').value).toBe('');
+
+    fireEvent.click(screen.getAllByRole('button', { name: /^Delete / })[1]);
+    expect(onDelete).toHaveBeenCalledWith('v1');
+  });
+
+  it('diffs the newest version against the document and reverts single changes', () => {
+    const onRestore = vi.fn();
+    render(<HistoryPanel versions={VERSIONS} currentText={CURRENT} onRestore={onRestore} />);
+    const diff = screen.getByLabelText('Differences');
+    expect(within(diff).getByText('Change 1 of 2')).toBeTruthy();
+    expect(diff.textContent).toContain('- a');
+    expect(diff.textContent).toContain('+ A');
+
+    fireEvent.click(within(diff).getAllByRole('button', { name: 'Revert this change' })[1]);
+    expect(onRestore).toHaveBeenLastCalledWith('A\nb\nc\nd\ne\nf\ng\nh\ni\nj');
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Restore' })[1]);
+    expect(onRestore).toHaveBeenLastCalledWith('a\nb');
+  });
+
+  it('compares any two versions', () => {
+    render(<HistoryPanel versions={VERSIONS} currentText={CURRENT} />);
+    fireEvent.change(screen.getByLabelText('From'), { target: { value: 'v1' } });
+    fireEvent.change(screen.getByLabelText('To'), { target: { value: 'v2' } });
+    expect(screen.queryByRole('button', { name: 'Revert this change' })).toBeNull();
+    expect(screen.getByLabelText('Differences').textContent).toContain('+ j');
+
+    fireEvent.change(screen.getByLabelText('To'), { target: { value: 'v1' } });
+    expect(screen.getByText('No differences.')).toBeTruthy();
+  });
+
+  it('explains when there are no versions yet', () => {
+    render(<HistoryPanel versions={[]} currentText="x" />);
+    expect(screen.getByText(/No versions yet/)).toBeTruthy();
+    expect(screen.getByText('No differences.')).toBeTruthy();
+  });
+});
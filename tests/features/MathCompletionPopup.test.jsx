@@ -0,0 +1,37 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import React from 'react';
+import MathCompletionPopup from '../../src/features/Math/MathCompletionPopup.jsx';
+import { mathCompletions } from '../../src/lib/mathCompletion';
+
+const ANCHOR = { top: 10, bottom: 30, left: 40 };
+
+describe('MathCompletionPopup', () => {
+  afterEach(() => {
+    delete window.katex;
+  });
+
+  it('lists candidates with KaTeX previews and picks on mouse down', () => {
+    window.katex = { renderToString: vi.fn((src) => `<span class="katex">${src}</span>`) };
+    const onPick = vi.fn();
+    const onHover = vi.fn();
+    const items = mathCompletions('fra');
+    render(<MathCompletionPopup items={items} activeIndex={1} anchor={ANCHOR} onPick={onPick} onHover={onHover} />);
+    const options = screen.getAllByRole('option');
+    expect(options).toHaveLength(items.length);
+    expect(options[1].getAttribute('aria-selected')).toBe('true');
+    expect(options[0].textContent).toContain('\\frac{}{}');
+    expect(window.katex.renderToString).toHaveBeenCalledWith('\\frac{a}{b}', expect.objectContaining({ throwOnError: false }));
+
+    fireEvent.mouseEnter(options[2]);
+    expect(onHover).toHaveBeenCalledWith(2);
+    fireEvent.mouseDown(options[0]);
+    expect(onPick).toHaveBeenCalledWith(items[0]);
+  });
+
+  it('renders nothing without candidates', () => {
+    const { container } = render(<MathCompletionPopup items={[]} anchor={ANCHOR} />);
+    expect(container.innerHTML).toBe('');
+    expect(screen.queryByRole('listbox', { name: 'Math completions' })).toBe(null);
+  });
+});
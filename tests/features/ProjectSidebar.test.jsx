@@ -0,0 +1,48 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import React from 'react';
+import ProjectSidebar from '../../src/features/Project/ProjectSidebar.jsx';
+
+describe('ProjectSidebar', () => {
+  const paths = ['main.tex', 'chapters/one.tex', 'refs.bib'];
+
+  it('renders the file tree with main, active and unsaved markers', () => {
+    render(
+      <ProjectSidebar
+        name="thesis"
+        paths={paths}
+        activePath="chapters/one.tex"
+        mainPath="main.tex"
+        dirtyPaths={new Set(['chapters/one.tex'])}
+      />
+    );
+    expect(screen.getByText('thesis')).toBeTruthy();
+    expect(screen.getByText('Main: main.tex')).toBeTruthy();
+    expect(screen.getByTitle('chapters/one.tex').getAttribute('aria-current')).toBe('page');
+    expect(screen.getByLabelText('Unsaved changes')).toBeTruthy();
+    expect(screen.getByRole('button', { name: 'main.tex is the main document' }).getAttribute('aria-pressed')).toBe('true');
+    expect(screen.queryByRole('button', { name: /Set refs\.bib/ })).toBeNull();
+  });
+
+  it('opens files, changes the main document, collapses folders and closes', () => {
+    const onOpen = vi.fn();
+    const onSetMain = vi.fn();
+    const onClose = vi.fn();
+    render(
+      <ProjectSidebar paths={paths} mainPath="" onOpen={onOpen} onSetMain={onSetMain} onClose={onClose} />
+    );
+    expect(screen.getByText('No main document')).toBeTruthy();
+
+    fireEvent.click(screen.getByRole('button', { name: /refs\.bib/ }));
+    expect(onOpen).toHaveBeenCalledWith('refs.bib');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Set chapters/one.tex as main document' }));
+    expect(onSetMain).toHaveBeenCalledWith('chapters/one.tex');
+
+    fireEvent.click(screen.getByRole('button', { name: /chapters/, expanded: true }));
+    expect(screen.queryByText('one.tex')).toBeNull();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Close Folder' }));
+    expect(onClose).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import React from 'react';
+import RawLatexPopover from '../../src/features/RawLatex/RawLatexPopover.jsx';
+
+const ANCHOR = { top: 10, bottom: 30, left: 40 };
+
+describe('RawLatexPopover', () => {
+  it('applies the edited source exactly as typed', () => {
+    const onApply = vi.fn();
+    render(<RawLatexPopover source="\vfill" anchor={ANCHOR} onApply={onApply} onCancel={() => {}} />);
+    expect(screen.getByRole('dialog', { name: 'Edit LaTeX source' })).toBeTruthy();
+    const input = screen.getByLabelText('LaTeX source');
+    expect(input.value).toBe('\\vfill');
+    expect(document.activeElement).toBe(input);
+
+    fireEvent.change(input, { target: { value: '\\vspace*{\\fill}  ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+    expect(onApply).toHaveBeenCalledWith('\\vspace*{\\fill}  ');
+
+    fireEvent.keyDown(input, { key: 'Enter', ctrlKey: true });
+    expect(onApply).toHaveBeenCalledTimes(2);
+  });
+
+  it('cancels with Escape or the Cancel button', () => {
+    const onApply = vi.fn();
+    const onCancel = vi.fn();
+    render(<RawLatexPopover source="% note" anchor={ANCHOR} onApply={onApply} onCancel={onCancel} />);
+    fireEvent.keyDown(screen.getByLabelText('LaTeX source'), { key: 'Escape' });
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(onCancel).toHaveBeenCalledTimes(2);
+    expect(onApply).not.toHaveBeenCalled();
+  });
+});
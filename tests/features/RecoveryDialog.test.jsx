@@ -0,0 +1,38 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import React from 'react';
+import RecoveryDialog from '../../src/features/Recovery/RecoveryDialog.jsx';
+
+const DRAFT = { text: 'Intro\nNew line\nEnd', fileName: 'paper.tex', updatedAt: 1700000000000, handle: { name: 'paper.tex' } };
+
+describe('RecoveryDialog', () => {
+  it('offers to compare with the file on disk and to restore or discard', () => {
+    const onCompare = vi.fn();
+    const onRestore = vi.fn();
+    const onDiscard = vi.fn();
+    render(<RecoveryDialog draft={DRAFT} onCompare={onCompare} onRestore={onRestore} onDiscard={onDiscard} />);
+    const dialog = screen.getByRole('dialog', { name: 'Restore unsaved changes' });
+    expect(within(dialog).getByText('paper.tex')).toBeTruthy();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Compare with the file on disk' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Restore' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Discard' }));
+    expect(onCompare).toHaveBeenCalledTimes(1);
+    expect(onRestore).toHaveBeenCalledTimes(1);
+    expect(onDiscard).toHaveBeenCalledTimes(1);
+  });
+
+  it('shows the diff against the file on disk', () => {
+    const { rerender } = render(<RecoveryDialog draft={DRAFT} disk={{ status: 'ready', text: 'Intro\nEnd' }} />);
+    expect(screen.queryByRole('button', { name: /Compare/ })).toBeNull();
+    expect(screen.getByText(/1 line\(s\) added, 0 removed/)).toBeTruthy();
+    expect(screen.getByLabelText('Changes').textContent).toContain('+ New line');
+
+    rerender(<RecoveryDialog draft={DRAFT} disk={{ status: 'ready', text: DRAFT.text }} />);
+    expect(screen.getByText('The file on disk already matches these changes.')).toBeTruthy();
+
+    rerender(<RecoveryDialog draft={{ ...DRAFT, handle: null, fileName: '' }} disk={{ status: 'error', error: 'denied' }} />);
+    expect(screen.getByText('Untitled')).toBeTruthy();
+    expect(screen.getByText(/Could not read the file on disk: denied/)).toBeTruthy();
+  });
+});
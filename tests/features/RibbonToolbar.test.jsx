@@ -79,4 +79,140 @@ describe('RibbonToolbar', () => {
     fireEvent.click(screen.getByTitle('\\alpha'));
     expect(onInsertMathSymbol).toHaveBeenCalledWith('\\alpha');
   });
+
+  it('opens the full symbol palette from the equation tab', async () => {
+    const onInsertMathSymbol = vi.fn();
+    render(
+      <RibbonToolbar
+        ff={baseFlags}
+        enableVisualTopbar={true}
+        isMathActive={true}
+        katexLoaded={false}
+        onInsertMathSymbol={onInsertMathSymbol}
+        actions={{ execCmd: vi.fn() }}
+      />
+    );
+
+    fireEvent.click(await screen.findByRole('button', { name: /All symbols/ }));
+    const palette = screen.getByRole('dialog', { name: 'Symbol palette' });
+    fireEvent.change(screen.getByLabelText('Search symbols'), { target: { value: 'twohead' } });
+    fireEvent.click(screen.getByRole('button', { name: '\\twoheadrightarrow' }));
+    expect(onInsertMathSymbol).toHaveBeenCalledWith('\\twoheadrightarrow');
+    fireEvent.click(screen.getByRole('button', { name: 'Close' }));
+    expect(palette.isConnected).toBe(false);
+  });
+
+  it('inserts a table from the grid picker and exposes table tools in a table', () => {
+    const insertTable = vi.fn();
+    const tableCommand = vi.fn();
+    const ff = { ...baseFlags, showTable: true };
+    const { rerender } = render(
+      <RibbonToolbar
+        ff={ff}
+        enableVisualTopbar={true}
+        isMathActive={false}
+        katexLoaded={false}
+        actions={{ execCmd: vi.fn(), insertTable, tableCommand }}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('tab', { name: 'Insert' }));
+    expect(screen.queryByRole('button', { name: 'Table Tools' })).toBeNull();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Insert Table' }));
+    expect(screen.getByText('Select size')).toBeTruthy();
+    fireEvent.mouseEnter(screen.getByRole('button', { name: '2 by 3 table' }));
+    expect(screen.getByText('2 × 3')).toBeTruthy();
+    fireEvent.click(screen.getByRole('button', { name: '2 by 3 table' }));
+    expect(insertTable).toHaveBeenCalledWith(2, 3);
+    expect(screen.queryByRole('dialog', { name: 'Table size' })).toBeNull();
+
+    rerender(
+      <RibbonToolbar
+        ff={ff}
+        enableVisualTopbar={true}
+        isMathActive={false}
+        isTableActive={true}
+        katexLoaded={false}
+        actions={{ execCmd: vi.fn(), insertTable, tableCommand }}
+      />
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'Table Tools' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: /Merge Cells/i }));
+    expect(tableCommand).toHaveBeenCalledWith('merge');
+  });
+
+  it('searches loaded bibliography entries and inserts the chosen citation', () => {
+    const insertCitation = vi.fn();
+    const loadBibliography = vi.fn();
+    const bibEntries = [
+      { key: 'knuth84', type: 'article', fields: { author: 'Knuth, Donald E.', title: 'Literate Programming', year: '1984' } },
+      { key: 'lamport94', type: 'book', fields: { author: 'Leslie Lamport', title: '{LaTeX}', year: '1994' } },
+    ];
+    render(
+      <RibbonToolbar
+        ff={{ ...baseFlags, showCitation: true }}
+        enableVisualTopbar={true}
+        isMathActive={false}
+        katexLoaded={false}
+        bibEntries={bibEntries}
+        actions={{ execCmd: vi.fn(), insertCitation, loadBibliography }}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('tab', { name: 'Insert' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Insert Citation' }));
+    expect(screen.getByText('knuth84')).toBeTruthy();
+    expect(screen.getByText('lamport94')).toBeTruthy();
+
+    fireEvent.change(screen.getByRole('searchbox', { name: 'Search citations' }), { target: { value: 'literate' } });
+    expect(screen.queryByText('lamport94')).toBeNull();
+    fireEvent.change(screen.getByRole('searchbox', { name: 'Search citations' }), { target: { value: 'nothing' } });
+    expect(screen.getByText('No matching entries')).toBeTruthy();
+    fireEvent.change(screen.getByRole('searchbox', { name: 'Search citations' }), { target: { value: 'knuth' } });
+    fireEvent.click(screen.getByText('knuth84'));
+    expect(insertCitation).toHaveBeenCalledWith('knuth84');
+    expect(screen.queryByRole('dialog', { name: 'Citations' })).toBeNull();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Insert Citation' }));
+    fireEvent.click(screen.getByText('Load .bib file…'));
+    expect(loadBibliography).toHaveBeenCalled();
+  });
+
+  it('inserts a footnote from the Insert tab without the citation picker', () => {
+    const insertFootnote = vi.fn();
+    render(
+      <RibbonToolbar
+        ff={{ ...baseFlags, showFootnote: true }}
+        enableVisualTopbar={true}
+        isMathActive={false}
+        katexLoaded={false}
+        actions={{ execCmd: vi.fn(), insertFootnote }}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('tab', { name: 'Insert' }));
+    expect(screen.queryByRole('button', { name: 'Insert Citation' })).toBeNull();
+    fireEvent.click(screen.getByRole('button', { name: 'Insert Footnote' }));
+    expect(insertFootnote).toHaveBeenCalled();
+  });
+
+  it('inserts a theorem-like environment from the Insert tab', () => {
+    const insertTheorem = vi.fn();
+    render(
+      <RibbonToolbar
+        ff={{ ...baseFlags, showTheorem: true }}
+        enableVisualTopbar={true}
+        isMathActive={false}
+        katexLoaded={false}
+        actions={{ execCmd: vi.fn(), insertTheorem }}
+        theoremEnvironments={[{ env: 'theorem', title: 'Theorem' }, { env: 'lem', title: 'Lemma' }]}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('tab', { name: 'Insert' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Insert Theorem' }));
+    fireEvent.click(screen.getByRole('menuitem', { name: /Lemma/ }));
+    expect(insertTheorem).toHaveBeenCalledWith('lem');
+  });
 });
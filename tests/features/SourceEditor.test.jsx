@@ -0,0 +1,68 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render } from '@testing-library/react';
+import React, { createRef } from 'react';
+import { forEachDiagnostic } from '@codemirror/lint';
+import SourceEditor from '../../src/features/Source/SourceEditor.jsx';
+
+describe('SourceEditor', () => {
+  it('reports user edits but not updates coming from the value prop', () => {
+    const onChange = vi.fn();
+    const ref = createRef();
+    const { rerender } = render(<SourceEditor ref={ref} value={'a\nb'} onChange={onChange} />);
+    const view = ref.current.view;
+    expect(view.state.doc.toString()).toBe('a\nb');
+    expect(view.contentDOM.getAttribute('aria-label')).toBe('LaTeX source');
+
+    rerender(<SourceEditor ref={ref} value={'a\nB\nc'} onChange={onChange} />);
+    expect(view.state.doc.toString()).toBe('a\nB\nc');
+    expect(onChange).not.toHaveBeenCalled();
+
+    view.dispatch({ changes: { from: 0, insert: 'x' } });
+    expect(onChange).toHaveBeenCalledWith('xa\nB\nc');
+  });
+
+  it('goToLine moves the cursor to the start of a clamped line', () => {
+    const ref = createRef();
+    render(<SourceEditor ref={ref} value={'one\ntwo\nthree'} onChange={() => {}} />);
+    ref.current.goToLine(2);
+    expect(ref.current.view.state.selection.main.head).toBe(4);
+    ref.current.goToLine(99);
+    expect(ref.current.view.state.selection.main.head).toBe(8);
+    ref.current.focus();
+  });
+
+  it('reads and restores the cursor offset', () => {
+    const ref = createRef();
+    render(<SourceEditor ref={ref} value={'one\ntwo'} onChange={() => {}} />);
+    expect(ref.current.getCursor()).toBe(0);
+    ref.current.setCursor(5);
+    expect(ref.current.getCursor()).toBe(5);
+    ref.current.setCursor(500);
+    expect(ref.current.getCursor()).toBe(7);
+  });
+
+  it('marks compiler diagnostics on their (clamped) lines', () => {
+    const ref = createRef();
+    const { rerender } = render(
+      <SourceEditor
+        ref={ref}
+        value={'one\ntwo\nthree'}
+        diagnostics={[
+          { line: 2, level: 'error', message: 'Undefined control sequence.' },
+          { line: 40, level: 'warning', message: 'Overfull' },
+          { line: null, level: 'info', message: 'No file main.aux.' },
+        ]}
+      />
+    );
+    const collect = () => {
+      const found = [];
+      forEachDiagnostic(ref.current.view.state, (d, from, to) => found.push([d.severity, from, to]));
+      return found;
+    };
+    expect(collect()).toEqual([['error', 4, 7], ['warning', 8, 13]]);
+    expect(ref.current.view.dom.querySelector('.cm-gutter-lint')).toBeTruthy();
+
+    rerender(<SourceEditor ref={ref} value={'one\ntwo\nthree'} diagnostics={[]} />);
+    expect(collect()).toEqual([]);
+  });
+});
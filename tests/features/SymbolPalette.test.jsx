@@ -0,0 +1,59 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import React from 'react';
+import SymbolPalette from '../../src/features/Math/SymbolPalette.jsx';
+import { FAVORITE_SYMBOLS_KEY, RECENT_SYMBOLS_KEY } from '../../src/lib/symbolPalette';
+
+describe('SymbolPalette', () => {
+  beforeEach(() => localStorage.clear());
+  afterEach(() => vi.restoreAllMocks());
+
+  it('searches, inserts and remembers recently used symbols', () => {
+    const onInsert = vi.fn();
+    render(<SymbolPalette katexLoaded={false} onInsert={onInsert} onClose={() => {}} />);
+    expect(screen.getByRole('tab', { name: 'Greek' }).getAttribute('aria-selected')).toBe('true');
+
+    fireEvent.change(screen.getByLabelText('Search symbols'), { target: { value: 'less than' } });
+    const results = screen.getByRole('region', { name: 'Search results' });
+    fireEvent.click(within(results).getByRole('button', { name: '\\leq' }));
+    expect(onInsert).toHaveBeenCalledWith('\\leq');
+    expect(JSON.parse(localStorage.getItem(RECENT_SYMBOLS_KEY))).toEqual(['\\leq']);
+    expect(within(screen.getByRole('region', { name: 'Recently used' })).getByText('≤')).toBeTruthy();
+
+    fireEvent.change(screen.getByLabelText('Search symbols'), { target: { value: 'zzzz' } });
+    expect(screen.getByText(/No symbols match/)).toBeTruthy();
+  });
+
+  it('toggles favorites and keeps them in localStorage', () => {
+    const { unmount } = render(<SymbolPalette katexLoaded={false} onInsert={() => {}} onClose={() => {}} />);
+    fireEvent.click(screen.getByRole('tab', { name: 'Blackboard' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Add \\mathbb{R} to favorites' }));
+    expect(JSON.parse(localStorage.getItem(FAVORITE_SYMBOLS_KEY))).toEqual(['\\mathbb{R}']);
+    unmount();
+
+    render(<SymbolPalette katexLoaded={false} onInsert={() => {}} onClose={() => {}} />);
+    const favorites = screen.getByRole('region', { name: 'Favorites' });
+    fireEvent.click(within(favorites).getByRole('button', { name: 'Remove \\mathbb{R} from favorites' }));
+    expect(screen.queryByRole('region', { name: 'Favorites' })).toBe(null);
+  });
+
+  it('proposes symbols for a sketch on the drawing pad', () => {
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+    render(<SymbolPalette katexLoaded={false} onInsert={() => {}} onClose={() => {}} />);
+    fireEvent.click(screen.getByRole('tab', { name: 'Draw' }));
+    const pad = screen.getByLabelText('Drawing pad');
+    vi.spyOn(pad, 'getBoundingClientRect').mockReturnValue({ left: 0, top: 0, right: 180, bottom: 180, width: 180, height: 180 });
+    const stroke = (points) => {
+      fireEvent.pointerDown(pad, { clientX: points[0][0], clientY: points[0][1], pointerId: 1 });
+      points.slice(1).forEach(([x, y]) => fireEvent.pointerMove(pad, { clientX: x, clientY: y, pointerId: 1 }));
+      fireEvent.pointerUp(pad, { pointerId: 1 });
+    };
+    stroke([[20, 90], [60, 90], [100, 90], [140, 90]]);
+    stroke([[80, 30], [80, 70], [80, 110], [80, 150]]);
+    const matches = screen.getByRole('region', { name: 'Best matches' });
+    expect(within(matches).getAllByRole('button')[0].getAttribute('aria-label')).toBe('+');
+
+    fireEvent.click(screen.getByRole('button', { name: /Clear/ }));
+    expect(screen.queryByRole('region', { name: 'Best matches' })).toBe(null);
+  });
+});
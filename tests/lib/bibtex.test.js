@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseBibtex,
+  cleanBibValue,
+  parseNames,
+  formatAuthorsShort,
+  detectCitationStyle,
+  buildCitationIndex,
+  formatCitation,
+  formatBibEntry,
+  bibliographyEntries,
+  searchBibEntries,
+  embedBibliography,
+} from '../../src/lib/bibtex';
+
+const BIB = `
+% a comment line
+@string{cj = "The Computer Journal"}
+@comment{ignored, entry = {x}}
+@preamble{"\\newcommand{\\noop}[1]{}"}
+
+@Article{knuth84,
+  author  = {Knuth, Donald E.},
+  title   = "Literate {Programming}",
+  journal = cj,
+  year    = 1984,
+  volume  = {27},
+  pages   = {97--111},
+}
+
+@inproceedings( doe20 ,
+  author = {Jane Doe and Ren{\\'e} Roe},
+  title = {On {\\"U}ber Things},
+  booktitle = "Proc. " # cj,
+  year = {2020}
+)
+
+@misc{team, author = {{The Texure Team} and others}, title = {Texure}, year = {2024}}
+`;
+
+describe('bibtex', () => {
+  it('parseBibtex reads entries with braces, quotes, numbers, @string macros and concatenation', () => {
+    const entries = parseBibtex(BIB);
+    expect(entries.map((e) => e.key)).toEqual(['knuth84', 'doe20', 'team']);
+    const [knuth, doe] = entries;
+    expect(knuth.type).toBe('article');
+    expect(knuth.fields.journal).toBe('The Computer Journal');
+    expect(knuth.fields.year).toBe('1984');
+    expect(knuth.fields.title).toBe('Literate {Programming}');
+    expect(doe.type).toBe('inproceedings');
+    expect(doe.fields.booktitle).toBe('Proc. The Computer Journal');
+    expect(parseBibtex('')).toEqual([]);
+    expect(parseBibtex('@article{broken, title = {x}')).toEqual([]);
+  });
+
+  it('cleanBibValue resolves accents, dashes, escapes and braces', () => {
+    expect(cleanBibValue('Ren{\\\'e} {\\"U}ber \\c{c}a')).toBe('René Über ça');
+    expect(cleanBibValue('pp.~1--2 \\& more---done')).toBe('pp. 1–2 & more—done');
+    expect(cleanBibValue('\\emph{Big} {Data}  \\ss')).toBe('Big Data ß');
+    expect(cleanBibValue(undefined)).toBe('');
+  });
+
+  it('parseNames handles "Last, First", "First Last", braced corporate names and others', () => {
+    expect(parseNames('Knuth, Donald E. and Leslie Lamport')).toEqual([
+      { first: 'Donald E.', last: 'Knuth' },
+      { first: 'Leslie', last: 'Lamport' },
+    ]);
+    expect(parseNames('{The Texure Team} and others')).toEqual([
+      { first: '', last: 'The Texure Team' },
+      { first: '', last: 'others' },
+    ]);
+    expect(parseNames('')).toEqual([]);
+  });
+
+  it('formatAuthorsShort abbreviates long author lists', () => {
+    const [knuth, doe, team] = parseBibtex(BIB);
+    expect(formatAuthorsShort(knuth)).toBe('Knuth');
+    expect(formatAuthorsShort(doe)).toBe('Doe and Roe');
+    expect(formatAuthorsShort(team)).toBe('The Texure Team et al.');
+    expect(formatAuthorsShort({ key: 'anon', fields: {} })).toBe('anon');
+  });
+
+  it('detectCitationStyle recognises natbib and biblatex author-year setups', () => {
+    expect(detectCitationStyle('\\bibliographystyle{plain}')).toBe('numeric');
+    expect(detectCitationStyle('\\bibliographystyle{plainnat}')).toBe('authoryear');
+    expect(detectCitationStyle('\\usepackage[numbers]{natbib}\\bibliographystyle{plainnat}')).toBe('numeric');
+    expect(detectCitationStyle('\\usepackage[backend=biber,style=authoryear]{biblatex}')).toBe('authoryear');
+    expect(detectCitationStyle('')).toBe('numeric');
+  });
+
+  it('buildCitationIndex numbers known keys by first citation, skipping comments', () => {
+    const entries = parseBibtex(BIB);
+    const index = buildCitationIndex('% \\cite{team}\n\\citep{doe20} \\cite[p. 2]{knuth84, doe20} \\cite{missing}', entries);
+    expect(Array.from(index.order)).toEqual([['doe20', 1], ['knuth84', 2]]);
+    const all = buildCitationIndex('\\nocite{*}', entries);
+    expect(Array.from(all.order.keys())).toEqual(['knuth84', 'doe20', 'team']);
+  });
+
+  it('formatCitation renders numeric and author-year labels with notes', () => {
+    const entries = parseBibtex(BIB);
+    const numeric = buildCitationIndex('\\cite{knuth84,doe20}', entries);
+    expect(formatCitation('cite', ['knuth84', 'doe20'], numeric)).toEqual({ text: '[1, 2]', missing: [] });
+    expect(formatCitation('cite', ['knuth84'], numeric, { postnote: 'p. 5' }).text).toBe('[1, p. 5]');
+    expect(formatCitation('citet', ['doe20'], numeric).text).toBe('Doe and Roe [2]');
+    expect(formatCitation('cite', ['nope'], numeric)).toEqual({ text: '[?]', missing: ['nope'] });
+
+    const ay = buildCitationIndex('', entries, 'authoryear');
+    expect(formatCitation('citep', ['knuth84', 'doe20'], ay).text).toBe('(Knuth, 1984; Doe and Roe, 2020)');
+    expect(formatCitation('citep', ['knuth84'], ay, { prenote: 'see', postnote: 'ch. 2' }).text).toBe('(see Knuth, 1984, ch. 2)');
+    expect(formatCitation('textcite', ['knuth84'], ay).text).toBe('Knuth (1984)');
+    expect(formatCitation('cite', ['knuth84'], ay).text).toBe('Knuth, 1984');
+    expect(formatCitation('citet', ['nope'], ay)).toEqual({ text: '? (?)', missing: ['nope'] });
+  });
+
+  it('formatBibEntry and bibliographyEntries build the reference list', () => {
+    const entries = parseBibtex(BIB);
+    expect(formatBibEntry(entries[0])).toEqual({
+      authors: 'Donald E. Knuth',
+      title: 'Literate Programming',
+      venue: 'The Computer Journal',
+      details: '27:97–111',
+      year: '1984',
+    });
+    expect(formatBibEntry(entries[2]).authors).toBe('The Texure Team et al.');
+    const index = buildCitationIndex('\\cite{knuth84} \\cite{doe20}', entries, 'authoryear');
+    expect(bibliographyEntries(index).map((e) => e.key)).toEqual(['doe20', 'knuth84']);
+    expect(bibliographyEntries({ ...index, style: 'numeric' }).map((e) => e.key)).toEqual(['knuth84', 'doe20']);
+  });
+
+  it('searchBibEntries matches every word against key, authors, title and year', () => {
+    const entries = parseBibtex(BIB);
+    expect(searchBibEntries(entries, '').map((e) => e.key)).toEqual(['knuth84', 'doe20', 'team']);
+    expect(searchBibEntries(entries, 'literate KNUTH').map((e) => e.key)).toEqual(['knuth84']);
+    expect(searchBibEntries(entries, 'rené').map((e) => e.key)).toEqual(['doe20']);
+    expect(searchBibEntries(entries, 'zzz')).toEqual([]);
+    expect(searchBibEntries(entries, '', { limit: 1 })).toHaveLength(1);
+  });
+
+  it('embedBibliography prepends referenced .bib files as filecontents', () => {
+    const doc = '\\documentclass{article}\\begin{document}\\bibliography{refs,other}\\end{document}';
+    const files = [{ name: 'refs.bib', text: '@misc{a}\n\n' }, { name: 'unused.bib', text: '@misc{b}' }];
+    const out = embedBibliography(doc, files);
+    expect(out).toBe(`\\begin{filecontents*}[overwrite]{refs.bib}\n@misc{a}\n\\end{filecontents*}\n${doc}`);
+    expect(embedBibliography(out, files)).toBe(out);
+    expect(embedBibliography('\\addbibresource{refs.bib}', files)).toContain('{filecontents*}[overwrite]{refs.bib}');
+    expect(embedBibliography(doc, [])).toBe(doc);
+  });
+});
@@ -0,0 +1,231 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  COMPILER_SETTINGS_KEY,
+  base64ToPdfBlob,
+  compileWithBackends,
+  defaultCompilerSettings,
+  getCompilerBackend,
+  listCompilerBackends,
+  loadCompilerSettings,
+  normalizeCompilerSettings,
+  registerCompilerBackend,
+  saveCompilerSettings,
+  unregisterCompilerBackend,
+} from '../../src/lib/compilers';
+import { materializeProjectImages } from '../../src/lib/projectZip';
+
+const pdf = () => new Blob([new Uint8Array([37, 80, 68, 70])], { type: 'application/pdf' });
+
+// Minimal Response-like mock
+const makeRes = ({ ok = true, status = 200, type = 'text/plain', body = '', blob = null } = {}) => ({
+  ok,
+  status,
+  headers: { get: (name) => (name.toLowerCase() === 'content-type' ? type : null) },
+  async text() {
+    return body;
+  },
+  async blob() {
+    return blob;
+  },
+});
+
+const withFetch = async (impl, run) => {
+  const originalFetch = global.fetch;
+  const fetchMock = vi.fn(impl);
+  // @ts-ignore
+  global.fetch = fetchMock;
+  try {
+    await run(fetchMock);
+  } finally {
+    global.fetch = originalFetch;
+  }
+};
+
+describe('compiler backends', () => {
+  afterEach(() => {
+    ['a', 'b', 'c'].forEach(unregisterCompilerBackend);
+    localStorage.removeItem(COMPILER_SETTINGS_KEY);
+  });
+
+  it('registers built-in and custom backends', () => {
+    expect(listCompilerBackends().map((b) => b.id)).toEqual(['wasm', 'latexonline', 'rtex', 'local', 'url']);
+    const remove = registerCompilerBackend({ id: 'a', compile: async () => ({ status: 'success', pdf: pdf(), log: '' }) });
+    expect(getCompilerBackend('a')).toMatchObject({ id: 'a', label: 'a' });
+    expect(getCompilerBackend('a').isAvailable()).toBe(true);
+    remove();
+    expect(getCompilerBackend('a')).toBeNull();
+    expect(() => registerCompilerBackend({ id: 'x' })).toThrow(/compile/);
+  });
+
+  it('tries enabled backends in order and reports the first compiler log on failure', async () => {
+    const a = vi.fn();
+    registerCompilerBackend({ id: 'a', isAvailable: () => false, compile: a });
+    registerCompilerBackend({ id: 'b', compile: async () => { throw new Error('timeout'); } });
+    registerCompilerBackend({ id: 'c', compile: vi.fn(async (files, { mainFile }) => ({ status: 'error', pdf: null, log: `! Bad ${files[mainFile]}` })) });
+
+    const failed = await compileWithBackends({ 'main.tex': 'x' }, { settings: { order: ['a', 'b', 'c'] } });
+    expect(a).not.toHaveBeenCalled();
+    expect(failed).toMatchObject({ status: 'error', pdf: null, log: '! Bad x', backend: 'c' });
+    expect(failed.attempts.map((t) => t.status)).toEqual(['unavailable', 'error', 'error']);
+    expect(getCompilerBackend('c').compile.mock.calls[0][1]).toMatchObject({ mainFile: 'main.tex', engine: 'pdflatex' });
+    await compileWithBackends({ 'main.tex': 'x' }, { settings: { order: ['c'] }, engine: 'lualatex' });
+    expect(getCompilerBackend('c').compile.mock.calls[1][1].engine).toBe('lualatex');
+
+    const transport = await compileWithBackends({ 'main.tex': 'x' }, { settings: { order: ['b'] } });
+    expect(transport).toMatchObject({ status: 'error', log: 'b: timeout', backend: null });
+    registerCompilerBackend({ id: 'c', compile: async () => { throw new Error('offline'); } });
+    const both = await compileWithBackends({ 'main.tex': 'x' }, { settings: { order: ['b', 'c'] } });
+    expect(both.log).toBe('b: timeout');
+    expect(both.attempts.map((t) => t.log)).toEqual(['b: timeout', 'c: offline']);
+
+    registerCompilerBackend({ id: 'a', compile: async () => ({ status: 'success', pdf: pdf(), log: 'ok' }) });
+    const done = await compileWithBackends({ 'main.tex': 'x' }, { settings: { order: ['c', 'a'] } });
+    expect(done).toMatchObject({ status: 'success', log: 'ok', backend: 'a' });
+    expect(done.pdf.size).toBe(4);
+  });
+
+  it('is unavailable when no enabled backend can run', async () => {
+    registerCompilerBackend({ id: 'a', compile: async () => ({ status: 'unavailable', pdf: null, log: 'engine missing' }) });
+    expect(await compileWithBackends({}, { settings: { order: ['a'] } })).toMatchObject({ status: 'unavailable', log: 'engine missing' });
+    expect((await compileWithBackends({}, { settings: { order: [] } })).log).toMatch(/No compiler backend is available/);
+  });
+
+  it('keeps background runs off backends not marked for them', async () => {
+    const remote = vi.fn(async () => ({ status: 'success', pdf: pdf(), log: '' }));
+    registerCompilerBackend({ id: 'a', compile: remote });
+    registerCompilerBackend({ id: 'b', background: true, compile: async () => ({ status: 'error', pdf: null, log: '! Local' }) });
+    expect(listCompilerBackends().filter((b) => b.background).map((b) => b.id)).toEqual(['wasm', 'rtex', 'local', 'b']);
+
+    const local = await compileWithBackends({ 'main.tex': 'x' }, { settings: { order: ['a', 'b'] }, background: true });
+    expect(local).toMatchObject({ status: 'error', log: '! Local', backend: 'b' });
+    expect(local.attempts.map((t) => t.backend)).toEqual(['b']);
+    expect(remote).not.toHaveBeenCalled();
+
+    await withFetch(async () => makeRes(), async (fetchMock) => {
+      const none = await compileWithBackends({ 'main.tex': 'x' }, { settings: defaultCompilerSettings(), background: true });
+      expect(none).toMatchObject({ status: 'unavailable', attempts: [] });
+      expect(none.log).toMatch(/Background diagnostics only use local backends/);
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+    expect((await compileWithBackends({ 'main.tex': 'x' }, { settings: { order: ['a', 'b'] } })).backend).toBe('a');
+  });
+
+  it('normalises, saves and loads settings', () => {
+    expect(defaultCompilerSettings()).toEqual({ order: ['latexonline'], url: '' });
+    expect(normalizeCompilerSettings({ order: ['rtex', 'nope', 'rtex', 'url'], url: 5 })).toEqual({ order: ['rtex', 'url'], url: '' });
+    expect(normalizeCompilerSettings(null)).toEqual(defaultCompilerSettings());
+    expect(loadCompilerSettings()).toEqual(defaultCompilerSettings());
+    saveCompilerSettings({ order: ['url', 'latexonline'], url: 'http://localhost:3001/compile' });
+    expect(loadCompilerSettings()).toEqual({ order: ['url', 'latexonline'], url: 'http://localhost:3001/compile' });
+    localStorage.setItem(COMPILER_SETTINGS_KEY, '{broken');
+    expect(loadCompilerSettings()).toEqual(defaultCompilerSettings());
+  });
+
+  it('latexonline returns the PDF or the compiler log', async () => {
+    const backend = getCompilerBackend('latexonline');
+    await withFetch(async () => makeRes({ type: 'application/pdf', blob: pdf() }), async (fetchMock) => {
+      const out = await backend.compile({ 'main.tex': 'a b' }, { mainFile: 'main.tex', timeoutMs: 100 });
+      expect(out.status).toBe('success');
+      expect(fetchMock.mock.calls[0][0]).toBe('/api/latexonline/compile?text=a%20b');
+      await backend.compile({ 'main.tex': 'a' }, { mainFile: 'main.tex', engine: 'xelatex' });
+      expect(fetchMock.mock.calls[1][0]).toBe('/api/latexonline/compile?text=a&command=xelatex');
+    });
+    await withFetch(async () => makeRes({ ok: false, status: 400, body: '! Undefined control sequence.' }), async () => {
+      const out = await backend.compile({ 'main.tex': '\\foo' }, { mainFile: 'main.tex' });
+      expect(out).toEqual({ status: 'error', pdf: null, log: '! Undefined control sequence.' });
+    });
+  });
+
+  it('rtex and the self-hosted server decode base64 PDFs and pass logs through', async () => {
+    expect(getCompilerBackend('rtex').isAvailable()).toBe(false);
+    await withFetch(async () => makeRes({ body: JSON.stringify({ status: 'success', result: 'JVBERg==' }) }), async (fetchMock) => {
+      const out = await getCompilerBackend('rtex').compile({ 'main.tex': 'x' }, { mainFile: 'main.tex' });
+      expect(out.status).toBe('success');
+      expect(out.pdf.type).toBe('application/pdf');
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({ code: 'x', format: 'pdf' });
+      await getCompilerBackend('rtex').compile({ 'main.tex': 'x' }, { mainFile: 'main.tex', engine: 'lualatex' });
+      expect(JSON.parse(fetchMock.mock.calls[1][1].body)).toEqual({ code: 'x', format: 'pdf', compiler: 'lualatex' });
+    });
+    await withFetch(async () => makeRes({ body: JSON.stringify({ status: 'error', log: 'boom' }) }), async () => {
+      expect((await getCompilerBackend('rtex').compile({}, { mainFile: 'main.tex' })).log).toBe('boom');
+    });
+
+    expect(getCompilerBackend('local').isAvailable()).toBe(false);
+    await withFetch(async () => makeRes({ body: JSON.stringify({ status: 'error', pdf: null, log: '! Emergency stop.' }) }), async (fetchMock) => {
+      const out = await getCompilerBackend('local').compile({ 'main.tex': 'x' }, { mainFile: 'main.tex', config: {} });
+      expect(out).toEqual({ status: 'error', pdf: null, log: '! Emergency stop.' });
+      expect(fetchMock.mock.calls[0][0]).toBe('/api/compile');
+    });
+
+    const url = getCompilerBackend('url');
+    expect(url.isAvailable({ url: ' ' })).toBe(false);
+    const config = { url: 'http://localhost:3001/compile' };
+    await withFetch(async () => makeRes({ body: JSON.stringify({ status: 'success', pdf: 'JVBERg==', log: 'Output written' }) }), async (fetchMock) => {
+      const out = await url.compile({ 'main.tex': 'x', 'refs.bib': 'y' }, { mainFile: 'main.tex', engine: 'xelatex', config });
+      expect(out).toMatchObject({ status: 'success', log: 'Output written' });
+      expect(fetchMock.mock.calls[0][0]).toBe('http://localhost:3001/compile');
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({
+        mainFile: 'main.tex',
+        files: { 'main.tex': 'x', 'refs.bib': 'y' },
+        engine: 'xelatex',
+      });
+    });
+    await withFetch(async () => makeRes({ type: 'application/pdf', blob: pdf() }), async () => {
+      expect((await url.compile({}, { mainFile: 'main.tex', config })).status).toBe('success');
+    });
+    await withFetch(async () => makeRes({ ok: false, status: 502, body: '' }), async () => {
+      expect((await url.compile({}, { mainFile: 'main.tex', config })).log).toBe('Compile server responded with HTTP 502.');
+    });
+  });
+
+  it('sends project figures to a compile server as base64 files under the real main path', async () => {
+    const getImage = async (id) => (id === 'img1' ? { blob: new Blob([new Uint8Array([137, 80, 78, 71])], { type: 'image/png' }), name: 'plot.png' } : undefined);
+    const { files } = await materializeProjectImages({
+      files: {
+        'paper/main.tex': '\\includegraphics{texure-image:img1}\\includegraphics{figs/logo}',
+        'paper/figs/logo.pdf': new Uint8Array([37, 80, 68, 70]),
+      },
+      mainFile: 'paper/main.tex',
+      getImage,
+    });
+    const settings = { order: ['url'], url: 'http://localhost:3001/compile' };
+    await withFetch(async () => makeRes({ body: JSON.stringify({ status: 'success', pdf: 'JVBERg==', log: '' }) }), async (fetchMock) => {
+      const out = await compileWithBackends(files, { settings, mainFile: 'paper/main.tex' });
+      expect(out.status).toBe('success');
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({
+        mainFile: 'paper/main.tex',
+        files: {
+          'paper/images/plot.png': { base64: 'iVBORw==' },
+          'paper/main.tex': '\\includegraphics{images/plot.png}\\includegraphics{figs/logo}',
+          'paper/figs/logo.pdf': { base64: 'JVBERg==' },
+        },
+        engine: 'pdflatex',
+      });
+    });
+  });
+
+  it('wasm uses a configured engine and is unavailable without one', async () => {
+    const wasm = getCompilerBackend('wasm');
+    // @ts-ignore
+    delete window.SwiftLaTeX;
+    expect(wasm.isAvailable()).toBe(false);
+    expect((await wasm.compile({ 'main.tex': 'x' }, { mainFile: 'main.tex' })).status).toBe('unavailable');
+    // @ts-ignore
+    window.SwiftLaTeX = { compile: vi.fn(async () => new Uint8Array([1, 2, 3])) };
+    expect(wasm.isAvailable()).toBe(true);
+    expect((await wasm.compile({ 'main.tex': 'x' }, { mainFile: 'main.tex', engine: 'xelatex' })).status).toBe('success');
+    // @ts-ignore
+    expect(window.SwiftLaTeX.compile).toHaveBeenCalledWith('x', { engine: 'xelatex' });
+    // @ts-ignore
+    window.SwiftLaTeX = { compile: vi.fn(async () => { throw new Error('! LaTeX Error'); }) };
+    expect(await wasm.compile({ 'main.tex': 'x' }, { mainFile: 'main.tex' })).toEqual({ status: 'error', pdf: null, log: '! LaTeX Error' });
+    // @ts-ignore
+    delete window.SwiftLaTeX;
+  });
+
+  it('base64ToPdfBlob builds a PDF blob', () => {
+    const blob = base64ToPdfBlob('AQID');
+    expect(blob.size).toBe(3);
+    expect(blob.type).toBe('application/pdf');
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { collapseDiff, countDiffChanges, diffHunks, diffLines, revertHunk } from '../../src/lib/diff';
+
+const render = (ops) => ops.map((op) => (op.type === 'skip' ? `~${op.count}` : `${{ equal: ' ', delete: '-', insert: '+' }[op.type]}${op.text}`));
+
+describe('diff', () => {
+  it('diffs lines with deletions before insertions', () => {
+    expect(render(diffLines('a\nb\nc\nd', 'a\nx\nc\nd\ne'))).toEqual([' a', '-b', '+x', ' c', ' d', '+e']);
+    expect(render(diffLines('one\r\ntwo', 'one\ntwo'))).toEqual([' one', ' two']);
+    expect(render(diffLines('', 'x'))).toEqual(['-', '+x']);
+    expect(render(diffLines(null, undefined))).toEqual([' ']);
+  });
+
+  it('keeps a common subsequence inside the changed region', () => {
+    const ops = diffLines('a\nb\nc\nd\ne', 'z\nb\nd\ny');
+    expect(render(ops)).toEqual(['-a', '+z', ' b', '-c', ' d', '-e', '+y']);
+    expect(countDiffChanges(ops)).toEqual({ inserted: 2, deleted: 3 });
+  });
+
+  it('collapses unchanged runs outside the context window', () => {
+    const before = Array.from({ length: 20 }, (_, i) => `l${i}`).join('\n');
+    const after = before.replace('l10', 'changed');
+    expect(render(collapseDiff(diffLines(before, after), 2))).toEqual(['~8', ' l8', ' l9', '-l10', '+changed', ' l11', ' l12', '~7']);
+    expect(collapseDiff(diffLines(before, before))).toEqual([]);
+  });
+
+  it('groups nearby changes into hunks and reverts one at a time', () => {
+    const before = 'a\nb\nc\nd\ne\nf\ng\nh\ni';
+    const after = 'A\nb\nc\nd\ne\nf\ng\nh\nI';
+    const ops = diffLines(before, after);
+    const hunks = diffHunks(ops, 1);
+    expect(hunks).toEqual([{ start: 0, end: 3 }, { start: 8, end: 11 }]);
+    expect(diffHunks(ops, 4)).toHaveLength(1);
+    expect(revertHunk(ops, hunks[0])).toBe('a\nb\nc\nd\ne\nf\ng\nh\nI');
+    expect(revertHunk(ops, hunks[1])).toBe('A\nb\nc\nd\ne\nf\ng\nh\ni');
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import { applyDocumentSettings, pageLayoutOf, readDocumentSettings, texLengthToCss, writeDocumentSettings } from '../../src/lib/documentSettings';
+import { mainBufferPath } from '../../src/lib/project';
+
+const PREAMBLE = [
+  '% Paper for the journal',
+  '\\documentclass[11pt, a4paper]{article}',
+  '\\usepackage[utf8]{inputenc} % encoding',
+  '\\usepackage{amsmath,amssymb}',
+  '\\usepackage[margin=2cm]{geometry}',
+  '%\\usepackage{hyperref}',
+  '\\usepackage{mathpazo}',
+  '\\usepackage{setspace}',
+  '\\onehalfspacing',
+  '\\title{Paper}',
+  '\\begin{document}',
+].join('\n');
+
+const edit = (preamble, changes) => applyDocumentSettings(preamble, { ...readDocumentSettings(preamble), ...changes });
+
+describe('document settings', () => {
+  it('reads the class, geometry, spacing, font and packages into a model', () => {
+    expect(readDocumentSettings(PREAMBLE)).toEqual({
+      documentClass: 'article',
+      fontSize: '11pt',
+      paper: 'a4paper',
+      twoColumn: false,
+      margins: { top: '2cm', bottom: '2cm', left: '2cm', right: '2cm' },
+      lineSpacing: 'onehalf',
+      fontPackage: 'mathpazo',
+      packages: [
+        { name: 'inputenc', options: 'utf8' },
+        { name: 'amsmath', options: '' },
+        { name: 'amssymb', options: '' },
+      ],
+    });
+    expect(readDocumentSettings('\\documentclass{report}\n\\usepackage{geometry}\n\\geometry{a5paper, left=1in, right=3cm}').margins).toEqual({
+      top: '',
+      bottom: '',
+      left: '1in',
+      right: '3cm',
+    });
+  });
+
+  it('leaves the preamble untouched when nothing changes', () => {
+    expect(applyDocumentSettings(PREAMBLE, readDocumentSettings(PREAMBLE))).toBe(PREAMBLE);
+  });
+
+  it('writes settings into the preamble of a whole document, keeping the body', () => {
+    const doc = `${PREAMBLE}\n\\begin{document}\n\\documentclass{not-a-preamble}\n\\end{document}`;
+    const out = writeDocumentSettings(doc, { ...readDocumentSettings(doc), fontSize: '12pt' });
+    expect(out.split('\n')[1]).toBe('\\documentclass[12pt, a4paper]{article}');
+    expect(out.slice(out.indexOf('\\begin{document}'))).toBe(doc.slice(doc.indexOf('\\begin{document}')));
+  });
+
+  it('edits the main document of a project while another file is open', () => {
+    const main = `${PREAMBLE}\n\\begin{document}\n\\input{chapter}\n\\end{document}`;
+    const buffers = { 'main.tex': { text: main }, 'chapter.tex': { text: '\\section{One}' } };
+    const project = { mainPath: 'main.tex' };
+    const path = mainBufferPath(project, 'chapter.tex', buffers);
+    expect(path).toBe('main.tex');
+    // The dialog shows the main document's settings, not the open chapter's (which has none).
+    const settings = readDocumentSettings(buffers[path].text);
+    expect(settings.paper).toBe('a4paper');
+    const out = writeDocumentSettings(buffers[path].text, { ...settings, paper: 'letterpaper' });
+    expect(out.split('\n')[1]).toBe('\\documentclass[11pt, letterpaper]{article}');
+    expect(out.endsWith('\\begin{document}\n\\input{chapter}\n\\end{document}')).toBe(true);
+  });
+
+  it('rewrites only the class options that changed, keeping their order and spacing', () => {
+    const out = edit(PREAMBLE, { fontSize: '12pt', paper: 'letterpaper', twoColumn: true, documentClass: 'report' });
+    expect(out.split('\n')[1]).toBe('\\documentclass[12pt, letterpaper, twocolumn]{report}');
+    expect(out.split('\n').slice(2).join('\n')).toBe(PREAMBLE.split('\n').slice(2).join('\n'));
+    expect(edit(PREAMBLE, { fontSize: '', paper: '' }).split('\n')[1]).toBe('\\documentclass{article}');
+  });
+
+  it('writes margins into the existing geometry options, or adds geometry when missing', () => {
+    expect(edit(PREAMBLE, { margins: { top: '1in', bottom: '1in', left: '3cm', right: '3cm' } })).toContain(
+      '\\usepackage[top=1in,bottom=1in,left=3cm,right=3cm]{geometry}',
+    );
+    expect(edit(PREAMBLE, { margins: { top: '', bottom: '', left: '', right: '' } })).not.toContain('geometry');
+    const bare = '\\documentclass{article}\n\\begin{document}';
+    expect(edit(bare, { margins: { top: '1in', bottom: '1in', left: '1in', right: '1in' } })).toBe(
+      '\\documentclass{article}\n\\usepackage[margin=1in]{geometry}\n\\begin{document}',
+    );
+    const withCommand = '\\usepackage[a4paper]{geometry}\n\\geometry{margin=1in}\n\\begin{document}';
+    expect(edit(withCommand, { margins: { top: '2cm', bottom: '2cm', left: '2cm', right: '2cm' }, paper: 'a5paper' })).toBe(
+      '\\usepackage[a5paper]{geometry}\n\\geometry{margin=2cm}\n\\begin{document}',
+    );
+  });
+
+  it('switches line spacing and fonts in place', () => {
+    const double = edit(PREAMBLE, { lineSpacing: 'double', fontPackage: 'lmodern' });
+    expect(double).toContain('\\usepackage{lmodern}\n\\usepackage{setspace}\n\\doublespacing\n\\title{Paper}');
+    const single = edit(PREAMBLE, { lineSpacing: 'single', fontPackage: '' });
+    expect(single).not.toMatch(/spacing|mathpazo/);
+    const bare = '\\documentclass{article}\n\\begin{document}';
+    expect(edit(bare, { lineSpacing: 'onehalf', fontPackage: 'charter' })).toBe(
+      '\\documentclass{article}\n\\usepackage{charter}\n\\usepackage{setspace}\n\\onehalfspacing\n\\begin{document}',
+    );
+  });
+
+  it('adds, removes and re-options packages while keeping comments', () => {
+    const out = edit(PREAMBLE, {
+      packages: [
+        { name: 'inputenc', options: 'latin1' },
+        { name: 'amssymb', options: '' },
+        { name: 'amsmath', options: 'fleqn' },
+        { name: 'xcolor', options: 'dvipsnames' },
+      ],
+    });
+    expect(out).toContain('\\usepackage[latin1]{inputenc} % encoding');
+    expect(out).toContain('\\usepackage{amssymb}\n\\usepackage[fleqn]{amsmath}');
+    expect(out).toContain('\\usepackage[dvipsnames]{xcolor}\n\\begin{document}');
+    expect(out).toContain('%\\usepackage{hyperref}');
+
+    const removed = edit(PREAMBLE, { packages: [{ name: 'amsmath', options: '' }] });
+    expect(removed).not.toContain('inputenc');
+    expect(removed).toContain('\\usepackage{amsmath}\n\\usepackage[margin=2cm]{geometry}');
+  });
+
+  it('maps paper and margins to CSS lengths for the visual page', () => {
+    expect(texLengthToCss('2.5cm')).toBe('2.5cm');
+    expect(texLengthToCss('72bp')).toBe('72pt');
+    expect(texLengthToCss('0.1\\paperwidth')).toBe(null);
+    expect(pageLayoutOf(readDocumentSettings(PREAMBLE))).toEqual({
+      width: '210mm',
+      height: '297mm',
+      margins: { top: '2cm', bottom: '2cm', left: '2cm', right: '2cm' },
+    });
+    expect(pageLayoutOf(readDocumentSettings('\\documentclass{article}'))).toEqual({
+      width: null,
+      height: null,
+      margins: { top: null, bottom: null, left: null, right: null },
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import { createFigureHtml, figureElementToLatex, replaceLatexFigures } from '../../src/lib/figures';
+import { latexToHtml, htmlToLatex } from '../../src/lib/latex';
+
+const identity = (s) => s;
+const toDom = (html) => {
+  const div = document.createElement('div');
+  div.innerHTML = html;
+  return div.querySelector('figure');
+};
+const textChildren = (el) => el.textContent;
+
+describe('figure helpers', () => {
+  it('replaceLatexFigures converts a figure with placement, centering, caption and label', () => {
+    const src = 'Before \\begin{figure}[htbp]\n\\centering\n\\includegraphics{a.png}\n\\caption{A plot}\n\\label{fig:plot}\n\\end{figure} after';
+    const out = replaceLatexFigures(src, { renderFragment: identity });
+    expect(out.startsWith('Before <figure')).toBe(true);
+    expect(out.endsWith('</figure> after')).toBe(true);
+    const figure = toDom(out);
+    expect(figure.className).toBe('texure-figure');
+    expect(figure.getAttribute('data-texure-float')).toBe('figure');
+    expect(figure.getAttribute('data-texure-float-placement')).toBe('htbp');
+    expect(figure.getAttribute('data-texure-centering')).toBe('true');
+    expect(figure.getAttribute('data-texure-label')).toBe('fig:plot');
+    expect(figure.hasAttribute('data-texure-caption-position')).toBe(false);
+    expect(figure.querySelector('.texure-figure-body').textContent).toBe('\\includegraphics{a.png}');
+    expect(figure.querySelector('figcaption').textContent).toBe('A plot');
+  });
+
+  it('replaceLatexFigures keeps short captions, caption labels, top captions and uses emit', () => {
+    const src = '\\begin{figure*}\\caption[Short]{Long \\label{fig:in}}\nBODY\n\\end{figure*}';
+    const figure = toDom(replaceLatexFigures(src, { renderFragment: identity }));
+    expect(figure.getAttribute('data-texure-float')).toBe('figure*');
+    expect(figure.getAttribute('data-texure-short-caption')).toBe('Short');
+    expect(figure.getAttribute('data-texure-caption-position')).toBe('top');
+    expect(figure.hasAttribute('data-texure-label')).toBe(false);
+    expect(figure.firstElementChild.tagName).toBe('FIGCAPTION');
+    expect(figure.querySelector('figcaption').textContent).toBe('Long \\label{fig:in}');
+    expect(replaceLatexFigures('\\begin{figure}x\\end{figure}', { renderFragment: identity, emit: () => 'FIG' })).toBe('FIG');
+  });
+
+  it('replaceLatexFigures leaves unclosed figures and subfigures without a width alone', () => {
+    expect(replaceLatexFigures('\\begin{figure} x', { renderFragment: identity })).toBe('\\begin{figure} x');
+    expect(replaceLatexFigures('\\begin{subfigure} x\\end{subfigure}', { renderFragment: identity })).toBe('\\begin{subfigure} x\\end{subfigure}');
+  });
+
+  it('subfigures keep their width and position, and gaps between them become chips', () => {
+    const src = [
+      '\\begin{figure}[t]',
+      '\\centering',
+      '\\begin{subfigure}[b]{0.45\\textwidth}\\centering\\includegraphics{a.png}\\caption{Left}\\label{fig:a}\\end{subfigure}',
+      '\\hfill',
+      '\\begin{subfigure}{0.45\\textwidth}\\includegraphics{b.png}\\caption{Right}\\end{subfigure}',
+      '\\caption{Both}',
+      '\\end{figure}',
+    ].join('\n');
+    const render = (fragment) => replaceLatexFigures(fragment, { renderFragment: identity });
+    const figure = toDom(replaceLatexFigures(src, { renderFragment: render }));
+    const subs = figure.querySelectorAll('.texure-subfigure');
+    expect(subs).toHaveLength(2);
+    expect(subs[0].getAttribute('data-texure-subfigure-width')).toBe('0.45\\textwidth');
+    expect(subs[0].getAttribute('data-texure-subfigure-position')).toBe('b');
+    expect(subs[0].getAttribute('data-texure-label')).toBe('fig:a');
+    expect(subs[0].style.width).toBe('45%');
+    expect(subs[1].hasAttribute('data-texure-subfigure-position')).toBe(false);
+    expect(figure.querySelector('.texure-figure-gap').getAttribute('data-texure-latex')).toBe('\\hfill');
+    expect(figure.querySelector(':scope > figcaption').textContent).toBe('Both');
+  });
+
+  it('figureElementToLatex serializes the float back', () => {
+    const src = '\\begin{figure}[h]\n\\centering\n\\caption[S]{Top}\n\\label{fig:x}\nBODY\n\\end{figure}';
+    const figure = toDom(replaceLatexFigures(src, { renderFragment: identity }));
+    expect(figureElementToLatex(figure, textChildren)).toBe(src);
+    const bare = toDom('<figure><img src="a.png"><figcaption>Cap</figcaption></figure>');
+    expect(figureElementToLatex(bare, (el) => (el.querySelector('img') ? 'IMG' : el.textContent))).toBe(
+      '\\begin{figure}\nIMG\n\\caption{Cap}\n\\end{figure}',
+    );
+  });
+
+  it('createFigureHtml wraps an image with an escaped caption, label and placement', () => {
+    const figure = toDom(createFigureHtml({ imageHtml: '<img src="a.png">', caption: ' A <b> ', label: 'fig:a', placement: 'H' }));
+    expect(figure.getAttribute('data-texure-float-placement')).toBe('H');
+    expect(figure.getAttribute('data-texure-centering')).toBe('true');
+    expect(figure.getAttribute('data-texure-label')).toBe('fig:a');
+    expect(figure.querySelector('figcaption').textContent).toBe('A <b>');
+    expect(figure.querySelector('.texure-figure-body img')).not.toBeNull();
+    expect(createFigureHtml({ imageHtml: '' })).toContain('data-texure-float-placement="htbp"');
+  });
+
+  it('round-trips figures and subfigures through latexToHtml and htmlToLatex', () => {
+    const src = [
+      '\\begin{figure}[htbp]',
+      '\\centering',
+      '\\begin{subfigure}[b]{0.45\\linewidth}',
+      '\\includegraphics[width=\\linewidth]{a.png}',
+      '\\caption{Left $x$}',
+      '\\label{fig:a}',
+      '\\end{subfigure}',
+      '\\hfill',
+      '\\begin{subfigure}[b]{0.45\\linewidth}',
+      '\\includegraphics[width=\\linewidth]{b.png}',
+      '\\caption{Right}',
+      '\\end{subfigure}',
+      '\\caption{Two panels}',
+      '\\label{fig:pair}',
+      '\\end{figure}',
+    ].join('\n');
+    const html = latexToHtml(`See \\ref{fig:a}.\n\n${src}`);
+    expect(html).toContain('>1a<');
+    const figure = toDom(html);
+    expect(figure.querySelector(':scope > figcaption').textContent).toBe('Figure 1: Two panels');
+    expect(Array.from(figure.querySelectorAll('.texure-subfigure > figcaption'), (c) => c.textContent)).toEqual(['(a) Left $x$', '(b) Right']);
+    const back = htmlToLatex(html);
+    expect(back).toContain(src);
+    expect(back).not.toContain('Figure 1');
+  });
+
+  it('numbers captions from the label index, like \\ref does', () => {
+    const html = latexToHtml([
+      '\\begin{document}',
+      'See \\ref{fig:b}, \\ref{fig:proof} and \\ref{tab:t}.',
+      '\\begin{figure}\\caption{Alone}\\end{figure}',
+      '\\begin{figure}\\caption{Panels on top}',
+      '\\begin{subfigure}{0.4\\linewidth}A\\caption{A}\\end{subfigure}\\hfill',
+      '\\begin{subfigure}{0.4\\linewidth}B\\caption{B}\\label{fig:b}\\end{subfigure}',
+      '\\end{figure}',
+      '\\begin{theorem}Shown in the figure.\\begin{figure}x\\caption{In a theorem}\\label{fig:proof}\\end{figure}\\end{theorem}',
+      '\\begin{table}\\caption{Data}\\label{tab:t}\\begin{tabular}{c}1\\end{tabular}\\end{table}',
+      '\\end{document}',
+    ].join('\n'));
+    const div = document.createElement('div');
+    div.innerHTML = html;
+    expect(Array.from(div.querySelectorAll('.texure-caption-number'), (el) => el.textContent)).toEqual([
+      'Figure 1:', 'Figure 2:', '(a)', '(b)', 'Figure 3:', 'Table 1:',
+    ]);
+    expect(Array.from(div.querySelectorAll('[data-texure-ref]'), (el) => el.textContent)).toEqual(['2b', '3', '1']);
+    expect(htmlToLatex(html)).not.toMatch(/Figure \d|Table \d|\(a\)/);
+  });
+});
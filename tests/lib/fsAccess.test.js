@@ -4,9 +4,11 @@ import {
   isOpenFilePickerSupported,
   pickDirectory,
   pickTexFile,
+  pickBibFiles,
   listDirectoryFilesRecursive,
   readFileText,
   writeFileText,
+  hasFilePermission,
 } from '../../src/lib/fsAccess';
 
 const makeDir = (entries) => ({
@@ -87,6 +89,28 @@ describe('fsAccess', () => {
     }
   });
 
+  it('pickBibFiles throws when unsupported and returns all selected handles', async () => {
+    const original = window.showOpenFilePicker;
+    try {
+      // @ts-ignore
+      delete window.showOpenFilePicker;
+      await expect(pickBibFiles()).rejects.toThrow(/not supported/i);
+
+      const handles = [{ kind: 'file', name: 'a.bib' }, { kind: 'file', name: 'b.bib' }];
+      const showOpenFilePicker = vi.fn(async () => handles);
+      // @ts-ignore
+      window.showOpenFilePicker = showOpenFilePicker;
+      expect(await pickBibFiles()).toEqual(handles);
+      expect(showOpenFilePicker).toHaveBeenCalledWith(expect.objectContaining({ multiple: true }));
+
+      // @ts-ignore
+      window.showOpenFilePicker = vi.fn(async () => undefined);
+      expect(await pickBibFiles()).toEqual([]);
+    } finally {
+      window.showOpenFilePicker = original;
+    }
+  });
+
   it('pickTexFile returns null when no handle is selected', async () => {
     const original = window.showOpenFilePicker;
     try {
@@ -184,4 +208,18 @@ describe('fsAccess', () => {
     expect(writable.write).toHaveBeenCalledWith('z');
     expect(writable.close).toHaveBeenCalledTimes(1);
   });
+
+  it('hasFilePermission queries and optionally requests access', async () => {
+    expect(await hasFilePermission(null)).toBe(false);
+    expect(await hasFilePermission({})).toBe(true);
+    expect(await hasFilePermission({ queryPermission: async () => 'granted' })).toBe(true);
+
+    const handle = { queryPermission: vi.fn(async () => 'prompt'), requestPermission: vi.fn(async () => 'granted') };
+    expect(await hasFilePermission(handle)).toBe(false);
+    expect(handle.requestPermission).not.toHaveBeenCalled();
+    expect(await hasFilePermission(handle, { mode: 'readwrite', request: true })).toBe(true);
+    expect(handle.requestPermission).toHaveBeenCalledWith({ mode: 'readwrite' });
+
+    expect(await hasFilePermission({ queryPermission: async () => { throw new Error('gone'); } })).toBe(false);
+  });
 });
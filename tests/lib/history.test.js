@@ -0,0 +1,61 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const store = vi.hoisted(() => ({ records: [], now: 0 }));
+
+vi.mock('../../src/lib/idb', () => ({
+  putVersion: vi.fn(async ({ docKey, text, kind, label }) => {
+    const record = { id: `v${store.records.length + 1}`, docKey, text, kind, label, createdAt: store.now };
+    store.records.push(record);
+    return record;
+  }),
+  listVersions: vi.fn(async (docKey) =>
+    store.records.filter((r) => r.docKey === docKey).sort((a, b) => b.createdAt - a.createdAt)
+  ),
+  deleteVersion: vi.fn(async (id) => {
+    store.records = store.records.filter((r) => r.id !== id);
+  }),
+}));
+
+import { COMPILE_SNAPSHOT_INTERVAL_MS, MAX_AUTOMATIC_VERSIONS, snapshotDocument, versionTitle } from '../../src/lib/history';
+
+describe('version history', () => {
+  beforeEach(() => {
+    store.records = [];
+    store.now = 1000;
+    vi.spyOn(Date, 'now').mockImplementation(() => store.now);
+  });
+
+  it('skips automatic snapshots of unchanged text but always keeps named ones', async () => {
+    expect(await snapshotDocument('a.tex', 'x', { kind: 'save' })).toMatchObject({ text: 'x', kind: 'save' });
+    store.now += 1;
+    expect(await snapshotDocument('a.tex', 'x', { kind: 'save' })).toBeNull();
+    expect(await snapshotDocument('a.tex', 'x', { label: 'submitted to reviewers' })).toMatchObject({ kind: 'manual' });
+    expect(await snapshotDocument('b.tex', 'x', { kind: 'save' })).not.toBeNull();
+  });
+
+  it('rate-limits compile snapshots', async () => {
+    expect(await snapshotDocument('a.tex', 'one', { kind: 'compile' })).not.toBeNull();
+    store.now += 1000;
+    expect(await snapshotDocument('a.tex', 'two', { kind: 'compile' })).toBeNull();
+    store.now += COMPILE_SNAPSHOT_INTERVAL_MS;
+    expect(await snapshotDocument('a.tex', 'two', { kind: 'compile' })).not.toBeNull();
+  });
+
+  it('prunes the oldest automatic snapshots', async () => {
+    await snapshotDocument('a.tex', 'named', { label: 'keep me' });
+    for (let i = 0; i <= MAX_AUTOMATIC_VERSIONS; i++) {
+      store.now += 1;
+      await snapshotDocument('a.tex', `v${i}`, { kind: 'save' });
+    }
+    const texts = store.records.map((r) => r.text);
+    expect(texts).toHaveLength(MAX_AUTOMATIC_VERSIONS + 1);
+    expect(texts).toContain('named');
+    expect(texts).not.toContain('v0');
+  });
+
+  it('titles versions by label or kind', () => {
+    expect(versionTitle({ kind: 'compile', label: '' })).toBe('Compiled');
+    expect(versionTitle({ kind: 'manual', label: 'Draft 2' })).toBe('Draft 2');
+    expect(versionTitle({})).toBe('Snapshot');
+  });
+});
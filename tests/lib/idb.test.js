@@ -2,6 +2,7 @@ import { describe, it, expect, vi } from 'vitest';
 
 const makeIndexedDb = ({
   hasImagesStore = false,
+  stores = hasImagesStore ? ['images', 'documents', 'versions'] : [],
   forceUpgrade = false,
   failOpen = false,
   failOpenWithoutError = false,
@@ -27,6 +28,10 @@ const makeIndexedDb = ({
       return makeReq({ result: record.id });
     },
     get: (id) => makeReq({ result: records.get(id) }),
+    createIndex: vi.fn(),
+    index: (name) => ({
+      getAll: (key) => makeReq({ result: [...records.values()].filter((r) => r[name] === key) }),
+    }),
     delete: (id) => {
       records.delete(id);
       return makeReq({ result: undefined });
@@ -35,7 +40,7 @@ const makeIndexedDb = ({
 
   const db = {
     objectStoreNames: {
-      contains: (name) => hasImagesStore && name === 'images',
+      contains: (name) => stores.includes(name),
     },
     createObjectStore: vi.fn(() => store),
     transaction: vi.fn(() => ({
@@ -47,7 +52,7 @@ const makeIndexedDb = ({
     open: vi.fn(() => {
       const req = { result: db, error: null, onsuccess: null, onerror: null, onupgradeneeded: null };
       queueMicrotask(() => {
-        if (forceUpgrade || !hasImagesStore) req.onupgradeneeded?.();
+        if (forceUpgrade || stores.length < 3) req.onupgradeneeded?.();
         if (failOpen || failOpenWithoutError) {
           req.error = failOpen ? new Error('open failed') : null;
           req.onerror?.();
@@ -206,4 +211,75 @@ describe('idb image store', () => {
       globalThis.indexedDB = original;
     }
   });
+
+  it('adds the documents store when upgrading a version 1 database', async () => {
+    const original = globalThis.indexedDB;
+    const mock = makeIndexedDb({ stores: ['images'] });
+    globalThis.indexedDB = mock.indexedDB;
+    try {
+      vi.resetModules();
+      const { getDocumentDraft } = await import('../../src/lib/idb.js');
+      expect(await getDocumentDraft()).toBeUndefined();
+      expect(mock.indexedDB.open).toHaveBeenCalledWith('texure', 3);
+      expect(mock.db.createObjectStore.mock.calls.map((c) => c[0])).toEqual(['documents', 'versions']);
+      expect(mock.store.createIndex).toHaveBeenCalledWith('docKey', 'docKey', { unique: false });
+    } finally {
+      globalThis.indexedDB = original;
+    }
+  });
+
+  it('saves, reads and clears the autosave draft', async () => {
+    const original = globalThis.indexedDB;
+    const mock = makeIndexedDb({ hasImagesStore: true });
+    globalThis.indexedDB = mock.indexedDB;
+    const originalNow = Date.now;
+    try {
+      Date.now = () => 1700000000000;
+      vi.resetModules();
+      const { putDocumentDraft, getDocumentDraft, deleteDocumentDraft } = await import('../../src/lib/idb.js');
+      const handle = { name: 'paper.tex' };
+      await putDocumentDraft({ text: 'Hello', fileName: 'paper.tex', cursor: 3, handle });
+      expect(await getDocumentDraft()).toEqual({
+        id: 'autosave',
+        text: 'Hello',
+        fileName: 'paper.tex',
+        cursor: 3,
+        handle,
+        updatedAt: 1700000000000,
+      });
+      expect((await putDocumentDraft({ text: null, cursor: NaN })).cursor).toBeNull();
+      await deleteDocumentDraft();
+      expect(await getDocumentDraft()).toBeUndefined();
+    } finally {
+      Date.now = originalNow;
+      globalThis.indexedDB = original;
+    }
+  });
+
+  it('stores and lists version snapshots per document', async () => {
+    const original = globalThis.indexedDB;
+    const mock = makeIndexedDb({ hasImagesStore: true });
+    globalThis.indexedDB = mock.indexedDB;
+    const originalNow = Date.now;
+    try {
+      let now = 1000;
+      Date.now = () => now++;
+      vi.resetModules();
+      const { putVersion, listVersions, deleteVersion } = await import('../../src/lib/idb.js');
+      const first = await putVersion({ docKey: 'paper.tex', text: 'v1', kind: 'save' });
+      await putVersion({ docKey: 'paper.tex', text: 'v2', label: 'submitted to reviewers' });
+      await putVersion({ docKey: 'other.tex', text: 'x' });
+      expect(first).toMatchObject({ docKey: 'paper.tex', text: 'v1', kind: 'save', label: '' });
+
+      const versions = await listVersions('paper.tex');
+      expect(versions.map((v) => v.text)).toEqual(['v2', 'v1']);
+      expect(versions[0]).toMatchObject({ kind: 'manual', label: 'submitted to reviewers' });
+      await deleteVersion(first.id);
+      expect((await listVersions('paper.tex')).map((v) => v.text)).toEqual(['v2']);
+      expect(await listVersions('missing.tex')).toEqual([]);
+    } finally {
+      Date.now = originalNow;
+      globalThis.indexedDB = original;
+    }
+  });
 });
@@ -6,9 +6,11 @@ import {
   readJSONSafe,
   latexToHtml,
   htmlToLatex,
+  setRawLatexSource,
   summarizeLatexLog,
   compileWithWasmLatex,
 } from '../../src/lib/latex';
+import { parseBibtex } from '../../src/lib/bibtex';
 
 // Helper to create a minimal Response-like mock
 const makeRes = ({ ok = true, body = '', throwOnText = false } = {}) => ({
@@ -132,12 +134,12 @@ describe('latex helpers', () => {
     // Ensure no KaTeX in window
     // @ts-ignore
     delete window.katex;
-    const latex = String.raw`\\documentclass{article}
-\\begin{document}
-\\section{Demo}
+    const latex = String.raw`\documentclass{article}
+\begin{document}
+\section{Demo}
 Inline $a+b$ and display: 
-\\[ E = mc^2 \\]
-\\end{document}`;
+\[ E = mc^2 \]
+\end{document}`;
     const html = latexToHtml(latex);
     expect(html).toContain('<h1>Demo</h1>');
     // Inline math container
@@ -502,13 +504,13 @@ UNKNOWN
   });
 
   it('htmlToLatex converts back common structures (roundtrip smoke test)', () => {
-    const latex = String.raw`\\documentclass{article}
-\\begin{document}
-\\section{Title}
+    const latex = String.raw`\documentclass{article}
+\begin{document}
+\section{Title}
 Text before.
-\\[ a^2 + b^2 = c^2 \\]
+\[ a^2 + b^2 = c^2 \]
 Text after.
-\\end{document}`;
+\end{document}`;
     const html = latexToHtml(latex);
     const back = htmlToLatex(html);
     expect(back).toContain('\\section{Title}');
@@ -757,6 +759,21 @@ Text after.
     expect(out).toContain('\\includegraphics[width=0.5\\linewidth,angle=90]{/img2.png}');
   });
 
+  it('previews project images through resolveImage and keeps their paths on the way back', () => {
+    const resolveImage = (name) => ({ 'figs/plot': 'id1', 'figs/map.png': 'id2' })[name] || null;
+    const html = latexToHtml(
+      '\\begin{document}\n\\includegraphics[width=0.5\\linewidth]{figs/plot}\n\\includegraphics{figs/map.png}\n\\includegraphics{other.png}\n\\end{document}',
+      { resolveImage }
+    );
+    expect(html).toContain('data-texure-image-id="id1" data-texure-src="figs/plot" data-texure-img-width="0.5"');
+    expect(html).toContain('data-texure-image-id="id2" data-texure-src="figs/map.png"');
+    expect(html).toContain('src="other.png"');
+    const out = htmlToLatex(html);
+    expect(out).toContain('\\includegraphics[width=0.5\\linewidth]{figs/plot}');
+    expect(out).toContain('\\includegraphics[width=\\linewidth]{figs/map.png}');
+    expect(out).not.toContain('texure-image:');
+  });
+
   it('latexToHtml emits texure image attrs when includegraphics specifies width/angle', () => {
     const latex = '\\begin{document}\n' +
       '\\includegraphics[width=0.5\\linewidth,angle=90]{texure-image:abc123}\n' +
@@ -857,11 +874,11 @@ Text after.
   });
 
   it('latexToHtml and htmlToLatex support blockquote/quote indentation', () => {
-    const latex = String.raw`\\begin{document}
-\\begin{quote}
+    const latex = String.raw`\begin{document}
+\begin{quote}
 Indented
-\\end{quote}
-\\end{document}`;
+\end{quote}
+\end{document}`;
     const html = latexToHtml(latex);
     expect(html).toContain('<blockquote>');
     const back = htmlToLatex(html);
@@ -870,6 +887,356 @@ Indented
     expect(back).toContain('\\end{quote}');
   });
 
+  it('latexToHtml renders tabular cells with inline math and formatting', () => {
+    const html = latexToHtml('\\begin{tabular}{|l|c|}\n\\hline\n\\textbf{Name} & $x^2$ \\\\\n\\hline\n\\end{tabular}');
+    expect(html).toContain('<table class="texure-table not-prose"');
+    expect(html).toContain('<td data-texure-align="l" class="texure-vrule-left" style="text-align: left"><b>Name</b></td>');
+    expect(html).toContain('math-inline');
+    expect(html).not.toContain('__PROTECTED_BLOCK_');
+  });
+
+  it('htmlToLatex roundtrips tables with booktabs rules, multicolumn and captions', () => {
+    const latex = [
+      '\\begin{table}[htbp]',
+      '\\centering',
+      '\\caption{Scores \\& ranks}',
+      '\\begin{tabular}{lcr}',
+      '\\toprule',
+      '\\multicolumn{2}{c}{\\textit{Head}} & R \\\\',
+      '\\midrule',
+      'a & $b$ & c \\\\',
+      '\\bottomrule',
+      '\\end{tabular}',
+      '\\end{table}',
+    ].join('\n');
+    const back = htmlToLatex(latexToHtml(latex));
+    expect(back).toBe(latex);
+    expect(htmlToLatex(latexToHtml(back))).toBe(latex);
+  });
+
+  it('latexToHtml keeps nested tabulars inside cells', () => {
+    const latex = '\\begin{tabular}{ll}\na & \\begin{tabular}{c}x \\\\ y\\end{tabular} \\\\\n\\end{tabular}';
+    const html = latexToHtml(latex);
+    const div = document.createElement('div');
+    div.innerHTML = html;
+    expect(div.querySelectorAll('table')).toHaveLength(2);
+    expect(htmlToLatex(html)).toContain('\\begin{tabular}{c}');
+  });
+
+  it('latexToHtml resolves references against the document numbering', () => {
+    const latex = [
+      '\\begin{document}',
+      '\\section{Intro}\\label{sec:intro}',
+      '\\begin{equation}',
+      'E = mc^2 \\label{eq:energy}',
+      '\\end{equation}',
+      'See \\ref{sec:intro}, \\eqref{eq:energy}, \\autoref{sec:intro} and \\cref{eq:missing}.',
+      '\\end{document}',
+    ].join('\n');
+    const html = latexToHtml(latex);
+    const div = document.createElement('div');
+    div.innerHTML = html;
+    const refs = Array.from(div.querySelectorAll('.texure-ref')).map((el) => el.textContent);
+    expect(refs).toEqual(['1', '(1)', 'Section 1', '??']);
+    const missing = div.querySelectorAll('.texure-ref')[3];
+    expect(missing.classList.contains('texure-ref-undefined')).toBe(true);
+    expect(missing.getAttribute('title')).toBe('Undefined reference: eq:missing');
+    const eq = div.querySelector('.math-block');
+    expect(eq.getAttribute('data-texure-math-env')).toBe('equation');
+    expect(eq.getAttribute('data-texure-label')).toBe('eq:energy');
+    expect(decodeURIComponent(eq.getAttribute('data-latex'))).toBe('E = mc^2 \\label{eq:energy}');
+    expect(div.querySelector('.texure-label').getAttribute('data-texure-label')).toBe('sec:intro');
+  });
+
+  it('htmlToLatex roundtrips labels, references, equations and starred sections', () => {
+    const body = [
+      '\\section*{Preface}',
+      '',
+      '\\section{Intro}',
+      '\\label{sec:intro}',
+      '\\begin{equation*}',
+      'x',
+      '\\end{equation*}',
+      'As shown in \\Cref{sec:intro} and \\eqref{eq:a,eq:b}.',
+    ].join('\n');
+    const back = htmlToLatex(latexToHtml(body));
+    expect(back).toContain('\\section*{Preface}');
+    expect(back).toMatch(/\\section\{Intro\}\s*\\label\{sec:intro\}/);
+    expect(back).toContain('\\begin{equation*}\nx\n\\end{equation*}');
+    expect(back).toContain('\\Cref{sec:intro}');
+    expect(back).toContain('\\eqref{eq:a,eq:b}');
+  });
+
+  it('renders align, gather and multline as numbered math blocks and writes the environment back', () => {
+    const latex = [
+      '\\begin{align}',
+      'a &= b \\label{eq:a} \\\\',
+      'c &= d \\nonumber',
+      '\\end{align}',
+      '\\begin{gather*}',
+      'x \\\\ y',
+      '\\end{gather*}',
+      '\\begin{multline}',
+      'p + q \\\\ + r',
+      '\\end{multline}',
+      'See \\eqref{eq:a}.',
+    ].join('\n');
+    const div = document.createElement('div');
+    div.innerHTML = latexToHtml(latex);
+    const blocks = Array.from(div.querySelectorAll('.math-block'));
+    expect(blocks.map((b) => b.getAttribute('data-texure-math-env'))).toEqual(['align', 'gather*', 'multline']);
+    expect(blocks[0].getAttribute('data-texure-label')).toBe('eq:a');
+    expect(blocks[0].querySelectorAll('.texure-eq-number')).toHaveLength(1);
+    expect(blocks[0].querySelectorAll('.texure-eq-blank')).toHaveLength(1);
+    expect(blocks[1].querySelector('.texure-eq-numbers')).toBe(null);
+    expect(Array.from(div.querySelectorAll('.texure-eq-number'), (n) => n.textContent)).toEqual(['(1)', '(2)']);
+    expect(div.querySelector('.texure-ref').textContent).toBe('(1)');
+    const back = htmlToLatex(div.innerHTML);
+    expect(back).toContain('\\begin{align}\na &= b \\label{eq:a} \\\\\nc &= d \\nonumber\n\\end{align}');
+    expect(back).toContain('\\begin{gather*}\nx \\\\ y\n\\end{gather*}');
+    expect(back).toContain('\\begin{multline}\np + q \\\\ + r\n\\end{multline}');
+    expect(back).not.toContain('\\[');
+  });
+
+  it('equation numbers follow the document across theorem bodies, figures and includes', () => {
+    const files = { 'ch.tex': '\\begin{align}a \\\\ b \\nonumber\n\\end{align}' };
+    const resolveInclude = (name) => (files[`${name}.tex`] != null ? { path: `${name}.tex`, text: files[`${name}.tex`] } : null);
+    const main = [
+      '\\begin{document}',
+      '\\begin{equation}x\\end{equation}',
+      '\\begin{theorem}By \\begin{equation}y\\end{equation}\\end{theorem}',
+      '\\begin{figure}\\begin{equation}z\\end{equation}\\caption{Z}\\end{figure}',
+      '\\input{ch}',
+      '\\begin{gather}p \\\\ q\\end{gather}',
+      '\\end{document}',
+    ].join('\n');
+    const div = document.createElement('div');
+    div.innerHTML = latexToHtml(main, { resolveInclude, documentSource: main.replace('\\input{ch}', files['ch.tex']) });
+    expect(Array.from(div.querySelectorAll('.texure-eq-number'), (n) => n.textContent)).toEqual(['(1)', '(2)', '(3)', '(4)', '(5)', '(6)']);
+  });
+
+  it('passes preamble macros to KaTeX and expands argument-free text macros', () => {
+    const renderToString = vi.fn(() => '<span>K</span>');
+    // @ts-ignore
+    window.katex = { renderToString };
+    const latex = [
+      '\\newcommand{\\R}{\\mathbb{R}}',
+      '\\newcommand{\\company}{\\textbf{ACME} Corp.}',
+      '\\def\\loop{\\loop}',
+      '\\begin{document}',
+      'Made by \\company{} in $x \\in \\R$. \\loop Over \\R.',
+      '\\end{document}',
+    ].join('\n');
+    try {
+      const html = latexToHtml(latex);
+      expect(renderToString).toHaveBeenCalledWith('x \\in \\R', expect.objectContaining({ macros: expect.objectContaining({ '\\R': '\\mathbb{R}' }) }));
+      const div = document.createElement('div');
+      div.innerHTML = html;
+      const chip = div.querySelector('.texure-macro');
+      expect(chip.getAttribute('data-texure-latex')).toBe('\\company{}');
+      expect(chip.querySelector('strong, b').textContent).toBe('ACME');
+      expect(div.querySelectorAll('.texure-macro')).toHaveLength(9); // \company, then \loop down to the depth limit
+      // The innermost \loop is past the depth limit; \R is math-only, so running text keeps both calls as raw source.
+      expect(Array.from(div.querySelectorAll('.texure-raw')).map((el) => el.textContent)).toEqual(['\\loop', '\\R']);
+      expect(htmlToLatex(div.innerHTML)).toContain('Made by \\company{} in $x \\in \\R$. \\loop Over \\R.');
+    } finally {
+      // @ts-ignore
+      delete window.katex;
+    }
+  });
+
+  it('renders theorem environments from the preamble and writes them back', () => {
+    // @ts-ignore
+    delete window.katex;
+    const latex = [
+      '\\newtheorem{theorem}{Theorem}[section]',
+      '\\theoremstyle{definition}',
+      '\\newtheorem{defn}[theorem]{Definition}',
+      '\\begin{document}',
+      '\\section{Intro}',
+      '\\begin{defn}[Group]\\label{def:group}',
+      'A set with $e$ and \\textbf{an operation}.',
+      '\\end{defn}',
+      '\\begin{proof}',
+      'By \\ref{def:group}.',
+      '\\end{proof}',
+      '\\end{document}',
+    ].join('\n');
+    const div = document.createElement('div');
+    div.innerHTML = latexToHtml(latex);
+    const [defn, proof] = div.querySelectorAll('.texure-theorem');
+    expect(defn.getAttribute('data-texure-theorem-style')).toBe('definition');
+    expect(defn.getAttribute('data-texure-theorem-number')).toBe('1.1');
+    expect(defn.querySelector('.texure-theorem-head').textContent).toBe('Definition 1.1 (Group).');
+    expect(defn.querySelector('.math-inline')).toBeTruthy();
+    expect(defn.querySelector('[data-texure-label="def:group"]')).toBeTruthy();
+    expect(proof.querySelector('.texure-theorem-head').textContent).toBe('Proof.');
+    expect(proof.querySelector('.texure-ref').textContent).toBe('1.1');
+    expect(div.querySelector('.texure-raw')).toBe(null);
+    const back = htmlToLatex(div.innerHTML);
+    expect(back).toContain('\\begin{defn}[Group]\n\\label{def:group}');
+    expect(back).toContain('A set with $e$ and \\textbf{an operation}.\n\\end{defn}');
+    expect(back).toContain('\\begin{proof}\nBy \\ref{def:group}.\n\\end{proof}');
+  });
+
+  it('theorem blocks show the numbers \\ref uses, across counters, nesting and includes', () => {
+    const envs = ['ta', 'tb', 'tc', 'td', 'te', 'tf'];
+    const files = { 'ch.tex': '\\begin{tf}\\label{f:1}x\\end{tf}\n\\begin{ta}y\\end{ta}' };
+    const resolveInclude = (name) => (files[`${name}.tex`] != null ? { path: `${name}.tex`, text: files[`${name}.tex`] } : null);
+    const main = [
+      ...envs.map((e) => `\\newtheorem{${e}}{T${e}}${e === 'ta' ? '[section]' : ''}`),
+      '\\begin{document}',
+      '\\section{A}',
+      ...envs.slice(0, 5).map((e) => `\\begin{${e}}\\end{${e}}`),
+      '% \\begin{ta}\\end{ta}',
+      '\\begin{ta}Outer \\begin{tb}\\label{b:2}inner\\end{tb}\\end{ta}',
+      '\\input{ch}',
+      '\\begin{ta}\\end{ta} \\ref{b:2} \\ref{f:1}',
+      '\\end{document}',
+    ].join('\n');
+    const div = document.createElement('div');
+    div.innerHTML = latexToHtml(main, { resolveInclude, documentSource: main.replace('\\input{ch}', files['ch.tex']) });
+    const numbers = Array.from(div.querySelectorAll('.texure-theorem'), (el) => `${el.getAttribute('data-texure-theorem')} ${el.getAttribute('data-texure-theorem-number')}`);
+    expect(numbers).toEqual(['ta 1.1', 'tb 1', 'tc 1', 'td 1', 'te 1', 'ta 1.2', 'tb 2', 'tf 1', 'ta 1.3', 'ta 1.4']);
+    expect(div.querySelector('[data-texure-theorem="te"] .texure-theorem-head').textContent).toBe('Tte 1.');
+    expect(Array.from(div.querySelectorAll('.texure-ref'), (el) => el.textContent)).toEqual(['2', '1']);
+  });
+
+  it('references inside table cells use the document-wide numbering', () => {
+    const latex = '\\section{A}\\section{B}\\label{sec:b}\n\\begin{table}\\caption{T}\\label{tab:t}\\begin{tabular}{l}\\ref{sec:b} \\\\\\end{tabular}\\end{table} \\ref{tab:t}';
+    const html = latexToHtml(latex);
+    const div = document.createElement('div');
+    div.innerHTML = html;
+    expect(div.querySelector('td .texure-ref').textContent).toBe('2');
+    expect(div.querySelector('table').getAttribute('data-texure-label')).toBe('tab:t');
+    expect(Array.from(div.querySelectorAll('.texure-ref')).pop().textContent).toBe('1');
+    expect(htmlToLatex(html)).toContain('\\caption{T}\n\\label{tab:t}\n\\begin{tabular}{l}');
+  });
+
+  it('latexToHtml renders citations and the reference list from a bibliography', () => {
+    const bibliography = parseBibtex(`
+@article{knuth84, author = {Donald E. Knuth}, title = {Literate Programming}, journal = {The Computer Journal}, volume = 27, number = 2, pages = {97--111}, year = 1984}
+@book{lamport94, author = {Leslie Lamport}, title = {{LaTeX}: A Document Preparation System}, publisher = {Addison-Wesley}, year = 1994}
+`);
+    const latex = [
+      '\\begin{document}',
+      'See \\cite{lamport94} and \\cite[p.~3]{knuth84,lamport94}; also \\cite{nobody}.',
+      '\\bibliographystyle{plain}',
+      '\\bibliography{refs}',
+      '\\end{document}',
+    ].join('\n');
+    const html = latexToHtml(latex, { bibliography });
+    const div = document.createElement('div');
+    div.innerHTML = html;
+    const cites = Array.from(div.querySelectorAll('.texure-cite'));
+    expect(cites.map((el) => el.textContent)).toEqual(['[1]', '[2, 1, p. 3]', '[?]']);
+    expect(cites[1].getAttribute('data-texure-cite')).toBe('knuth84,lamport94');
+    expect(cites[2].classList.contains('texure-cite-undefined')).toBe(true);
+    expect(cites[2].getAttribute('title')).toBe('Unknown citation: nobody');
+    const items = Array.from(div.querySelectorAll('.texure-bibliography li'));
+    expect(items.map((li) => li.getAttribute('data-texure-cite'))).toEqual(['lamport94', 'knuth84']);
+    expect(items[1].textContent).toBe('[2] Donald E. Knuth. Literate Programming. The Computer Journal, 27(2):97–111, 1984.');
+
+    const back = htmlToLatex(html);
+    expect(back).toContain('\\cite[p.~3]{knuth84,lamport94}');
+    expect(back).toContain('\\bibliographystyle{plain}');
+    expect(back).toMatch(/\n\\bibliography\{refs\}/);
+    expect(back).not.toContain('Literate Programming');
+  });
+
+  it('latexToHtml uses author-year labels for natbib author-year styles', () => {
+    const bibliography = parseBibtex('@article{a, author = {Ann Smith and Bob Jones and Cy Doe}, title = {T}, year = {2020}}');
+    const latex = '\\usepackage{natbib}\\begin{document}\\citep{a} \\citet{a} \\bibliographystyle{plainnat}\\end{document}';
+    const div = document.createElement('div');
+    div.innerHTML = latexToHtml(latex, { bibliography });
+    expect(Array.from(div.querySelectorAll('.texure-cite')).map((el) => el.textContent)).toEqual([
+      '(Smith et al., 2020)',
+      'Smith et al. (2020)',
+    ]);
+  });
+
+  it('latexToHtml shows an empty reference list without cited entries', () => {
+    const div = document.createElement('div');
+    div.innerHTML = latexToHtml('\\printbibliography');
+    expect(div.querySelector('.texure-bibliography-empty')).not.toBeNull();
+  });
+
+  it('latexToHtml renders project includes inline and numbers from the main document', () => {
+    const files = {
+      'ch1.tex': '\\section{One}\\label{sec:one}',
+      'ch2.tex': '\\section{Two}\\label{sec:two} \\input{ch2}',
+    };
+    const resolveInclude = (name) => (files[`${name}.tex`] != null ? { path: `${name}.tex`, text: files[`${name}.tex`] } : null);
+    const main = '\\begin{document}\n\\input{ch1}\n\\include{ch2}\n% \\input{ch1}\n\\input{nope}\n\\end{document}';
+    const html = latexToHtml(main, { resolveInclude });
+    const div = document.createElement('div');
+    div.innerHTML = html;
+    const blocks = Array.from(div.querySelectorAll('.texure-include'));
+    expect(blocks.map((b) => b.getAttribute('data-texure-include'))).toEqual(['ch1.tex', 'ch2.tex']);
+    expect(blocks[0].querySelector('.texure-include-title').textContent).toBe('ch1.tex');
+    expect(blocks[1].querySelectorAll('.texure-include')).toHaveLength(0);
+
+    const back = htmlToLatex(html);
+    expect(back).toContain('\\input{ch1}');
+    expect(back).toContain('\\include{ch2}');
+    expect(back).not.toContain('\\section{One}');
+
+    const child = document.createElement('div');
+    child.innerHTML = latexToHtml('See \\ref{sec:two}.', { documentSource: `\\begin{document}${files['ch1.tex']}${files['ch2.tex']}\\end{document}` });
+    expect(child.querySelector('.texure-ref').textContent).toBe('2');
+  });
+
+  it('keeps unknown constructs as raw LaTeX written back byte for byte', () => {
+    const raw = [
+      '\\newcommand{\\R}[1]{\\mathbb{R}^{#1}}',
+      '\\def\\pair#1#2{(#1,\\,#2)}',
+      '\\vfill\n',
+      '\\begin{tikzpicture}[scale=2] % axes\n  \\draw[->] (0,0) -- (1,0) node[right] {$x$};\n\\end{tikzpicture}',
+    ];
+    const div = document.createElement('div');
+    div.innerHTML = latexToHtml(`Intro ${raw[0]} and ${raw[1]} then ${raw[2]}${raw[3]}\nOutro`);
+    const chips = Array.from(div.querySelectorAll('.texure-raw'));
+    expect(chips.map((el) => el.getAttribute('data-texure-latex'))).toEqual(raw);
+    expect(chips[3].classList.contains('texure-raw-block')).toBe(true);
+    expect(div.querySelector('.math-inline')).toBe(null);
+
+    // Editing around the chips leaves their source alone.
+    div.querySelector('.texure-raw').before('Edited ');
+    const back = htmlToLatex(div.innerHTML);
+    expect(back).toContain(`Edited ${raw[0]} and ${raw[1]} then ${raw[2]}`);
+    expect(back).toContain(`\n${raw[3]}\n`);
+  });
+
+  it('setRawLatexSource replaces or removes a raw chip', () => {
+    const div = document.createElement('div');
+    div.innerHTML = latexToHtml('A \\vfill B % note\nC \\begin{foo}x\\end{foo}');
+    const [chip, block] = div.querySelectorAll('.texure-raw');
+    setRawLatexSource(chip, '\\vspace*{\\fill}');
+    expect(chip.textContent).toBe('\\vspace*{\\fill}');
+    setRawLatexSource(block, '\\begin{foo}y\\end{foo}');
+    expect(block.querySelector('pre').textContent).toBe('\\begin{foo}y\\end{foo}');
+    setRawLatexSource(div.querySelector('.texure-comment'), '% edited\n');
+    expect(div.querySelector('.texure-comment').textContent).toBe('% edited');
+    expect(htmlToLatex(div.innerHTML)).toBe('A \\vspace*{\\fill}B % edited\nC \n\\begin{foo}y\\end{foo}');
+    setRawLatexSource(chip, '  ');
+    expect(div.querySelectorAll('.texure-raw')).toHaveLength(1);
+  });
+
+  it('setRawLatexSource keeps comments from swallowing the next line', () => {
+    const div = document.createElement('div');
+    div.innerHTML = latexToHtml('Line % old\nnext words');
+    setRawLatexSource(div.querySelector('.texure-comment'), '% new');
+    expect(div.querySelector('.texure-comment').textContent).toBe('% new');
+    expect(htmlToLatex(div.innerHTML)).toBe('Line % new\nnext words');
+
+    div.innerHTML = latexToHtml('A \\vfill B');
+    const chip = div.querySelector('.texure-raw');
+    setRawLatexSource(chip, '\\vfill % fill');
+    expect(chip.getAttribute('data-texure-latex')).toBe('\\vfill % fill\n');
+    setRawLatexSource(chip, '\\vspace{50\\%}');
+    expect(chip.getAttribute('data-texure-latex')).toBe('\\vspace{50\\%}');
+  });
+
   it('summarizeLatexLog extracts first error', () => {
     const log = '! Missing $ inserted.\nl.23 \\end{document}';
     const s = summarizeLatexLog(log);
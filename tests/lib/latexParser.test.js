@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { argSource, parseLatex, plainTextOf, walkLatex } from '../../src/lib/latexParser';
+import { latexToHtml, htmlToLatex } from '../../src/lib/latex';
+
+const toDom = (html) => {
+  const div = document.createElement('div');
+  div.innerHTML = html;
+  return div;
+};
+
+describe('parseLatex', () => {
+  it('reads nested groups as command arguments', () => {
+    const src = '\\textbf{a \\textit{b} c} d';
+    const [bold, rest] = parseLatex(src);
+    expect(bold).toMatchObject({ type: 'command', name: 'textbf', start: 0, end: 23 });
+    expect(bold.args[0].children.map((c) => c.type)).toEqual(['text', 'command', 'text']);
+    expect(argSource(src, bold.args[0])).toBe('a \\textit{b} c');
+    expect(rest).toMatchObject({ type: 'text', value: ' d' });
+  });
+
+  it('covers the source without gaps', () => {
+    const src = 'A % note\n\\section*[Short]{Long} $x$ \\[y\\] ~ \\verb|%| \\foo[1]{2}\n\n\\begin{itemize}\\item one\\end{itemize}}';
+    const nodes = parseLatex(src);
+    expect(nodes.map((n) => src.slice(n.start, n.end)).join('')).toBe(src);
+    expect(nodes.map((n) => n.type)).toEqual([
+      'text', 'comment', 'command', 'text', 'math', 'text', 'math', 'text', 'special', 'text', 'verb', 'text', 'command', 'text', 'environment', 'special',
+    ]);
+    const section = nodes[2];
+    expect(section).toMatchObject({ name: 'section', star: true, complete: true });
+    expect(argSource(src, section.args[0])).toBe('Short');
+    expect(nodes[12]).toMatchObject({ name: 'foo', known: false });
+    expect(nodes[12].args.map((a) => a.kind)).toEqual(['optional', 'mandatory']);
+  });
+
+  it('reads comments, verbatim environments and verbatim arguments as text', () => {
+    const src = '\\begin{verbatim}\n% \\x{\n\\end{verbatim}\\href{a%20b}{link} 50\\% % real';
+    const nodes = parseLatex(src);
+    expect(nodes[0]).toMatchObject({ type: 'environment', name: 'verbatim', body: '\n% \\x{\n', closed: true });
+    expect(argSource(src, nodes[1].args[0])).toBe('a%20b');
+    expect(nodes.at(-1)).toMatchObject({ type: 'comment', value: '% real' });
+    const comments = [];
+    walkLatex(nodes, (n) => n.type === 'comment' && comments.push(n));
+    expect(comments).toHaveLength(1);
+  });
+
+  it('skips spaces after control words and marks missing arguments', () => {
+    const [large, text] = parseLatex('\\large  Big');
+    expect(large.end).toBe(8);
+    expect(text.value).toBe('Big');
+    expect(parseLatex('\\textbf x')[0].complete).toBe(false);
+    expect(parseLatex('\\item\n\nNext')[1].value).toBe('\n\nNext');
+    expect(parseLatex('$unclosed')[0]).toMatchObject({ type: 'text', value: '$unclosed' });
+  });
+
+  it('plainTextOf resolves escapes and rejects markup', () => {
+    expect(plainTextOf(parseLatex('a\\_b \\textbackslash{}'))).toBe('a_b \\');
+    expect(plainTextOf(parseLatex('a \\textbf{b}'))).toBe(null);
+  });
+});
+
+describe('latexToHtml on the AST', () => {
+  it('keeps nested formatting and scopes size declarations to their group', () => {
+    expect(latexToHtml('\\textbf{a \\textit{b} c}')).toBe('<b>a <i>b</i> c</b>');
+    const root = toDom(latexToHtml('{\\tiny small \\textbf{bold}} normal'));
+    const decl = root.querySelector('[data-texure-decl="tiny"]');
+    expect(decl.style.fontSize).toBe('5pt');
+    expect(decl.textContent).toBe('small bold');
+    expect(root.textContent).toBe('small bold normal');
+    expect(htmlToLatex(root.innerHTML)).toBe('{\\tiny small \\textbf{bold}} normal');
+  });
+
+  it('keeps comments out of the rendered text and writes them back', () => {
+    const latex = 'Visible % hidden $x$ \\textbf{\nNext line';
+    const root = toDom(latexToHtml(latex));
+    expect(root.querySelector('.math-inline')).toBe(null);
+    expect(root.querySelector('.texure-comment').getAttribute('data-texure-latex')).toBe('% hidden $x$ \\textbf{\n');
+    expect(htmlToLatex(root.innerHTML)).toBe(latex);
+  });
+
+  it('preserves unknown commands and environments as raw nodes', () => {
+    const latex = '\\noindent Text \\foo[a]{b {c}} and \\vfill\n\n\\begin{tikzpicture}\n\\draw (0,0) -- (1,1);\n\\end{tikzpicture}';
+    const root = toDom(latexToHtml(latex));
+    const raws = Array.from(root.querySelectorAll('.texure-raw')).map((el) => el.getAttribute('data-texure-latex'));
+    expect(raws).toEqual(['\\noindent ', '\\foo[a]{b {c}}', '\\vfill', '\\begin{tikzpicture}\n\\draw (0,0) -- (1,1);\n\\end{tikzpicture}']);
+    expect(htmlToLatex(root.innerHTML)).toBe('\\noindent Text \\foo[a]{b {c}} and \\vfill \n\\begin{tikzpicture}\n\\draw (0,0) -- (1,1);\n\\end{tikzpicture}');
+  });
+
+  it('round-trips emphasis, list labels and options, quotation and short titles', () => {
+    const latex = [
+      '\\section[Short]{Long \\emph{title}}',
+      '\\begin{enumerate}[label=(\\alph*)]',
+      '  \\item[(x)] First',
+      '  \\item Second',
+      '\\end{enumerate}',
+      '\\begin{quotation}',
+      'Quoted~text',
+      '\\end{quotation}',
+    ].join('\n');
+    const back = htmlToLatex(latexToHtml(latex));
+    expect(back).toContain('\\section[Short]{Long \\emph{title}}');
+    expect(back).toContain('\\begin{enumerate}[label=(\\alph*)]\n  \\item[(x)] First\n  \\item Second\n\\end{enumerate}');
+    expect(back).toMatch(/\\begin\{quotation\}\s*Quoted~text\s*\\end\{quotation\}/);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { escapeAttr, findEnvironmentEnd, maskComments, readBraceGroup, readBracketGroup, readDocumentClass, stripComments } from '../../src/lib/latexScan';
+
+describe('latexScan', () => {
+  it('readBraceGroup handles nesting and escaped braces', () => {
+    expect(readBraceGroup('  {a{b}\\}c} rest', 0)).toEqual({ content: 'a{b}\\}c', start: 2, end: 11 });
+    expect(readBraceGroup('x', 0)).toBeNull();
+    expect(readBraceGroup('{open', 0)).toBeNull();
+  });
+
+  it('findEnvironmentEnd skips nested environments of the same name', () => {
+    const src = '\\begin{tabular}{l}\\begin{tabular}{l}x\\end{tabular}\\end{tabular}';
+    const from = '\\begin{tabular}'.length;
+    expect(findEnvironmentEnd(src, 'tabular', from)).toBe(src.length - '\\end{tabular}'.length);
+    expect(findEnvironmentEnd('\\begin{tabular}x', 'tabular', 15)).toBe(-1);
+  });
+
+  it('readBracketGroup reads an optional argument', () => {
+    expect(readBracketGroup(' [width=2cm]{x}', 0)).toEqual({ content: 'width=2cm', start: 1, end: 12 });
+    expect(readBracketGroup('{x}', 0)).toBeNull();
+  });
+
+  it('maskComments and stripComments treat \\% as escaped and \\\\% as a line break before a comment', () => {
+    const src = '50\\% off % note\nrow \\\\% gone\n\\\\\\% kept';
+    expect(stripComments(src)).toBe('50\\% off \nrow \\\\\n\\\\\\% kept');
+    expect(maskComments(src)).toBe('50\\% off       \nrow \\\\      \n\\\\\\% kept');
+    expect(maskComments(src)).toHaveLength(src.length);
+  });
+
+  it('readDocumentClass skips options and commented-out classes', () => {
+    expect(readDocumentClass('% \\documentclass{beamer}\n\\documentclass[11pt, a4paper]{ llncs }')).toBe('llncs');
+    expect(readDocumentClass('no class')).toBe('');
+  });
+
+  it('escapeAttr escapes markup and quotes', () => {
+    expect(escapeAttr(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  });
+});
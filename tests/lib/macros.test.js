@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import katex from 'katex';
+import { readMacroDefinitions } from '../../src/lib/macros';
+
+const PREAMBLE = `\\documentclass{article}
+\\newcommand{\\R}{\\mathbb{R}}
+\\newcommand\\norm[1]{\\left\\lVert #1 \\right\\rVert}
+\\renewcommand{\\vec}[1]{\\mathbf{#1}}
+\\providecommand{\\R}{\\mathbb{X}}
+\\def\\company{ACME Corp.}
+\\def\\pair#1#2{(#1, #2)}
+\\DeclareMathOperator{\\Tr}{Tr}
+\\DeclareMathOperator*{\\argmax}{arg\\,max}
+% \\newcommand{\\ignored}{no}
+\\begin{document}
+\\newcommand{\\body}{not read}
+\\end{document}`;
+
+describe('macros', () => {
+  it('readMacroDefinitions collects preamble definitions as KaTeX macros', () => {
+    const { macros, textMacros, unsupported } = readMacroDefinitions(PREAMBLE);
+    expect(macros).toEqual({
+      '\\R': '\\mathbb{R}',
+      '\\norm': '\\left\\lVert #1 \\right\\rVert',
+      '\\vec': '\\mathbf{#1}',
+      '\\company': 'ACME Corp.',
+      '\\pair': '(#1, #2)',
+      '\\Tr': '\\operatorname{Tr}',
+      '\\argmax': '\\operatorname*{arg\\,max}',
+    });
+    expect(textMacros).toEqual({ company: 'ACME Corp.' });
+    expect(unsupported).toEqual([]);
+
+    const html = katex.renderToString('\\norm{\\vec{x}} \\in \\R, \\Tr A, \\argmax_x f', { throwOnError: true, macros: { ...macros } });
+    expect(html).toContain('Tr');
+  });
+
+  it('readMacroDefinitions keeps only text-safe bodies as text macros', () => {
+    const { macros, textMacros } = readMacroDefinitions(`\\newcommand{\\R}{\\mathbb{R}}
+\\newcommand{\\sq}{x^2}
+\\newcommand{\\reals}{the reals $\\R$}
+\\newcommand{\\field}{\\textbf{Field} \\R}
+\\newcommand{\\name}{\\textsc{Texure}\\,\\%}
+\\newcommand{\\brand}{\\name{} Inc.}
+\\begin{document}\\end{document}`);
+    expect(Object.keys(macros)).toEqual(['\\R', '\\sq', '\\reals', '\\field', '\\name', '\\brand']);
+    expect(Object.keys(textMacros)).toEqual(['reals', 'name', 'brand']);
+  });
+
+  it('readMacroDefinitions reports what KaTeX cannot take', () => {
+    const { macros, unsupported } = readMacroDefinitions(`\\newcommand{\\opt}[2][x]{#1+#2}
+\\def\\delim#1.{#1}
+\\newcommand{\\bad}[z]{y}
+\\newcommand{\\nobody}
+\\begin{document}\\end{document}`);
+    expect(Object.keys(macros)).toEqual([]);
+    expect(unsupported.map(({ name, line, reason }) => ({ name, line, reason }))).toEqual([
+      { name: '\\opt', line: 1, reason: 'optional arguments with a default are not supported' },
+      { name: '\\delim', line: 2, reason: 'delimited parameters are not supported' },
+      { name: '\\bad', line: 3, reason: 'invalid argument count "z"' },
+      { name: '\\nobody', line: 4, reason: 'missing definition body' },
+    ]);
+    expect(unsupported[0].source).toBe('\\newcommand{\\opt}[2][x]{#1+#2}');
+  });
+
+  it('readMacroDefinitions ignores files without a preamble', () => {
+    expect(readMacroDefinitions('\\newcommand{\\R}{\\mathbb{R}} text')).toEqual({ macros: {}, textMacros: {}, unsupported: [] });
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MATH_COMPLETIONS,
+  applySnippet,
+  completionTokenAt,
+  mathCompletions,
+  nextTabStop,
+  previousTabStop,
+} from '../../src/lib/mathCompletion';
+import { PALETTE_SYMBOLS } from '../../src/constants/symbols';
+
+describe('mathCompletion', () => {
+  it('lists the toolbar catalog and the built-in table once each', () => {
+    const cmds = MATH_COMPLETIONS.map((c) => c.cmd);
+    expect(new Set(cmds).size).toBe(cmds.length);
+    expect(cmds).toContain('\\frac{}{}');
+    expect(cmds).toContain('\\varepsilon');
+    expect(cmds).toContain('\\begin{pmatrix} {} & {} \\\\ {} & {} \\end{pmatrix}');
+    expect(MATH_COMPLETIONS.length).toBeGreaterThan(250);
+    const frac = MATH_COMPLETIONS.find((c) => c.cmd === '\\frac{}{}');
+    expect(frac).toMatchObject({ desc: 'Fraction', preview: '\\frac{a}{b}' });
+    expect(MATH_COMPLETIONS.find((c) => c.cmd === '\\sqrt[]{}').preview).toBe('\\sqrt{x}');
+  });
+
+  it('offers every symbol of the palette, from the same catalog', () => {
+    const cmds = new Set(MATH_COMPLETIONS.map((c) => c.cmd));
+    expect(PALETTE_SYMBOLS.filter((s) => !cmds.has(s.cmd))).toEqual([]);
+    expect(MATH_COMPLETIONS.find((c) => c.cmd === '\\digamma')).toMatchObject({ desc: 'Greek' });
+    expect(MATH_COMPLETIONS.find((c) => c.cmd === '\\leqslant')).toMatchObject({ desc: 'Relations' });
+    expect(MATH_COMPLETIONS.find((c) => c.cmd === '\\hat{}').preview).toBe('\\hat{a}');
+    expect(mathCompletions('sin')[0].cmd).toBe('\\sin');
+  });
+
+  it('completionTokenAt finds the command before the caret but not after a line break', () => {
+    expect(completionTokenAt('a + \\fr', 7)).toEqual({ start: 4, query: 'fr' });
+    expect(completionTokenAt('a \\', 3)).toEqual({ start: 2, query: '' });
+    expect(completionTokenAt('a \\\\b', 5)).toBe(null);
+    expect(completionTokenAt('\\alpha x', 8)).toBe(null);
+  });
+
+  it('mathCompletions ranks exact and prefix matches first', () => {
+    expect(mathCompletions('alpha')[0].cmd).toBe('\\alpha');
+    expect(mathCompletions('Del')[0].cmd).toBe('\\Delta');
+    expect(mathCompletions('del')[0].cmd).toBe('\\delta');
+    expect(mathCompletions('pmat').map((c) => c.key)).toContain('beginpmatrix');
+    expect(mathCompletions('zzz')).toEqual([]);
+    expect(mathCompletions('', 5)).toHaveLength(5);
+  });
+
+  it('applySnippet and the tab stops walk the empty braces of a snippet', () => {
+    const { value, caret } = applySnippet('x = \\fr + 1', 4, 7, '\\frac{}{}');
+    expect(value).toBe('x = \\frac{}{} + 1');
+    expect(caret).toBe(10);
+    const filled = 'x = \\frac{a}{} + 1';
+    expect(nextTabStop(filled, 11)).toBe(13);
+    expect(nextTabStop('\\sqrt{ab} + 1', 7)).toBe(9);
+    expect(nextTabStop('x + 1', 2)).toBe(null);
+    expect(previousTabStop('\\frac{}{}', 8)).toBe(6);
+    expect(previousTabStop('\\frac{}{}', 6)).toBe(null);
+    expect(applySnippet('', 0, 0, '\\alpha')).toEqual({ value: '\\alpha', caret: 6 });
+  });
+});
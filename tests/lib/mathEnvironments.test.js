@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import katex from 'katex';
+import { equationNumbersHtml, katexSourceOf, mathRowsOf } from '../../src/lib/mathEnvironments';
+
+const ALIGN = 'a &= b \\label{eq:a} \\\\\nc &= \\frac{1}{2} \\nonumber \\\\\nd &= e \\tag{$*$} \\\\';
+
+describe('mathEnvironments', () => {
+  it('mathRowsOf numbers each row of align but a single equation', () => {
+    expect(mathRowsOf('align', ALIGN).map(({ numbered, tag }) => ({ numbered, tag }))).toEqual([
+      { numbered: true, tag: null },
+      { numbered: false, tag: null },
+      { numbered: false, tag: '($*$)' },
+    ]);
+    expect(mathRowsOf('align*', 'a \\\\ b').map((r) => r.numbered)).toEqual([false, false]);
+    expect(mathRowsOf('equation', '\\begin{split} a &= b \\\\ &= c \\end{split}')).toHaveLength(1);
+    expect(mathRowsOf('gather', 'x_{\\\\} \\\\[2pt] y').map((r) => r.source)).toEqual(['x_{\\\\} ', '[2pt] y']);
+    expect(mathRowsOf('multline', 'a \\\\ b \\tag*{M}')[0]).toMatchObject({ numbered: false, tag: 'M' });
+  });
+
+  it('katexSourceOf gives KaTeX input that renders every environment', () => {
+    expect(katexSourceOf('align', 'a &= b \\label{x} \\notag')).toBe('\\begin{aligned}a &= b  \\end{aligned}');
+    expect(katexSourceOf('equation', 'E = mc^2 \\tag{1}')).toBe('E = mc^2 ');
+    for (const env of ['align', 'align*', 'gather', 'gather*', 'multline', 'multline*', 'flalign', 'split', 'equation']) {
+      const body = env === 'equation' ? 'x \\label{eq:x}' : ALIGN;
+      expect(() => katex.renderToString(katexSourceOf(env, body), { displayMode: true, throwOnError: true })).not.toThrow();
+    }
+  });
+
+  it('equationNumbersHtml lists one entry per row', () => {
+    const root = document.createElement('div');
+    root.innerHTML = equationNumbersHtml('align', ALIGN, ['4', '5']);
+    expect(Array.from(root.querySelectorAll('.texure-eq-numbers > span')).map((el) => el.className)).toEqual([
+      'texure-eq-number',
+      'texure-eq-blank',
+      'texure-eq-tag',
+    ]);
+    expect(root.querySelector('.texure-eq-number').textContent).toBe('(4)');
+    root.innerHTML = equationNumbersHtml('align', ALIGN);
+    expect(root.querySelector('.texure-eq-number').textContent).toBe('');
+    expect(root.querySelector('.texure-eq-tag').textContent).toBe('($*$)');
+    expect(equationNumbersHtml('gather*', 'a \\\\ b')).toBe('');
+    expect(equationNumbersHtml('split', 'a &= b')).toBe('');
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import {
+  attachFootnote,
+  createFootnoteMarkerHtml,
+  footnoteElementToLatex,
+  footnotesBlockHtml,
+  newFootnoteId,
+  noteElementToLatex,
+  replaceLatexNotes,
+} from '../../src/lib/notes';
+import { latexToHtml, htmlToLatex } from '../../src/lib/latex';
+
+const identity = (s) => s;
+const toDom = (html) => {
+  const div = document.createElement('div');
+  div.innerHTML = html;
+  return div;
+};
+const textChildren = (el) => el.textContent;
+
+describe('note helpers', () => {
+  it('replaceLatexNotes collects footnotes and keeps nested braces and options', () => {
+    const footnotes = [];
+    const out = replaceLatexNotes('A\\footnote{See {x}}. B\\footnote[7]{Two}', { renderFragment: identity, footnotes });
+    expect(footnotes).toEqual([{ id: 'fn-1', html: 'See {x}' }, { id: 'fn-2', html: 'Two' }]);
+    const root = toDom(out);
+    const markers = root.querySelectorAll('sup.texure-footnote');
+    expect(markers).toHaveLength(2);
+    expect(markers[0].getAttribute('data-texure-footnote')).toBe('fn-1');
+    expect(decodeURIComponent(markers[0].getAttribute('data-texure-footnote-latex'))).toBe('See {x}');
+    expect(markers[1].getAttribute('data-texure-note-options')).toBe('7');
+    expect(root.textContent).toBe('A. B');
+  });
+
+  it('replaceLatexNotes renders margin notes and todos as annotations and skips commands without an argument', () => {
+    const root = toDom(
+      replaceLatexNotes('\\marginpar{M} \\marginnote{N} \\todo[inline, color=red]{T} \\todo{U} \\todo x', {
+        renderFragment: identity,
+        emit: identity,
+      }),
+    );
+    const notes = root.querySelectorAll('[data-texure-note]');
+    expect(Array.from(notes).map((n) => [n.className, n.textContent])).toEqual([
+      ['texure-margin-note', 'M'],
+      ['texure-margin-note', 'N'],
+      ['texure-todo texure-todo-inline', 'T'],
+      ['texure-todo', 'U'],
+    ]);
+    expect(notes[2].getAttribute('title')).toBe('\\todo[inline, color=red]');
+    expect(root.textContent.endsWith('\\todo x')).toBe(true);
+  });
+
+  it('footnotesBlockHtml lists footnotes in marker order', () => {
+    const footnotes = [{ id: 'fn-1', html: 'one' }, { id: 'fn-2', html: 'two' }];
+    const html = '<sup data-texure-footnote="fn-2"></sup><sup data-texure-footnote="fn-1"></sup>';
+    const block = toDom(footnotesBlockHtml(footnotes, html)).querySelector('.texure-footnotes');
+    expect(Array.from(block.querySelectorAll('li')).map((li) => li.textContent)).toEqual(['two', 'one']);
+    expect(footnotesBlockHtml([], html)).toBe('');
+    expect(footnotesBlockHtml(footnotes, '')).toBe('');
+  });
+
+  it('footnoteElementToLatex reads the note text, falling back to the rendered source', () => {
+    const root = toDom(
+      '<p>x<sup data-texure-footnote="fn-1" data-texure-footnote-latex="Old"></sup>' +
+        '<sup data-texure-footnote="fn-2" data-texure-note-options="3" data-texure-footnote-latex="%E2%9C%93"></sup></p>' +
+        '<div class="texure-footnotes"><ol><li data-texure-footnote-for="fn-1"> New\n text </li></ol></div>',
+    );
+    const [first, second] = root.querySelectorAll('sup');
+    expect(footnoteElementToLatex(first, root, textChildren)).toBe('\\footnote{New text}');
+    expect(footnoteElementToLatex(second, root, textChildren)).toBe('\\footnote[3]{✓}');
+    second.setAttribute('data-texure-footnote-latex', '%E0%A4%A');
+    expect(footnoteElementToLatex(second, null, textChildren)).toBe('\\footnote[3]{}');
+  });
+
+  it('noteElementToLatex writes the command back with its options', () => {
+    const root = toDom('<span data-texure-note="todo" data-texure-note-options="inline"> Fix\n me </span><span>Plain</span>');
+    const [todo, plain] = root.querySelectorAll('span');
+    expect(noteElementToLatex(todo, textChildren)).toBe('\\todo[inline]{Fix me}');
+    expect(noteElementToLatex(plain, textChildren)).toBe('\\marginpar{Plain}');
+  });
+
+  it('attachFootnote adds the item in marker order and creates the block when needed', () => {
+    const root = toDom(`<p>a${createFootnoteMarkerHtml('fn-1')}b</p>`);
+    const first = attachFootnote(root, root.querySelector('sup'));
+    expect(root.lastElementChild.className).toBe('texure-footnotes');
+    expect(first.getAttribute('data-texure-footnote-for')).toBe('fn-1');
+    expect(first.getAttribute('contenteditable')).toBe('true');
+
+    const id = newFootnoteId(root);
+    expect(id).toBe('fn-2');
+    root.querySelector('p').insertAdjacentHTML('afterbegin', createFootnoteMarkerHtml(id));
+    const second = attachFootnote(root, root.querySelector('sup'));
+    const items = Array.from(root.querySelectorAll('li')).map((li) => li.getAttribute('data-texure-footnote-for'));
+    expect(items).toEqual(['fn-2', 'fn-1']);
+    expect(second.textContent).toBe('');
+
+    root.querySelector('sup').setAttribute('data-texure-footnote', 'fn-3');
+    expect(newFootnoteId(root)).toBe('fn-4');
+  });
+
+  it('round-trips footnotes, margin notes and todos through latexToHtml and htmlToLatex', () => {
+    const src = 'Text\\footnote{A \\textbf{bold} note.} more\\marginpar{Side} and \\todo[inline]{Check $x$}.';
+    const html = latexToHtml(src);
+    const root = toDom(html);
+    expect(root.querySelector('.texure-footnotes li').innerHTML).toContain('<b>bold</b>');
+    expect(root.querySelector('.texure-todo .math-inline')).not.toBeNull();
+    expect(htmlToLatex(html)).toBe(src);
+
+    root.querySelector('.texure-footnotes li').textContent = 'Edited';
+    expect(htmlToLatex(root.innerHTML)).toBe(src.replace('A \\textbf{bold} note.', 'Edited'));
+  });
+
+  it('numbers footnotes from tables and includes in document order', () => {
+    const html = latexToHtml('Intro\\footnote{first}\n\\begin{tabular}{l}cell\\footnote{second}\\\\\\end{tabular}');
+    const root = toDom(html);
+    expect(Array.from(root.querySelectorAll('.texure-footnotes li')).map((li) => li.textContent)).toEqual(['first', 'second']);
+  });
+});
@@ -3,6 +3,10 @@ import {
   inferRequiredPackages,
   ensureUsePackagesInPreamble,
   ensureJustifyWrapperInPreamble,
+  readTexProgram,
+  resolveTexEngine,
+  setTexProgram,
+  suggestTexEngine,
 } from '../../src/lib/preamble';
 
 describe('preamble helpers', () => {
@@ -21,6 +25,51 @@ describe('preamble helpers', () => {
     expect(inferRequiredPackages(body).sort()).toEqual(['graphicx', 'hyperref', 'listings', 'ragged2e'].sort());
   });
 
+  it('inferRequiredPackages asks for amsthm for proofs and the default theorem environments', () => {
+    expect(inferRequiredPackages('\\begin{proof}x\\end{proof}')).toEqual(['amsthm']);
+    expect(inferRequiredPackages('\\begin{lemma}x\\end{lemma}')).toEqual(['amsthm']);
+    expect(inferRequiredPackages('\\begin{claim}x\\end{claim}')).toEqual([]);
+  });
+
+  it('inferRequiredPackages detects booktabs rules and tabularx', () => {
+    expect(inferRequiredPackages('\\begin{tabular}{l}\\hline a\\end{tabular}')).toEqual([]);
+    expect(inferRequiredPackages('\\toprule\n\\cmidrule(lr){1-2}')).toEqual(['booktabs']);
+    expect(inferRequiredPackages('\\begin{tabularx}{\\linewidth}{X}a\\end{tabularx}')).toEqual(['tabularx']);
+  });
+
+  it('inferRequiredPackages detects todonotes and marginnote but not \\marginpar', () => {
+    expect(inferRequiredPackages('\\marginpar{a}')).toEqual([]);
+    expect(inferRequiredPackages('\\todo[inline]{a} \\marginnote{b}')).toEqual(['todonotes', 'marginnote']);
+  });
+
+  it('inferRequiredPackages detects subfigures and [H] placement', () => {
+    expect(inferRequiredPackages('\\begin{figure}[htbp]x\\end{figure}')).toEqual([]);
+    expect(inferRequiredPackages('\\begin{figure}[H]\\begin{subfigure}{0.5\\linewidth}x\\end{subfigure}\\end{figure}')).toEqual(['subcaption', 'float']);
+  });
+
+  it('inferRequiredPackages detects reference packages and keeps cleveref last', () => {
+    expect(inferRequiredPackages('\\autoref{a} \\eqref{b}')).toEqual(['hyperref', 'amsmath']);
+    expect(inferRequiredPackages('\\Cref{a} \\href{x}{y} \\toprule')).toEqual(['hyperref', 'booktabs', 'cleveref']);
+  });
+
+  it('inferRequiredPackages adds natbib for \\citep and \\citet only', () => {
+    expect(inferRequiredPackages('\\cite{a}')).toEqual([]);
+    expect(inferRequiredPackages('\\citep[p.~2]{a} \\citet{b}')).toEqual(['natbib']);
+  });
+
+  it('ensureUsePackagesInPreamble does not add natbib next to biblatex', () => {
+    const preamble = '\\usepackage[style=authoryear]{biblatex}\n\\begin{document}\n';
+    expect(ensureUsePackagesInPreamble(preamble, ['natbib'])).toBe(preamble);
+  });
+
+  it('ensureUsePackagesInPreamble leaves amsthm to classes that load or replace it', () => {
+    for (const cls of ['beamer', 'llncs']) {
+      const preamble = `\\documentclass[11pt]{${cls}}\n\\begin{document}\n`;
+      expect(ensureUsePackagesInPreamble(preamble, ['amsthm'])).toBe(preamble);
+    }
+    expect(ensureUsePackagesInPreamble('% \\documentclass{llncs}\n\\documentclass{article}\n\\begin{document}', ['amsthm'])).toContain('\\usepackage{amsthm}');
+  });
+
   it('ensureUsePackagesInPreamble is a no-op when no packages are wanted', () => {
     expect(ensureUsePackagesInPreamble('\\begin{document}\n', [])).toBe('\\begin{document}\n');
     expect(ensureUsePackagesInPreamble('\\begin{document}\n', null)).toBe('\\begin{document}\n');
@@ -75,4 +124,36 @@ X`;
     expect(ensureJustifyWrapperInPreamble('')).toBe('');
     expect(ensureJustifyWrapperInPreamble(null)).toBe('');
   });
+
+  it('infers fontspec and unicode-math from font commands', () => {
+    expect(inferRequiredPackages('\\setmainfont{TeX Gyre Pagella}\n\\setmathfont{Latin Modern Math}')).toEqual(
+      expect.arrayContaining(['fontspec', 'unicode-math'])
+    );
+  });
+
+  it('reads and writes the % !TEX program magic comment', () => {
+    expect(readTexProgram('% !TEX program = XeLaTeX\n\\documentclass{article}')).toBe('xelatex');
+    expect(readTexProgram('%!TeX TS-program = lualatex')).toBe('lualatex');
+    expect(readTexProgram('% !TEX program = context')).toBeNull();
+    expect(readTexProgram('\n'.repeat(25) + '% !TEX program = xelatex')).toBeNull();
+
+    const doc = '\\documentclass{article}\n';
+    const pinned = setTexProgram(doc, 'xelatex');
+    expect(pinned).toBe('% !TEX program = xelatex\n\\documentclass{article}\n');
+    expect(setTexProgram(pinned, 'lualatex')).toBe('% !TEX program = lualatex\n\\documentclass{article}\n');
+    expect(setTexProgram(pinned, null)).toBe(doc);
+    expect(setTexProgram(doc, null)).toBe(doc);
+  });
+
+  it('suggests a Unicode engine from the packages in use', () => {
+    expect(suggestTexEngine('\\usepackage{amsmath,fontspec}')).toBe('xelatex');
+    expect(suggestTexEngine('\\setmainfont{Libertinus Serif}')).toBe('xelatex');
+    expect(suggestTexEngine('\\usepackage{luacode}\n\\usepackage{fontspec}')).toBe('lualatex');
+    expect(suggestTexEngine('\\directlua{tex.print("hi")}')).toBe('lualatex');
+    expect(suggestTexEngine('% \\usepackage{fontspec}\n\\usepackage{amsmath}')).toBeNull();
+
+    expect(resolveTexEngine('\\usepackage{fontspec}')).toBe('xelatex');
+    expect(resolveTexEngine('% !TEX program = lualatex\n\\usepackage{fontspec}')).toBe('lualatex');
+    expect(resolveTexEngine('\\documentclass{article}')).toBe('pdflatex');
+  });
 });
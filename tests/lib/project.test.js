@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import {
+  extensionOf,
+  isProjectTextFile,
+  dirnameOf,
+  joinProjectPath,
+  findMainDocument,
+  createIncludeResolver,
+  createImageResolver,
+  documentBodyOf,
+  expandIncludes,
+  expandIncludesWithLineMap,
+  buildFileTree,
+  mainBufferPath,
+} from '../../src/lib/project';
+
+const FILES = {
+  'paper/main.tex': '\\documentclass{article}\n\\begin{document}\n\\input{sections/intro}\n% \\input{sections/old}\n\\include{sections/results}\n\\subfile{appendix.tex}\n\\input{missing}\n\\end{document}',
+  'paper/sections/intro.tex': 'Intro text \\input{sections/detail}',
+  'paper/sections/detail.tex': 'Detail',
+  'paper/sections/results.tex': 'Results \\input{sections/results}',
+  'paper/appendix.tex': '\\documentclass[main]{subfiles}\n\\begin{document}\nAppendix\n\\end{document}',
+  'notes/draft.tex': '\\documentclass{article}',
+};
+
+const read = (path) => FILES[path];
+
+describe('project helpers', () => {
+  it('path helpers split extensions and directories and normalise joins', () => {
+    expect(extensionOf('a/b/Main.TEX')).toBe('tex');
+    expect(extensionOf('Makefile')).toBe('');
+    expect(isProjectTextFile('refs.bib')).toBe(true);
+    expect(isProjectTextFile('fig.png')).toBe(false);
+    expect(dirnameOf('a/b/c.tex')).toBe('a/b');
+    expect(dirnameOf('c.tex')).toBe('');
+    expect(joinProjectPath('a/b', './../c.tex')).toBe('a/c.tex');
+    expect(joinProjectPath('', '../c.tex')).toBeNull();
+  });
+
+  it('findMainDocument prefers main-like names, then shallow paths', () => {
+    expect(findMainDocument(FILES)).toBe('paper/main.tex');
+    expect(findMainDocument({ 'b/x.tex': '\\documentclass{a}', 'y.tex': '\\documentclass{a}' })).toBe('y.tex');
+    expect(findMainDocument({ 'part.tex': 'text', 'refs.bib': '' })).toBe('part.tex');
+    expect(findMainDocument({})).toBe('');
+    expect(
+      findMainDocument({
+        'main.tex': '\\documentclass[main.tex]{subfiles}\n\\begin{document}x\\end{document}',
+        'thesis/report.tex': '\\documentclass{report}\n\\begin{document}\\end{document}',
+        'fig.tex': '\\documentclass{standalone}\n\\begin{document}\\end{document}',
+      })
+    ).toBe('thesis/report.tex');
+  });
+
+  it('createImageResolver finds images by path, extension and \\graphicspath', () => {
+    const ids = { 'paper/figs/plot.png': 'a', 'paper/img/logo.jpg': 'b', 'shared/x.png': 'c' };
+    const resolve = createImageResolver(ids, 'paper/main.tex', '% \\graphicspath{{nope/}}\n\\graphicspath{ {img/}{figs/} }');
+    expect(resolve('figs/plot.png')).toBe('a');
+    expect(resolve('figs/plot')).toBe('a');
+    expect(resolve('logo')).toBe('b');
+    expect(resolve('plot')).toBe('a');
+    expect(resolve('shared/x.png')).toBe('c');
+    expect(resolve('figs/plot.pdf')).toBeNull();
+    expect(resolve('')).toBeNull();
+    expect(createImageResolver(ids, 'main.tex')('paper/figs/plot')).toBe('a');
+  });
+
+  it('mainBufferPath points edits of the main document at its buffer unless it is the open file', () => {
+    const buffers = { 'paper/main.tex': { text: FILES['paper/main.tex'] }, 'paper/appendix.tex': { text: '' } };
+    const project = { mainPath: 'paper/main.tex' };
+    expect(mainBufferPath(project, 'paper/appendix.tex', buffers)).toBe('paper/main.tex');
+    expect(mainBufferPath(project, 'paper/main.tex', buffers)).toBe(null);
+    expect(mainBufferPath(project, 'paper/appendix.tex', {})).toBe(null);
+    expect(mainBufferPath(null, 'main.tex', buffers)).toBe(null);
+  });
+
+  it('createIncludeResolver resolves relative to the main document, adding .tex when missing', () => {
+    const resolve = createIncludeResolver('paper/main.tex', read);
+    expect(resolve('sections/intro')).toEqual({ path: 'paper/sections/intro.tex', text: FILES['paper/sections/intro.tex'] });
+    expect(resolve('appendix.tex').path).toBe('paper/appendix.tex');
+    expect(resolve('notes/draft').path).toBe('notes/draft.tex');
+    expect(resolve('missing')).toBeNull();
+    expect(resolve('  ')).toBeNull();
+  });
+
+  it('expandIncludes inlines children recursively, skipping comments, cycles and missing files', () => {
+    const resolve = createIncludeResolver('paper/main.tex', read);
+    const out = expandIncludes(FILES['paper/main.tex'], resolve);
+    expect(out).toContain('Intro text Detail');
+    expect(out).toContain('% \\input{sections/old}');
+    expect(out).toContain('\\clearpage\nResults \\input{sections/results}\n\\clearpage');
+    expect(out).toContain('\nAppendix\n');
+    expect(out).not.toContain('subfiles');
+    expect(out).toContain('\\input{missing}');
+    expect(expandIncludes('\\input{x}', null)).toBe('\\input{x}');
+  });
+
+  it('expandIncludesWithLineMap maps every expanded line back to its file and line', () => {
+    const resolve = createIncludeResolver('paper/main.tex', read);
+    const { text, lines } = expandIncludesWithLineMap(FILES['paper/main.tex'], resolve, 'paper/main.tex');
+    expect(text).toBe(expandIncludes(FILES['paper/main.tex'], resolve));
+    const outLines = text.split('\n');
+    expect(lines).toHaveLength(outLines.length);
+    const at = (needle) => lines[outLines.findIndex((l) => l.startsWith(needle))];
+    expect(at('\\begin{document}')).toEqual({ path: 'paper/main.tex', line: 2 });
+    expect(at('Intro text')).toEqual({ path: 'paper/sections/intro.tex', line: 1 });
+    expect(at('Results')).toEqual({ path: 'paper/sections/results.tex', line: 1 });
+    expect(at('Appendix')).toEqual({ path: 'paper/appendix.tex', line: 3 });
+    expect(at('\\input{missing}')).toEqual({ path: 'paper/main.tex', line: 7 });
+    expect(at('\\end{document}')).toEqual({ path: 'paper/main.tex', line: 8 });
+  });
+
+  it('documentBodyOf returns the document body or the whole fragment', () => {
+    expect(documentBodyOf('pre\\begin{document}body\\end{document}')).toBe('body');
+    expect(documentBodyOf('just text')).toBe('just text');
+  });
+
+  it('buildFileTree nests folders before files in alphabetical order', () => {
+    const tree = buildFileTree(['main.tex', 'sections/b.tex', 'a.bib', 'sections/a.tex', 'fig/x/plot.png']);
+    expect(tree.map((n) => n.name)).toEqual(['fig', 'sections', 'a.bib', 'main.tex']);
+    expect(tree[1].children.map((n) => n.path)).toEqual(['sections/a.tex', 'sections/b.tex']);
+    expect(tree[0].children[0].children[0]).toEqual({ name: 'plot.png', path: 'fig/x/plot.png' });
+    expect(buildFileTree(undefined)).toEqual([]);
+  });
+});
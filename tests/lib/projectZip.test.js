@@ -0,0 +1,138 @@
+import { describe, it, expect, vi } from 'vitest';
+import { strFromU8, strToU8, unzipSync, zipSync } from 'fflate';
+import {
+  buildProjectZip,
+  collectTexureImageIds,
+  imagePathFor,
+  importProjectZip,
+  latexmkrcFor,
+  readProjectZip,
+  rewriteTexureImageRefs,
+} from '../../src/lib/projectZip';
+
+describe('project zip export', () => {
+  it('finds texure-image references and names image files', () => {
+    expect(collectTexureImageIds('\\includegraphics{texure-image:a1}\\includegraphics[width=\\linewidth]{texure-image:b_2}{texure-image:a1}')).toEqual(['a1', 'b_2']);
+    const taken = new Set();
+    expect(imagePathFor({ name: 'My Plot (final).PNG' }, 'x', taken)).toBe('images/My-Plot-final.png');
+    expect(imagePathFor({ name: 'My Plot (final).png' }, 'y', taken)).toBe('images/My-Plot-final-2.png');
+    expect(imagePathFor({ name: '', type: 'image/jpeg' }, '1234567890')).toBe('images/image-12345678.jpg');
+    expect(imagePathFor(null, 'z')).toBe('images/image-z.png');
+    expect(rewriteTexureImageRefs('{texure-image:a}{texure-image:b}', { a: 'images/a.png' })).toBe('{images/a.png}{texure-image:b}');
+  });
+
+  it('writes a latexmkrc for the engine', () => {
+    expect(latexmkrcFor('xelatex', 'main.tex')).toContain('$pdf_mode = 5; # xelatex');
+    expect(latexmkrcFor('unknown', "it's.tex")).toContain("$pdf_mode = 1; # pdflatex\n@default_files = ('it\\'s.tex');");
+  });
+
+  it('bundles text files, materialized images and a latexmkrc', async () => {
+    const getImage = vi.fn(async (id) =>
+      id === 'img1' ? { blob: new Blob([new Uint8Array([137, 80, 78, 71])], { type: 'image/png' }), name: 'plot.png' } : undefined
+    );
+    const { zip, missing } = await buildProjectZip({
+      files: {
+        'paper/main.tex': '\\input{sections/intro}\n\\includegraphics{texure-image:img1}\n\\includegraphics{texure-image:gone}',
+        'paper/sections/intro.tex': 'See \\includegraphics{texure-image:img1}',
+        'paper/refs.bib': '@book{k, title={T}}',
+        'paper/images/plot.png': new Uint8Array([1]),
+      },
+      mainFile: 'paper/main.tex',
+      latexmkrc: 'lualatex',
+      getImage,
+    });
+    expect(missing).toEqual(['gone']);
+    expect(getImage).toHaveBeenCalledTimes(2);
+
+    const out = unzipSync(zip);
+    expect(Object.keys(out).sort()).toEqual([
+      'paper/images/plot-2.png',
+      'paper/images/plot.png',
+      'paper/latexmkrc',
+      'paper/main.tex',
+      'paper/refs.bib',
+      'paper/sections/intro.tex',
+    ]);
+    expect(strFromU8(out['paper/main.tex'])).toBe('\\input{sections/intro}\n\\includegraphics{images/plot-2.png}\n\\includegraphics{texure-image:gone}');
+    expect(strFromU8(out['paper/sections/intro.tex'])).toBe('See \\includegraphics{images/plot-2.png}');
+    expect([...out['paper/images/plot-2.png']]).toEqual([137, 80, 78, 71]);
+    expect([...out['paper/images/plot.png']]).toEqual([1]);
+    expect(strFromU8(out['paper/latexmkrc'])).toContain("@default_files = ('main.tex');");
+  });
+
+  it('keeps an existing latexmkrc and survives storage errors', async () => {
+    const { zip, missing } = await buildProjectZip({
+      files: { 'main.tex': 'texure-image:x', latexmkrc: '$pdf_mode = 4;' },
+      mainFile: 'main.tex',
+      latexmkrc: 'xelatex',
+      getImage: async () => {
+        throw new Error('IndexedDB unavailable');
+      },
+    });
+    expect(missing).toEqual(['x']);
+    expect(strFromU8(unzipSync(zip).latexmkrc)).toBe('$pdf_mode = 4;');
+  });
+
+  it('unpacks archives without metadata, unsafe paths or a wrapping folder', () => {
+    const zip = zipSync({
+      'project-main/main.tex': strToU8('x'),
+      'project-main/figs/a.png': new Uint8Array([1]),
+      'project-main/.latexmkrc': strToU8('$pdf_mode = 5;'),
+      'project-main/.DS_Store': new Uint8Array([0]),
+      '__MACOSX/project-main/._main.tex': new Uint8Array([0]),
+    });
+    expect(Object.keys(readProjectZip(zip)).sort()).toEqual(['.latexmkrc', 'figs/a.png', 'main.tex']);
+    expect(Object.keys(readProjectZip(zipSync({ 'a/main.tex': strToU8('x'), 'b.tex': strToU8('y'), '../evil.tex': strToU8('z') }))).sort()).toEqual([
+      'a/main.tex',
+      'b.tex',
+    ]);
+  });
+
+  it('imports an Overleaf-style archive as project files and stored images', async () => {
+    const zip = zipSync({
+      'main.tex': strToU8('\\documentclass{article}\n\\begin{document}\n\\input{intro}\n\\end{document}'),
+      'intro.tex': strToU8('\\includegraphics{figs/plot}'),
+      'refs.bib': strToU8('@book{k}'),
+      'macros.sty': strToU8('\\newcommand{\\R}{\\mathbb{R}}'),
+      'figs/plot.png': new Uint8Array([137, 80]),
+      'figs/diagram.pdf': new Uint8Array([37, 80]),
+      'figs/broken.jpg': new Uint8Array([255]),
+    });
+    const putImage = vi.fn(async (file) => {
+      if (file.name === 'broken.jpg') throw new Error('IndexedDB unavailable');
+      return { id: `id-${file.name}` };
+    });
+    const out = await importProjectZip(zip.buffer, { putImage, getImage: async () => undefined });
+    expect(out.mainPath).toBe('main.tex');
+    expect(Object.keys(out.texts).sort()).toEqual(['intro.tex', 'macros.sty', 'main.tex', 'refs.bib']);
+    expect(Object.keys(out.binaries).sort()).toEqual(['figs/broken.jpg', 'figs/diagram.pdf', 'figs/plot.png']);
+    expect(out.imageIds).toEqual({ 'figs/plot.png': 'id-plot.png' });
+    expect(putImage.mock.calls[0][0].type).toBe('image/png');
+    expect(putImage).toHaveBeenCalledTimes(2);
+  });
+
+  it('reuses images an earlier import already stored', async () => {
+    const store = new Map();
+    const putImage = vi.fn(async (file, id) => {
+      store.set(id, { blob: file, name: file.name });
+      return { id };
+    });
+    const getImage = async (id) => store.get(id);
+    const zip = zipSync({
+      'main.tex': strToU8('\\documentclass{article}\n\\begin{document}\n\\includegraphics{a}\n\\end{document}'),
+      'a.png': new Uint8Array([137, 80, 1]),
+      'copy/a.png': new Uint8Array([137, 80, 1]),
+      'b.png': new Uint8Array([137, 80, 2]),
+    });
+    const first = await importProjectZip(zip, { putImage, getImage });
+    expect(first.imageIds['a.png']).toMatch(/^zip-[0-9a-f]{64}$/);
+    expect(first.imageIds['copy/a.png']).toBe(first.imageIds['a.png']);
+    expect(first.imageIds['b.png']).not.toBe(first.imageIds['a.png']);
+    expect(putImage).toHaveBeenCalledTimes(2);
+
+    const second = await importProjectZip(zip, { putImage, getImage });
+    expect(second.imageIds).toEqual(first.imageIds);
+    expect(putImage).toHaveBeenCalledTimes(2);
+    expect(store.size).toBe(2);
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildLabelIndex,
+  countCaptions,
+  countNumberedEquations,
+  mathLabelsOf,
+  stripMathLabels,
+  formatReference,
+  findLabelTarget,
+} from '../../src/lib/refs';
+import { readTheoremDefinitions } from '../../src/lib/theorems';
+
+const SAMPLE = `
+\\section{Intro}\\label{sec:intro}
+\\begin{equation}
+a = b \\label{eq:first}
+\\end{equation}
+\\subsection{Detail}
+\\label{sec:detail}
+\\section*{Unnumbered}
+\\label{sec:after-star}
+\\section{Results}
+\\subsection{More}\\label{sec:more}
+\\begin{equation*}x\\label{eq:none}\\end{equation*}
+\\begin{equation}c\\end{equation}
+\\begin{equation}d\\label{eq:third}\\end{equation}
+\\begin{table}
+\\label{tab:early}
+\\caption{One}\\label{tab:one}
+\\end{table}
+\\begin{figure}\\caption{Pic}\\label{fig:pic}\\end{figure}
+\\label{sec:back}
+% \\label{commented}
+\\label{sec:intro}
+`;
+
+describe('refs helpers', () => {
+  it('buildLabelIndex numbers sections, equations and floats in document order', () => {
+    const { labels, duplicates, equations } = buildLabelIndex(SAMPLE);
+    expect(equations).toEqual(['1', '2', '3']);
+    expect(countNumberedEquations(SAMPLE.slice(0, SAMPLE.indexOf('\\begin{equation}c')))).toBe(1);
+    expect(countNumberedEquations('% \\begin{equation}x\\end{equation}\n\\begin{align}a \\\\ b \\nonumber\n\\end{align}')).toBe(1);
+    expect(labels.get('sec:intro')).toEqual({ type: 'section', number: '1' });
+    expect(labels.get('eq:first')).toEqual({ type: 'equation', number: '1' });
+    expect(labels.get('sec:detail')).toEqual({ type: 'subsection', number: '1.1' });
+    expect(labels.get('sec:after-star')).toEqual({ type: 'subsection', number: '1.1' });
+    expect(labels.get('sec:more')).toEqual({ type: 'subsection', number: '2.1' });
+    expect(labels.get('eq:none')).toEqual({ type: 'subsection', number: '2.1' });
+    expect(labels.get('eq:third')).toEqual({ type: 'equation', number: '3' });
+    expect(labels.get('tab:early')).toEqual({ type: 'subsection', number: '2.1' });
+    expect(labels.get('tab:one')).toEqual({ type: 'table', number: '1' });
+    expect(labels.get('fig:pic')).toEqual({ type: 'figure', number: '1' });
+    expect(labels.get('sec:back')).toEqual({ type: 'subsection', number: '2.1' });
+    expect(labels.has('commented')).toBe(false);
+    expect(Array.from(duplicates)).toEqual(['sec:intro']);
+  });
+
+  it('buildLabelIndex numbers subfigures after the enclosing figure', () => {
+    const src = [
+      '\\begin{figure}\\caption{First}\\label{fig:first}\\end{figure}',
+      '\\begin{figure}',
+      '\\begin{subfigure}{0.4\\linewidth}\\caption{A}\\label{fig:a}\\end{subfigure}',
+      '\\begin{subfigure}{0.4\\linewidth}\\caption{B}\\label{fig:b}\\end{subfigure}',
+      '\\caption{Both}\\label{fig:both}',
+      '\\begin{subfigure}{0.4\\linewidth}\\caption{C}\\label{fig:c}\\end{subfigure}',
+      '\\end{figure}',
+    ].join('\n');
+    const { labels, captions } = buildLabelIndex(`${src}\n\\caption{Outside a float}`);
+    expect(captions).toEqual(['1', '2a', '2b', '2', '2c', null]);
+    expect(countCaptions(src.split('\n').slice(0, 3).join('\n'))).toBe(2);
+    expect(countCaptions('% \\caption{x}\n\\caption[Short]{Long}')).toBe(1);
+    expect(labels.get('fig:first')).toEqual({ type: 'figure', number: '1' });
+    expect(labels.get('fig:a')).toEqual({ type: 'figure', number: '2a' });
+    expect(labels.get('fig:b')).toEqual({ type: 'figure', number: '2b' });
+    expect(labels.get('fig:both')).toEqual({ type: 'figure', number: '2' });
+    expect(labels.get('fig:c')).toEqual({ type: 'figure', number: '2c' });
+  });
+
+  it('buildLabelIndex numbers the rows of align and gather', () => {
+    const src = [
+      '\\begin{equation}x\\label{eq:one}\\end{equation}',
+      '\\begin{align}',
+      'a &= b \\label{eq:a} \\\\',
+      'c &= d \\nonumber \\\\',
+      'e &= f \\label{eq:e} \\\\',
+      'g &= h \\tag{$\\star$} \\label{eq:star}',
+      '\\end{align}',
+      '\\begin{gather*}u \\\\ v \\label{eq:unnumbered}\\end{gather*}',
+      '\\begin{equation}\\begin{split}p &= q \\\\ &= r\\end{split}\\label{eq:split}\\end{equation}',
+    ].join('\n');
+    const { labels } = buildLabelIndex(src);
+    expect(labels.get('eq:one')).toEqual({ type: 'equation', number: '1' });
+    expect(labels.get('eq:a')).toEqual({ type: 'equation', number: '2' });
+    expect(labels.get('eq:e')).toEqual({ type: 'equation', number: '3' });
+    expect(labels.get('eq:star')).toEqual({ type: 'equation', number: '$\\star$' });
+    expect(labels.get('eq:unnumbered')).toEqual({ type: 'section', number: '' });
+    expect(labels.get('eq:split')).toEqual({ type: 'equation', number: '4' });
+  });
+
+  it('buildLabelIndex numbers theorem environments from their declarations', () => {
+    const theorems = readTheoremDefinitions('\\newtheorem{theorem}{Theorem}[section]\n\\newtheorem{lemma}[theorem]{Lemma}\n\\newtheorem{conj}{Conjecture}\n\\begin{document}');
+    const src = [
+      '\\section{A}',
+      '\\begin{theorem}\\label{thm:a}x\\end{theorem}',
+      '\\begin{lemma}[Key]\\label{lem:b}y\\end{lemma}',
+      '\\begin{proof}\\label{after}z\\end{proof}',
+      '\\section{B}\\label{sec:b}',
+      '\\begin{conj}\\label{conj:c}\\end{conj}',
+      '\\begin{lemma}\\label{lem:d}\\begin{equation}\\label{eq:in}e\\end{equation}\\end{lemma}',
+    ].join('\n');
+    const { labels, theorems: numbers } = buildLabelIndex(src, theorems);
+    expect(numbers).toEqual(['1.1', '1.2', '1', '2.1']);
+    expect(labels.get('thm:a')).toEqual({ type: 'theorem', number: '1.1', name: 'Theorem' });
+    expect(labels.get('lem:b')).toEqual({ type: 'lemma', number: '1.2', name: 'Lemma' });
+    expect(labels.get('after')).toEqual({ type: 'section', number: '1' });
+    expect(labels.get('conj:c')).toEqual({ type: 'conj', number: '1', name: 'Conjecture' });
+    expect(labels.get('lem:d')).toEqual({ type: 'lemma', number: '2.1', name: 'Lemma' });
+    expect(labels.get('eq:in')).toEqual({ type: 'equation', number: '1' });
+    expect(formatReference('autoref', ['lem:d'], { labels })).toBe('Lemma 2.1');
+    expect(formatReference('Cref', ['conj:c'], { labels })).toBe('Conjecture 1');
+    expect(buildLabelIndex(src).labels.get('thm:a')).toEqual({ type: 'section', number: '1' });
+  });
+
+  it('buildLabelIndex tolerates empty input, blank labels and labels before any section', () => {
+    expect(buildLabelIndex(null).labels.size).toBe(0);
+    const { labels } = buildLabelIndex('\\label{top}\\label{ }\\end{itemize}');
+    expect(labels.get('top')).toEqual({ type: 'section', number: '' });
+    expect(labels.size).toBe(1);
+  });
+
+  it('mathLabelsOf and stripMathLabels handle labels inside math', () => {
+    expect(mathLabelsOf('a \\label{eq:a} + \\label{ eq:b }')).toEqual(['eq:a', 'eq:b']);
+    expect(mathLabelsOf(null)).toEqual([]);
+    expect(stripMathLabels('a = b\\label{eq:a}')).toBe('a = b');
+  });
+
+  it('formatReference renders each command style and flags undefined keys', () => {
+    const index = buildLabelIndex(SAMPLE);
+    expect(formatReference('ref', ['sec:detail'], index)).toBe('1.1');
+    expect(formatReference('eqref', ['eq:first'], index)).toBe('(1)');
+    expect(formatReference('autoref', ['fig:pic'], index)).toBe('Figure 1');
+    expect(formatReference('cref', ['eq:third', 'tab:one'], index)).toBe('eq. 3, table 1');
+    expect(formatReference('Cref', ['sec:intro'], index)).toBe('Section 1');
+    expect(formatReference('ref', ['missing'], index)).toBeNull();
+    expect(formatReference('ref', [], index)).toBeNull();
+  });
+
+  it('findLabelTarget matches one key among several', () => {
+    const root = document.createElement('div');
+    root.innerHTML = '<span data-texure-label="a">a</span><div data-texure-label="eq:x eq:y"></div>';
+    expect(findLabelTarget(root, 'eq:y')).toBe(root.querySelector('div'));
+    expect(findLabelTarget(root, 'a')).toBe(root.querySelector('span'));
+    expect(findLabelTarget(root, 'nope')).toBeNull();
+    expect(findLabelTarget(null, 'a')).toBeNull();
+  });
+});
@@ -44,6 +44,27 @@ describe('sanitizeEditorHtml', () => {
     expect(clean).not.toMatch(/<bad>/i);
   });
 
+  it('keeps table markup and texure table attributes', () => {
+    const dirty = `<table class="texure-table" data-texure-colspec="|l|" data-texure-float="table" onclick="x()"><caption>C</caption><tbody><tr data-texure-rules="hline"><td colspan="2" data-texure-align="c" data-texure-multicolumn-spec="c" style="text-align: center">a</td></tr></tbody></table>`;
+    const clean = sanitizeEditorHtml(dirty);
+    expect(clean).toContain('<caption>C</caption>');
+    expect(clean).toContain('data-texure-colspec="|l|"');
+    expect(clean).toContain('data-texure-float="table"');
+    expect(clean).toContain('<tr data-texure-rules="hline">');
+    expect(clean).toMatch(/<td colspan="2" data-texure-align="c" data-texure-multicolumn-spec="c" style="text-align: center">a<\/td>/);
+    expect(clean).not.toMatch(/onclick/);
+  });
+
+  it('keeps figure markup and texure figure attributes', () => {
+    const dirty = '<figure class="texure-subfigure" data-texure-float="subfigure" data-texure-subfigure-width="0.5\\linewidth" data-texure-subfigure-position="b" style="width: 50%" onclick="x()"><div class="texure-figure-body">a</div><figcaption>C</figcaption></figure>';
+    const clean = sanitizeEditorHtml(dirty);
+    expect(clean).toContain('<figcaption>C</figcaption>');
+    expect(clean).toContain('data-texure-subfigure-width="0.5\\linewidth"');
+    expect(clean).toContain('data-texure-subfigure-position="b"');
+    expect(clean).toContain('style="width: 50%"');
+    expect(clean).not.toMatch(/onclick/);
+  });
+
   it('removes style attribute when nothing is allowed', () => {
     const dirty = `<p style="position: fixed;">x</p>`;
     const clean = sanitizeEditorHtml(dirty);
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { environmentFoldRange } from '../../src/lib/sourceFolding';
+
+const lineAt = (text, n) => {
+  const lines = text.split('\n');
+  const start = lines.slice(0, n).reduce((acc, l) => acc + l.length + 1, 0);
+  return [start, start + lines[n].length];
+};
+
+describe('environmentFoldRange', () => {
+  const doc = [
+    '\\begin{itemize}',
+    '  \\item a',
+    '  \\begin{itemize}',
+    '    \\item b',
+    '  \\end{itemize}',
+    '\\end{itemize}',
+    '\\begin{center}x\\end{center}',
+    '\\begin{quote}',
+    '\\end{quote}',
+    '% \\begin{figure}',
+    '\\begin{broken}',
+  ].join('\n');
+
+  it('folds from the end of the \\begin line to the line before the matching \\end', () => {
+    const [s0, e0] = lineAt(doc, 0);
+    const [s5] = lineAt(doc, 5);
+    expect(environmentFoldRange(doc, s0, e0)).toEqual({ from: e0, to: s5 - 1 });
+    const [s2, e2] = lineAt(doc, 2);
+    const [s4] = lineAt(doc, 4);
+    expect(environmentFoldRange(doc, s2, e2)).toEqual({ from: e2, to: s4 - 1 });
+  });
+
+  it('returns null for single-line, adjacent, commented or unterminated environments', () => {
+    for (const n of [1, 6, 7, 9, 10]) {
+      const [s, e] = lineAt(doc, n);
+      expect(environmentFoldRange(doc, s, e)).toBeNull();
+    }
+    expect(environmentFoldRange('', 0, 0)).toBeNull();
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import katex from 'katex';
+import { PALETTE_SYMBOLS, SYMBOL_CATEGORIES } from '../../src/constants/symbols';
+import {
+  FAVORITE_SYMBOLS_KEY,
+  MAX_RECENT_SYMBOLS,
+  loadFavoriteSymbols,
+  loadRecentSymbols,
+  pushRecentSymbol,
+  searchSymbols,
+  toggleFavoriteSymbol,
+} from '../../src/lib/symbolPalette';
+
+describe('symbol palette catalog', () => {
+  it('covers the AMS set and the letter alphabets, and KaTeX renders every entry', () => {
+    expect(SYMBOL_CATEGORIES.map((c) => c.id)).toEqual(
+      expect.arrayContaining(['greek', 'relations', 'arrows', 'accents', 'delimiters', 'blackboard', 'calligraphic', 'fraktur']),
+    );
+    expect(PALETTE_SYMBOLS.length).toBeGreaterThan(350);
+    const cmds = PALETTE_SYMBOLS.map((s) => s.cmd);
+    expect(new Set(cmds).size).toBe(cmds.length);
+    expect(cmds).toEqual(expect.arrayContaining(['\\leqslant', '\\twoheadrightarrow', '\\mathbb{R}', '\\mathfrak{G}', '\\widehat{}']));
+    for (const sym of PALETTE_SYMBOLS) {
+      expect(() => katex.renderToString(sym.preview || sym.cmd, { throwOnError: true })).not.toThrow();
+    }
+  });
+});
+
+describe('searchSymbols', () => {
+  it('ranks names, then spoken keywords, then loose matches', () => {
+    expect(searchSymbols('leq')[0].cmd).toBe('\\leq');
+    expect(searchSymbols('\\Delta')[0].cmd).toBe('\\Delta');
+    expect(searchSymbols('delta')[0].cmd).toBe('\\delta');
+    expect(searchSymbols('less than').map((s) => s.cmd)).toContain('\\leq');
+    expect(searchSymbols('union')[0].cmd).toBe('\\cup');
+    expect(searchSymbols('lsim').map((s) => s.cmd)).toContain('\\lesssim');
+    expect(searchSymbols('blackboard').some((s) => s.cmd === '\\mathbb{R}')).toBe(true);
+    expect(searchSymbols('  ')).toEqual([]);
+    expect(searchSymbols('qqqq')).toEqual([]);
+  });
+});
+
+describe('recent and favorite symbols', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('keeps the most recent symbols first without duplicates', () => {
+    pushRecentSymbol('\\alpha');
+    pushRecentSymbol('\\beta');
+    expect(pushRecentSymbol('\\alpha')).toEqual(['\\alpha', '\\beta']);
+    for (let i = 0; i < 20; i += 1) pushRecentSymbol(`\\x${i}`);
+    expect(loadRecentSymbols()).toHaveLength(MAX_RECENT_SYMBOLS);
+    expect(loadRecentSymbols()[0]).toBe('\\x19');
+  });
+
+  it('toggles favorites and tolerates corrupt storage', () => {
+    expect(toggleFavoriteSymbol('\\infty')).toEqual(['\\infty']);
+    expect(loadFavoriteSymbols()).toEqual(['\\infty']);
+    expect(toggleFavoriteSymbol('\\infty')).toEqual([]);
+    localStorage.setItem(FAVORITE_SYMBOLS_KEY, '{bad');
+    expect(loadFavoriteSymbols()).toEqual([]);
+  });
+});
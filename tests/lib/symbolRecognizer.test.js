@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { SYMBOL_TEMPLATES, recognizeSymbol } from '../../src/lib/symbolRecognizer';
+
+// Redraws a template the way a hand would: scaled, shifted, densely sampled and slightly shaky.
+const sketch = (strokes, seed = 1) => {
+  let s = seed;
+  const rnd = () => ((s = (s * 16807) % 2147483647) / 2147483647);
+  const size = 60 + rnd() * 80;
+  const ox = rnd() * 200;
+  const oy = rnd() * 200;
+  return strokes.map((stroke) => {
+    const points = [];
+    for (let i = 0; i < stroke.length - 1; i += 1) {
+      for (let t = 0; t < 1; t += 0.25) points.push([stroke[i][0] + (stroke[i + 1][0] - stroke[i][0]) * t, stroke[i][1] + (stroke[i + 1][1] - stroke[i][1]) * t]);
+    }
+    points.push(stroke[stroke.length - 1]);
+    return points.map(([x, y]) => ({ x: ox + x * size + (rnd() - 0.5) * size * 0.04, y: oy + y * size + (rnd() - 0.5) * size * 0.04 }));
+  });
+};
+
+describe('recognizeSymbol', () => {
+  it('recognizes sketches of the built-in templates', () => {
+    for (const cmd of ['+', '\\times', '\\infty', '\\int', '\\sum', '\\leq', '\\rightarrow', '\\in', '\\subset', '\\emptyset', '\\alpha', '\\nabla']) {
+      const [best] = recognizeSymbol(sketch(SYMBOL_TEMPLATES[cmd], cmd.length + 3));
+      expect(best.cmd).toBe(cmd);
+    }
+  });
+
+  it('returns ranked candidates and nothing for an empty pad', () => {
+    const results = recognizeSymbol([[{ x: 0, y: 10 }, { x: 50, y: 10 }]], 3);
+    expect(results).toHaveLength(3);
+    expect(results[0].cmd).toBe('-');
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+    expect(recognizeSymbol([])).toEqual([]);
+    expect(recognizeSymbol([[{ x: 5, y: 5 }]])).toHaveLength(5);
+  });
+});
@@ -0,0 +1,232 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseColumnSpec,
+  buildColumnSpec,
+  parseTabularBody,
+  replaceLatexTables,
+  tableElementToLatex,
+  createTableHtml,
+  insertTableRow,
+  deleteTableRow,
+  insertTableColumn,
+  deleteTableColumn,
+  mergeTableCells,
+  setTableColumnAlign,
+  isBooktabsTable,
+  toggleTableBooktabs,
+} from '../../src/lib/tables';
+
+const identity = (s) => s;
+const toDom = (html) => {
+  const div = document.createElement('div');
+  div.innerHTML = html;
+  return div.querySelector('table');
+};
+const textChildren = (el) => el.textContent;
+
+describe('table helpers', () => {
+  it('parseColumnSpec reads alignment, widths, vertical rules and repeats', () => {
+    const { columns, trailingRules } = parseColumnSpec('|l|c||p{3cm}|');
+    expect(columns.map((c) => c.align)).toEqual(['l', 'c', 'l']);
+    expect(columns.map((c) => c.rulesBefore)).toEqual([1, 1, 2]);
+    expect(columns[2]).toMatchObject({ type: 'p', width: '3cm' });
+    expect(trailingRules).toBe(1);
+
+    expect(parseColumnSpec('*{3}{c}r').columns.map((c) => c.type)).toEqual(['c', 'c', 'c', 'r']);
+    expect(parseColumnSpec('@{}l>{\\bfseries}X@{}').columns.map((c) => c.type)).toEqual(['l', 'X']);
+  });
+
+  it('buildColumnSpec is the inverse of parseColumnSpec', () => {
+    expect(buildColumnSpec(parseColumnSpec('|l|c|p{2cm}|'))).toBe('|l|c|p{2cm}|');
+    expect(buildColumnSpec({ columns: [{ type: 'p' }] })).toBe('p{3cm}');
+    expect(buildColumnSpec()).toBe('');
+  });
+
+  it('parseTabularBody splits rows, cells, rules and multicolumns', () => {
+    const body = `
+\\toprule
+A & \\multicolumn{2}{c|}{\\textbf{B}} \\\\ \\midrule
+\\cmidrule(lr){2-3}
+x \\& y & {a & b} & 3 \\\\[2pt]
+% a comment & with ampersand
+\\bottomrule
+`;
+    const { rows, rulesAfter } = parseTabularBody(body);
+    expect(rows).toHaveLength(2);
+    expect(rows[0].rules).toEqual(['toprule']);
+    expect(rows[0].cells[1]).toEqual({ content: '\\textbf{B}', colspan: 2, spec: 'c|' });
+    expect(rows[1].rules).toEqual(['midrule', 'cmidrule(lr){2-3}']);
+    expect(rows[1].cells.map((c) => c.content)).toEqual(['x \\& y', '{a & b}', '3']);
+    expect(rulesAfter).toEqual(['bottomrule']);
+  });
+
+  it('parseTabularBody keeps a final row without a trailing \\\\', () => {
+    const { rows, rulesAfter } = parseTabularBody('a & b \\\\ c & d');
+    expect(rows.map((r) => r.cells.map((c) => c.content))).toEqual([['a', 'b'], ['c', 'd']]);
+    expect(rulesAfter).toEqual([]);
+  });
+
+  it('replaceLatexTables converts bare tabulars and leaves surrounding text intact', () => {
+    const html = replaceLatexTables('before \\begin{tabular}{|l|r|}\\hline a & b \\\\ \\hline\\end{tabular} after', {
+      renderFragment: identity,
+    });
+    expect(html.startsWith('before <table class="texure-table not-prose"')).toBe(true);
+    expect(html.endsWith('</table> after')).toBe(true);
+    const table = toDom(html);
+    expect(table.getAttribute('data-texure-colspec')).toBe('|l|r|');
+    expect(table.getAttribute('data-texure-rules-after')).toBe('hline');
+    const cells = table.querySelectorAll('td');
+    expect(cells[0].className).toBe('texure-vrule-left');
+    expect(cells[1].className).toBe('texure-vrule-left texure-vrule-right');
+    expect(cells[1].style.textAlign).toBe('right');
+    expect(table.querySelector('tr').getAttribute('data-texure-rules')).toBe('hline');
+  });
+
+  it('replaceLatexTables converts table floats with caption, placement and centering', () => {
+    const src = '\\begin{table}[ht]\n\\centering\n\\begin{tabularx}{\\linewidth}{lX}\na & b \\\\\n\\end{tabularx}\n\\caption{Results}\n\\end{table}';
+    const table = toDom(replaceLatexTables(src, { renderFragment: identity }));
+    expect(table.getAttribute('data-texure-env')).toBe('tabularx');
+    expect(table.getAttribute('data-texure-width')).toBe('\\linewidth');
+    expect(table.getAttribute('data-texure-float')).toBe('table');
+    expect(table.getAttribute('data-texure-float-placement')).toBe('ht');
+    expect(table.getAttribute('data-texure-centering')).toBe('true');
+    expect(table.getAttribute('data-texure-caption-position')).toBe('bottom');
+    expect(table.querySelector('caption').textContent).toBe('Results');
+
+    // The caption number is the entry of `numbers` for the captions before it.
+    const numbered = toDom(replaceLatexTables(`\\caption{x} ${src}`, {
+      renderFragment: identity,
+      numbers: ['1', '2'],
+      ordinalAt: (before) => (before.match(/\\caption/g) || []).length,
+    }));
+    expect(numbered.querySelector('caption .texure-caption-number').textContent).toBe('Table 2:');
+    expect(numbered.querySelector('caption').textContent).toBe('Table 2: Results');
+  });
+
+  it('replaceLatexTables leaves floats without a tabular untouched and uses emit', () => {
+    const src = '\\begin{table}x\\end{table} \\begin{tabular}{l}a\\end{tabular}';
+    const out = replaceLatexTables(src, { renderFragment: identity, emit: () => 'TABLE' });
+    expect(out).toBe('\\begin{table}x\\end{table} TABLE');
+  });
+
+  it('tableElementToLatex serializes a float with caption and rules', () => {
+    const src = '\\begin{table}[h]\n\\caption{Top}\n\\begin{tabular}{|l|c|}\n\\hline\nA & \\multicolumn{1}{r}{B} \\\\\n\\hline\n\\end{tabular}\n\\end{table}';
+    const table = toDom(replaceLatexTables(src, { renderFragment: identity }));
+    expect(tableElementToLatex(table, textChildren)).toBe(
+      '\\begin{table}[h]\n\\caption{Top}\n\\begin{tabular}{|l|c|}\n\\hline\nA & \\multicolumn{1}{r}{B} \\\\\n\\hline\n\\end{tabular}\n\\end{table}',
+    );
+  });
+
+  it('tableElementToLatex rebuilds the column spec for plain HTML tables', () => {
+    const table = toDom('<table><tr><td style="text-align: center">a</td><td colspan="2">b</td></tr><tr><td>1</td><td style="text-align:right">2</td><td>3</td></tr></table>');
+    expect(tableElementToLatex(table, textChildren)).toBe(
+      '\\begin{tabular}{crl}\na & \\multicolumn{2}{l}{b} \\\\\n1 & 2 & 3 \\\\\n\\end{tabular}',
+    );
+  });
+
+  it('tableElementToLatex defaults the width for tabularx without one', () => {
+    const table = toDom('<table data-texure-env="tabularx" data-texure-colspec="X"><tr><td>a</td></tr></table>');
+    expect(tableElementToLatex(table, textChildren)).toBe('\\begin{tabularx}{\\linewidth}{X}\na \\\\\n\\end{tabularx}');
+  });
+});
+
+describe('table editing commands', () => {
+  const fromLatex = (latex) => toDom(replaceLatexTables(latex, { renderFragment: identity }));
+  const latexOf = (table) => tableElementToLatex(table, textChildren);
+  const cellAt = (table, r, c) => table.rows[r].cells[c];
+
+  it('createTableHtml builds an empty ruled grid with editable cells', () => {
+    const table = toDom(createTableHtml(2, 3));
+    expect(table.rows).toHaveLength(2);
+    expect(table.rows[0].cells).toHaveLength(3);
+    expect(cellAt(table, 0, 0).innerHTML).toBe('<br>');
+    expect(latexOf(table)).toBe('\\begin{tabular}{|l|l|l|}\n\\hline\n& & \\\\\n\\hline\n& & \\\\\n\\hline\n\\end{tabular}');
+    expect(toDom(createTableHtml('x', 999)).rows[0].cells).toHaveLength(26);
+  });
+
+  it('insertTableRow keeps uniform rules and shifts booktabs rules', () => {
+    const ruled = fromLatex('\\begin{tabular}{l}\\hline a \\\\ \\hline\\end{tabular}');
+    const added = insertTableRow(cellAt(ruled, 0, 0), 'below');
+    expect(added).toBe(cellAt(ruled, 1, 0));
+    expect(latexOf(ruled)).toBe('\\begin{tabular}{l}\n\\hline\na \\\\\n\\hline\n\\\\\n\\hline\n\\end{tabular}');
+
+    const booktabs = fromLatex('\\begin{tabular}{l}\\toprule H \\\\ \\midrule x \\\\ \\bottomrule\\end{tabular}');
+    insertTableRow(cellAt(booktabs, 0, 0), 'below');
+    expect(latexOf(booktabs)).toBe('\\begin{tabular}{l}\n\\toprule\nH \\\\\n\\midrule\n\\\\\nx \\\\\n\\bottomrule\n\\end{tabular}');
+    insertTableRow(cellAt(booktabs, 0, 0), 'above');
+    expect(booktabs.rows[0].getAttribute('data-texure-rules')).toBe('toprule');
+    expect(booktabs.rows[1].hasAttribute('data-texure-rules')).toBe(false);
+    expect(insertTableRow(document.createElement('td'))).toBeNull();
+  });
+
+  it('deleteTableRow removes rows, moves leading rules and drops the last row table', () => {
+    const table = fromLatex('\\begin{tabular}{l}\\toprule H \\\\ \\midrule x \\\\ \\end{tabular}');
+    expect(deleteTableRow(cellAt(table, 0, 0))).toBe(true);
+    expect(table.rows[0].getAttribute('data-texure-rules')).toBe('toprule');
+    const wrapper = table.parentElement;
+    expect(deleteTableRow(cellAt(table, 0, 0))).toBe(true);
+    expect(wrapper.querySelector('table')).toBeNull();
+    expect(deleteTableRow(null)).toBe(false);
+  });
+
+  it('insertTableColumn extends the spec and widens spanning cells', () => {
+    const table = fromLatex('\\begin{tabular}{|l|r|}\\multicolumn{2}{|c|}{H} \\\\ a & b \\\\ \\end{tabular}');
+    const added = insertTableColumn(cellAt(table, 1, 0), 'right');
+    expect(added).toBe(cellAt(table, 1, 1));
+    expect(table.getAttribute('data-texure-colspec')).toBe('|l|l|r|');
+    expect(cellAt(table, 0, 0).getAttribute('colspan')).toBe('3');
+    expect(added.className).toBe('texure-vrule-left');
+    insertTableColumn(cellAt(table, 1, 0), 'left');
+    expect(table.getAttribute('data-texure-colspec')).toBe('|l|l|l|r|');
+    expect(table.rows[0].cells).toHaveLength(2);
+    expect(cellAt(table, 0, 1).getAttribute('colspan')).toBe('3');
+    expect(insertTableColumn(null)).toBeNull();
+  });
+
+  it('deleteTableColumn shrinks spans, keeps the outer rule and drops single-column tables', () => {
+    const table = fromLatex('\\begin{tabular}{|l|c|r|}\\multicolumn{2}{c}{H} & x \\\\ a & b & c \\\\ \\end{tabular}');
+    expect(deleteTableColumn(cellAt(table, 1, 0))).toBe(true);
+    expect(table.getAttribute('data-texure-colspec')).toBe('|c|r|');
+    expect(cellAt(table, 0, 0).hasAttribute('colspan')).toBe(false);
+    expect(latexOf(table)).toContain('\\multicolumn{1}{c}{H} & x');
+
+    const single = fromLatex('\\begin{tabular}{l}a \\\\ \\end{tabular}');
+    const wrapper = single.parentElement;
+    expect(deleteTableColumn(cellAt(single, 0, 0))).toBe(true);
+    expect(wrapper.querySelector('table')).toBeNull();
+    expect(deleteTableColumn(null)).toBe(false);
+  });
+
+  it('mergeTableCells joins neighbours into a centred multicolumn', () => {
+    const table = fromLatex('\\begin{tabular}{|l|l|l|}a & b & c \\\\ \\end{tabular}');
+    expect(mergeTableCells(cellAt(table, 0, 1))).toBe(true);
+    expect(latexOf(table)).toContain('a & \\multicolumn{2}{c|}{b c} \\\\');
+    expect(mergeTableCells(cellAt(table, 0, 1))).toBe(false);
+    expect(mergeTableCells(cellAt(table, 0, 0))).toBe(true);
+    expect(latexOf(table)).toContain('\\multicolumn{3}{|c|}{a b c}');
+  });
+
+  it('setTableColumnAlign updates the column spec or the multicolumn spec', () => {
+    const table = fromLatex('\\begin{tabular}{|p{2cm}|l|}\\multicolumn{2}{|c|}{H} \\\\ a & b \\\\ \\end{tabular}');
+    expect(setTableColumnAlign(cellAt(table, 1, 0), 'r')).toBe(true);
+    expect(table.getAttribute('data-texure-colspec')).toBe('|r|l|');
+    expect(cellAt(table, 1, 0).style.textAlign).toBe('right');
+    setTableColumnAlign(cellAt(table, 0, 0), 'l');
+    expect(cellAt(table, 0, 0).getAttribute('data-texure-multicolumn-spec')).toBe('|l|');
+    expect(setTableColumnAlign(cellAt(table, 1, 0), 'x')).toBe(false);
+  });
+
+  it('toggleTableBooktabs switches between booktabs and hline rules', () => {
+    const table = toDom(createTableHtml(3, 2));
+    expect(isBooktabsTable(table)).toBe(false);
+    expect(toggleTableBooktabs(table)).toBe(true);
+    expect(isBooktabsTable(table)).toBe(true);
+    expect(latexOf(table)).toBe('\\begin{tabular}{ll}\n\\toprule\n& \\\\\n\\midrule\n& \\\\\n& \\\\\n\\bottomrule\n\\end{tabular}');
+    expect(cellAt(table, 0, 0).hasAttribute('class')).toBe(false);
+
+    const withCmid = fromLatex('\\begin{tabular}{ll}\\toprule a & b \\\\ \\cmidrule(lr){1-2} c & d \\\\ \\bottomrule\\end{tabular}');
+    toggleTableBooktabs(withCmid);
+    expect(latexOf(withCmid)).toBe('\\begin{tabular}{ll}\n\\hline\na & b \\\\\n\\cline{1-2}\nc & d \\\\\n\\hline\n\\end{tabular}');
+    expect(toggleTableBooktabs(null)).toBe(false);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { countDiagnostics, isDocumentFile, parseTexLog } from '../../src/lib/texlog';
+
+const LOG = [
+  'This is pdfTeX, Version 3.141592653-2.6-1.40.25 (TeX Live 2023) (preloaded format=pdflatex)',
+  '(./main.tex',
+  'LaTeX2e <2022-11-01> patch level 1',
+  '(/usr/local/texlive/2023/texmf-dist/tex/latex/base/article.cls',
+  'Document Class: article 2022/07/02 v1.4n Standard LaTeX document class',
+  '(/usr/local/texlive/2023/texmf-dist/tex/latex/base/size10.clo))',
+  '(/usr/local/texlive/2023/texmf-dist/tex/latex/natbib/natbib.sty)',
+  'Package hyperref Info: Option `colorlinks\' set `true\' on input line 4.',
+  'No file main.aux.',
+  '',
+  'LaTeX Font Warning: Font shape `OT1/cmr/bx/sc\' undefined',
+  '(Font)              using `OT1/cmr/bx/n\' instead on input line 9.',
+  '',
+  '(./chapters/intro.tex',
+  'Package natbib Warning: Citation `knuth84\' on page 1 undefined on input line 3.',
+  '',
+  '',
+  'Overfull \\hbox (15.0pt too wide) in paragraph at lines 5--7',
+  '[]\\OT1/cmr/m/n/10 A very long line (with parentheses',
+  '',
+  ')',
+  'LaTeX Warning: Reference `fig:plot\' on page 1 undefined on input line 12.',
+  '',
+  '! Undefined control sequence.',
+  'l.14 \\foo',
+  '          (bar',
+  'The control sequence at the end of the top line',
+  '',
+  'Underfull \\vbox (badness 10000) has occurred while \\output is active',
+  '',
+  'LaTeX Warning: There were undefined references.',
+  '',
+  ')',
+].join('\n');
+
+describe('texlog', () => {
+  it('parses errors, warnings and info with file and line', () => {
+    const entries = parseTexLog(LOG);
+    const find = (text) => entries.find((e) => e.message.includes(text));
+
+    expect(find('Undefined control sequence')).toEqual({
+      level: 'error',
+      message: 'Undefined control sequence.',
+      file: './main.tex',
+      line: 14,
+      context: '\\foo',
+    });
+    expect(find('Citation `knuth84')).toMatchObject({
+      level: 'warning',
+      file: './chapters/intro.tex',
+      line: 3,
+      source: 'Package natbib',
+    });
+    expect(find('Citation `knuth84').message).toBe("Citation `knuth84' on page 1 undefined");
+    expect(find('Reference `fig:plot')).toMatchObject({ level: 'warning', file: './main.tex', line: 12, source: 'LaTeX' });
+    expect(find('Font shape')).toMatchObject({ level: 'warning', line: 9, source: 'LaTeX Font' });
+    expect(find('Font shape').message).toBe("Font shape `OT1/cmr/bx/sc' undefined using `OT1/cmr/bx/n' instead");
+    expect(find('Overfull')).toMatchObject({ level: 'warning', file: './chapters/intro.tex', line: 5 });
+    expect(find('Underfull')).toMatchObject({ level: 'info', file: './main.tex', line: null });
+    expect(find('Option `colorlinks')).toMatchObject({ level: 'info', line: 4 });
+    expect(find('No file main.aux.')).toMatchObject({ level: 'info' });
+    expect(find('There were undefined references')).toMatchObject({ level: 'warning', line: null });
+  });
+
+  it('joins hard-wrapped lines and skips duplicates', () => {
+    const first = `! LaTeX Error: ${'x'.repeat(79 - 15)}`;
+    const log = [first, 'continued.', '', 'l.2 \\begin{foo}', '', first, 'continued.', '', 'l.2 \\begin{foo}'].join('\n');
+    const entries = parseTexLog(log);
+    expect(entries).toHaveLength(1);
+    expect(entries[0].message).toBe(`LaTeX Error: ${'x'.repeat(64)}continued.`);
+    expect(entries[0].line).toBe(2);
+  });
+
+  it('handles errors without a context line and other warnings', () => {
+    const entries = parseTexLog([
+      '! Emergency stop.',
+      '<*> main.tex',
+      'Missing character: There is no ^^e9 in font cmr10!',
+      'pdfTeX warning (ext4): destination with the same identifier (name{page.1}) has been already used, duplicate ignored',
+    ].join('\n'));
+    expect(entries.map((e) => e.level)).toEqual(['error', 'warning', 'warning']);
+    expect(entries[0]).toMatchObject({ message: 'Emergency stop.', line: null, file: null });
+    expect(entries[2].source).toBe('pdfTeX');
+    expect(parseTexLog('')).toEqual([]);
+  });
+
+  it('counts levels and recognises document files', () => {
+    expect(countDiagnostics(parseTexLog(LOG))).toEqual({ error: 1, warning: 5, info: 3 });
+    expect(countDiagnostics(null)).toEqual({ error: 0, warning: 0, info: 0 });
+    expect(isDocumentFile('./chapters/intro.tex')).toBe(true);
+    expect(isDocumentFile(null)).toBe(true);
+    expect(isDocumentFile('/usr/local/texlive/2023/texmf-dist/tex/latex/base/article.cls')).toBe(false);
+    expect(isDocumentFile('/usr/share/texmf/tex/foo.tex')).toBe(false);
+    expect(isDocumentFile('./main.aux')).toBe(false);
+  });
+});
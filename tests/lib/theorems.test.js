@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_THEOREMS,
+  classTheoremsOf,
+  createTheoremHtml,
+  ensureTheoremDeclarations,
+  readTheoremDefinitions,
+  replaceLatexTheorems,
+  theoremElementToLatex,
+} from '../../src/lib/theorems';
+
+const PREAMBLE = `\\documentclass{article}
+\\usepackage{amsthm}
+\\newtheorem{thm}{Theorem}[section]
+\\newtheorem{lem}[thm]{Lemma}
+% \\newtheorem{ignored}{Ignored}
+\\theoremstyle{definition}
+\\newtheorem{defn}{Definition}
+\\newtheorem*{note}{Note}
+\\theoremstyle{remark}
+\\newtheorem{rem}{Remark}
+\\begin{document}
+\\end{document}`;
+
+describe('theorems', () => {
+  it('readTheoremDefinitions reads \\newtheorem declarations and their styles', () => {
+    const defs = readTheoremDefinitions(PREAMBLE);
+    expect(defs.thm).toMatchObject({ title: 'Theorem', style: 'plain', numbered: true, counter: 'thm', within: 'section' });
+    expect(defs.lem).toMatchObject({ title: 'Lemma', counter: 'thm', within: 'section' });
+    expect(defs.defn).toMatchObject({ title: 'Definition', style: 'definition', counter: 'defn', within: null });
+    expect(defs.note).toMatchObject({ title: 'Note', style: 'definition', numbered: false });
+    expect(defs.rem).toMatchObject({ style: 'remark', counter: 'rem' });
+    expect(defs.proof).toMatchObject({ title: 'Proof', style: 'proof', numbered: false });
+    expect(defs.ignored).toBeUndefined();
+    // Undeclared defaults stay available and share the theorem counter.
+    expect(defs.lemma).toMatchObject({ title: 'Lemma', counter: 'theorem', within: null });
+  });
+
+  it('readTheoremDefinitions falls back to the defaults without a preamble', () => {
+    const defs = readTheoremDefinitions('\\begin{theorem}x\\end{theorem}');
+    expect(Object.keys(defs).sort()).toEqual([...DEFAULT_THEOREMS.map((d) => d.env), 'proof'].sort());
+    expect(new Set(DEFAULT_THEOREMS.map((d) => defs[d.env].counter))).toEqual(new Set(['theorem']));
+  });
+
+  it('replaceLatexTheorems renders numbered blocks with notes and a proof head', () => {
+    const defs = readTheoremDefinitions(PREAMBLE);
+    const html = replaceLatexTheorems('A \\begin{lem}[Key $x$]\nBody \\begin{proof}Inner\\end{proof}\n\\end{lem} \\begin{proof}[Sketch]Done\\end{proof} \\begin{unknown}u\\end{unknown}', {
+      renderFragment: (s, before) => `«${s}»${before == null ? '' : `after[${before}]`}`,
+      definitions: defs,
+      numbers: ['1.1', '1.2'],
+      ordinalAt: (before) => (before.match(/\\begin\{lem\}/g) || []).length,
+    });
+    const div = document.createElement('div');
+    div.innerHTML = html;
+    const [lemma, proof] = div.querySelectorAll(':scope > .texure-theorem');
+    expect(lemma.getAttribute('data-texure-theorem')).toBe('lem');
+    expect(lemma.getAttribute('data-texure-theorem-number')).toBe('1.1');
+    expect(lemma.getAttribute('data-texure-theorem-note')).toBe('Key $x$');
+    expect(lemma.querySelector('.texure-theorem-head').textContent).toBe('Lemma 1.1 («Key $x$»).');
+    // The body learns the source before it, to number its own environments.
+    expect(lemma.textContent).toContain('«Body \\begin{proof}Inner\\end{proof}»after[A \\begin{lem}[Key $x$]]');
+    expect(proof.getAttribute('data-texure-theorem-style')).toBe('proof');
+    expect(proof.hasAttribute('data-texure-theorem-number')).toBe(false);
+    expect(proof.querySelector('.texure-theorem-head').textContent).toBe('«Sketch».');
+    expect(html).toContain('\\begin{unknown}u\\end{unknown}');
+  });
+
+  it('theoremElementToLatex writes the environment back without the head', () => {
+    const div = document.createElement('div');
+    div.innerHTML = createTheoremHtml(readTheoremDefinitions('').theorem).replace('<br>', 'Every <b>x</b>');
+    const el = div.firstChild;
+    el.setAttribute('data-texure-theorem-note', 'Main');
+    const renderNodes = (nodes) => nodes.map((n) => n.textContent).join('');
+    expect(theoremElementToLatex(el, renderNodes)).toBe('\\begin{theorem}[Main]\nEvery x\n\\end{theorem}');
+  });
+
+  it('ensureTheoremDeclarations declares the default environments a document uses', () => {
+    const preamble = '\\documentclass{article}\n\\begin{document}';
+    expect(ensureTheoremDeclarations(preamble, 'no theorems')).toBe(preamble);
+    expect(ensureTheoremDeclarations(preamble, '\\begin{lemma}a\\end{lemma}\\begin{remark}b\\end{remark}\\begin{proof}c\\end{proof}')).toBe(
+      '\\documentclass{article}\n\\theoremstyle{plain}\n\\newtheorem{theorem}{Theorem}\n\\newtheorem{lemma}[theorem]{Lemma}\n\\theoremstyle{remark}\n\\newtheorem{remark}[theorem]{Remark}\n\\begin{document}'
+    );
+    const declared = '\\newtheorem{theorem}{Theorem}[section]\n\\begin{document}';
+    expect(ensureTheoremDeclarations(declared, '\\begin{theorem}a\\end{theorem}\\begin{definition}b\\end{definition}')).toBe(
+      '\\newtheorem{theorem}{Theorem}[section]\n\\theoremstyle{definition}\n\\newtheorem{definition}[theorem]{Definition}\n\\begin{document}'
+    );
+  });
+
+  it('ensureTheoremDeclarations leaves environments of beamer and llncs to the class', () => {
+    const body = '\\begin{theorem}a\\end{theorem}\\begin{lemma}b\\end{lemma}\\begin{remark}c\\end{remark}';
+    const llncs = '\\documentclass{llncs}\n\\begin{document}';
+    expect(ensureTheoremDeclarations(llncs, body)).toBe(llncs);
+    expect(ensureTheoremDeclarations('\\documentclass[aspectratio=169]{beamer}\n\\begin{document}', body)).toBe(
+      '\\documentclass[aspectratio=169]{beamer}\n\\theoremstyle{remark}\n\\newtheorem{remark}[theorem]{Remark}\n\\begin{document}'
+    );
+    expect(classTheoremsOf('% \\documentclass{beamer}\n\\documentclass{article}')).toEqual([]);
+  });
+});
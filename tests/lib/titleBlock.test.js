@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { formatToday, readTitleMetadata, replaceTitleBlock, setTitleMetadata } from '../../src/lib/titleBlock';
+import { latexToHtml, htmlToLatex, readTitleBlockMetadata } from '../../src/lib/latex';
+
+const identity = (s) => s;
+const toDom = (html) => {
+  const div = document.createElement('div');
+  div.innerHTML = html;
+  return div;
+};
+
+const DOC = [
+  '\\documentclass{article}',
+  '\\title{A {Nested} Title} % \\title{commented}',
+  '\\author{Ada \\and Bob\\thanks{Funded}}',
+  '\\begin{document}',
+  '\\maketitle',
+  '\\begin{abstract}',
+  'We study things.',
+  '\\end{abstract}',
+  'Body.',
+  '\\end{document}',
+].join('\n');
+
+describe('title block helpers', () => {
+  it('readTitleMetadata reads the definitions in effect at \\maketitle', () => {
+    expect(readTitleMetadata(DOC)).toEqual({ title: 'A {Nested} Title', author: 'Ada \\and Bob\\thanks{Funded}', date: null });
+    const redefined = '\\title{One}\\begin{document}\\title{Two}\\maketitle\\title{Three}';
+    expect(readTitleMetadata(redefined).title).toBe('Two');
+    expect(readTitleMetadata('\\title[Short]{Long}').title).toBe('Long');
+  });
+
+  it('setTitleMetadata updates existing definitions and adds missing ones before \\begin{document}', () => {
+    const preamble = '\\documentclass{article}\n\\title{Old}\n\\begin{document}';
+    expect(setTitleMetadata(preamble, { title: 'New', author: 'Ada', date: '' })).toBe(
+      '\\documentclass{article}\n\\title{New}\n\\author{Ada}\n\\begin{document}',
+    );
+    expect(setTitleMetadata(preamble, { title: '' })).toBe('\\documentclass{article}\n\\title{}\n\\begin{document}');
+    expect(setTitleMetadata(preamble, { author: null })).toBe(preamble);
+  });
+
+  it('formatToday matches LaTeX \\today', () => {
+    expect(formatToday(new Date(2026, 9, 19))).toBe('October 19, 2026');
+  });
+
+  it('replaceTitleBlock renders \\maketitle, body-level metadata and the abstract', () => {
+    const root = toDom(
+      replaceTitleBlock('\\date{\\today}\\maketitle\\begin{abstract} Short. \\end{abstract}', {
+        renderFragment: identity,
+        metadata: { title: 'T', author: 'A \\and B', date: null },
+      }),
+    );
+    expect(root.querySelector('[data-texure-meta-command="date"]').getAttribute('data-texure-latex')).toBe('\\date{\\today}');
+    const block = root.querySelector('.texure-title-block');
+    expect(block.getAttribute('data-texure-latex')).toBe('\\maketitle');
+    expect(block.querySelector('[data-texure-meta="title"]').textContent).toBe('T');
+    expect(block.querySelector('[data-texure-meta="author"] .texure-title-sep').getAttribute('data-texure-latex')).toBe(' \\and ');
+    expect(block.querySelector('[data-texure-meta="date"]').innerHTML).toBe('');
+    expect(root.querySelector('.texure-abstract-body').textContent).toBe('Short.');
+  });
+});
+
+describe('title block in the visual editor', () => {
+  it('renders the preamble metadata where \\maketitle appears', () => {
+    const root = toDom(latexToHtml(DOC));
+    const block = root.querySelector('.texure-title-block');
+    expect(block.querySelector('[data-texure-meta="title"]').textContent).toContain('Nested');
+    expect(block.querySelector('.texure-thanks').getAttribute('data-texure-latex')).toBe('\\thanks{Funded}');
+    expect(root.querySelector('.texure-abstract-title').textContent).toBe('Abstract');
+    expect(root.querySelector('.texure-abstract-body').textContent).toContain('We study things.');
+  });
+
+  it('keeps \\maketitle and the abstract in the body and reads edited fields back for the preamble', () => {
+    const root = toDom(latexToHtml(DOC));
+    const latex = htmlToLatex(root.innerHTML);
+    expect(latex).toContain('\\maketitle');
+    expect(latex).toContain('\\begin{abstract}\nWe study things.\n\\end{abstract}');
+    expect(latex).not.toContain('\\title');
+    // Unedited fields keep their source exactly.
+    expect(readTitleBlockMetadata(root.innerHTML)).toEqual({ title: 'A {Nested} Title', author: 'Ada \\and Bob\\thanks{Funded}', date: '' });
+
+    root.querySelector('[data-texure-meta="date"]').textContent = 'Spring 2026';
+    const meta = readTitleBlockMetadata(root.innerHTML);
+    expect(setTitleMetadata('\\title{A {Nested} Title}\n\\begin{document}', meta)).toBe(
+      '\\title{A {Nested} Title}\n\\author{Ada \\and Bob\\thanks{Funded}}\n\\date{Spring 2026}\n\\begin{document}',
+    );
+    expect(readTitleBlockMetadata('<p>No title</p>')).toBe(null);
+  });
+
+  it('writes title block edits to metadata commands defined in the body', () => {
+    const root = toDom(latexToHtml('\\title{Old}\n\\maketitle'));
+    root.querySelector('[data-texure-meta="title"]').textContent = 'New & Improved';
+    expect(htmlToLatex(root.innerHTML)).toMatch(/^\\title\{New \\& Improved\}\s*\\maketitle$/);
+
+    const untouched = toDom(latexToHtml('\\title[Short]{A {B}}\n\\maketitle'));
+    expect(htmlToLatex(untouched.innerHTML)).toMatch(/^\\title\[Short\]\{A \{B\}\}\s*\\maketitle$/);
+  });
+});
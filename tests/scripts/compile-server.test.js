@@ -0,0 +1,141 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { compileProject, createCompileHandler, safeRelativePath, validateRequest } = require('../../scripts/compile-server.cjs');
+
+// Fake TeX run: records the call and writes `<base>.log` / `<base>.pdf` into the working directory.
+const fakeRun = ({ code = 0, pdf = true, log = 'This is pdfTeX', notFound = [], timedOut = false } = {}) =>
+  vi.fn(async (command, args, { cwd }) => {
+    if (notFound.includes(command)) return { code: null, output: '', timedOut: false, notFound: true };
+    const base = args[args.length - 1].replace(/\.[^.]+$/, '');
+    fs.writeFileSync(path.join(cwd, `${base}.log`), log);
+    if (pdf) fs.writeFileSync(path.join(cwd, `${base}.pdf`), '%PDF-1.5');
+    return { code, output: 'stdout', timedOut, notFound: false };
+  });
+
+describe('compile server', () => {
+  it('accepts only project-relative paths', () => {
+    expect(safeRelativePath('chapters/./one.tex')).toBe('chapters/one.tex');
+    expect(safeRelativePath('a\\b.tex')).toBe('a/b.tex');
+    expect(safeRelativePath('../etc/passwd')).toBeNull();
+    expect(safeRelativePath('/etc/passwd')).toBeNull();
+    expect(safeRelativePath('C:/x.tex')).toBeNull();
+    expect(safeRelativePath('a\u0000.tex')).toBeNull();
+    expect(safeRelativePath('')).toBeNull();
+  });
+
+  it('validates the request shape, main file and engine', () => {
+    expect(() => validateRequest(null)).toThrow(/JSON object/);
+    expect(() => validateRequest({ files: [] })).toThrow(/map paths/);
+    expect(() => validateRequest({ files: {} })).toThrow(/empty/);
+    expect(() => validateRequest({ files: { 'a.tex': 'x', 'b.tex': 'y' } }, { maxFiles: 1 })).toThrow(/Too many/);
+    expect(() => validateRequest({ files: { '../a.tex': 'x' } })).toThrow(/Invalid file path/);
+    expect(() => validateRequest({ files: { 'a.png': 42 } })).toThrow(/Unsupported content/);
+    expect(() => validateRequest({ files: { 'a.tex': 'x' } })).toThrow(/Main file not found: main.tex/);
+    expect(() => validateRequest({ files: { 'main.tex': 'x' }, engine: 'tex' })).toThrow(/Unsupported engine/);
+    expect(() => validateRequest({ files: { 'main.tex': 'x', latexmkrc: 'system("id")' } })).toThrow(/latexmk configuration files/);
+    expect(() => validateRequest({ files: { 'main.tex': 'x', 'sub/.latexmkrc': 'x' } })).toThrow(/latexmk configuration files/);
+    expect(() => validateRequest({ files: { 'main.tex': 'x', 'LatexMkRc': 'x' } })).toThrow(/latexmk configuration files/);
+    const ok = validateRequest({ mainFile: 'main.tex', files: { 'main.tex': 'x', 'img/a.png': { base64: 'AQID' } }, engine: 'xelatex' });
+    expect(ok.engine).toBe('xelatex');
+    expect([...ok.files['img/a.png']]).toEqual([1, 2, 3]);
+  });
+
+  it('runs latexmk in a temp dir and returns the PDF and log', async () => {
+    let seenDir = '';
+    const run = fakeRun({ log: 'Output written on main.pdf' });
+    run.mockImplementationOnce(async (command, args, opts) => {
+      seenDir = opts.cwd;
+      expect(fs.readFileSync(path.join(opts.cwd, 'sections/intro.tex'), 'utf8')).toBe('Intro');
+      return fakeRun({ log: 'Output written on main.pdf' })(command, args, opts);
+    });
+    const out = await compileProject(
+      { mainFile: 'main.tex', files: { 'main.tex': '\\input{sections/intro}', 'sections/intro.tex': 'Intro' }, engine: 'lualatex' },
+      { run }
+    );
+    expect(out).toEqual({ status: 'success', pdf: Buffer.from('%PDF-1.5').toString('base64'), log: 'Output written on main.pdf' });
+    expect(run).toHaveBeenCalledWith('latexmk', ['-norc', '-lualatex', '-interaction=nonstopmode', '-halt-on-error', 'main.tex'], expect.objectContaining({
+      env: { shell_escape: 'f', openin_any: 'p', openout_any: 'p' },
+    }));
+    expect(seenDir.startsWith(os.tmpdir())).toBe(true);
+    expect(fs.existsSync(seenDir)).toBe(false);
+  });
+
+  it('falls back to the engine without latexmk and reports failures', async () => {
+    const run = fakeRun({ notFound: ['latexmk'] });
+    const out = await compileProject({ mainFile: 'doc/paper.tex', files: { 'doc/paper.tex': 'x' } }, { run });
+    expect(out.status).toBe('success');
+    expect(run.mock.calls.map((c) => c[0])).toEqual(['latexmk', 'pdflatex', 'pdflatex']);
+    expect(run.mock.calls[1][2].cwd.endsWith(`${path.sep}doc`)).toBe(true);
+
+    const failed = await compileProject({ files: { 'main.tex': 'x' } }, { run: fakeRun({ code: 12, pdf: false, log: '! Undefined control sequence.' }) });
+    expect(failed).toEqual({ status: 'error', pdf: null, log: '! Undefined control sequence.' });
+
+    const missing = await compileProject({ files: { 'main.tex': 'x' } }, { run: fakeRun({ notFound: ['latexmk', 'pdflatex'] }) });
+    expect(missing.log).toMatch(/pdflatex was not found/);
+
+    const slow = await compileProject({ files: { 'main.tex': 'x' } }, { run: fakeRun({ code: null, timedOut: true }), timeoutMs: 5000 });
+    expect(slow.status).toBe('error');
+    expect(slow.log).toMatch(/^Compilation timed out after 5s/);
+  });
+
+  it('serves compiles over HTTP', async () => {
+    const handler = createCompileHandler({ run: fakeRun(), corsOrigin: '*', maxBodyBytes: 200 });
+    const server = http.createServer(handler);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/compile`;
+    try {
+      const ok = await fetch(url, { method: 'POST', body: JSON.stringify({ files: { 'main.tex': 'x' } }) });
+      expect(ok.status).toBe(200);
+      expect(ok.headers.get('access-control-allow-origin')).toBe('*');
+      expect(await ok.json()).toMatchObject({ status: 'success', log: 'This is pdfTeX' });
+
+      const bad = await fetch(url, { method: 'POST', body: JSON.stringify({ files: {} }) });
+      expect(bad.status).toBe(400);
+      expect((await bad.json()).log).toMatch(/empty/);
+
+      expect((await fetch(url, { method: 'POST', body: '{' })).status).toBe(400);
+      expect((await fetch(url, { method: 'POST', body: JSON.stringify({ files: { 'main.tex': 'x'.repeat(300) } }) })).status).toBe(413);
+      expect((await fetch(url)).status).toBe(405);
+      expect((await fetch(url, { method: 'OPTIONS' })).status).toBe(204);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('sends no CORS header unless an origin is configured and caps the queue', async () => {
+    let release;
+    const gate = new Promise((resolve) => { release = resolve; });
+    const run = fakeRun();
+    const slowRun = vi.fn(async (...args) => {
+      await gate;
+      return run(...args);
+    });
+    const handler = createCompileHandler({ run: slowRun, maxQueuedJobs: 1 });
+    const server = http.createServer(handler);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/compile`;
+    const body = JSON.stringify({ files: { 'main.tex': 'x' } });
+    try {
+      const first = fetch(url, { method: 'POST', body });
+      await vi.waitFor(() => expect(slowRun).toHaveBeenCalled());
+      const busy = await fetch(url, { method: 'POST', body });
+      expect(busy.status).toBe(503);
+      expect((await busy.json()).log).toMatch(/busy/);
+      release();
+      const ok = await first;
+      expect(ok.status).toBe(200);
+      expect(ok.headers.get('access-control-allow-origin')).toBeNull();
+      expect((await fetch(url, { method: 'POST', body })).status).toBe(200);
+    } finally {
+      release();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
@@ -1,8 +1,23 @@
+import { createRequire } from 'module'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const require = createRequire(import.meta.url)
+
+// Mounts scripts/compile-server.cjs at /api/compile so the app can compile with the local TeX Live install.
+// Dev server only: `vite preview` serves a build and does not shell out to latexmk.
+const localTexCompile = () => ({
+  name: 'texure-local-tex-compile',
+  apply: 'serve',
+  configureServer(server) {
+    const { createCompileHandler } = require('./scripts/compile-server.cjs');
+    server.middlewares.use('/api/compile', createCompileHandler());
+  },
+})
+
 export default defineConfig(({ mode }) => {
   const enableRtex = process.env.VITE_ENABLE_RTEX === 'true';
+  const enableLocalTex = process.env.VITE_ENABLE_LOCAL_TEX === 'true';
   const proxy = {
     '/api/latexonline': {
       target: 'https://latexonline.cc',
@@ -22,7 +37,7 @@ export default defineConfig(({ mode }) => {
 
   return {
     base: process.env.BASE_PATH || '/',
-    plugins: [react()],
+    plugins: [react(), enableLocalTex && localTexCompile()],
     server: {
       proxy,
     },